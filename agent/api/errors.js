@@ -0,0 +1,83 @@
+/**
+ * API Errors
+ *
+ * Every error leaving the HTTP layer is serialized as:
+ * { success: false, error: 'Human readable message', code: 'ERROR_CODE' }
+ */
+
+export class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  static badRequest(message, details = null) {
+    return new ApiError(400, 'INVALID_REQUEST', message, details);
+  }
+
+  static forbidden(code, message) {
+    return new ApiError(403, code, message);
+  }
+
+  static notFound(code, message) {
+    return new ApiError(404, code, message);
+  }
+
+  static conflict(code, message) {
+    return new ApiError(409, code, message);
+  }
+
+  static unavailable(message) {
+    return new ApiError(503, 'SERVICE_UNAVAILABLE', message);
+  }
+
+  toJSON() {
+    const body = {
+      success: false,
+      error: this.message,
+      code: this.code
+    };
+    if (this.details) body.details = this.details;
+    return body;
+  }
+}
+
+// HTTP status of each domain error code the routes pass through toApiError
+const STATUS_BY_CODE = {
+  ADJUSTMENT_NOT_FOUND: 404,
+  ADJUSTMENT_INVALID_STATE: 409,
+  SCHEDULE_NOT_FOUND: 404,
+  SCHEDULE_INVALID: 400,
+  SCHEDULE_NAME_TAKEN: 409,
+  SCHEDULE_INVALID_STATE: 409,
+  BUDGET_NOT_FOUND: 404,
+  BUDGET_INVALID: 400,
+  WEBHOOK_NOT_FOUND: 404,
+  WEBHOOK_INVALID: 400,
+  CONFIG_KEY_NOT_FOUND: 404,
+  CONFIG_LOCKED: 403,
+  CONFIG_INVALID: 400,
+  POLICY_VERSION_NOT_FOUND: 404,
+  POLICY_INVALID: 400,
+  WHITELIST_ENTRY_NOT_FOUND: 404,
+  WHITELIST_INVALID_STATE: 409,
+  WHITELIST_INVALID_EXPIRY: 400
+};
+
+/**
+ * Domain error (AdjustmentError, ...) → ApiError, by its code. A 400 keeps
+ * the generic INVALID_REQUEST code; errors with codes not listed above are
+ * returned unchanged for errorHandler
+ */
+export function toApiError(error) {
+  const status = STATUS_BY_CODE[error?.code];
+  if (!status) return error;
+  return status === 400
+    ? ApiError.badRequest(error.message, error.details)
+    : new ApiError(status, error.code, error.message, error.details);
+}
+
+export default ApiError;
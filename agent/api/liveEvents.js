@@ -0,0 +1,151 @@
+/**
+ * Live Event Hub
+ *
+ * Collects events from agent components and fans them out to /ws/live
+ * subscribers. Every event gets a sequence number and is kept in a
+ * bounded buffer so reconnecting clients can replay what they missed.
+ *
+ * Event envelope:
+ *   { id, type, timestamp, taskId, data }
+ *
+ * Event types:
+ *   task.status             tasks row changed state (EcoAgent)
+ *   task.sla-warning        task predicted to miss its SLA class or deadline (EcoAgent)
+ *   queue.job               queue job transition (TaskQueue / FallbackQueue / SqliteQueue)
+ *   thermal.sample          ThermalMonitor.recordTemperature reading
+ *   task.aborted            RuntimeAbortMonitor emergency abort
+ *   device.sleep / .wake    DeviceSleepManager transitions
+ *   mesh.peer-registered, mesh.task-delegated, mesh.delegation-retracted
+ *   config.changed          AgentConfig settings changed (API, reload)
+ *   policy.changed          PolicyEngine activated a policy version
+ *   whitelist.changed       TaskWhitelist entry requested, approved, rejected, revoked or expired
+ *   adjustment.changed      FeedbackAdjustments change applied, proposed, accepted, reverted or lifted
+ *   schedule.changed        RecurringSchedules schedule created, edited, paused, resumed, deleted, planned or run
+ *   budget.changed          CarbonBudgets user budget set or removed, or a budget overdrawn
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+export const EVENT_TYPES = [
+  'task.status',
+  'task.sla-warning',
+  'queue.job',
+  'thermal.sample',
+  'task.aborted',
+  'device.sleep',
+  'device.wake',
+  'mesh.peer-registered',
+  'mesh.task-delegated',
+  'mesh.delegation-retracted',
+  'config.changed',
+  'policy.changed',
+  'whitelist.changed',
+  'adjustment.changed',
+  'schedule.changed',
+  'budget.changed'
+];
+
+// component property on EcoAgent → { component event → live event type }
+const SOURCES = {
+  taskQueue: { job: 'queue.job' },
+  thermalMonitor: { temperature: 'thermal.sample' },
+  abortMonitor: { abort: 'task.aborted' },
+  sleepManager: { sleep: 'device.sleep', wake: 'device.wake' },
+  meshNetwork: {
+    'peer-registered': 'mesh.peer-registered',
+    'task-delegated': 'mesh.task-delegated',
+    'delegation-retracted': 'mesh.delegation-retracted'
+  },
+  config: { change: 'config.changed' },
+  policy: { change: 'policy.changed' },
+  whitelist: { change: 'whitelist.changed' },
+  adjustments: { change: 'adjustment.changed' },
+  schedules: { change: 'schedule.changed' },
+  budgets: { change: 'budget.changed' }
+};
+
+export class LiveEventHub {
+  constructor(options = {}) {
+    this.config = {
+      bufferSize: 1000, // events kept for replay
+      ...options
+    };
+
+    // Changes on every agent start so clients can tell a stale lastEventId
+    this.streamId = uuidv4();
+    this.sequence = 0;
+    this.buffer = [];
+    this.subscribers = new Set();
+    this.detachers = [];
+  }
+
+  /**
+   * Subscribe to the agent and whichever components it has
+   * Components that are missing or not event emitters are skipped
+   */
+  attach(agent) {
+    this.listen(agent, 'task-status', 'task.status');
+    this.listen(agent, 'sla-warning', 'task.sla-warning');
+
+    for (const [property, events] of Object.entries(SOURCES)) {
+      const component = agent[property];
+      for (const [event, type] of Object.entries(events)) {
+        this.listen(component, event, type);
+      }
+    }
+  }
+
+  listen(emitter, event, type) {
+    if (!emitter || typeof emitter.on !== 'function') return;
+
+    const handler = (data) => this.publish(type, data);
+    emitter.on(event, handler);
+    this.detachers.push(() => emitter.off(event, handler));
+  }
+
+  detach() {
+    this.detachers.forEach(detach => detach());
+    this.detachers = [];
+  }
+
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      timestamp: new Date().toISOString(),
+      taskId: data.taskId || null,
+      data
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.config.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const subscriber of this.subscribers) {
+      subscriber(event);
+    }
+
+    return event;
+  }
+
+  // Returns an unsubscribe function
+  subscribe(listener) {
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+
+  /**
+   * Buffered events after lastEventId
+   * complete is false when some of them have already been dropped
+   */
+  since(lastEventId) {
+    const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.sequence + 1;
+    return {
+      events: this.buffer.filter(event => event.id > lastEventId),
+      complete: lastEventId >= oldest - 1
+    };
+  }
+}
+
+export default LiveEventHub;
@@ -0,0 +1,257 @@
+/**
+ * /ws/live WebSocket stream
+ *
+ * Pushes LiveEventHub events to the web app (TaskRoutingService.createLiveStream).
+ *
+ * Connect: ws://127.0.0.1:3001/ws/live?taskId=a,b&events=task.*,thermal.sample
+ *   taskId       only task-scoped events for these tasks (device-wide events
+ *                such as thermal samples are still delivered)
+ *   events       event types; 'task.*' matches every type with that prefix
+ *   lastEventId  replay buffered events after this ID (resume after reconnect)
+ *   streamId     from the previous stream.ready; replay is skipped if the
+ *                agent restarted in between
+ *
+ * Client → server messages:
+ *   { type: 'subscribe', taskIds: [...], events: [...] }  replace filters
+ *                                   ('taskId' is accepted for a single task)
+ *   { type: 'ping' }
+ *
+ * Server → client control messages use the 'stream.' prefix:
+ *   stream.ready, stream.subscribed, stream.gap, stream.pong, stream.error
+ */
+
+import { WebSocketServer } from 'ws';
+import pino from 'pino';
+import { ApiError } from './errors.js';
+import { EVENT_TYPES } from './liveEvents.js';
+
+const logger = pino();
+
+export const LIVE_STREAM_PATH = '/ws/live';
+
+// Close code for a connection rejected because of bad filters
+const POLICY_VIOLATION = 1008;
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function parseEventPatterns(value) {
+  const patterns = parseList(value);
+  for (const pattern of patterns) {
+    const known = pattern.endsWith('.*')
+      ? EVENT_TYPES.some(type => type.startsWith(pattern.slice(0, -1)))
+      : EVENT_TYPES.includes(pattern);
+    if (!known) {
+      throw ApiError.badRequest(`Unknown event type: ${pattern}`);
+    }
+  }
+  return patterns;
+}
+
+function parseFilters({ taskIds, events }) {
+  return {
+    taskIds: parseList(taskIds),
+    events: parseEventPatterns(events)
+  };
+}
+
+function matches(filters, event) {
+  if (filters.events.length > 0) {
+    const typeMatch = filters.events.some(pattern =>
+      pattern.endsWith('.*') ? event.type.startsWith(pattern.slice(0, -1)) : event.type === pattern
+    );
+    if (!typeMatch) return false;
+  }
+
+  if (filters.taskIds.length > 0 && event.taskId) {
+    return filters.taskIds.includes(event.taskId);
+  }
+  return true;
+}
+
+export class LiveStreamServer {
+  constructor(httpServer, hub, options = {}) {
+    this.hub = hub;
+    this.config = {
+      path: LIVE_STREAM_PATH,
+      allowedOrigins: [],
+      heartbeatMs: 30000,
+      maxBufferedBytes: 1024 * 1024, // drop clients that stop reading
+      ...options
+    };
+
+    this.origins = new Set(this.config.allowedOrigins);
+    this.wss = new WebSocketServer({ noServer: true });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.onUpgrade = (req, socket, head) => this.handleUpgrade(req, socket, head);
+    this.httpServer = httpServer;
+    httpServer.on('upgrade', this.onUpgrade);
+
+    // Terminate connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      for (const socket of this.wss.clients) {
+        if (socket.isAlive === false) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, this.config.heartbeatMs);
+  }
+
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.config.path) {
+      socket.destroy();
+      return;
+    }
+
+    // Browsers always send Origin; non-browser clients (CLI, curl) do not
+    const origin = req.headers.origin;
+    if (origin && !this.origins.has('*') && !this.origins.has(origin)) {
+      logger.warn(`Rejected live stream connection from origin ${origin}`);
+      socket.write('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.wss.emit('connection', ws, req);
+    });
+  }
+
+  handleConnection(socket, req) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+
+    let filters;
+    let lastEventId = null;
+    try {
+      filters = parseFilters({ taskIds: query.get('taskId'), events: query.get('events') });
+      if (query.has('lastEventId')) {
+        lastEventId = Number(query.get('lastEventId'));
+        if (!Number.isInteger(lastEventId) || lastEventId < 0) {
+          throw ApiError.badRequest('lastEventId must be a non-negative integer');
+        }
+      }
+    } catch (error) {
+      this.sendError(socket, error);
+      socket.close(POLICY_VIOLATION, error.message);
+      return;
+    }
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+
+    const client = { socket, filters };
+
+    this.send(socket, {
+      type: 'stream.ready',
+      streamId: this.hub.streamId,
+      lastEventId: this.hub.sequence,
+      filters
+    });
+
+    // Replay before subscribing: publish() is synchronous, so nothing is
+    // emitted between the two and no event is sent twice or skipped
+    if (lastEventId !== null) {
+      this.replay(client, lastEventId, query.get('streamId'));
+    }
+
+    const unsubscribe = this.hub.subscribe((event) => {
+      if (matches(client.filters, event)) this.send(socket, event);
+    });
+
+    socket.on('message', (raw) => this.handleMessage(client, raw));
+    socket.on('close', unsubscribe);
+    socket.on('error', (error) => {
+      logger.debug(`Live stream socket error: ${error.message}`);
+    });
+
+    logger.debug('Live stream client connected', { filters });
+  }
+
+  replay(client, lastEventId, streamId) {
+    if (streamId && streamId !== this.hub.streamId) {
+      this.send(client.socket, {
+        type: 'stream.gap',
+        reason: 'Agent restarted since the last connection',
+        missedFrom: null
+      });
+      return;
+    }
+
+    const { events, complete } = this.hub.since(lastEventId);
+    if (!complete) {
+      this.send(client.socket, {
+        type: 'stream.gap',
+        reason: 'Some events are no longer buffered',
+        missedFrom: lastEventId + 1
+      });
+    }
+
+    for (const event of events) {
+      if (matches(client.filters, event)) this.send(client.socket, event);
+    }
+  }
+
+  handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.sendError(client.socket, ApiError.badRequest('Message is not valid JSON'));
+      return;
+    }
+
+    try {
+      if (message?.type === 'ping') {
+        this.send(client.socket, { type: 'stream.pong', timestamp: new Date().toISOString() });
+      } else if (message?.type === 'subscribe') {
+        client.filters = parseFilters({
+          taskIds: message.taskIds ?? message.taskId,
+          events: message.events
+        });
+        this.send(client.socket, { type: 'stream.subscribed', filters: client.filters });
+      } else {
+        throw ApiError.badRequest(`Unknown message type: ${message?.type}`);
+      }
+    } catch (error) {
+      this.sendError(client.socket, error);
+    }
+  }
+
+  send(socket, payload) {
+    if (socket.readyState !== socket.OPEN) return;
+
+    if (socket.bufferedAmount > this.config.maxBufferedBytes) {
+      logger.warn('Live stream client is not keeping up - disconnecting');
+      socket.terminate();
+      return;
+    }
+
+    socket.send(JSON.stringify(payload));
+  }
+
+  sendError(socket, error) {
+    const apiError = error instanceof ApiError
+      ? error
+      : new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+    this.send(socket, { type: 'stream.error', ...apiError.toJSON() });
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.httpServer.off('upgrade', this.onUpgrade);
+    for (const socket of this.wss.clients) {
+      socket.terminate();
+    }
+    return new Promise(resolve => this.wss.close(() => resolve()));
+  }
+}
+
+export default LiveStreamServer;
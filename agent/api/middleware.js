@@ -0,0 +1,121 @@
+/**
+ * Shared Express middleware and request parsing for the agent API
+ */
+
+import pino from 'pino';
+import { ApiError } from './errors.js';
+
+const logger = pino();
+
+// Express 4 does not forward rejected promises to the error handler
+export function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+// Allow the web app (served from another port) to call the local agent
+export function cors(allowedOrigins = []) {
+  const origins = new Set(allowedOrigins);
+
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (origin && (origins.has('*') || origins.has(origin))) {
+      res.setHeader('Access-Control-Allow-Origin', origins.has('*') ? '*' : origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.sendStatus(204);
+      return;
+    }
+    next();
+  };
+}
+
+const STATE_CHANGING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// cors() only decides what a browser may read back; a page on any origin can
+// still send a "simple" cross-origin POST (form or text/plain body) and have
+// it run. Refuse changes from origins not allowed to call the API, and bodies
+// that are not JSON, which a simple request cannot send
+export function trustedOrigin(allowedOrigins = []) {
+  const origins = new Set(allowedOrigins);
+
+  return (req, res, next) => {
+    if (!STATE_CHANGING_METHODS.has(req.method)) return next();
+
+    // The CLI and other local clients send no Origin
+    const origin = req.headers.origin;
+    if (origin && !origins.has('*') && !origins.has(origin)) {
+      return next(ApiError.forbidden('ORIGIN_NOT_ALLOWED', `Origin ${origin} may not change agent state`));
+    }
+    // An empty POST (Content-Length: 0) carries nothing to check
+    if (req.headers['content-length'] !== '0' && req.is('application/json') === false) {
+      return next(new ApiError(415, 'UNSUPPORTED_MEDIA_TYPE', 'Request body must be application/json'));
+    }
+    next();
+  };
+}
+
+// :id route parameter → positive integer
+export function parseId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw ApiError.badRequest('id must be a positive integer');
+  }
+  return id;
+}
+
+// { actor?, reason? } of a change request → { actor (default 'api'), reason (default null) }
+// expiry: also pass on expiresAt (whitelist request/approve); the service validates it
+export function parseChange(body, { expiry = false } = {}) {
+  const { actor, reason, expiresAt } = body || {};
+
+  if (actor !== undefined && (typeof actor !== 'string' || actor === '')) {
+    throw ApiError.badRequest('actor must be a non-empty string');
+  }
+  if (reason !== undefined && typeof reason !== 'string') {
+    throw ApiError.badRequest('reason must be a string');
+  }
+  if (!expiry && expiresAt !== undefined) {
+    throw ApiError.badRequest('expiresAt is not accepted for this change');
+  }
+
+  const change = { actor: actor || 'api', reason: reason || null };
+  if (expiry && expiresAt !== undefined) change.expiresAt = expiresAt;
+  return change;
+}
+
+// The given fields of a create/edit body (actor aside, anything else is rejected)
+export function parseFields(body, fields) {
+  const values = body || {};
+  const unknown = Object.keys(values).filter(key => !fields.includes(key) && key !== 'actor');
+  if (unknown.length > 0) {
+    throw ApiError.badRequest(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+  return Object.fromEntries(fields.filter(key => values[key] !== undefined).map(key => [key, values[key]]));
+}
+
+export function notFoundHandler(req, res, next) {
+  next(ApiError.notFound('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+}
+
+// Express recognises error handlers by their four parameters, so next stays although unused
+export function errorHandler(err, req, res, next) {
+  // Malformed JSON body from express.json()
+  if (err.type === 'entity.parse.failed') {
+    err = ApiError.badRequest('Request body is not valid JSON');
+  } else if (err.type === 'entity.too.large') {
+    err = new ApiError(413, 'INVALID_REQUEST', 'Request body too large');
+  }
+
+  if (!(err instanceof ApiError)) {
+    logger.error(`API error on ${req.method} ${req.path}: ${err.message}`);
+    err = new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+  }
+
+  res.status(err.status).json(err.toJSON());
+}
@@ -0,0 +1,60 @@
+/**
+ * Feedback adjustment routes
+ *
+ * GET  /api/adjustments            → adjustments, newest first (?status=active&task=name)
+ * GET  /api/adjustments/:id        → one adjustment
+ * POST /api/adjustments/:id/revert → undo an active change or withdraw a proposal { actor?, reason? }
+ * POST /api/adjustments/:id/accept → put a proposed suppression into effect { actor?, reason? }
+ * POST /api/adjustments/:id/reject → turn down a proposal { actor?, reason? }
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler, parseChange, parseId } from '../middleware.js';
+import { ADJUSTMENT_STATUSES, AdjustmentError } from '../../engine/feedbackAdjustments.js';
+
+export function createAdjustmentRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { status, task } = req.query;
+    if (status !== undefined && !ADJUSTMENT_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${ADJUSTMENT_STATUSES.join(', ')}`);
+    }
+    res.json(await agent.adjustments.list({ status, taskName: task }));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    try {
+      res.json(await agent.adjustments.get(parseId(req.params.id)));
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  const change = action => asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    const options = parseChange(req.body);
+
+    try {
+      if (action === 'reject') {
+        const adjustment = await agent.adjustments.get(id);
+        if (adjustment.status !== 'proposed') {
+          throw new AdjustmentError('ADJUSTMENT_INVALID_STATE', `Adjustment ${id} is ${adjustment.status}, not proposed`);
+        }
+      }
+      const adjustment = await agent.adjustments[action === 'reject' ? 'revert' : action](id, options);
+      res.json({ success: true, ...adjustment });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  });
+
+  router.post('/:id/revert', change('revert'));
+  router.post('/:id/accept', change('accept'));
+  router.post('/:id/reject', change('reject'));
+
+  return router;
+}
+
+export default createAdjustmentRoutes;
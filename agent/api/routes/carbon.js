@@ -0,0 +1,94 @@
+/**
+ * Carbon routes
+ *
+ * GET /api/carbon           → rollup per task, user or period (?by=day&from=…&to=…&limit=100)
+ * GET /api/carbon/tasks/:id → every accounted run of one task and their sum
+ *
+ * GET    /api/carbon/budgets               → agent and per-user budgets, spent this period
+ * PUT    /api/carbon/budgets/users/:userId → set a user's budget { limitKg, period?, actor? }
+ * DELETE /api/carbon/budgets/users/:userId → remove a user's budget { actor?, reason? }
+ *
+ * Each executed run is one carbon_impact row: energy (Wh), CO2 emitted at
+ * the grid intensity of the time, and CO2 avoided against its worst allowed slot.
+ * The agent-wide budget is config (carbon.budgetKg, carbon.budgetPeriod).
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler, parseChange } from '../middleware.js';
+import { CARBON_GROUPS } from '../../engine/carbonAccounting.js';
+
+const MAX_GROUPS = 1000;
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  if (Number.isNaN(Date.parse(value))) {
+    throw ApiError.badRequest(`${name} must be an ISO 8601 date`);
+  }
+  return new Date(value).toISOString();
+}
+
+export function createCarbonRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { by = 'day', limit = '100' } = req.query;
+    if (!CARBON_GROUPS.includes(by)) {
+      throw ApiError.badRequest(`by must be one of: ${CARBON_GROUPS.join(', ')}`);
+    }
+    const parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_GROUPS) {
+      throw ApiError.badRequest(`limit must be an integer between 1 and ${MAX_GROUPS}`);
+    }
+    const from = parseDate(req.query.from, 'from');
+    const to = parseDate(req.query.to, 'to');
+    if (from && to && from >= to) {
+      throw ApiError.badRequest('from must be before to');
+    }
+
+    res.json(await agent.carbon.rollup({ groupBy: by, from, to, limit: parsedLimit }));
+  }));
+
+  router.get('/tasks/:id', asyncHandler(async (req, res) => {
+    const task = await agent.getTask(req.params.id);
+    if (!task) {
+      throw ApiError.notFound('TASK_NOT_FOUND', `Task ${req.params.id} not found`);
+    }
+    res.json({
+      taskId: task.id,
+      name: task.name,
+      userId: task.user_id || null,
+      status: task.status,
+      ...await agent.carbon.taskImpact(task.id)
+    });
+  }));
+
+  router.get('/budgets', asyncHandler(async (req, res) => {
+    res.json(await agent.budgets.status());
+  }));
+
+  router.put('/budgets/users/:userId', asyncHandler(async (req, res) => {
+    const { limitKg, period } = req.body || {};
+    const { actor } = parseChange({ actor: req.body?.actor });
+
+    try {
+      res.json({ success: true, ...await agent.budgets.setUserBudget(req.params.userId, { limitKg, period }, { actor }) });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  router.delete('/budgets/users/:userId', asyncHandler(async (req, res) => {
+    const options = parseChange(req.body);
+
+    try {
+      res.json({ success: true, ...await agent.budgets.removeUserBudget(req.params.userId, options) });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  return router;
+}
+
+export default createCarbonRoutes;
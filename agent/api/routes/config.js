@@ -0,0 +1,70 @@
+/**
+ * Configuration routes
+ *
+ * GET  /api/config         → every setting with its value, source and flags
+ * GET  /api/config/audit   → recent config changes (?limit=50)
+ * PUT  /api/config/:key    → change one setting { value, actor? }
+ * POST /api/config/reload  → re-read config file, .env and configuration table
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler } from '../middleware.js';
+
+function parseActor(body) {
+  const actor = body?.actor;
+  if (actor !== undefined && (typeof actor !== 'string' || actor === '')) {
+    throw ApiError.badRequest('actor must be a non-empty string');
+  }
+  return actor || 'api';
+}
+
+function parseLimit(value) {
+  if (value === undefined) return 50;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw ApiError.badRequest('limit must be an integer between 1 and 500');
+  }
+  return limit;
+}
+
+export function createConfigRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    res.json(agent.config.describe());
+  }));
+
+  router.get('/audit', asyncHandler(async (req, res) => {
+    res.json(await agent.config.getAudit(parseLimit(req.query.limit)));
+  }));
+
+  router.put('/:key', asyncHandler(async (req, res) => {
+    if (!req.body || !('value' in req.body)) {
+      throw ApiError.badRequest('value is required');
+    }
+    const actor = parseActor(req.body);
+
+    try {
+      const result = await agent.config.set(req.params.key, req.body.value, actor);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  router.post('/reload', asyncHandler(async (req, res) => {
+    const actor = parseActor(req.body);
+
+    try {
+      const result = await agent.config.reload(actor);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  return router;
+}
+
+export default createConfigRoutes;
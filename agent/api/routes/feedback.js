@@ -0,0 +1,41 @@
+/**
+ * Feedback routes
+ *
+ * POST /api/feedback → EcoAgent.recordFeedback
+ */
+
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { asyncHandler } from '../middleware.js';
+
+export const FEEDBACK_TYPES = ['necessary', 'avoidable', 'optimizable'];
+
+export function createFeedbackRoutes(agent) {
+  const router = express.Router();
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const { taskId, feedbackType, notes = '' } = req.body || {};
+
+    if (typeof taskId !== 'string' || taskId === '') {
+      throw ApiError.badRequest('taskId is required');
+    }
+    if (!FEEDBACK_TYPES.includes(feedbackType)) {
+      throw ApiError.badRequest(`feedbackType must be one of: ${FEEDBACK_TYPES.join(', ')}`);
+    }
+    if (typeof notes !== 'string') {
+      throw ApiError.badRequest('notes must be a string');
+    }
+
+    const task = await agent.getTask(taskId);
+    if (!task) {
+      throw ApiError.notFound('TASK_NOT_FOUND', `Task ${taskId} not found`);
+    }
+
+    const result = await agent.recordFeedback(taskId, feedbackType, notes);
+    res.status(201).json(result);
+  }));
+
+  return router;
+}
+
+export default createFeedbackRoutes;
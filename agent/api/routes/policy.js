@@ -0,0 +1,135 @@
+/**
+ * Policy routes
+ *
+ * GET  /api/policy                            → active policy and its version
+ * PUT  /api/policy                            → store and activate a new version { policy, actor? }
+ * GET  /api/policy/versions                   → stored versions, newest first (?limit=50)
+ * GET  /api/policy/versions/:version          → one stored version
+ * POST /api/policy/versions/:version/activate → roll back to a stored version { actor? }
+ * POST /api/policy/evaluate                   → dry run { taskName, taskData?, urgency?, userId?, watts?, facts?, policy? }
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler } from '../middleware.js';
+import { URGENCY_LEVELS } from './tasks.js';
+
+function parseActor(body) {
+  const actor = body?.actor;
+  if (actor !== undefined && (typeof actor !== 'string' || actor === '')) {
+    throw ApiError.badRequest('actor must be a non-empty string');
+  }
+  return actor || 'api';
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw ApiError.badRequest('version must be a positive integer');
+  }
+  return version;
+}
+
+function parseLimit(value) {
+  if (value === undefined) return 50;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    throw ApiError.badRequest('limit must be an integer between 1 and 500');
+  }
+  return limit;
+}
+
+function parseEvaluation(body) {
+  const { taskName, taskData = {}, urgency = 'normal', userId, watts, facts = {}, policy } = body || {};
+
+  if (typeof taskName !== 'string' || taskName === '') {
+    throw ApiError.badRequest('taskName is required');
+  }
+  if (typeof taskData !== 'object' || taskData === null || Array.isArray(taskData)) {
+    throw ApiError.badRequest('taskData must be an object');
+  }
+  if (!URGENCY_LEVELS.includes(urgency)) {
+    throw ApiError.badRequest(`urgency must be one of: ${URGENCY_LEVELS.join(', ')}`);
+  }
+  if (watts !== undefined && (typeof watts !== 'number' || watts < 0)) {
+    throw ApiError.badRequest('watts must be a non-negative number');
+  }
+  if (typeof facts !== 'object' || facts === null || Array.isArray(facts)) {
+    throw ApiError.badRequest('facts must be an object');
+  }
+  if (facts.now !== undefined && isNaN(new Date(facts.now).getTime())) {
+    throw ApiError.badRequest('facts.now must be a date');
+  }
+
+  return { taskName, taskData, urgency, userId: userId ?? taskData.userId, watts, facts, policy };
+}
+
+export function createPolicyRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    res.json(agent.policy.getActive());
+  }));
+
+  router.put('/', asyncHandler(async (req, res) => {
+    if (!req.body || !('policy' in req.body)) {
+      throw ApiError.badRequest('policy is required');
+    }
+    const actor = parseActor(req.body);
+
+    try {
+      const active = await agent.policy.save(req.body.policy, { source: 'api', changedBy: actor });
+      res.json({ success: true, ...active });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  router.get('/versions', asyncHandler(async (req, res) => {
+    res.json(await agent.policy.listVersions(parseLimit(req.query.limit)));
+  }));
+
+  router.get('/versions/:version', asyncHandler(async (req, res) => {
+    try {
+      res.json(await agent.policy.getVersion(parseVersion(req.params.version)));
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  router.post('/versions/:version/activate', asyncHandler(async (req, res) => {
+    const version = parseVersion(req.params.version);
+    const actor = parseActor(req.body);
+
+    try {
+      const active = await agent.policy.activate(version, actor);
+      res.json({ success: true, ...active });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  // Nothing is queued or recorded; the whitelist is reported, not enforced
+  router.post('/evaluate', asyncHandler(async (req, res) => {
+    const input = parseEvaluation(req.body);
+    const watts = input.watts ?? agent.decisionEngine.estimatePowerCost(input.taskName, input.taskData);
+
+    try {
+      const verdict = await agent.policy.evaluate(
+        { taskName: input.taskName, urgency: input.urgency, userId: input.userId, watts },
+        { policy: input.policy, facts: input.facts }
+      );
+      res.json({
+        dryRun: true,
+        whitelisted: agent.processors.isApproved(input.taskName),
+        ...verdict
+      });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  return router;
+}
+
+export default createPolicyRoutes;
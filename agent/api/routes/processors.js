@@ -0,0 +1,57 @@
+/**
+ * Task processor routes
+ *
+ * GET  /api/processors              → registered processors and approval state
+ * POST /api/processors/:name/approve → whitelist a registered processor
+ * POST /api/processors/:name/revoke  → remove it from the whitelist
+ *
+ * approve/revoke are shorthands for /api/whitelist/:task/approve|revoke
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler, parseChange } from '../middleware.js';
+
+function loadProcessor(agent, taskName) {
+  const processor = agent.processors.list().find(p => p.taskName === taskName);
+  if (!processor) {
+    throw ApiError.notFound('PROCESSOR_NOT_FOUND', `No processor registered for '${taskName}'`);
+  }
+  return processor;
+}
+
+export function createProcessorRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    res.json(agent.processors.list());
+  }));
+
+  router.post('/:name/approve', asyncHandler(async (req, res) => {
+    const { actor } = parseChange({ actor: req.body?.actor });
+    loadProcessor(agent, req.params.name);
+
+    try {
+      await agent.whitelist.approve(req.params.name, { actor });
+    } catch (error) {
+      throw toApiError(error);
+    }
+    res.json({ success: true, ...loadProcessor(agent, req.params.name) });
+  }));
+
+  router.post('/:name/revoke', asyncHandler(async (req, res) => {
+    const { actor } = parseChange({ actor: req.body?.actor });
+    loadProcessor(agent, req.params.name);
+
+    try {
+      await agent.whitelist.revoke(req.params.name, { actor });
+    } catch (error) {
+      throw toApiError(error);
+    }
+    res.json({ success: true, ...loadProcessor(agent, req.params.name) });
+  }));
+
+  return router;
+}
+
+export default createProcessorRoutes;
@@ -0,0 +1,165 @@
+/**
+ * Thermal-aware task routing routes (used by TaskRoutingService)
+ *
+ * POST /api/tasks/submit-with-prediction → predict, then queue
+ * POST /api/tasks/batch                  → same, for several projects
+ * POST /api/predict/thermal              → prediction only
+ * GET  /api/device-profiles              → built-in + saved profiles
+ * GET  /api/thermal/current              → live thermal snapshot
+ */
+
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { asyncHandler } from '../middleware.js';
+import { URGENCY_LEVELS } from './tasks.js';
+
+const MAX_BATCH_SIZE = 50;
+const MAX_POWER_WATTS = 5000;
+const MAX_DURATION_SECONDS = 7 * 24 * 3600;
+
+function parsePositiveNumber(value, name, max, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > max) {
+    throw ApiError.badRequest(`${name} must be a number between 0 and ${max}`);
+  }
+  return value;
+}
+
+// Validate { projectId, projectName, taskData } from TaskRoutingService
+function parseProject(body) {
+  const { projectId, projectName, taskData = {} } = body || {};
+
+  if (typeof projectId !== 'string' || projectId === '') {
+    throw ApiError.badRequest('projectId is required');
+  }
+  if (projectName !== undefined && typeof projectName !== 'string') {
+    throw ApiError.badRequest('projectName must be a string');
+  }
+  if (typeof taskData !== 'object' || taskData === null || Array.isArray(taskData)) {
+    throw ApiError.badRequest('taskData must be an object');
+  }
+
+  return {
+    projectId,
+    projectName: projectName || 'Untitled project',
+    taskData: {
+      ...taskData,
+      estimatedPowerWatts: parsePositiveNumber(
+        taskData.estimatedPowerWatts, 'taskData.estimatedPowerWatts', MAX_POWER_WATTS, 100
+      ),
+      estimatedDurationSeconds: parsePositiveNumber(
+        taskData.estimatedDurationSeconds, 'taskData.estimatedDurationSeconds', MAX_DURATION_SECONDS, 3600
+      )
+    }
+  };
+}
+
+function parseRoutingOptions(body) {
+  const { urgency = 'normal', deviceProfile = 'auto', autoSegment = true } = body || {};
+
+  if (!URGENCY_LEVELS.includes(urgency)) {
+    throw ApiError.badRequest(`urgency must be one of: ${URGENCY_LEVELS.join(', ')}`);
+  }
+  if (typeof deviceProfile !== 'string' || deviceProfile === '') {
+    throw ApiError.badRequest('deviceProfile must be a profile ID or "auto"');
+  }
+  if (typeof autoSegment !== 'boolean') {
+    throw ApiError.badRequest('autoSegment must be a boolean');
+  }
+
+  return { urgency, deviceProfile, autoSegment };
+}
+
+function unknownProfile(profileId) {
+  return ApiError.badRequest(`Unknown device profile: ${profileId}`);
+}
+
+function skippedError(result) {
+  return new ApiError(
+    422,
+    'THERMAL_LIMIT_EXCEEDED',
+    result.prediction.reason,
+    { projectId: result.projectId, prediction: result.prediction }
+  );
+}
+
+export function createRoutingRoutes(agent) {
+  const router = express.Router();
+  const taskRouter = agent.taskRouter;
+
+  router.post('/tasks/submit-with-prediction', asyncHandler(async (req, res) => {
+    const project = parseProject(req.body);
+    const options = parseRoutingOptions(req.body);
+
+    const result = await taskRouter.submitWithPrediction(project, options);
+    if (!result) throw unknownProfile(options.deviceProfile);
+    if (!result.submitted) throw skippedError(result);
+
+    const { submitted, ...body } = result;
+    res.status(201).json({ success: submitted, ...body });
+  }));
+
+  router.post('/tasks/batch', asyncHandler(async (req, res) => {
+    const projects = req.body?.projects;
+    if (!Array.isArray(projects) || projects.length === 0) {
+      throw ApiError.badRequest('projects must be a non-empty array');
+    }
+    if (projects.length > MAX_BATCH_SIZE) {
+      throw ApiError.badRequest(`A batch may contain at most ${MAX_BATCH_SIZE} projects`);
+    }
+
+    const options = parseRoutingOptions(req.body);
+    const parsed = projects.map(parseProject);
+
+    // Resolve the profile once so a bad ID fails the whole batch up front
+    if (!await taskRouter.resolveDeviceProfile(options.deviceProfile)) {
+      throw unknownProfile(options.deviceProfile);
+    }
+
+    // Sequential on purpose: each submission checks current thermal state
+    const tasks = [];
+    for (const project of parsed) {
+      try {
+        const result = await taskRouter.submitWithPrediction(project, options);
+        if (result.submitted) {
+          const { submitted, ...body } = result;
+          tasks.push({ success: submitted, ...body });
+        } else {
+          tasks.push(skippedError(result).toJSON());
+        }
+      } catch (error) {
+        tasks.push({ projectId: project.projectId, success: false, error: error.message, code: 'INTERNAL_ERROR' });
+      }
+    }
+
+    const submittedCount = tasks.filter(t => t.success).length;
+    res.json({
+      success: submittedCount > 0,
+      submitted: submittedCount,
+      failed: tasks.length - submittedCount,
+      tasks
+    });
+  }));
+
+  router.post('/predict/thermal', asyncHandler(async (req, res) => {
+    const project = parseProject(req.body);
+    const { deviceProfile, autoSegment } = parseRoutingOptions(req.body);
+
+    const prediction = await taskRouter.predict(project.taskData, deviceProfile, { autoSegment });
+    if (!prediction) throw unknownProfile(deviceProfile);
+
+    res.json({ success: true, projectId: project.projectId, ...prediction });
+  }));
+
+  router.get('/device-profiles', asyncHandler(async (req, res) => {
+    res.json(await taskRouter.listDeviceProfiles());
+  }));
+
+  router.get('/thermal/current', asyncHandler(async (req, res) => {
+    res.json({ success: true, ...await taskRouter.getCurrentThermal() });
+  }));
+
+  return router;
+}
+
+export default createRoutingRoutes;
@@ -0,0 +1,90 @@
+/**
+ * Recurring schedule routes
+ *
+ * GET    /api/schedules            → schedules with their planned slot and last run (?status=active&task=name)
+ * GET    /api/schedules/:id        → one schedule
+ * POST   /api/schedules            → create { taskName, cron, windowHours, name?, taskData?, urgency?, actor? }
+ * PATCH  /api/schedules/:id        → edit any of name, taskName, cron, windowHours, taskData, urgency { actor? }
+ * POST   /api/schedules/:id/pause  → stop planning runs { actor?, reason? }
+ * POST   /api/schedules/:id/resume → plan again from the next window { actor?, reason? }
+ * DELETE /api/schedules/:id        → remove the schedule { actor?, reason? }
+ *
+ * cron is when the window opens; the run starts in its cleanest hour.
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler, parseChange, parseFields, parseId } from '../middleware.js';
+import { SCHEDULE_STATUSES } from '../../scheduler/recurringSchedules.js';
+
+const FIELDS = ['name', 'taskName', 'taskData', 'urgency', 'cron', 'windowHours'];
+
+function requireProcessor(agent, taskName) {
+  if (typeof taskName === 'string' && !agent.processors.has(taskName)) {
+    throw ApiError.notFound('PROCESSOR_NOT_FOUND', `No processor registered for '${taskName}'`);
+  }
+}
+
+export function createScheduleRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { status, task } = req.query;
+    if (status !== undefined && !SCHEDULE_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${SCHEDULE_STATUSES.join(', ')}`);
+    }
+    res.json(await agent.schedules.list({ status, taskName: task }));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    try {
+      res.json(await agent.schedules.get(parseId(req.params.id)));
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const fields = parseFields(req.body, FIELDS);
+    const { actor } = parseChange({ actor: req.body?.actor });
+    requireProcessor(agent, fields.taskName);
+
+    try {
+      res.status(201).json(await agent.schedules.create(fields, { actor }));
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  router.patch('/:id', asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    const fields = parseFields(req.body, FIELDS);
+    const { actor } = parseChange({ actor: req.body?.actor });
+    requireProcessor(agent, fields.taskName);
+
+    try {
+      res.json({ success: true, ...await agent.schedules.update(id, fields, { actor }) });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }));
+
+  const change = action => asyncHandler(async (req, res) => {
+    const id = parseId(req.params.id);
+    const options = parseChange(req.body);
+
+    try {
+      res.json({ success: true, ...await agent.schedules[action](id, options) });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  });
+
+  router.post('/:id/pause', change('pause'));
+  router.post('/:id/resume', change('resume'));
+  router.delete('/:id', change('remove'));
+
+  return router;
+}
+
+export default createScheduleRoutes;
@@ -0,0 +1,36 @@
+/**
+ * Status routes
+ *
+ * GET /api/status        → EcoAgent.getStatus
+ * GET /api/status/energy → EcoScheduler.getEnergyStatus
+ */
+
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { asyncHandler } from '../middleware.js';
+
+export function createStatusRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    if (!agent.isRunning) {
+      throw ApiError.unavailable('Agent not running');
+    }
+    res.json(await agent.getStatus());
+  }));
+
+  router.get('/energy', asyncHandler(async (req, res) => {
+    if (!agent.isRunning) {
+      throw ApiError.unavailable('Agent not running');
+    }
+    const energy = await agent.scheduler.getEnergyStatus();
+    if (!energy) {
+      throw ApiError.unavailable('Energy status is not available right now');
+    }
+    res.json(energy);
+  }));
+
+  return router;
+}
+
+export default createStatusRoutes;
@@ -0,0 +1,205 @@
+/**
+ * Task routes
+ *
+ * POST /api/tasks            → EcoAgent.submitTask { taskName, taskData?, urgency?, sla?, deadline? }
+ * GET  /api/tasks/history    → recent tasks from the tasks table
+ * GET  /api/tasks/:id        → single task lookup (with progress/thermal data)
+ * GET  /api/tasks/:id/decisions → decision trace: every step and what would let it run
+ * POST /api/tasks/:id/pause  → checkpoint and stop
+ * POST /api/tasks/:id/resume → re-queue from latest checkpoint
+ * POST /api/tasks/:id/abort  → emergency stop
+ */
+
+import express from 'express';
+import { ApiError } from '../errors.js';
+import { asyncHandler } from '../middleware.js';
+import { SLA_CLASSES } from '../../scheduler/energySla.js';
+
+export const URGENCY_LEVELS = ['critical', 'high', 'normal', 'low'];
+export const TASK_STATUSES = [
+  'pending', 'active', 'completed', 'failed', 'denied', 'deferred', 'aborted', 'paused', 'batched'
+];
+
+// Which states each control action may be applied to
+const CONTROL_STATES = {
+  pause: ['pending', 'deferred', 'active'],
+  resume: ['paused'],
+  abort: ['pending', 'deferred', 'active', 'paused']
+};
+
+const MAX_HISTORY_LIMIT = 100;
+
+// A task in these states has not run yet
+const WAITING_STATUSES = ['pending', 'deferred'];
+
+// Why a task is where it is: its decisions (oldest first) and the latest one's reason and hints
+export function serializeDecisionTrace(task, decisions) {
+  const latest = decisions[decisions.length - 1] || null;
+  return {
+    taskId: task.id,
+    name: task.name,
+    status: task.status,
+    scheduledFor: task.scheduled_for,
+    waiting: WAITING_STATUSES.includes(task.status),
+    latest: latest && {
+      decision: latest.decision,
+      reason: latest.details?.reason ?? latest.reasoning,
+      hints: latest.hints,
+      timestamp: latest.timestamp
+    },
+    decisions
+  };
+}
+
+// Map a tasks row to the camelCase shape returned by the API
+export function serializeTask(row) {
+  let result = null;
+  if (row.result_summary) {
+    try {
+      result = JSON.parse(row.result_summary);
+    } catch (error) {
+      result = row.result_summary;
+    }
+  }
+
+  return {
+    taskId: row.id,
+    name: row.name,
+    description: row.description,
+    priority: row.priority,
+    status: row.status,
+    createdAt: row.created_at,
+    scheduledFor: row.scheduled_for,
+    executedAt: row.executed_at,
+    completedAt: row.completed_at,
+    estimatedPowerCost: row.estimated_power_cost,
+    actualPowerCost: row.actual_power_cost,
+    slaClass: row.sla_class || null,
+    deadline: row.deadline || null,
+    startBy: row.start_by || null,
+    result,
+    error: row.error_log || null
+  };
+}
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined || value === '') return fallback;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw ApiError.badRequest(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return parsed;
+}
+
+async function loadTaskForControl(agent, taskId, action) {
+  const task = await agent.getTask(taskId);
+  if (!task) {
+    throw ApiError.notFound('TASK_NOT_FOUND', `Task ${taskId} not found`);
+  }
+  if (!CONTROL_STATES[action].includes(task.status)) {
+    throw ApiError.conflict('INVALID_TASK_STATE', `Cannot ${action} a task that is ${task.status}`);
+  }
+  return task;
+}
+
+function parseReason(body) {
+  const reason = body?.reason;
+  if (reason !== undefined && typeof reason !== 'string') {
+    throw ApiError.badRequest('reason must be a string');
+  }
+  return reason;
+}
+
+export function createTaskRoutes(agent) {
+  const router = express.Router();
+
+  router.post('/', asyncHandler(async (req, res) => {
+    const { taskName, taskData = {}, urgency = 'normal', sla, deadline } = req.body || {};
+
+    if (typeof taskName !== 'string' || taskName.trim() === '') {
+      throw ApiError.badRequest('taskName is required');
+    }
+    if (typeof taskData !== 'object' || taskData === null || Array.isArray(taskData)) {
+      throw ApiError.badRequest('taskData must be an object');
+    }
+    if (!URGENCY_LEVELS.includes(urgency)) {
+      throw ApiError.badRequest(`urgency must be one of: ${URGENCY_LEVELS.join(', ')}`);
+    }
+    if (sla !== undefined && !SLA_CLASSES.includes(sla)) {
+      throw ApiError.badRequest(`sla must be one of: ${SLA_CLASSES.join(', ')}`);
+    }
+    if (deadline !== undefined && (typeof deadline !== 'string' || Number.isNaN(Date.parse(deadline)))) {
+      throw ApiError.badRequest('deadline must be an ISO 8601 date-time');
+    }
+    if (deadline !== undefined && Date.parse(deadline) <= Date.now()) {
+      throw ApiError.badRequest('deadline must be in the future');
+    }
+    if (!agent.decisionEngine.getWhitelist().includes(taskName)) {
+      throw ApiError.forbidden('TASK_NOT_WHITELISTED', `Task '${taskName}' is not in the execution whitelist`);
+    }
+
+    const result = await agent.submitTask(taskName, taskData, urgency, { sla, deadline });
+    res.status(201).json(result);
+  }));
+
+  // Must be registered before /:id so "history" is not treated as an ID
+  router.get('/history', asyncHandler(async (req, res) => {
+    const limit = parseInteger(req.query.limit, 'limit', { min: 1, max: MAX_HISTORY_LIMIT, fallback: 10 });
+    const offset = parseInteger(req.query.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 });
+    const status = req.query.status;
+
+    if (status !== undefined && !TASK_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${TASK_STATUSES.join(', ')}`);
+    }
+
+    const rows = await agent.getTaskHistory({ limit, offset, status });
+    res.json(rows.map(serializeTask));
+  }));
+
+  router.get('/:id', asyncHandler(async (req, res) => {
+    const task = await agent.getTask(req.params.id);
+    if (!task) {
+      throw ApiError.notFound('TASK_NOT_FOUND', `Task ${req.params.id} not found`);
+    }
+    const runtime = await agent.getTaskRuntime(task.id);
+    res.json({
+      ...serializeTask(task),
+      progress: task.status === 'completed' ? 100 : runtime.progress,
+      checkpoint: runtime.checkpoint,
+      thermalData: runtime.thermalData
+    });
+  }));
+
+  router.get('/:id/decisions', asyncHandler(async (req, res) => {
+    const task = await agent.getTask(req.params.id);
+    if (!task) {
+      throw ApiError.notFound('TASK_NOT_FOUND', `Task ${req.params.id} not found`);
+    }
+    const decisions = await agent.decisionEngine.getDecisionTrace(task.id);
+    res.json(serializeDecisionTrace(task, decisions));
+  }));
+
+  router.post('/:id/pause', asyncHandler(async (req, res) => {
+    const task = await loadTaskForControl(agent, req.params.id, 'pause');
+    const result = await agent.pauseTask(task.id);
+    res.json({ success: true, projectName: task.description, ...result });
+  }));
+
+  router.post('/:id/resume', asyncHandler(async (req, res) => {
+    const task = await loadTaskForControl(agent, req.params.id, 'resume');
+    const result = await agent.resumeTask(task.id);
+    res.json({ success: true, projectName: task.description, ...result });
+  }));
+
+  router.post('/:id/abort', asyncHandler(async (req, res) => {
+    const reason = parseReason(req.body);
+    const task = await loadTaskForControl(agent, req.params.id, 'abort');
+    const result = await agent.abortTask(task.id, reason || undefined);
+    res.json({ success: true, projectName: task.description, ...result });
+  }));
+
+  return router;
+}
+
+export default createTaskRoutes;
@@ -0,0 +1,86 @@
+/**
+ * Webhook routes
+ *
+ * GET    /api/webhooks                 → subscriptions with their last delivery status
+ * GET    /api/webhooks/:id             → one subscription
+ * POST   /api/webhooks                 → create { url, events, statuses?, secret?, description?, enabled?, actor? }
+ *                                         (the response is the only place the secret is returned)
+ * PATCH  /api/webhooks/:id             → edit any of url, events, statuses, secret, description, enabled { actor? }
+ * DELETE /api/webhooks/:id             → remove the subscription { actor?, reason? }
+ * POST   /api/webhooks/:id/test        → send a webhook.test event now and return its delivery
+ * GET    /api/webhooks/:id/deliveries  → delivery log, newest first (?status=failed&limit=50)
+ *
+ * events are live event types (see api/liveEvents.js); payloads are signed
+ * with the subscription's secret (see api/webhooks.js).
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler, parseChange, parseFields, parseId } from '../middleware.js';
+import { DELIVERY_STATUSES } from '../webhooks.js';
+
+const FIELDS = ['url', 'events', 'statuses', 'secret', 'description', 'enabled'];
+const MAX_DELIVERIES = 500;
+
+export function createWebhookRoutes(agent) {
+  const router = express.Router();
+
+  // WebhookError → ApiError for every handler
+  const handle = fn => asyncHandler(async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      throw toApiError(error);
+    }
+  });
+
+  router.get('/', handle(async (req, res) => {
+    res.json(await agent.webhooks.list());
+  }));
+
+  router.get('/:id', handle(async (req, res) => {
+    res.json(await agent.webhooks.get(parseId(req.params.id)));
+  }));
+
+  router.post('/', handle(async (req, res) => {
+    const fields = parseFields(req.body, FIELDS);
+    const { actor } = parseChange({ actor: req.body?.actor });
+    res.status(201).json(await agent.webhooks.create(fields, { actor }));
+  }));
+
+  router.patch('/:id', handle(async (req, res) => {
+    const id = parseId(req.params.id);
+    const fields = parseFields(req.body, FIELDS);
+    const { actor } = parseChange({ actor: req.body?.actor });
+    res.json({ success: true, ...await agent.webhooks.update(id, fields, { actor }) });
+  }));
+
+  router.delete('/:id', handle(async (req, res) => {
+    const id = parseId(req.params.id);
+    res.json({ success: true, ...await agent.webhooks.remove(id, parseChange(req.body)) });
+  }));
+
+  router.post('/:id/test', handle(async (req, res) => {
+    const id = parseId(req.params.id);
+    const { actor } = parseChange({ actor: req.body?.actor });
+    const delivery = await agent.webhooks.test(id, { actor });
+    res.json({ success: delivery.status === 'delivered', delivery });
+  }));
+
+  router.get('/:id/deliveries', handle(async (req, res) => {
+    const id = parseId(req.params.id);
+    const { status, limit = '50' } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    const parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_DELIVERIES) {
+      throw ApiError.badRequest(`limit must be an integer between 1 and ${MAX_DELIVERIES}`);
+    }
+    res.json(await agent.webhooks.deliveries(id, { status, limit: parsedLimit }));
+  }));
+
+  return router;
+}
+
+export default createWebhookRoutes;
@@ -0,0 +1,65 @@
+/**
+ * Whitelist routes
+ *
+ * GET  /api/whitelist                 → entries (?status=pending)
+ * GET  /api/whitelist/:task           → one entry and its audit trail
+ * POST /api/whitelist/:task/request   → ask for approval { actor?, reason?, expiresAt? }
+ * POST /api/whitelist/:task/approve   → whitelist the task { actor?, reason?, expiresAt? }
+ * POST /api/whitelist/:task/reject    → turn down a pending request { actor?, reason? }
+ * POST /api/whitelist/:task/revoke    → remove an approval { actor?, reason? }
+ *
+ * Only registered processors can be requested or approved.
+ */
+
+import express from 'express';
+import { ApiError, toApiError } from '../errors.js';
+import { asyncHandler, parseChange } from '../middleware.js';
+import { WHITELIST_STATUSES } from '../../engine/taskWhitelist.js';
+
+function requireProcessor(agent, taskName) {
+  if (!agent.processors.has(taskName)) {
+    throw ApiError.notFound('PROCESSOR_NOT_FOUND', `No processor registered for '${taskName}'`);
+  }
+}
+
+export function createWhitelistRoutes(agent) {
+  const router = express.Router();
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !WHITELIST_STATUSES.includes(status)) {
+      throw ApiError.badRequest(`status must be one of: ${WHITELIST_STATUSES.join(', ')}`);
+    }
+    res.json(await agent.whitelist.list(status));
+  }));
+
+  router.get('/:task', asyncHandler(async (req, res) => {
+    const entry = await agent.whitelist.get(req.params.task);
+    if (!entry) {
+      throw ApiError.notFound('WHITELIST_ENTRY_NOT_FOUND', `Task '${req.params.task}' has no whitelist entry`);
+    }
+    res.json({ ...entry, history: await agent.whitelist.history(req.params.task) });
+  }));
+
+  const change = (action, { expiry = false, registered = false } = {}) =>
+    asyncHandler(async (req, res) => {
+      const options = parseChange(req.body, { expiry });
+      if (registered) requireProcessor(agent, req.params.task);
+
+      try {
+        const entry = await agent.whitelist[action](req.params.task, options);
+        res.json({ success: true, ...entry });
+      } catch (error) {
+        throw toApiError(error);
+      }
+    });
+
+  router.post('/:task/request', change('request', { expiry: true, registered: true }));
+  router.post('/:task/approve', change('approve', { expiry: true, registered: true }));
+  router.post('/:task/reject', change('reject'));
+  router.post('/:task/revoke', change('revoke'));
+
+  return router;
+}
+
+export default createWhitelistRoutes;
@@ -0,0 +1,126 @@
+/**
+ * Agent HTTP API
+ *
+ * Exposes EcoAgent over HTTP so the web app (via AgentClient /
+ * TaskRoutingService) can talk to a locally running agent.
+ *
+ * Binds to localhost by default - the agent is not meant to be
+ * reachable from other machines.
+ *
+ * When the agent has a LiveEventHub, /ws/live streams its events.
+ */
+
+import express from 'express';
+import pino from 'pino';
+import { cors, trustedOrigin, errorHandler, notFoundHandler } from './middleware.js';
+import { createTaskRoutes } from './routes/tasks.js';
+import { createFeedbackRoutes } from './routes/feedback.js';
+import { createStatusRoutes } from './routes/status.js';
+import { createRoutingRoutes } from './routes/routing.js';
+import { createProcessorRoutes } from './routes/processors.js';
+import { createConfigRoutes } from './routes/config.js';
+import { createPolicyRoutes } from './routes/policy.js';
+import { createWhitelistRoutes } from './routes/whitelist.js';
+import { createAdjustmentRoutes } from './routes/adjustments.js';
+import { createScheduleRoutes } from './routes/schedules.js';
+import { createCarbonRoutes } from './routes/carbon.js';
+import { createWebhookRoutes } from './routes/webhooks.js';
+import { LiveStreamServer } from './liveStream.js';
+
+const logger = pino();
+
+export class AgentApiServer {
+  constructor(agent, options = {}) {
+    this.agent = agent;
+    this.config = {
+      port: 3001,
+      host: '127.0.0.1',
+      corsOrigins: ['http://localhost:3000'],
+      bodyLimit: '1mb',
+      ...options
+    };
+
+    this.app = this.buildApp();
+    this.server = null;
+    this.liveStream = null;
+  }
+
+  buildApp() {
+    const app = express();
+
+    app.disable('x-powered-by');
+    app.use(cors(this.config.corsOrigins));
+    app.use(trustedOrigin(this.config.corsOrigins));
+    app.use(express.json({ limit: this.config.bodyLimit }));
+
+    // Routing paths share the /api/tasks prefix, so mount them first
+    app.use('/api', createRoutingRoutes(this.agent));
+    app.use('/api/tasks', createTaskRoutes(this.agent));
+    app.use('/api/feedback', createFeedbackRoutes(this.agent));
+    app.use('/api/status', createStatusRoutes(this.agent));
+    app.use('/api/processors', createProcessorRoutes(this.agent));
+    app.use('/api/config', createConfigRoutes(this.agent));
+    app.use('/api/policy', createPolicyRoutes(this.agent));
+    app.use('/api/whitelist', createWhitelistRoutes(this.agent));
+    app.use('/api/adjustments', createAdjustmentRoutes(this.agent));
+    app.use('/api/schedules', createScheduleRoutes(this.agent));
+    app.use('/api/carbon', createCarbonRoutes(this.agent));
+    app.use('/api/webhooks', createWebhookRoutes(this.agent));
+
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+  }
+
+  // Start listening; resolves once the port is bound
+  start() {
+    return new Promise((resolve, reject) => {
+      const server = this.app.listen(this.config.port, this.config.host);
+
+      server.once('listening', () => {
+        this.server = server;
+        if (this.agent.liveEvents) {
+          this.liveStream = new LiveStreamServer(server, this.agent.liveEvents, {
+            allowedOrigins: this.config.corsOrigins
+          });
+        }
+
+        const { port } = server.address();
+        logger.info(`🌐 Agent API listening on http://${this.config.host}:${port}`);
+        resolve(server);
+      });
+
+      server.once('error', (error) => {
+        logger.error(`Agent API failed to start: ${error.message}`);
+        reject(error);
+      });
+    });
+  }
+
+  async stop() {
+    // Open WebSockets would keep server.close() waiting
+    if (this.liveStream) {
+      await this.liveStream.close();
+      this.liveStream = null;
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+
+      this.server.close((err) => {
+        if (err) reject(err);
+        else {
+          this.server = null;
+          logger.info('Agent API stopped');
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+export default AgentApiServer;
@@ -0,0 +1,515 @@
+/**
+ * Outgoing Webhooks
+ *
+ * Pushes LiveEventHub events to HTTP endpoints outside the agent, e.g.
+ * completions, aborts, SLA warnings and denials into a team's own tooling.
+ *
+ * A subscription (webhooks table) has:
+ *   url       http(s) endpoint, POSTed one event per request
+ *   events    live event types; 'task.*' matches every type with that prefix
+ *   statuses  optional: only task.status events with one of these statuses
+ *             (e.g. completed, failed, aborted, denied)
+ *   secret    HMAC key; generated when not given, returned only on creation
+ *
+ * Request:
+ *   body                 { id, type, timestamp, taskId, data } (id = delivery ID)
+ *   X-Eco-Event          event type
+ *   X-Eco-Delivery       delivery ID (the same on every retry)
+ *   X-Eco-Timestamp      unix seconds of this attempt
+ *   X-Eco-Signature      sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Any 2xx is delivered. Network errors, timeouts, 408, 429 and 5xx are
+ * retried after backoffSeconds, doubling each time (at most an hour) until
+ * maxAttempts; other responses fail at once. Every delivery and its last
+ * attempt is kept in webhook_deliveries for logDays, and pending retries
+ * survive restarts.
+ *
+ * Subscription changes are execution_history entries (task_id 'webhook:<id>').
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import { EVENT_TYPES } from './liveEvents.js';
+
+const logger = pino();
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_BACKOFF_MS = HOUR_MS;
+const RETRY_STATUSES = [408, 429];
+
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+export const TEST_EVENT = 'webhook.test';
+
+export class WebhookError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code; // WEBHOOK_NOT_FOUND | WEBHOOK_INVALID
+  }
+}
+
+export class WebhookDispatcher {
+  constructor(sharedMemory) {
+    this.memory = sharedMemory;
+
+    // Overwritten by configure() from the webhooks.* config section
+    this.settings = {
+      enabled: true,
+      maxAttempts: 6,
+      backoffSeconds: 30,
+      timeoutMs: 10000,
+      logDays: 30
+    };
+
+    this.unsubscribe = null;
+    this.retryTimer = null;
+    this.pruneTimer = null;
+    this.inFlight = new Set(); // delivery IDs being sent right now
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  // Subscribe to the hub and pick up retries left pending by the last run
+  async start(hub) {
+    this.unsubscribe = hub.subscribe(event => {
+      this.dispatch(event).catch(error => {
+        logger.warn(`Webhook dispatch of ${event.type} failed: ${error.message}`);
+      });
+    });
+
+    await this.prune();
+    this.pruneTimer = setInterval(() => this.prune(), 24 * HOUR_MS);
+    this.pruneTimer.unref();
+    await this.armRetry();
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    clearTimeout(this.retryTimer);
+    clearInterval(this.pruneTimer);
+  }
+
+  // ------------------------------------------------------------------------
+  // Subscriptions
+
+  async list() {
+    const rows = await this.memory.all(
+      `SELECT w.*,
+         (SELECT status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) AS last_status,
+         (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending
+       FROM webhooks w ORDER BY w.id`
+    );
+    return rows.map(serializeWebhook);
+  }
+
+  async get(id) {
+    const row = await this.memory.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+    if (!row) {
+      throw new WebhookError('WEBHOOK_NOT_FOUND', `Webhook ${id} not found`);
+    }
+    return serializeWebhook(row);
+  }
+
+  /**
+   * @param {object} fields - { url, events, statuses?, secret?, description?, enabled? }
+   * The generated (or given) secret is only part of this response
+   */
+  async create(fields, { actor }) {
+    const values = validate({ statuses: [], enabled: true, ...fields });
+    for (const required of ['url', 'events']) {
+      if (values[required] === undefined) {
+        throw new WebhookError('WEBHOOK_INVALID', `${required} is required`);
+      }
+    }
+    const secret = values.secret || crypto.randomBytes(32).toString('hex');
+
+    const { id } = await this.memory.run(
+      `INSERT INTO webhooks (url, secret, events, statuses, description, enabled, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        values.url,
+        secret,
+        JSON.stringify(values.events),
+        JSON.stringify(values.statuses),
+        values.description ?? null,
+        values.enabled ? 1 : 0,
+        actor
+      ]
+    );
+    const webhook = await this.changed(id, 'created', actor, `${values.url} for ${values.events.join(', ')}`);
+    return { ...webhook, secret };
+  }
+
+  // Edit any of url, events, statuses, secret, description and enabled
+  async update(id, fields, { actor }) {
+    await this.get(id);
+    const values = validate(fields);
+    if (Object.keys(values).length === 0) {
+      throw new WebhookError('WEBHOOK_INVALID', 'Nothing to change');
+    }
+
+    const columns = {
+      url: values.url,
+      secret: values.secret,
+      events: values.events && JSON.stringify(values.events),
+      statuses: values.statuses && JSON.stringify(values.statuses),
+      description: values.description,
+      enabled: values.enabled === undefined ? undefined : (values.enabled ? 1 : 0)
+    };
+    const changed = Object.keys(columns).filter(column => columns[column] !== undefined);
+    await this.memory.run(
+      `UPDATE webhooks SET ${changed.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...changed.map(column => columns[column]), id]
+    );
+    return await this.changed(id, 'updated', actor, `Changed ${Object.keys(values).join(', ')}`);
+  }
+
+  // Pending retries are given up; the delivery log is kept
+  async remove(id, { actor, reason = null }) {
+    const current = await this.get(id);
+    await this.memory.transaction(async (db) => {
+      await db.run('DELETE FROM webhooks WHERE id = ?', [id]);
+      await db.run(
+        `UPDATE webhook_deliveries SET status = 'failed', error = 'Webhook deleted', next_attempt_at = NULL
+         WHERE webhook_id = ? AND status = 'pending'`,
+        [id]
+      );
+    });
+    await this.record(current, 'deleted', actor, reason);
+    logger.info(`🪝 Webhook #${id} deleted by ${actor}${reason ? `: ${reason}` : ''}`);
+    return { ...current, deleted: true };
+  }
+
+  /**
+   * Send a webhook.test event now, once, whatever the webhook's filters
+   * and enabled flag. Resolves with the delivery as logged
+   */
+  async test(id, { actor }) {
+    const webhook = await this.get(id);
+    const event = {
+      id: 0,
+      type: TEST_EVENT,
+      timestamp: new Date().toISOString(),
+      taskId: null,
+      data: { message: 'Test delivery from the eco agent', actor }
+    };
+    const deliveryId = await this.enqueue(webhook, event);
+    await this.attempt(deliveryId, { retry: false });
+    return await this.getDelivery(deliveryId);
+  }
+
+  // ------------------------------------------------------------------------
+  // Deliveries
+
+  async deliveries(webhookId, { status = null, limit = 50 } = {}) {
+    await this.get(webhookId);
+    const rows = await this.memory.all(
+      `SELECT * FROM webhook_deliveries WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+       ORDER BY id DESC LIMIT ?`,
+      status ? [webhookId, status, limit] : [webhookId, limit]
+    );
+    return rows.map(serializeDelivery);
+  }
+
+  async getDelivery(deliveryId) {
+    const row = await this.memory.get('SELECT * FROM webhook_deliveries WHERE delivery_id = ?', [deliveryId]);
+    return row ? serializeDelivery(row) : null;
+  }
+
+  // One hub event: a delivery for every enabled webhook whose filters match
+  async dispatch(event) {
+    if (!this.settings.enabled) return;
+
+    const rows = await this.memory.all('SELECT * FROM webhooks WHERE enabled = 1');
+    const matching = rows.map(serializeWebhook).filter(webhook => matches(webhook, event));
+
+    for (const webhook of matching) {
+      const deliveryId = await this.enqueue(webhook, event);
+      await this.attempt(deliveryId);
+    }
+  }
+
+  async enqueue(webhook, event) {
+    const deliveryId = uuidv4();
+    const payload = JSON.stringify({
+      id: deliveryId,
+      type: event.type,
+      timestamp: event.timestamp,
+      taskId: event.taskId,
+      data: event.data
+    });
+    await this.memory.run(
+      `INSERT INTO webhook_deliveries (delivery_id, webhook_id, event_type, task_id, payload, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [deliveryId, webhook.id, event.type, event.taskId, payload, new Date().toISOString()]
+    );
+    return deliveryId;
+  }
+
+  /**
+   * POST a pending delivery once and log the outcome; on a retryable failure
+   * it stays pending with the next attempt time (unless retry is false)
+   */
+  async attempt(deliveryId, { retry = true } = {}) {
+    if (this.inFlight.has(deliveryId)) return;
+    this.inFlight.add(deliveryId);
+
+    try {
+      const delivery = await this.memory.get(
+        `SELECT d.*, w.url, w.secret FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+         WHERE d.delivery_id = ? AND d.status = 'pending'`,
+        [deliveryId]
+      );
+      if (!delivery) return;
+
+      const result = await this.send(delivery);
+      const attempts = delivery.attempts + 1;
+
+      if (result.ok) {
+        await this.memory.run(
+          `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, response_ms = ?,
+             error = NULL, next_attempt_at = NULL, delivered_at = ? WHERE delivery_id = ?`,
+          [attempts, result.status, result.ms, new Date().toISOString(), deliveryId]
+        );
+        return;
+      }
+
+      const retryable = retry && result.retryable && attempts < this.settings.maxAttempts;
+      const nextAttempt = retryable
+        ? new Date(Date.now() + Math.min(this.settings.backoffSeconds * 1000 * 2 ** (attempts - 1), MAX_BACKOFF_MS))
+        : null;
+      await this.memory.run(
+        `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, response_ms = ?,
+           error = ?, next_attempt_at = ? WHERE delivery_id = ?`,
+        [retryable ? 'pending' : 'failed', attempts, result.status, result.ms, result.error,
+          nextAttempt?.toISOString() ?? null, deliveryId]
+      );
+      logger.warn(`🪝 Webhook #${delivery.webhook_id} ${delivery.event_type} attempt ${attempts} failed: ${result.error}` +
+        (retryable ? ` - retrying at ${nextAttempt.toISOString()}` : ' - giving up'));
+      if (retryable) await this.armRetry();
+    } finally {
+      this.inFlight.delete(deliveryId);
+    }
+  }
+
+  // Returns { ok, status, ms, error, retryable }; never throws
+  async send(delivery) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', delivery.secret)
+      .update(`${timestamp}.${delivery.payload}`)
+      .digest('hex');
+    const started = Date.now();
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'iospc-agent-webhooks',
+          'X-Eco-Event': delivery.event_type,
+          'X-Eco-Delivery': delivery.delivery_id,
+          'X-Eco-Timestamp': String(timestamp),
+          'X-Eco-Signature': `sha256=${signature}`
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.settings.timeoutMs)
+      });
+      // The body is not used; read it so the connection is released
+      await response.arrayBuffer().catch(() => {});
+      const ms = Date.now() - started;
+
+      if (response.ok) return { ok: true, status: response.status, ms, error: null, retryable: false };
+      return {
+        ok: false,
+        status: response.status,
+        ms,
+        error: `HTTP ${response.status}`,
+        retryable: response.status >= 500 || RETRY_STATUSES.includes(response.status)
+      };
+    } catch (error) {
+      const reason = error.name === 'TimeoutError'
+        ? `No response within ${this.settings.timeoutMs}ms`
+        : (error.cause?.message || error.message);
+      return { ok: false, status: null, ms: Date.now() - started, error: reason, retryable: true };
+    }
+  }
+
+  // One timer for the earliest pending retry
+  async armRetry() {
+    clearTimeout(this.retryTimer);
+    const next = await this.memory.get(
+      `SELECT MIN(next_attempt_at) AS at FROM webhook_deliveries WHERE status = 'pending'`
+    );
+    if (!next?.at) return;
+
+    const delay = Math.max(new Date(next.at).getTime() - Date.now(), 0);
+    this.retryTimer = setTimeout(() => {
+      this.retryDue().catch(error => logger.warn(`Webhook retries failed: ${error.message}`));
+    }, Math.min(delay, MAX_BACKOFF_MS));
+    this.retryTimer.unref();
+  }
+
+  async retryDue() {
+    const due = await this.memory.all(
+      `SELECT delivery_id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ?
+       ORDER BY next_attempt_at`,
+      [new Date().toISOString()]
+    );
+    for (const { delivery_id: deliveryId } of due) {
+      await this.attempt(deliveryId);
+    }
+    await this.armRetry();
+  }
+
+  async prune() {
+    try {
+      const cutoff = new Date(Date.now() - this.settings.logDays * 24 * HOUR_MS).toISOString();
+      const { changes } = await this.memory.run(
+        `DELETE FROM webhook_deliveries WHERE status != 'pending' AND created_at < datetime(?)`,
+        [cutoff]
+      );
+      if (changes > 0) logger.info(`🪝 Pruned ${changes} webhook deliveries older than ${this.settings.logDays} days`);
+    } catch (error) {
+      logger.warn(`Failed to prune webhook deliveries: ${error.message}`);
+    }
+  }
+
+  // ------------------------------------------------------------------------
+
+  async changed(id, action, actor, reason) {
+    const current = await this.get(id);
+    await this.record(current, action, actor, reason);
+    logger.info(`🪝 Webhook #${id} ${action} by ${actor}${reason ? `: ${reason}` : ''}`);
+    return current;
+  }
+
+  async record(current, action, actor, reason) {
+    try {
+      await this.memory.run(
+        `INSERT INTO execution_history (id, task_id, decision, reasoning, system_state)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          `webhook:${current.id}`,
+          `WEBHOOK_${action.toUpperCase()}`,
+          reason,
+          JSON.stringify({ url: current.url, events: current.events, statuses: current.statuses, actor })
+        ]
+      );
+    } catch (error) {
+      logger.error(`Failed to record webhook change: ${error.message}`);
+    }
+  }
+}
+
+function matches(webhook, event) {
+  const typeMatch = webhook.events.some(pattern =>
+    pattern.endsWith('.*') ? event.type.startsWith(pattern.slice(0, -1)) : event.type === pattern
+  );
+  if (!typeMatch) return false;
+  if (event.type === 'task.status' && webhook.statuses.length > 0) {
+    return webhook.statuses.includes(event.data?.status);
+  }
+  return true;
+}
+
+// Check the fields given; returns them without the ones left undefined
+function validate(fields) {
+  const values = {};
+  const { url, events, statuses, secret, description, enabled } = fields;
+
+  if (url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      throw new WebhookError('WEBHOOK_INVALID', 'url must be an http or https URL');
+    }
+    values.url = parsed.toString();
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new WebhookError('WEBHOOK_INVALID', 'events must be a non-empty array of event types');
+    }
+    for (const pattern of events) {
+      const known = typeof pattern === 'string' && (pattern.endsWith('.*')
+        ? EVENT_TYPES.some(type => type.startsWith(pattern.slice(0, -1)))
+        : EVENT_TYPES.includes(pattern));
+      if (!known) {
+        throw new WebhookError('WEBHOOK_INVALID', `Unknown event type: ${pattern}`);
+      }
+    }
+    values.events = events;
+  }
+  if (statuses !== undefined) {
+    if (!Array.isArray(statuses) || statuses.some(status => typeof status !== 'string' || status === '')) {
+      throw new WebhookError('WEBHOOK_INVALID', 'statuses must be an array of task statuses');
+    }
+    values.statuses = statuses;
+  }
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw new WebhookError('WEBHOOK_INVALID', 'secret must be a string of at least 16 characters');
+    }
+    values.secret = secret;
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw new WebhookError('WEBHOOK_INVALID', 'description must be a string');
+    }
+    values.description = description;
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      throw new WebhookError('WEBHOOK_INVALID', 'enabled must be a boolean');
+    }
+    values.enabled = enabled;
+  }
+  return values;
+}
+
+// webhooks row → API shape (never the secret)
+export function serializeWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events || '[]'),
+    statuses: JSON.parse(row.statuses || '[]'),
+    description: row.description,
+    enabled: Boolean(row.enabled),
+    ...(row.last_status !== undefined
+      ? { lastDeliveryStatus: row.last_status, pendingDeliveries: row.pending }
+      : {}),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function serializeDelivery(row) {
+  return {
+    id: row.delivery_id,
+    webhookId: row.webhook_id,
+    eventType: row.event_type,
+    taskId: row.task_id,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    responseMs: row.response_ms,
+    error: row.error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+export default WebhookDispatcher;
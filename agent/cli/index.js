@@ -0,0 +1,801 @@
+/**
+ * iospc-agent CLI
+ *
+ * Talks to a running agent over its HTTP API. When the agent is not
+ * reachable, read commands, feedback and whitelist changes go straight to
+ * the local database instead; submitting tasks, adjustment, schedule and
+ * webhook changes need the agent (marked * in the usage).
+ *
+ * Every command prints a human-readable summary, or with --json:
+ *   { "source": "agent" | "database", "data": ... }
+ * Errors with --json: { "success": false, "error": "...", "code": "..." }
+ *
+ * Exit codes: 0 ok, 1 command failed, 2 usage error
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import pino from 'pino';
+import { AgentClient, AgentApiError } from '../client/agentClient.js';
+import { AgentConfig } from '../config/agentConfig.js';
+import { URGENCY_LEVELS, TASK_STATUSES } from '../api/routes/tasks.js';
+import { FEEDBACK_TYPES } from '../api/routes/feedback.js';
+import { WHITELIST_STATUSES } from '../engine/taskWhitelist.js';
+import { ADJUSTMENT_STATUSES } from '../engine/feedbackAdjustments.js';
+import { SCHEDULE_STATUSES } from '../scheduler/recurringSchedules.js';
+import { SLA_CLASSES } from '../scheduler/energySla.js';
+import { CARBON_GROUPS } from '../engine/carbonAccounting.js';
+import { DELIVERY_STATUSES } from '../api/webhooks.js';
+import { LocalStore } from './localStore.js';
+import { migrate, getSchemaStatus } from '../memory/migrations.js';
+
+const AGENT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const USAGE = `Usage: iospc-agent <command> [options]
+
+Commands:
+  submit <task> [--urgency normal] [--data '{"key":"value"}'] [--sla class] [--deadline date]
+                                     Submit a whitelisted task *
+                                     (sla: ${SLA_CLASSES.join(' | ')})
+  status                             Agent state and queue stats
+  history [--limit 10] [--status s]  Recent tasks
+  why <taskId>                       Decision trace: why a task waits, and what would let it run
+  feedback <taskId> <type> [--notes text]
+                                     Record feedback (${FEEDBACK_TYPES.join(' | ')})
+  whitelist [list] [--status pending]
+                                     Whitelist entries and who approved them
+  whitelist show <task>              One entry and its audit trail
+  whitelist request <task> [--reason text] [--expires date]
+  whitelist approve <task> [--reason text] [--expires date]
+  whitelist reject <task> [--reason text]
+  whitelist revoke <task> [--reason text]
+                                     Whitelist changes (--actor name, default $USER)
+  adjustments [list] [--status active]
+                                     What feedback changed: demotions, throttles, suppressions
+  adjustments revert <id> [--reason text]
+  adjustments accept <id> [--reason text]
+  adjustments reject <id> [--reason text]
+                                     Undo a change, or accept/reject a proposal *
+  schedules [list] [--status active] Recurring schedules, their planned slot and last run
+  schedules add <task> --cron '0 0 * * *' --window 8 [--name n] [--urgency u] [--data json]
+  schedules edit <id> [--cron expr] [--window hours] [--name n] [--urgency u] [--data json]
+                                     The window opens on cron; the task runs in its cleanest hour *
+  schedules pause <id> [--reason text] *
+  schedules resume <id> *
+  schedules remove <id> *
+  webhooks [list]                    Outgoing webhook subscriptions and their last delivery *
+  webhooks add <url> --events task.status,task.aborted [--statuses completed,denied]
+                                     Subscribe an endpoint; prints its signing secret once *
+  webhooks test <id>                 Send a webhook.test event now *
+  webhooks deliveries <id> [--status failed] *
+  webhooks remove <id> *
+  energy                             Grid carbon, renewables and scheduling score
+  carbon [--by day] [--from date] [--to date]
+                                     Energy and CO2 of executed runs per ${CARBON_GROUPS.join(' | ')}
+  thermal                            Current temperature, trend and headroom
+  db status                          Database schema version and pending migrations
+  db migrate                         Apply pending migrations to the local database
+
+* needs a running agent; every other command falls back to the local
+  database when the agent is not running
+
+Options:
+  --json          Machine-readable output
+  --url <url>     Agent API (default: AGENT_URL or api.host/api.port from the config)
+  -h, --help      Show this help`;
+
+const OPTIONS = {
+  json: { type: 'boolean', default: false },
+  url: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  urgency: { type: 'string', short: 'u' },
+  data: { type: 'string', short: 'd' },
+  limit: { type: 'string', short: 'n', default: '10' },
+  status: { type: 'string' },
+  notes: { type: 'string', default: '' },
+  actor: { type: 'string' },
+  reason: { type: 'string' },
+  expires: { type: 'string' },
+  cron: { type: 'string' },
+  window: { type: 'string' },
+  name: { type: 'string' },
+  sla: { type: 'string' },
+  deadline: { type: 'string' },
+  by: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  events: { type: 'string' },
+  statuses: { type: 'string' }
+};
+
+// Connection failures that mean "agent not running" rather than "request failed"
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+const WHITELIST_ACTIONS = ['show', 'request', 'approve', 'reject', 'revoke'];
+const ADJUSTMENT_ACTIONS = ['revert', 'accept', 'reject'];
+const SCHEDULE_ACTIONS = ['add', 'edit', 'pause', 'resume', 'remove'];
+const WEBHOOK_ACTIONS = ['add', 'test', 'deliveries', 'remove'];
+
+class CliError extends Error {
+  constructor(message, { code = 'CLI_ERROR', exitCode = 1 } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+    this.exitCode = exitCode;
+  }
+}
+
+function usageError(message) {
+  return new CliError(`${message}\n\n${USAGE}`, { code: 'USAGE', exitCode: 2 });
+}
+
+function isUnreachable(error) {
+  if (error instanceof AgentApiError) return error.status === 503;
+  if (error.name === 'TimeoutError') return true;
+  return UNREACHABLE_CODES.includes(error.cause?.code);
+}
+
+export class AgentCli {
+  constructor(options) {
+    this.options = options;
+    // pino writes to stdout; keep config logs out of the CLI output
+    this.config = new AgentConfig({ logger: pino({ level: 'silent' }) }).load();
+
+    const host = this.config.get('api.host');
+    const port = this.config.get('api.port');
+    this.url = options.url || process.env.AGENT_URL || `http://${host}:${port}`;
+    this.dbPath = path.resolve(AGENT_DIR, this.config.get('database.path'));
+    this.client = new AgentClient(this.url, { timeout: 5000, logErrors: false });
+  }
+
+  /**
+   * Run the API call; if the agent is unreachable, run the local fallback
+   * against the database (or fail when the command has none)
+   */
+  async withAgent(apiCall, localCall = null) {
+    try {
+      return { source: 'agent', data: await apiCall(this.client) };
+    } catch (error) {
+      if (!isUnreachable(error)) throw error;
+      if (!localCall) {
+        throw new CliError(`Agent is not running at ${this.url}; start it with 'npm start'`, {
+          code: 'AGENT_UNAVAILABLE'
+        });
+      }
+    }
+
+    const store = await new LocalStore(this.dbPath).open();
+    try {
+      return { source: 'database', data: await localCall(store) };
+    } finally {
+      await store.close();
+    }
+  }
+
+  async submit([taskName]) {
+    if (!taskName) throw usageError('submit needs a task name');
+
+    const urgency = this.parseUrgency() ?? 'normal';
+    const taskData = this.parseTaskData() ?? {};
+    const { sla, deadline } = this.options;
+    if (sla !== undefined && !SLA_CLASSES.includes(sla)) {
+      throw usageError(`--sla must be one of: ${SLA_CLASSES.join(', ')}`);
+    }
+    if (deadline !== undefined && isNaN(new Date(deadline).getTime())) {
+      throw usageError('--deadline must be a date, e.g. 2026-12-31T18:00:00Z');
+    }
+    const options = { sla, deadline: deadline && new Date(deadline).toISOString() };
+    return await this.withAgent(client => client.submitTask(taskName, taskData, urgency, options));
+  }
+
+  parseUrgency() {
+    const { urgency } = this.options;
+    if (urgency !== undefined && !URGENCY_LEVELS.includes(urgency)) {
+      throw usageError(`--urgency must be one of: ${URGENCY_LEVELS.join(', ')}`);
+    }
+    return urgency;
+  }
+
+  parseTaskData() {
+    if (this.options.data === undefined) return undefined;
+    try {
+      return JSON.parse(this.options.data);
+    } catch (error) {
+      throw usageError(`--data is not valid JSON: ${error.message}`);
+    }
+  }
+
+  async status() {
+    const allowed = this.config.get('tasks.allowed');
+    return await this.withAgent(
+      client => client.getStatus(),
+      async store => ({
+        ...await store.getStatus(),
+        whitelistedTasks: (await store.getWhitelist('approved'))?.map(entry => entry.taskName) ?? null,
+        configuredWhitelist: allowed.length > 0 ? allowed : null
+      })
+    );
+  }
+
+  async history() {
+    const limit = Number(this.options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw usageError('--limit must be an integer between 1 and 100');
+    }
+    const { status } = this.options;
+    if (status && !TASK_STATUSES.includes(status)) {
+      throw usageError(`--status must be one of: ${TASK_STATUSES.join(', ')}`);
+    }
+
+    return await this.withAgent(
+      client => client.getTaskHistory(limit, status),
+      store => store.getTaskHistory(limit, status)
+    );
+  }
+
+  async why([taskId]) {
+    if (!taskId) throw usageError('why needs a task ID');
+    return await this.withAgent(
+      client => client.getTaskDecisions(taskId),
+      store => store.getTaskDecisions(taskId)
+    );
+  }
+
+  async feedback([taskId, feedbackType]) {
+    if (!taskId || !feedbackType) throw usageError('feedback needs a task ID and a type');
+    if (!FEEDBACK_TYPES.includes(feedbackType)) {
+      throw usageError(`feedback type must be one of: ${FEEDBACK_TYPES.join(', ')}`);
+    }
+
+    const { notes } = this.options;
+    return await this.withAgent(
+      client => client.recordFeedback(taskId, feedbackType, notes),
+      store => store.recordFeedback(taskId, feedbackType, notes)
+    );
+  }
+
+  async whitelist([action = 'list', taskName]) {
+    if (action === 'list') {
+      const { status } = this.options;
+      if (status && !WHITELIST_STATUSES.includes(status)) {
+        throw usageError(`--status must be one of: ${WHITELIST_STATUSES.join(', ')}`);
+      }
+      const allowed = this.config.get('tasks.allowed');
+      return await this.withAgent(
+        client => client.listWhitelist(status),
+        async store => (await store.getWhitelist(status)) ?? { configuredWhitelist: allowed.length > 0 ? allowed : null }
+      );
+    }
+
+    if (!WHITELIST_ACTIONS.includes(action)) {
+      throw usageError(`Unknown whitelist action '${action}'`);
+    }
+    if (!taskName) throw usageError(`whitelist ${action} needs a task name`);
+
+    if (action === 'show') {
+      return await this.withAgent(
+        client => client.getWhitelistEntry(taskName),
+        store => store.getWhitelistEntry(taskName)
+      );
+    }
+
+    const { reason, expires } = this.options;
+    if (expires !== undefined && action !== 'request' && action !== 'approve') {
+      throw usageError('--expires only applies to request and approve');
+    }
+    if (expires !== undefined && isNaN(new Date(expires).getTime())) {
+      throw usageError('--expires must be a date, e.g. 2026-12-31 or 2026-12-31T18:00:00Z');
+    }
+
+    const change = { actor: this.options.actor || process.env.USER || 'cli' };
+    if (reason) change.reason = reason;
+    if (expires) change.expiresAt = new Date(expires).toISOString();
+    return await this.withAgent(
+      client => client.updateWhitelist(taskName, action, change),
+      store => store.updateWhitelist(taskName, action, change)
+    );
+  }
+
+  async adjustments([action = 'list', id]) {
+    if (action === 'list') {
+      const { status } = this.options;
+      if (status && !ADJUSTMENT_STATUSES.includes(status)) {
+        throw usageError(`--status must be one of: ${ADJUSTMENT_STATUSES.join(', ')}`);
+      }
+      return await this.withAgent(
+        client => client.listAdjustments({ status }),
+        async store => (await store.getAdjustments(status)) ?? []
+      );
+    }
+
+    if (!ADJUSTMENT_ACTIONS.includes(action)) {
+      throw usageError(`Unknown adjustments action '${action}'`);
+    }
+    if (!id) throw usageError(`adjustments ${action} needs an adjustment ID`);
+
+    const change = { actor: this.options.actor || process.env.USER || 'cli' };
+    if (this.options.reason) change.reason = this.options.reason;
+    return await this.withAgent(client => client.updateAdjustment(id, action, change));
+  }
+
+  async schedules([action = 'list', target]) {
+    if (action === 'list') {
+      const { status } = this.options;
+      if (status && !SCHEDULE_STATUSES.includes(status)) {
+        throw usageError(`--status must be one of: ${SCHEDULE_STATUSES.join(', ')}`);
+      }
+      return await this.withAgent(
+        client => client.listSchedules({ status }),
+        async store => (await store.getSchedules(status)) ?? []
+      );
+    }
+
+    if (!SCHEDULE_ACTIONS.includes(action)) {
+      throw usageError(`Unknown schedules action '${action}'`);
+    }
+    if (!target) {
+      throw usageError(`schedules ${action} needs ${action === 'add' ? 'a task name' : 'a schedule ID'}`);
+    }
+
+    const actor = this.options.actor || process.env.USER || 'cli';
+    if (action === 'pause' || action === 'resume' || action === 'remove') {
+      const change = { actor };
+      if (this.options.reason) change.reason = this.options.reason;
+      return await this.withAgent(client => client.changeSchedule(target, action === 'remove' ? 'delete' : action, change));
+    }
+
+    const fields = {
+      name: this.options.name,
+      cron: this.options.cron,
+      urgency: this.parseUrgency(),
+      taskData: this.parseTaskData()
+    };
+    if (this.options.window !== undefined) {
+      fields.windowHours = Number(this.options.window);
+      if (!(fields.windowHours > 0)) throw usageError('--window must be a number of hours above 0');
+    }
+
+    if (action === 'add') {
+      if (!fields.cron || fields.windowHours === undefined) {
+        throw usageError('schedules add needs --cron and --window');
+      }
+      return await this.withAgent(client => client.createSchedule({ ...fields, taskName: target, actor }));
+    }
+    return await this.withAgent(client => client.updateSchedule(target, { ...fields, actor }));
+  }
+
+  async webhooks([action = 'list', target]) {
+    if (action === 'list') {
+      return await this.withAgent(client => client.listWebhooks());
+    }
+    if (!WEBHOOK_ACTIONS.includes(action)) {
+      throw usageError(`Unknown webhooks action '${action}'`);
+    }
+    if (!target) {
+      throw usageError(`webhooks ${action} needs ${action === 'add' ? 'a URL' : 'a webhook ID'}`);
+    }
+
+    const actor = this.options.actor || process.env.USER || 'cli';
+    const list = value => value?.split(',').map(item => item.trim()).filter(Boolean);
+    switch (action) {
+      case 'add':
+        if (!this.options.events) throw usageError('webhooks add needs --events');
+        return await this.withAgent(client => client.createWebhook({
+          url: target,
+          events: list(this.options.events),
+          statuses: list(this.options.statuses),
+          actor
+        }));
+      case 'test':
+        return await this.withAgent(client => client.testWebhook(target));
+      case 'deliveries': {
+        const { status } = this.options;
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+          throw usageError(`--status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+        }
+        return await this.withAgent(client => client.getWebhookDeliveries(target, { status }));
+      }
+      default: {
+        const change = { actor };
+        if (this.options.reason) change.reason = this.options.reason;
+        return await this.withAgent(client => client.deleteWebhook(target, change));
+      }
+    }
+  }
+
+  async energy() {
+    return await this.withAgent(
+      client => client.getEnergyStatus(),
+      store => store.getEnergyStatus()
+    );
+  }
+
+  async carbon() {
+    const { by = 'day', from, to } = this.options;
+    if (!CARBON_GROUPS.includes(by)) {
+      throw usageError(`--by must be one of: ${CARBON_GROUPS.join(', ')}`);
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && isNaN(new Date(value).getTime())) {
+        throw usageError(`--${name} must be a date, e.g. 2026-12-01`);
+      }
+    }
+    const filter = {
+      by,
+      from: from && new Date(from).toISOString(),
+      to: to && new Date(to).toISOString()
+    };
+    return await this.withAgent(
+      client => client.getCarbonRollup(filter),
+      async store => (await store.getCarbonRollup({ groupBy: by, from: filter.from, to: filter.to })) ??
+        { groupBy: by, total: null, groups: [] }
+    );
+  }
+
+  async thermal() {
+    return await this.withAgent(
+      client => client.getThermalStatus(),
+      store => store.getThermalStatus()
+    );
+  }
+
+  // Works on the database file directly, whether or not the agent is running
+  async db([action = 'status']) {
+    if (action !== 'status' && action !== 'migrate') {
+      throw usageError(`Unknown db action '${action}'`);
+    }
+
+    const store = await new LocalStore(this.dbPath).open();
+    try {
+      const data = action === 'migrate' ? await migrate(store) : await getSchemaStatus(store);
+      return { source: 'database', data };
+    } finally {
+      await store.close();
+    }
+  }
+}
+
+// ------------------------------------------------------------------------
+// Human-readable output
+
+function formatCounts(counts) {
+  const entries = Object.entries(counts || {});
+  if (entries.length === 0) return 'none';
+  return entries.map(([name, count]) => `${name} ${count}`).join(' · ');
+}
+
+function formatValue(value, unit = '') {
+  if (value === null || value === undefined) return 'n/a';
+  if (typeof value === 'number') return `${Math.round(value * 10) / 10}${unit}`;
+  return String(value);
+}
+
+function table(rows, columns) {
+  const widths = columns.map(([title, key]) =>
+    Math.max(title.length, ...rows.map(row => String(row[key] ?? '').length))
+  );
+  const line = values => values.map((value, i) => String(value ?? '').padEnd(widths[i])).join('  ').trimEnd();
+  return [
+    line(columns.map(([title]) => title)),
+    ...rows.map(row => line(columns.map(([, key]) => row[key])))
+  ].join('\n');
+}
+
+function configuredWhitelistLine(allowed) {
+  return `Whitelist:  ${allowed ? allowed.join(', ') : 'built-in processors'} (configured; start the agent once to store approvals)`;
+}
+
+// One line per carbon budget in `status` (agents without budgets print none)
+function budgetLines(budgets) {
+  if (!budgets) return [];
+  const mass = kg => (kg >= 1 ? `${Number(kg.toPrecision(3))}kg` : `${Number((kg * 1000).toPrecision(3))}g`);
+  const line = (label, budget) => `${label}${mass(budget.spentKg)} of ${mass(budget.limitKg)} CO2 ` +
+    `this ${budget.period} (${Math.round(budget.percentUsed)}%), resets ${budget.resetsAt}`;
+  return [
+    ...(budgets.agent ? [line('Budget:     ', budgets.agent)] : []),
+    ...budgets.users.map(budget => line(`Budget:     ${budget.userId}: `, budget))
+  ];
+}
+
+const PRINTERS = {
+  submit: ({ data }) => [
+    `Task queued: ${data.taskId}`,
+    `Status:       ${data.status}`,
+    `Scheduled:    ${data.scheduledFor || 'ASAP'}`,
+    ...(data.sla ? [`Start by:     ${data.sla.startBy || 'no limit'} (${data.sla.slaClass || 'deadline'})`] : []),
+    ...(data.slaWarning ? [`⚠ SLA:        ${data.slaWarning}`] : [])
+  ],
+
+  status: ({ source, data }) => {
+    if (source === 'agent') {
+      return [
+        `Agent:      running`,
+        `Queue:      ${formatCounts(data.queue)}`,
+        `Whitelist:  ${data.whitelistedTasks.join(', ') || 'none'}`,
+        ...budgetLines(data.carbonBudgets)
+      ];
+    }
+    return [
+      `Agent:      stopped`,
+      `Tasks:      ${formatCounts(data.tasks)}`,
+      ...(data.queue ? [`Queue:      ${formatCounts(data.queue)}`] : []),
+      data.whitelistedTasks
+        ? `Whitelist:  ${data.whitelistedTasks.join(', ') || 'none'}`
+        : configuredWhitelistLine(data.configuredWhitelist)
+    ];
+  },
+
+  history: ({ data }) => {
+    if (data.length === 0) return ['No tasks yet'];
+    return [table(data, [
+      ['TASK ID', 'taskId'],
+      ['NAME', 'name'],
+      ['STATUS', 'status'],
+      ['PRIORITY', 'priority'],
+      ['SCHEDULED FOR', 'scheduledFor'],
+      ['COMPLETED AT', 'completedAt']
+    ])];
+  },
+
+  why: ({ data }) => {
+    const lines = [
+      `Task:      ${data.name} (${data.taskId})`,
+      `Status:    ${data.status}${data.waiting && data.scheduledFor ? ` until ${data.scheduledFor}` : ''}`
+    ];
+    if (data.latest) {
+      lines.push(`Decision:  ${data.latest.decision} - ${data.latest.reason}`);
+      lines.push(...data.latest.hints.map(hint => `  → ${hint.text}`));
+    }
+    for (const decision of data.decisions) {
+      lines.push('', `${decision.timestamp}  ${decision.decision}`);
+      lines.push(...(decision.steps
+        ? decision.steps.map(step => `  ${step.message}`)
+        : [`  ${decision.reasoning}`]));
+    }
+    if (data.decisions.length === 0) lines.push('', 'No decisions recorded yet');
+    return lines;
+  },
+
+  feedback: ({ data }) => [
+    `Feedback recorded: ${data.feedbackType} for ${data.taskId}`,
+    ...(data.adjustments || []).map(adjustment =>
+      `Adjustment #${adjustment.id} ${adjustment.kind} (${adjustment.status}): ${adjustment.reason}`)
+  ],
+
+  whitelist: ({ data }, [action = 'list'] = []) => {
+    if (action === 'show') {
+      return [
+        `Task:       ${data.taskName}`,
+        `Status:     ${data.status}`,
+        `Requested:  ${data.requestedBy || 'n/a'}${data.requestReason ? ` (${data.requestReason})` : ''}`,
+        `Approved:   ${data.approvedBy ? `${data.approvedBy} at ${data.approvedAt}` : 'n/a'}`,
+        `Expires:    ${data.expiresAt || 'never'}`,
+        '',
+        data.history.length === 0 ? 'No changes recorded' : table(data.history, [
+          ['TIME', 'timestamp'],
+          ['ACTION', 'action'],
+          ['BY', 'actor'],
+          ['REASON', 'reason']
+        ])
+      ];
+    }
+    if (action !== 'list') {
+      return [`${data.taskName}: ${data.status}${data.expiresAt ? ` until ${data.expiresAt}` : ''}`];
+    }
+    if (!Array.isArray(data)) return [configuredWhitelistLine(data.configuredWhitelist)];
+    if (data.length === 0) return ['No whitelist entries'];
+    return [table(
+      data.map(entry => ({ ...entry, expires: entry.expiresAt || '-' })),
+      [['TASK', 'taskName'], ['STATUS', 'status'], ['BY', 'changedBy'], ['EXPIRES', 'expires']]
+    )];
+  },
+
+  adjustments: ({ data }, [action = 'list'] = []) => {
+    if (action !== 'list') return [`Adjustment #${data.id} (${data.kind} ${data.taskName}): ${data.status}`];
+    if (data.length === 0) return ['No feedback adjustments'];
+    return [table(data, [
+      ['ID', 'id'],
+      ['TASK', 'taskName'],
+      ['KIND', 'kind'],
+      ['STATUS', 'status'],
+      ['BY', 'changedBy'],
+      ['REASON', 'reason']
+    ])];
+  },
+
+  schedules: ({ data }, [action = 'list'] = []) => {
+    if (action !== 'list') {
+      const state = data.deleted ? 'deleted' : data.status;
+      return [`Schedule #${data.id} (${data.name}, ${data.taskName}): ${state}` +
+        (data.plannedFor ? `, next run ${data.plannedFor}` : data.nextWindowAt && !data.deleted ? `, next window ${data.nextWindowAt}` : '')];
+    }
+    if (data.length === 0) return ['No recurring schedules'];
+    return [table(
+      data.map(entry => ({
+        ...entry,
+        window: `${entry.cron} +${entry.windowHours}h`,
+        next: entry.plannedFor ? `run ${entry.plannedFor}` : entry.nextWindowAt ? `window ${entry.nextWindowAt}` : '-',
+        last: entry.lastRun ? `${entry.lastRun.status ?? 'gone'} (${entry.lastRun.submittedAt})` : '-'
+      })),
+      [['ID', 'id'], ['NAME', 'name'], ['TASK', 'taskName'], ['STATUS', 'status'], ['WINDOW', 'window'], ['NEXT', 'next'], ['LAST RUN', 'last']]
+    )];
+  },
+
+  webhooks: ({ data }, [action = 'list'] = []) => {
+    if (action === 'test') {
+      const { delivery } = data;
+      return [`Test delivery ${delivery.id}: ${delivery.status}` +
+        (delivery.responseStatus ? ` (HTTP ${delivery.responseStatus}, ${delivery.responseMs}ms)` : '') +
+        (delivery.error ? ` - ${delivery.error}` : '')];
+    }
+    if (action === 'deliveries') {
+      if (data.length === 0) return ['No deliveries'];
+      return [table(
+        data.map(entry => ({
+          ...entry,
+          response: entry.responseStatus ? `HTTP ${entry.responseStatus}` : (entry.error || '-'),
+          next: entry.nextAttemptAt || '-'
+        })),
+        [['DELIVERY', 'id'], ['EVENT', 'eventType'], ['STATUS', 'status'], ['ATTEMPTS', 'attempts'], ['RESPONSE', 'response'],
+          ['CREATED', 'createdAt'], ['NEXT ATTEMPT', 'next']]
+      )];
+    }
+    if (action === 'add') {
+      return [
+        `Webhook #${data.id}: ${data.url} for ${data.events.join(', ')}`,
+        `Secret:     ${data.secret} (shown once; verify X-Eco-Signature with it)`
+      ];
+    }
+    if (action === 'remove') return [`Webhook #${data.id} (${data.url}): deleted`];
+    if (data.length === 0) return ['No webhooks'];
+    return [table(
+      data.map(entry => ({
+        ...entry,
+        events: entry.events.join(',') + (entry.statuses.length > 0 ? ` [${entry.statuses.join(',')}]` : ''),
+        state: entry.enabled ? 'enabled' : 'disabled',
+        last: entry.pendingDeliveries > 0 ? `${entry.pendingDeliveries} awaiting retry` : (entry.lastDeliveryStatus || '-')
+      })),
+      [['ID', 'id'], ['URL', 'url'], ['EVENTS', 'events'], ['STATE', 'state'], ['LAST DELIVERY', 'last']]
+    )];
+  },
+
+  energy: ({ source, data }) => {
+    const weekly = data.weeklyStats || {};
+    const lines = source === 'agent'
+      ? [
+        `Score:         ${formatValue(data.currentScore)}/100 (${data.shouldExecuteNow ? 'good time to run tasks' : 'defer non-urgent tasks'})`,
+        `Grid carbon:   ${formatValue(data.gridData?.carbonIntensity, ' gCO2/kWh')}`,
+        `Renewables:    ${formatValue(data.renewableStatus?.renewablePercent, '%')}`,
+        `Direct solar:  ${data.directSolarActive ? 'active' : 'inactive'}`,
+        `Reason:        ${data.reasoning || 'n/a'}`
+      ]
+      : [
+        `Last reading:  ${data.lastReading
+          ? `${formatValue(data.lastReading.carbon_intensity, ' gCO2/kWh')}, ${formatValue(data.lastReading.renewable_percent, '% renewable')} at ${data.lastReading.timestamp}`
+          : 'none recorded'}`
+      ];
+    lines.push(`7-day average: ${formatValue(weekly.avg_carbon, ' gCO2/kWh')}, ${formatValue(weekly.avg_renewable, '% renewable')}`);
+    return lines;
+  },
+
+  carbon: ({ data }) => {
+    if (!data.total?.runs) return ['No executed runs accounted yet'];
+    // Short in-process runs use fractions of a Wh, so keep significant digits rather than decimals
+    const amount = (value, unit) => `${Number((value ?? 0).toPrecision(3))}${unit}`;
+    const grams = kg => amount(kg * 1000, 'g');
+    return [
+      table(data.groups.map(group => ({
+        key: group.key,
+        runs: group.runs,
+        energy: amount(group.energyWh, 'Wh'),
+        emitted: grams(group.carbonEmittedKg),
+        avoided: grams(group.carbonAvoidedKg),
+        intensity: formatValue(group.avgCarbonIntensity, ' gCO2/kWh')
+      })), [
+        [data.groupBy.toUpperCase(), 'key'],
+        ['RUNS', 'runs'],
+        ['ENERGY', 'energy'],
+        ['CO2', 'emitted'],
+        ['AVOIDED', 'avoided'],
+        ['AVG GRID', 'intensity']
+      ]),
+      '',
+      `Total: ${data.total.runs} runs, ${amount(data.total.energyWh, 'Wh')}, ` +
+        `${grams(data.total.carbonEmittedKg)} CO2, ${grams(data.total.carbonAvoidedKg)} avoided`
+    ];
+  },
+
+  thermal: ({ source, data }) => {
+    if (source === 'agent') {
+      return [
+        `Temperature:  ${formatValue(data.currentTemp, '°C')} (${data.status}, ${data.trend})`,
+        `CPU / GPU:    ${formatValue(data.cpuTemp, '°C')} / ${formatValue(data.gpuTemp, '°C')}`,
+        `Peak (1h):    ${formatValue(data.peakTemp, '°C')}`,
+        `Headroom:     ${formatValue(data.headroom, '°C')} below ${formatValue(data.thermalBudget, '°C')}`
+      ];
+    }
+    const reading = data.lastReading;
+    if (!reading) return ['No temperature readings recorded'];
+    return [
+      `Last reading: ${formatValue(reading.average, '°C')} (${reading.status}) at ${reading.timestamp}`,
+      `CPU / GPU:    ${formatValue(reading.cpu, '°C')} / ${formatValue(reading.gpu, '°C')}`
+    ];
+  },
+
+  db: ({ data }, [action = 'status'] = []) => {
+    if (action === 'migrate') {
+      return data.applied.length === 0
+        ? [`Schema already at version ${data.to}`]
+        : [`Schema migrated from version ${data.from} to ${data.to}:`, ...data.applied.map(m => `  ${m.version} ${m.name}`)];
+    }
+    return [
+      `Schema version: ${data.version} (latest ${data.latest})`,
+      ...(data.pending.length === 0
+        ? ['Up to date']
+        : ['Pending migrations:', ...data.pending.map(m => `  ${m.version} ${m.name}`)])
+    ];
+  }
+};
+
+function print(command, result, positionals, json) {
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  if (result.source === 'database' && command !== 'db') {
+    console.log('(agent not running: used the local database)\n');
+  }
+  console.log(PRINTERS[command](result, positionals).join('\n'));
+}
+
+function printError(error, json) {
+  const code = error.code && typeof error.code === 'string' ? error.code : 'CLI_ERROR';
+  if (json) {
+    const body = { success: false, error: error.message, code };
+    if (error.details) body.details = error.details;
+    console.log(JSON.stringify(body, null, 2));
+    return;
+  }
+  console.error(`Error: ${error.message}`);
+  if (Array.isArray(error.details)) {
+    error.details.forEach(detail => console.error(`  - ${detail}`));
+  }
+}
+
+/**
+ * Run the CLI with process.argv.slice(2); resolves to the exit code
+ */
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values: options, positionals } = parsed;
+  const [command, ...rest] = positionals;
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!(command in PRINTERS)) {
+    console.error(`Unknown command '${command}'\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const cli = new AgentCli(options);
+    const result = await cli[command](rest);
+    print(command, result, rest, options.json);
+    return 0;
+  } catch (error) {
+    printError(error, options.json);
+    return error.exitCode || 1;
+  }
+}
+
+export default main;
@@ -0,0 +1,265 @@
+/**
+ * Local Store
+ *
+ * Direct access to the agent database for the CLI while the agent is
+ * stopped. Opens an existing database only (never creates one) and reads
+ * the same tables the agent writes; migrations run only on `db migrate`.
+ */
+
+import fs from 'fs';
+import sqlite3 from 'sqlite3';
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+import { serializeTask, serializeDecisionTrace } from '../api/routes/tasks.js';
+import { serializeDecision } from '../engine/decisionEngine.js';
+import { TaskWhitelist, WhitelistError, serializeEntry } from '../engine/taskWhitelist.js';
+import { serializeAdjustment } from '../engine/feedbackAdjustments.js';
+import { serializeSchedule } from '../scheduler/recurringSchedules.js';
+import { CarbonAccounting } from '../engine/carbonAccounting.js';
+
+export class LocalStore {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  async open() {
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`No agent database at ${this.dbPath} (start the agent once to create it)`);
+    }
+
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, sqlite3.OPEN_READWRITE, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    this.db.configure('busyTimeout', 5000);
+    return this;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+  }
+
+  close() {
+    if (!this.db) return Promise.resolve();
+    return new Promise((resolve) => this.db.close(() => resolve()));
+  }
+
+  async hasTable(name) {
+    const row = await this.get(
+      `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+      [name]
+    );
+    return Boolean(row);
+  }
+
+  // Task counts by state, plus the job_queue backlog when the SQLite queue is used
+  async getStatus() {
+    const rows = await this.all('SELECT status, COUNT(*) AS count FROM tasks GROUP BY status');
+    const tasks = Object.fromEntries(rows.map(row => [row.status, row.count]));
+
+    let queue = null;
+    if (await this.hasTable('job_queue')) {
+      const states = await this.all('SELECT state, COUNT(*) AS count FROM job_queue GROUP BY state');
+      const counts = Object.fromEntries(states.map(row => [row.state, row.count]));
+      queue = {
+        pending: counts.waiting || 0,
+        active: counts.active || 0,
+        completed: counts.completed || 0,
+        failed: counts.failed || 0,
+        delayed: counts.delayed || 0
+      };
+    }
+
+    return { isRunning: false, tasks, queue, timestamp: new Date().toISOString() };
+  }
+
+  async getTaskHistory(limit = 10, status = null) {
+    const params = [];
+    let where = '';
+    if (status) {
+      where = 'WHERE status = ?';
+      params.push(status);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM tasks ${where}
+       ORDER BY created_at DESC, rowid DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(serializeTask);
+  }
+
+  // Same shape as GET /api/tasks/:id/decisions
+  async getTaskDecisions(taskId) {
+    const task = await this.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const rows = await this.all(
+      'SELECT * FROM execution_history WHERE task_id = ? ORDER BY datetime(timestamp), rowid',
+      [taskId]
+    );
+    return serializeDecisionTrace(task, rows.map(serializeDecision));
+  }
+
+  // Same row EcoAgent.recordFeedback writes
+  async recordFeedback(taskId, feedbackType, notes = '') {
+    const task = await this.get('SELECT id FROM tasks WHERE id = ?', [taskId]);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    await this.run(
+      `INSERT INTO feedback (id, task_id, feedback_type, value, notes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [uuidv4(), taskId, feedbackType, feedbackType, notes]
+    );
+    return { status: 'recorded', taskId, feedbackType };
+  }
+
+  // Last grid reading and 7-day averages recorded by RenewableEnergyModule
+  async getEnergyStatus() {
+    if (!(await this.hasTable('grid_metrics'))) {
+      return { lastReading: null, weeklyStats: null };
+    }
+
+    const lastReading = await this.get(
+      'SELECT * FROM grid_metrics ORDER BY timestamp DESC LIMIT 1'
+    );
+    const weeklyStats = await this.get(
+      `SELECT
+        AVG(carbon_intensity) as avg_carbon,
+        MIN(carbon_intensity) as min_carbon,
+        MAX(carbon_intensity) as max_carbon,
+        AVG(renewable_percent) as avg_renewable,
+        COUNT(*) as samples
+      FROM grid_metrics
+      WHERE timestamp > datetime('now', '-7 days')`
+    );
+    return { lastReading: lastReading || null, weeklyStats };
+  }
+
+  // Entries TaskWhitelist stores; null before the task-whitelist migration
+  async getWhitelist(status = null) {
+    if (!(await this.hasTable('task_whitelist'))) return null;
+
+    const rows = status
+      ? await this.all('SELECT * FROM task_whitelist WHERE status = ? ORDER BY task_name', [status])
+      : await this.all('SELECT * FROM task_whitelist ORDER BY task_name');
+    return rows.map(serializeEntry);
+  }
+
+  // Same shape as GET /api/whitelist/:task
+  async getWhitelistEntry(taskName) {
+    const whitelist = await this.whitelist();
+    const entry = await whitelist.get(taskName);
+    if (!entry) {
+      throw new WhitelistError('WHITELIST_ENTRY_NOT_FOUND', `Task '${taskName}' has no whitelist entry`);
+    }
+    return { ...entry, history: await whitelist.history(taskName) };
+  }
+
+  /**
+   * request | approve | reject | revoke through TaskWhitelist, with the same
+   * audit trail the agent writes; the agent loads approvals when it starts
+   */
+  async updateWhitelist(taskName, action, change) {
+    const entry = await (await this.whitelist())[action](taskName, change);
+    return { success: true, ...entry };
+  }
+
+  async whitelist() {
+    if (!(await this.hasTable('task_whitelist'))) {
+      throw new Error("The database has no whitelist yet; run 'iospc-agent db migrate' first");
+    }
+    // No decision engine to keep in sync while the agent is stopped
+    const decisionEngine = { addToWhitelist() {}, removeFromWhitelist() {} };
+    return new TaskWhitelist(this, decisionEngine, { logger: pino({ level: 'silent' }) });
+  }
+
+  // Changes FeedbackAdjustments made; null before the task-adjustments migration
+  async getAdjustments(status = null) {
+    if (!(await this.hasTable('task_adjustments'))) return null;
+
+    const rows = status
+      ? await this.all('SELECT * FROM task_adjustments WHERE status = ? ORDER BY id DESC', [status])
+      : await this.all('SELECT * FROM task_adjustments ORDER BY id DESC');
+    return rows.map(serializeAdjustment);
+  }
+
+  // Schedules RecurringSchedules stores; null before the recurring-schedules migration
+  async getSchedules(status = null) {
+    if (!(await this.hasTable('recurring_schedules'))) return null;
+
+    const rows = await this.all(
+      `SELECT s.*, t.status AS last_task_status FROM recurring_schedules s
+       LEFT JOIN tasks t ON t.id = s.last_task_id
+       ${status ? 'WHERE s.status = ?' : ''}
+       ORDER BY s.id`,
+      status ? [status] : []
+    );
+    return rows.map(serializeSchedule);
+  }
+
+  // CarbonAccounting rollup over the runs recorded so far; null before the carbon-accounting migration
+  async getCarbonRollup(filter) {
+    const columns = await this.all('PRAGMA table_info(carbon_impact)');
+    if (!columns.some(column => column.name === 'worst_carbon_intensity')) return null;
+    return await new CarbonAccounting(this, null).rollup(filter);
+  }
+
+  // Last temperature sample recorded by ThermalMonitor
+  async getThermalStatus() {
+    const reading = await this.get(
+      'SELECT * FROM thermal_history ORDER BY timestamp DESC, rowid DESC LIMIT 1'
+    );
+    if (!reading) return { lastReading: null };
+
+    return {
+      lastReading: {
+        cpu: reading.cpu_temp,
+        gpu: reading.gpu_temp,
+        average: reading.average_temp,
+        systemLoad: reading.system_load,
+        status: reading.status,
+        timestamp: reading.timestamp
+      }
+    };
+  }
+}
+
+export default LocalStore;
@@ -8,41 +8,80 @@
  * await client.submitTask('database-cleanup', {}, 'low');
  */
 
+/**
+ * Error returned by the agent API ({ success: false, error, code })
+ */
+export class AgentApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'AgentApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
 export class AgentClient {
-  constructor(agentUrl = 'http://localhost:3001') {
+  /**
+   * @param {string} agentUrl - Agent API base URL
+   * @param {object} options - { timeout: ms per request, logErrors: console.error failures }
+   */
+  constructor(agentUrl = 'http://localhost:3001', options = {}) {
     this.agentUrl = agentUrl;
+    this.options = {
+      timeout: null,
+      logErrors: true,
+      ...options
+    };
   }
 
   /**
-   * Submit a task for deferred execution
-   * @param {string} taskName - Name of task (must be whitelisted)
-   * @param {object} taskData - Task parameters
-   * @param {string} urgency - 'critical' | 'high' | 'normal' | 'low'
-   * @returns {Promise<{taskId, status, scheduledFor, estimatedPowerCost}>}
+   * Call the agent API
+   * Throws AgentApiError for error responses; network failures are rethrown as-is
    */
-  async submitTask(taskName, taskData = {}, urgency = 'normal') {
+  async request(path, { method = 'GET', body, action = 'call agent API' } = {}) {
     try {
-      const response = await fetch(`${this.agentUrl}/api/tasks`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          taskName,
-          taskData,
-          urgency
-        })
+      const response = await fetch(`${this.agentUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: this.options.timeout ? AbortSignal.timeout(this.options.timeout) : undefined
       });
 
+      const payload = await response.json().catch(() => null);
       if (!response.ok) {
-        throw new Error(`Agent API error: ${response.statusText}`);
+        throw new AgentApiError(
+          response.status,
+          payload?.code || 'AGENT_API_ERROR',
+          payload?.error || `Agent API error: ${response.statusText}`,
+          payload?.details || null
+        );
       }
 
-      return await response.json();
+      return payload;
     } catch (error) {
-      console.error('Failed to submit task:', error);
+      if (this.options.logErrors) {
+        console.error(`Failed to ${action}:`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Submit a task for deferred execution
+   * @param {string} taskName - Name of task (must be whitelisted)
+   * @param {object} taskData - Task parameters
+   * @param {string} urgency - 'critical' | 'high' | 'normal' | 'low'
+   * @returns {Promise<{taskId, status, scheduledFor, estimatedPowerCost}>}
+   */
+  async submitTask(taskName, taskData = {}, urgency = 'normal', { sla, deadline } = {}) {
+    return await this.request('/api/tasks', {
+      method: 'POST',
+      body: { taskName, taskData, urgency, sla, deadline },
+      action: 'submit task'
+    });
+  }
+
   /**
    * Record user feedback on a task
    * @param {string} taskId - Task ID returned from submitTask
@@ -50,26 +89,11 @@ export class AgentClient {
    * @param {string} notes - Optional user notes
    */
   async recordFeedback(taskId, feedbackType, notes = '') {
-    try {
-      const response = await fetch(`${this.agentUrl}/api/feedback`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          taskId,
-          feedbackType,
-          notes
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Agent API error: ${response.statusText}`);
-      }
-
-      return await response.json();
-    } catch (error) {
-      console.error('Failed to record feedback:', error);
-      throw error;
-    }
+    return await this.request('/api/feedback', {
+      method: 'POST',
+      body: { taskId, feedbackType, notes },
+      action: 'record feedback'
+    });
   }
 
   /**
@@ -77,18 +101,22 @@ export class AgentClient {
    * @returns {Promise<{isRunning, queue, whitelistedTasks, timestamp}>}
    */
   async getStatus() {
-    try {
-      const response = await fetch(`${this.agentUrl}/api/status`);
+    return await this.request('/api/status', { action: 'get agent status' });
+  }
 
-      if (!response.ok) {
-        throw new Error(`Agent API error: ${response.statusText}`);
-      }
+  /**
+   * Get energy status (EcoScheduler.getEnergyStatus)
+   * @returns {Promise<{currentScore, shouldExecuteNow, reasoning, gridData, weeklyStats, ...}>}
+   */
+  async getEnergyStatus() {
+    return await this.request('/api/status/energy', { action: 'get energy status' });
+  }
 
-      return await response.json();
-    } catch (error) {
-      console.error('Failed to get agent status:', error);
-      throw error;
-    }
+  /**
+   * Get current temperature, trend and headroom
+   */
+  async getThermalStatus() {
+    return await this.request('/api/thermal/current', { action: 'get thermal status' });
   }
 
   /**
@@ -97,40 +125,284 @@ export class AgentClient {
    * @returns {Promise<Task object>}
    */
   async getTask(taskId) {
-    try {
-      const response = await fetch(`${this.agentUrl}/api/tasks/${taskId}`);
-
-      if (!response.ok) {
-        throw new Error(`Agent API error: ${response.statusText}`);
-      }
-
-      return await response.json();
-    } catch (error) {
-      console.error('Failed to get task:', error);
-      throw error;
-    }
+    return await this.request(`/api/tasks/${encodeURIComponent(taskId)}`, { action: 'get task' });
   }
 
   /**
    * Get task history
    * @param {number} limit - Number of recent tasks
+   * @param {string} status - Only tasks in this state (optional)
    * @returns {Promise<Array<Task>>}
    */
-  async getTaskHistory(limit = 10) {
-    try {
-      const response = await fetch(
-        `${this.agentUrl}/api/tasks/history?limit=${limit}`
-      );
+  async getTaskHistory(limit = 10, status = null) {
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (status) query.set('status', status);
+    return await this.request(`/api/tasks/history?${query}`, { action: 'get task history' });
+  }
 
-      if (!response.ok) {
-        throw new Error(`Agent API error: ${response.statusText}`);
-      }
+  /**
+   * Why a task was approved, deferred or denied
+   * @returns {Promise<{taskId, status, waiting, latest: {decision, reason, hints}, decisions}>}
+   */
+  async getTaskDecisions(taskId) {
+    return await this.request(`/api/tasks/${encodeURIComponent(taskId)}/decisions`, {
+      action: 'get task decisions'
+    });
+  }
 
-      return await response.json();
-    } catch (error) {
-      console.error('Failed to get task history:', error);
-      throw error;
-    }
+  /**
+   * List registered task processors and whether they are whitelisted
+   */
+  async listProcessors() {
+    return await this.request('/api/processors', { action: 'list processors' });
+  }
+
+  /**
+   * Whitelist a registered processor
+   * @param {string} taskName - Processor task name
+   * @param {string} actor - Who approved it (recorded in the log)
+   */
+  async approveProcessor(taskName, actor) {
+    return await this.request(`/api/processors/${encodeURIComponent(taskName)}/approve`, {
+      method: 'POST',
+      body: actor ? { actor } : {},
+      action: 'approve processor'
+    });
+  }
+
+  /**
+   * Remove a processor from the whitelist
+   */
+  async revokeProcessor(taskName, actor) {
+    return await this.request(`/api/processors/${encodeURIComponent(taskName)}/revoke`, {
+      method: 'POST',
+      body: actor ? { actor } : {},
+      action: 'revoke processor'
+    });
+  }
+
+  /**
+   * List whitelist entries
+   * @param {string} status - Only entries in this state, e.g. 'pending' (optional)
+   */
+  async listWhitelist(status = null) {
+    const query = status ? `?status=${encodeURIComponent(status)}` : '';
+    return await this.request(`/api/whitelist${query}`, { action: 'list whitelist' });
+  }
+
+  /**
+   * One whitelist entry with its audit trail
+   */
+  async getWhitelistEntry(taskName) {
+    return await this.request(`/api/whitelist/${encodeURIComponent(taskName)}`, {
+      action: 'get whitelist entry'
+    });
+  }
+
+  /**
+   * Change a whitelist entry
+   * @param {string} taskName - Processor task name
+   * @param {string} action - request | approve | reject | revoke
+   * @param {object} change - { actor, reason, expiresAt } (expiresAt: request/approve only)
+   */
+  async updateWhitelist(taskName, action, change = {}) {
+    return await this.request(`/api/whitelist/${encodeURIComponent(taskName)}/${action}`, {
+      method: 'POST',
+      body: change,
+      action: `${action} whitelist entry`
+    });
+  }
+
+  /**
+   * List feedback adjustments
+   * @param {object} filter - { status, taskName } (both optional)
+   */
+  async listAdjustments({ status = null, taskName = null } = {}) {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (taskName) params.set('task', taskName);
+    const query = params.toString() ? `?${params}` : '';
+    return await this.request(`/api/adjustments${query}`, { action: 'list adjustments' });
+  }
+
+  /**
+   * Change a feedback adjustment
+   * @param {number} id - Adjustment ID
+   * @param {string} action - revert | accept | reject
+   * @param {object} change - { actor, reason }
+   */
+  async updateAdjustment(id, action, change = {}) {
+    return await this.request(`/api/adjustments/${encodeURIComponent(id)}/${action}`, {
+      method: 'POST',
+      body: change,
+      action: `${action} adjustment`
+    });
+  }
+
+  /**
+   * List recurring schedules
+   * @param {object} filter - { status, taskName } (both optional)
+   */
+  async listSchedules({ status = null, taskName = null } = {}) {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (taskName) params.set('task', taskName);
+    const query = params.toString() ? `?${params}` : '';
+    return await this.request(`/api/schedules${query}`, { action: 'list schedules' });
+  }
+
+  /**
+   * Create a recurring schedule
+   * @param {object} schedule - { taskName, cron, windowHours, name, taskData, urgency, actor }
+   */
+  async createSchedule(schedule) {
+    return await this.request('/api/schedules', {
+      method: 'POST',
+      body: schedule,
+      action: 'create schedule'
+    });
+  }
+
+  /**
+   * Edit a recurring schedule
+   * @param {number} id - Schedule ID
+   * @param {object} fields - Any of name, taskName, cron, windowHours, taskData, urgency (and actor)
+   */
+  async updateSchedule(id, fields) {
+    return await this.request(`/api/schedules/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: fields,
+      action: 'update schedule'
+    });
+  }
+
+  /**
+   * Pause, resume or delete a recurring schedule
+   * @param {number} id - Schedule ID
+   * @param {string} action - pause | resume | delete
+   * @param {object} change - { actor, reason }
+   */
+  async changeSchedule(id, action, change = {}) {
+    const path = `/api/schedules/${encodeURIComponent(id)}`;
+    return await this.request(action === 'delete' ? path : `${path}/${action}`, {
+      method: action === 'delete' ? 'DELETE' : 'POST',
+      body: change,
+      action: `${action} schedule`
+    });
+  }
+
+  /**
+   * List outgoing webhook subscriptions
+   */
+  async listWebhooks() {
+    return await this.request('/api/webhooks', { action: 'list webhooks' });
+  }
+
+  /**
+   * Subscribe an endpoint to agent events
+   * @param {object} webhook - { url, events, statuses, secret, description, enabled, actor }
+   * @returns the subscription, including its signing secret (only returned here)
+   */
+  async createWebhook(webhook) {
+    return await this.request('/api/webhooks', {
+      method: 'POST',
+      body: webhook,
+      action: 'create webhook'
+    });
+  }
+
+  /**
+   * Edit a webhook subscription
+   * @param {number} id - Webhook ID
+   * @param {object} fields - Any of url, events, statuses, secret, description, enabled (and actor)
+   */
+  async updateWebhook(id, fields) {
+    return await this.request(`/api/webhooks/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      body: fields,
+      action: 'update webhook'
+    });
+  }
+
+  /**
+   * Remove a webhook subscription
+   * @param {number} id - Webhook ID
+   * @param {object} change - { actor, reason }
+   */
+  async deleteWebhook(id, change = {}) {
+    return await this.request(`/api/webhooks/${encodeURIComponent(id)}`, {
+      method: 'DELETE',
+      body: change,
+      action: 'delete webhook'
+    });
+  }
+
+  /**
+   * Send a webhook.test event to a subscription now
+   * @param {number} id - Webhook ID
+   */
+  async testWebhook(id) {
+    return await this.request(`/api/webhooks/${encodeURIComponent(id)}/test`, {
+      method: 'POST',
+      action: 'test webhook'
+    });
+  }
+
+  /**
+   * Delivery log of one webhook, newest first
+   * @param {number} id - Webhook ID
+   * @param {object} filter - { status, limit } (both optional)
+   */
+  async getWebhookDeliveries(id, { status = null, limit = null } = {}) {
+    const params = new URLSearchParams();
+    if (status) params.set('status', status);
+    if (limit) params.set('limit', String(limit));
+    const query = params.toString() ? `?${params}` : '';
+    return await this.request(`/api/webhooks/${encodeURIComponent(id)}/deliveries${query}`, {
+      action: 'get webhook deliveries'
+    });
+  }
+
+  /**
+   * Carbon and energy of executed runs, summed per group
+   * @param {object} filter - { by: 'task' | 'user' | 'day' | 'week' | 'month', from, to, limit } (all optional)
+   */
+  async getCarbonRollup({ by = null, from = null, to = null, limit = null } = {}) {
+    const params = new URLSearchParams();
+    if (by) params.set('by', by);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (limit) params.set('limit', String(limit));
+    const query = params.toString() ? `?${params}` : '';
+    return await this.request(`/api/carbon${query}`, { action: 'get carbon rollup' });
+  }
+
+  /**
+   * Carbon and energy of every run of one task
+   * @param {string} taskId - Task ID returned from submitTask
+   */
+  async getTaskCarbon(taskId) {
+    return await this.request(`/api/carbon/tasks/${encodeURIComponent(taskId)}`, { action: 'get task carbon' });
+  }
+
+  /**
+   * Agent and per-user carbon budgets, with what each has spent this period
+   */
+  async getCarbonBudgets() {
+    return await this.request('/api/carbon/budgets', { action: 'get carbon budgets' });
+  }
+
+  /**
+   * Set or remove a user's carbon budget
+   * @param {string} userId - User the budget applies to (taskData.userId)
+   * @param {object|null} budget - { limitKg, period: 'day' | 'week' | 'month', actor }, or null to remove it
+   */
+  async setUserCarbonBudget(userId, budget) {
+    return await this.request(`/api/carbon/budgets/users/${encodeURIComponent(userId)}`, {
+      method: budget ? 'PUT' : 'DELETE',
+      body: budget || {},
+      action: budget ? 'set carbon budget' : 'remove carbon budget'
+    });
   }
 }
 
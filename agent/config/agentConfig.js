@@ -0,0 +1,369 @@
+/**
+ * Agent Configuration
+ *
+ * One effective config built from these layers (later wins):
+ *   1. schema defaults          (config/schema.js)
+ *   2. config file              agent.config.json, or AGENT_CONFIG
+ *   3. .env file                re-read on every reload
+ *   4. process environment      as it was when the agent started
+ *   5. configuration table      runtime overrides (API, CLI or direct edits)
+ *
+ * Rows in the configuration table with is_locked = 1, and schema fields
+ * marked locked, cannot be changed through set(). Every change of an
+ * effective value is written to config_audit.
+ *
+ * Emits 'change' { changes: [{ key, oldValue, newValue, source, changedBy }], restartRequired }
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+import { CONFIG_SCHEMA, envName, coerceValue, validateValue, validateConfig } from './schema.js';
+
+const logger = pino();
+
+const AGENT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export class ConfigError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'ConfigError';
+    this.code = code; // CONFIG_INVALID | CONFIG_LOCKED | CONFIG_KEY_NOT_FOUND
+    this.details = details;
+  }
+}
+
+export class AgentConfig extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      configPath: process.env.AGENT_CONFIG || path.join(AGENT_DIR, 'agent.config.json'),
+      envPath: path.join(AGENT_DIR, '.env'),
+      env: { ...process.env }, // snapshot: later .env reloads must not shadow real env vars
+      logger, // the CLI passes a silent logger to keep its output clean
+      ...options
+    };
+    this.logger = this.options.logger;
+
+    this.memory = null;
+    this.values = {}; // key → effective value
+    this.sources = {}; // key → default | file | env-file | env | table
+    this.lockedKeys = new Set(); // configuration rows with is_locked = 1
+  }
+
+  /**
+   * Build the config from defaults, file and environment
+   * Throws ConfigError (CONFIG_INVALID) listing every problem
+   */
+  load() {
+    // Components that still read process.env directly (DEVICE_ID) see .env too
+    dotenv.config({ path: this.options.envPath });
+
+    const { values, sources } = this.resolve({});
+    this.values = values;
+    this.sources = sources;
+    this.logger.info(`Configuration loaded from ${this.describeSources()}`);
+    return this;
+  }
+
+  /**
+   * Apply runtime overrides from the configuration table
+   * Called once SharedMemory is open (its path comes from this config)
+   */
+  async attach(sharedMemory) {
+    this.memory = sharedMemory;
+    const overrides = await this.readTableOverrides();
+    const { values, sources } = this.resolve(overrides);
+    // Components are configured after this, so nothing to announce or audit
+    this.values = values;
+    this.sources = sources;
+  }
+
+  get(key) {
+    if (!(key in CONFIG_SCHEMA)) {
+      throw new ConfigError('CONFIG_KEY_NOT_FOUND', `Unknown setting '${key}'`);
+    }
+    return this.values[key];
+  }
+
+  // { name: value } for every key in a section, e.g. getSection('sleep')
+  getSection(section) {
+    const result = {};
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+      const [keySection, name] = key.split('.');
+      if (keySection === section) result[name] = this.values[key];
+    }
+    return result;
+  }
+
+  isLocked(key) {
+    return Boolean(CONFIG_SCHEMA[key]?.locked) || this.lockedKeys.has(key);
+  }
+
+  /**
+   * Every setting with its source and flags
+   */
+  describe() {
+    return Object.entries(CONFIG_SCHEMA).map(([key, field]) => ({
+      key,
+      value: this.values[key],
+      default: field.default,
+      source: this.sources[key],
+      env: envName(key),
+      locked: this.isLocked(key),
+      restartRequired: Boolean(field.restart)
+    }));
+  }
+
+  /**
+   * Change one setting at runtime; stored as a configuration table row
+   */
+  async set(key, value, changedBy = 'api') {
+    if (!(key in CONFIG_SCHEMA)) {
+      throw new ConfigError('CONFIG_KEY_NOT_FOUND', `Unknown setting '${key}'`);
+    }
+    if (!this.memory) {
+      throw new Error('Configuration is not attached to shared memory');
+    }
+
+    // The row may have been locked since the last reload
+    const row = await this.memory.get(
+      'SELECT is_locked FROM configuration WHERE key = ?',
+      [key]
+    );
+    if (this.isLocked(key) || row?.is_locked) {
+      throw new ConfigError('CONFIG_LOCKED', `Setting '${key}' is locked`);
+    }
+
+    const parsed = coerceValue(key, value);
+    const error = validateValue(key, parsed);
+    const candidate = { ...this.values, [key]: parsed };
+    const errors = error ? [error] : validateConfig(candidate);
+    if (errors.length > 0) {
+      throw new ConfigError('CONFIG_INVALID', `Invalid value for '${key}'`, errors);
+    }
+
+    await this.memory.run(
+      `INSERT INTO configuration (key, value, is_locked, last_modified, modified_by)
+       VALUES (?, ?, 0, CURRENT_TIMESTAMP, ?)
+       ON CONFLICT(key) DO UPDATE SET
+         value = excluded.value,
+         last_modified = excluded.last_modified,
+         modified_by = excluded.modified_by`,
+      [key, JSON.stringify(parsed), changedBy]
+    );
+
+    const sources = { ...this.sources, [key]: 'table' };
+    return await this.commit(candidate, sources, changedBy);
+  }
+
+  /**
+   * Re-read file, .env and the configuration table, then apply what changed
+   * An invalid result is rejected and the current config stays in place
+   */
+  async reload(changedBy = 'reload') {
+    const overrides = await this.readTableOverrides();
+    const { values, sources } = this.resolve(overrides);
+    return await this.commit(values, sources, changedBy);
+  }
+
+  async getAudit(limit = 50) {
+    if (!this.memory) return [];
+    const rows = await this.memory.all(
+      `SELECT * FROM config_audit ORDER BY timestamp DESC, rowid DESC LIMIT ?`,
+      [limit]
+    );
+    return rows.map(row => ({
+      id: row.id,
+      key: row.config_key,
+      oldValue: parseStored(row.old_value),
+      newValue: parseStored(row.new_value),
+      source: row.source,
+      changedBy: row.changed_by,
+      timestamp: row.timestamp
+    }));
+  }
+
+  // ----------------------------------------------------------------------
+
+  resolve(tableOverrides) {
+    const values = {};
+    const sources = {};
+    const errors = [];
+
+    const fileValues = this.readConfigFile(errors);
+    const envFileValues = this.readEnvFile();
+
+    for (const [key, field] of Object.entries(CONFIG_SCHEMA)) {
+      values[key] = field.default;
+      sources[key] = 'default';
+
+      if (key in fileValues) {
+        values[key] = fileValues[key];
+        sources[key] = 'file';
+      }
+
+      const variable = envName(key);
+      if (envFileValues[variable] !== undefined && envFileValues[variable] !== '') {
+        values[key] = coerceValue(key, envFileValues[variable]);
+        sources[key] = 'env-file';
+      }
+      if (this.options.env[variable] !== undefined && this.options.env[variable] !== '') {
+        values[key] = coerceValue(key, this.options.env[variable]);
+        sources[key] = 'env';
+      }
+
+      if (key in tableOverrides) {
+        values[key] = tableOverrides[key];
+        sources[key] = 'table';
+      }
+    }
+
+    errors.push(...validateConfig(values));
+    if (errors.length > 0) {
+      throw new ConfigError('CONFIG_INVALID', `Invalid configuration: ${errors.join('; ')}`, errors);
+    }
+    return { values, sources };
+  }
+
+  // Nested JSON ({ "scheduler": { "cpuThreshold": 60 } }) → flat keys
+  readConfigFile(errors) {
+    const { configPath } = this.options;
+    if (!fs.existsSync(configPath)) return {};
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      errors.push(`${path.basename(configPath)}: ${error.message}`);
+      return {};
+    }
+
+    const values = {};
+    for (const [section, settings] of Object.entries(parsed)) {
+      if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+        errors.push(`${path.basename(configPath)}: '${section}' must be an object of settings`);
+        continue;
+      }
+      for (const [name, value] of Object.entries(settings)) {
+        const key = `${section}.${name}`;
+        if (!(key in CONFIG_SCHEMA)) {
+          errors.push(`${path.basename(configPath)}: unknown setting '${key}'`);
+          continue;
+        }
+        values[key] = value;
+      }
+    }
+    return values;
+  }
+
+  readEnvFile() {
+    const { envPath } = this.options;
+    if (!envPath || !fs.existsSync(envPath)) return {};
+    return dotenv.parse(fs.readFileSync(envPath));
+  }
+
+  async readTableOverrides() {
+    if (!this.memory) return {};
+
+    const rows = await this.memory.all('SELECT key, value, is_locked FROM configuration');
+    const overrides = {};
+    const locked = new Set();
+
+    for (const row of rows) {
+      if (!(row.key in CONFIG_SCHEMA)) {
+        this.logger.warn(`Ignoring unknown configuration row '${row.key}'`);
+        continue;
+      }
+      overrides[row.key] = coerceValue(row.key, parseStored(row.value));
+      if (row.is_locked) locked.add(row.key);
+    }
+
+    this.lockedKeys = locked;
+    return overrides;
+  }
+
+  // Swap in new values, audit and announce what changed
+  async commit(values, sources, changedBy) {
+    const changes = [];
+
+    for (const key of Object.keys(CONFIG_SCHEMA)) {
+      if (!sameValue(this.values[key], values[key])) {
+        changes.push({
+          key,
+          oldValue: this.values[key],
+          newValue: values[key],
+          source: sources[key],
+          changedBy
+        });
+      }
+    }
+
+    this.values = values;
+    this.sources = sources;
+
+    if (changes.length === 0) {
+      return { changes, restartRequired: [] };
+    }
+
+    for (const change of changes) {
+      await this.audit(change);
+      this.logger.info(`⚙️  Config ${change.key} changed by ${changedBy}`, {
+        from: change.oldValue,
+        to: change.newValue
+      });
+    }
+
+    const restartRequired = changes
+      .filter(change => CONFIG_SCHEMA[change.key].restart)
+      .map(change => change.key);
+    const event = { changes, restartRequired };
+    this.emit('change', event);
+    return event;
+  }
+
+  async audit(change) {
+    if (!this.memory) return;
+    try {
+      await this.memory.run(
+        `INSERT INTO config_audit (id, config_key, old_value, new_value, source, changed_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          change.key,
+          JSON.stringify(change.oldValue ?? null),
+          JSON.stringify(change.newValue ?? null),
+          change.source,
+          change.changedBy
+        ]
+      );
+    } catch (error) {
+      this.logger.warn(`Failed to audit config change ${change.key}: ${error.message}`);
+    }
+  }
+
+  describeSources() {
+    const used = new Set(Object.values(this.sources));
+    return ['default', 'file', 'env-file', 'env', 'table'].filter(source => used.has(source)).join(', ');
+  }
+}
+
+// Table values are JSON; hand-edited rows may be plain strings
+function parseStored(value) {
+  if (value === null || value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export default AgentConfig;
@@ -0,0 +1,317 @@
+/**
+ * Agent Configuration Schema
+ *
+ * Every setting the agent reads, keyed '<section>.<name>'. A section maps
+ * onto one component's config object (scheduler → EcoScheduler.config, ...).
+ *
+ * Field options:
+ *   type     integer | number | boolean | string | enum | list | hours
+ *   default  value used when no file, env var or table row sets it
+ *   env      environment variable (default: ECO_<SECTION>_<NAME>)
+ *   min/max  bounds for numbers, values for enums
+ *   locked   never changeable through the API (sandbox and whitelist)
+ *   restart  read once at startup; runtime changes apply on next start
+ */
+
+export const CONFIG_SCHEMA = {
+  // Logging
+  'logging.level': {
+    type: 'enum', values: ['trace', 'debug', 'info', 'warn', 'error', 'fatal'],
+    default: 'info', env: 'LOG_LEVEL'
+  },
+
+  // HTTP API
+  'api.port': { type: 'integer', min: 1, max: 65535, default: 3001, env: 'API_PORT', restart: true },
+  'api.host': { type: 'string', default: '127.0.0.1', env: 'API_HOST', locked: true, restart: true },
+  'api.corsOrigins': {
+    type: 'list', default: ['http://localhost:3000'], env: 'API_CORS_ORIGINS', locked: true, restart: true
+  },
+
+  // Storage and queue
+  'database.path': { type: 'string', default: 'agent.db', env: 'DB_PATH', restart: true },
+  'queue.backend': {
+    type: 'enum', values: ['redis', 'sqlite', 'memory'], default: 'redis', env: 'QUEUE_BACKEND', restart: true
+  },
+  'queue.redisUrl': { type: 'string', default: 'redis://127.0.0.1:6379', env: 'REDIS_URL', restart: true },
+  'queue.redisTimeoutMs': {
+    type: 'integer', min: 100, max: 60000, default: 3000, env: 'REDIS_TIMEOUT_MS', restart: true
+  },
+
+  // Task processors (whitelist changes go through POST /api/processors/:name/approve)
+  'tasks.allowed': { type: 'list', default: [], env: 'ALLOWED_TASKS', locked: true, restart: true },
+  'tasks.pluginsDir': { type: 'string', default: 'plugins', env: 'TASK_PLUGINS_DIR', restart: true },
+
+  // EcoScheduler.config
+  'scheduler.schedulingMode': {
+    type: 'enum', values: ['renewable', 'grid-aware', 'hybrid', 'off-peak'],
+    default: 'hybrid', env: 'SCHEDULING_MODE'
+  },
+  'scheduler.offPeakHours': { type: 'hours', default: [2, 3, 4, 5], env: 'OFF_PEAK_HOURS' },
+  'scheduler.cpuThreshold': { type: 'number', min: 0, max: 100, default: 60, env: 'CPU_THRESHOLD' },
+  'scheduler.memoryThreshold': { type: 'number', min: 0, max: 100, default: 70, env: 'MEMORY_THRESHOLD' },
+  'scheduler.diskIOThreshold': { type: 'number', min: 0, max: 100, default: 50, env: 'DISK_IO_THRESHOLD' },
+  'scheduler.pressureThreshold': { type: 'number', min: 0, max: 100, default: 20, env: 'PRESSURE_THRESHOLD' },
+  'scheduler.loadSampleWindowMs': { type: 'integer', min: 100, max: 10000, default: 1000 },
+  'scheduler.loadCacheMs': { type: 'integer', min: 0, max: 60000, default: 5000 },
+  'scheduler.loadSmoothingSeconds': { type: 'number', min: 0, max: 600, default: 30 },
+  'scheduler.maxConcurrentTasks': {
+    type: 'integer', min: 1, max: 64, default: 2, env: 'MAX_CONCURRENT_TASKS', restart: true
+  },
+  'scheduler.preferRenewableEnergy': { type: 'boolean', default: true },
+  'scheduler.considerGridCarbon': { type: 'boolean', default: true },
+
+  // RenewableEnergyModule.config
+  'energy.maxGridCarbonIntensity': {
+    type: 'number', min: 0, max: 2000, default: 500, env: 'MAX_GRID_CARBON_INTENSITY'
+  },
+  'energy.minRenewablePercent': { type: 'number', min: 0, max: 100, default: 40, env: 'MIN_RENEWABLE_PERCENT' },
+  'energy.solarPeakHours': { type: 'hours', default: [9, 10, 11, 12, 13, 14, 15], env: 'SOLAR_PEAK_HOURS' },
+  'energy.windPeakHours': { type: 'hours', default: [0, 1, 2, 3, 4, 5, 6], env: 'WIND_PEAK_HOURS' },
+  'energy.directSolarWatts': { type: 'number', min: 0, default: 0, env: 'DIRECT_SOLAR_WATTS' },
+  'energy.minGenerationPercent': { type: 'number', min: 0, max: 100, default: 15, env: 'MIN_GENERATION_PERCENT' },
+
+  // ThermalMonitor.thresholds (°C) and cooling rate (°C/min)
+  'thermal.optimalMin': { type: 'number', min: -20, max: 120, default: 20 },
+  'thermal.optimalMax': { type: 'number', min: -20, max: 120, default: 40 },
+  'thermal.safeMin': { type: 'number', min: -20, max: 120, default: 15 },
+  'thermal.safeMax': { type: 'number', min: -20, max: 120, default: 55 },
+  'thermal.warningMin': { type: 'number', min: -20, max: 120, default: 10 },
+  'thermal.warningMax': { type: 'number', min: -20, max: 120, default: 70 },
+  'thermal.critical': { type: 'number', min: -20, max: 120, default: 80 },
+  'thermal.coolingRate': { type: 'number', min: 0.1, max: 20, default: 1.5 },
+
+  // RuntimeAbortMonitor.config
+  'abort.monitoringIntervalMs': { type: 'integer', min: 1000, default: 5000 },
+  'abort.thermalAlertThreshold': { type: 'number', min: 0, max: 120, default: 75 },
+  'abort.thermalAbortThreshold': { type: 'number', min: 0, max: 120, default: 85 },
+  'abort.powerAlertThreshold': { type: 'number', min: 0, max: 100, default: 90 },
+  'abort.enableThermalAbort': { type: 'boolean', default: true },
+  'abort.enablePowerAbort': { type: 'boolean', default: true },
+
+  // DeviceSleepManager.config
+  'sleep.enableAutoSleep': { type: 'boolean', default: true },
+  'sleep.sleepAfterIdleMinutes': { type: 'number', min: 1, default: 15 },
+  'sleep.wakeUpBuffer': { type: 'number', min: 0, default: 10 },
+  'sleep.allowWakefulInterrupts': { type: 'boolean', default: true },
+  'sleep.enableTemperatureSleep': { type: 'boolean', default: true },
+  'sleep.criticalTempThreshold': { type: 'number', min: 0, max: 120, default: 75 },
+
+  // Execution pipeline steps (see README "Execution Pipeline")
+  'pipeline.thermalPreflight': { type: 'boolean', default: true, env: 'PIPELINE_THERMAL_PREFLIGHT' },
+  'pipeline.smartIdle': { type: 'boolean', default: true, env: 'PIPELINE_SMART_IDLE' },
+  'pipeline.abortMonitoring': { type: 'boolean', default: true, env: 'PIPELINE_ABORT_MONITORING' },
+  'pipeline.checkpoints': { type: 'boolean', default: true, env: 'PIPELINE_CHECKPOINTS' },
+  'pipeline.deviceSleep': { type: 'boolean', default: false, env: 'PIPELINE_DEVICE_SLEEP' },
+
+  // PolicyEngine: rules file, imported as a new policy version when it changes
+  'policy.path': { type: 'string', default: 'policy.json', env: 'POLICY_PATH', restart: true },
+
+  // TaskLearning.settings (learned duration/power/temperature per task name)
+  'learning.enabled': { type: 'boolean', default: true, env: 'LEARNING_MODE' },
+  'learning.minSamples': { type: 'integer', min: 1, max: 1000, default: 5 },
+  'learning.historySize': { type: 'integer', min: 10, max: 10000, default: 200 },
+  'learning.wattsPerCore': { type: 'number', min: 0.1, max: 500, default: 15 },
+
+  // FeedbackAdjustments.settings (what repeated feedback changes, see /api/adjustments)
+  'feedback.enabled': { type: 'boolean', default: true, env: 'FEEDBACK_ENABLED' },
+  'feedback.demoteAfter': { type: 'integer', min: 1, max: 100, default: 3 },
+  'feedback.suppressAfter': { type: 'integer', min: 1, max: 100, default: 5 },
+  'feedback.throttleAfter': { type: 'integer', min: 1, max: 100, default: 3 },
+  'feedback.throttleHours': { type: 'number', min: 1, max: 720, default: 24 },
+
+  // RecurringSchedules.settings (see /api/schedules)
+  'schedules.historyDays': { type: 'integer', min: 1, max: 90, default: 14 },
+
+  // CarbonAccounting.settings (see /api/carbon)
+  'carbon.historyDays': { type: 'integer', min: 1, max: 90, default: 14 },
+
+  // CarbonBudgets.settings (agent-wide budget; per-user budgets via /api/carbon/budgets)
+  'carbon.budgetKg': { type: 'number', min: 0, default: 0, env: 'CARBON_BUDGET_KG' },
+  'carbon.budgetPeriod': { type: 'enum', values: ['day', 'week', 'month'], default: 'day', env: 'CARBON_BUDGET_PERIOD' },
+  'carbon.budgetNearlySpentPercent': { type: 'integer', min: 1, max: 100, default: 90 },
+
+  // WebhookDispatcher.settings (subscriptions via /api/webhooks)
+  'webhooks.enabled': { type: 'boolean', default: true, env: 'WEBHOOKS_ENABLED' },
+  'webhooks.maxAttempts': { type: 'integer', min: 1, max: 20, default: 6 },
+  'webhooks.backoffSeconds': { type: 'number', min: 1, max: 3600, default: 30 },
+  'webhooks.timeoutMs': { type: 'integer', min: 1000, max: 60000, default: 10000 },
+  'webhooks.logDays': { type: 'integer', min: 1, max: 365, default: 30 },
+
+  // RetentionManager.settings (raw samples → hourly → daily rollups)
+  'retention.enabled': { type: 'boolean', default: true, env: 'RETENTION_ENABLED' },
+  'retention.intervalHours': { type: 'number', min: 1, max: 168, default: 24 },
+  'retention.metricsRawDays': { type: 'integer', min: 1, default: 7 },
+  'retention.thermalRawDays': { type: 'integer', min: 1, default: 7 },
+  'retention.taskThermalRawDays': { type: 'integer', min: 1, default: 3 },
+  'retention.gridRawDays': { type: 'integer', min: 7, default: 30 },
+  'retention.hourlyDays': { type: 'integer', min: 1, default: 90 },
+  'retention.dailyDays': { type: 'integer', min: 0, default: 0 },
+  'retention.archive': { type: 'boolean', default: false, env: 'RETENTION_ARCHIVE' },
+  'retention.archiveDir': { type: 'string', default: 'archive', env: 'RETENTION_ARCHIVE_DIR' },
+
+  // Built-in maintenance processors: local targets (relative to agent/). Locked, since
+  // the directories become writable for those tasks inside the sandbox.
+  'maintenance.databases': { type: 'list', default: [], env: 'MAINTENANCE_DATABASES', locked: true },
+  'maintenance.pruneTables': { type: 'list', default: [], env: 'MAINTENANCE_PRUNE_TABLES', locked: true },
+  'maintenance.pruneDays': { type: 'integer', min: 1, default: 30 },
+  'maintenance.logDir': { type: 'string', default: 'logs', env: 'MAINTENANCE_LOG_DIR', locked: true },
+  'maintenance.logKeep': { type: 'integer', min: 1, max: 100, default: 5 },
+  'maintenance.backupDir': { type: 'string', default: 'backups', env: 'MAINTENANCE_BACKUP_DIR' },
+  'maintenance.backupManifest': { type: 'string', default: 'SHA256SUMS' },
+  'maintenance.reportDir': { type: 'string', default: 'reports', env: 'MAINTENANCE_REPORT_DIR', locked: true },
+  'maintenance.summaryDays': { type: 'integer', min: 1, max: 366, default: 30 },
+
+  // AgentDecisionEngine.permissions (sandbox, locked from the API)
+  'constraints.maxTaskDurationMs': {
+    type: 'integer', min: 1000, default: 3600000, env: 'MAX_TASK_DURATION_MS', locked: true
+  },
+  'constraints.maxMemoryUsageMb': {
+    type: 'integer', min: 16, default: 500, env: 'MAX_MEMORY_USAGE_MB', locked: true
+  },
+  'constraints.allowNetworkAccess': { type: 'boolean', default: false, env: 'ALLOW_NETWORK_ACCESS', locked: true },
+  'constraints.allowConfigModification': {
+    type: 'boolean', default: false, env: 'ALLOW_CONFIG_MODIFICATION', locked: true
+  },
+  // TaskSandbox: run processors in worker threads that enforce the constraints above
+  'constraints.sandbox': { type: 'boolean', default: true, env: 'TASK_SANDBOX', locked: true, restart: true },
+  'constraints.writableDirs': {
+    type: 'list', default: ['sandbox'], env: 'SANDBOX_WRITABLE_DIRS', locked: true, restart: true
+  }
+};
+
+// Checks across keys; each returns an error message or null
+export const CONFIG_RULES = [
+  config => (
+    config['thermal.safeMax'] < config['thermal.warningMax'] &&
+    config['thermal.warningMax'] < config['thermal.critical']
+      ? null
+      : 'thermal thresholds must rise: safeMax < warningMax < critical'
+  ),
+  config => (
+    config['thermal.optimalMin'] <= config['thermal.optimalMax']
+      ? null
+      : 'thermal.optimalMin must not exceed thermal.optimalMax'
+  ),
+  config => (
+    config['abort.thermalAlertThreshold'] < config['abort.thermalAbortThreshold']
+      ? null
+      : 'abort.thermalAlertThreshold must be below abort.thermalAbortThreshold'
+  ),
+  config => (
+    config['feedback.demoteAfter'] <= config['feedback.suppressAfter']
+      ? null
+      : 'feedback.demoteAfter must not exceed feedback.suppressAfter'
+  ),
+  config => {
+    const invalid = config['maintenance.pruneTables'].filter(rule => !/^[A-Za-z_]\w*\.[A-Za-z_]\w*$/.test(rule));
+    return invalid.length === 0 ? null : `maintenance.pruneTables entries must be table.column: ${invalid.join(', ')}`;
+  },
+  config => (
+    config['schedules.historyDays'] <= config['retention.gridRawDays']
+      ? null
+      : 'schedules.historyDays must not exceed retention.gridRawDays (older grid readings are rolled up)'
+  ),
+  config => (
+    config['carbon.historyDays'] <= config['retention.gridRawDays']
+      ? null
+      : 'carbon.historyDays must not exceed retention.gridRawDays (older grid readings are rolled up)'
+  ),
+  config => (
+    config['retention.dailyDays'] === 0 || config['retention.dailyDays'] > config['retention.hourlyDays']
+      ? null
+      : 'retention.dailyDays must be 0 (keep forever) or longer than retention.hourlyDays'
+  )
+];
+
+// scheduler.cpuThreshold → ECO_SCHEDULER_CPU_THRESHOLD
+export function envName(key) {
+  const field = CONFIG_SCHEMA[key];
+  if (field?.env) return field.env;
+  return 'ECO_' + key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace('.', '_')
+    .toUpperCase();
+}
+
+/**
+ * Parse a string (env var, .env file, configuration table) into the key's type
+ * Returns the string unchanged when it cannot be parsed; validation reports it
+ */
+export function coerceValue(key, raw) {
+  const field = CONFIG_SCHEMA[key];
+  if (typeof raw !== 'string' || !field) return raw;
+  const text = raw.trim();
+
+  switch (field.type) {
+    case 'integer':
+    case 'number':
+      return text !== '' && !isNaN(Number(text)) ? Number(text) : raw;
+    case 'boolean':
+      if (['true', '1', 'yes', 'on'].includes(text.toLowerCase())) return true;
+      if (['false', '0', 'no', 'off'].includes(text.toLowerCase())) return false;
+      return raw;
+    case 'list':
+      return text === '' ? [] : text.split(',').map(item => item.trim()).filter(Boolean);
+    case 'hours':
+      return text === '' ? [] : text.split(',').map(item => Number(item.trim()));
+    default:
+      return text;
+  }
+}
+
+/**
+ * Validate one value against its schema field
+ * Returns an error message or null
+ */
+export function validateValue(key, value) {
+  const field = CONFIG_SCHEMA[key];
+  if (!field) return `unknown setting '${key}'`;
+
+  switch (field.type) {
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${key} must be a number`;
+      if (field.type === 'integer' && !Number.isInteger(value)) return `${key} must be an integer`;
+      if (field.min !== undefined && value < field.min) return `${key} must be >= ${field.min}`;
+      if (field.max !== undefined && value > field.max) return `${key} must be <= ${field.max}`;
+      return null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'string':
+      return typeof value === 'string' && value !== '' ? null : `${key} must be a non-empty string`;
+    case 'enum':
+      return field.values.includes(value) ? null : `${key} must be one of: ${field.values.join(', ')}`;
+    case 'list':
+      return Array.isArray(value) && value.every(item => typeof item === 'string')
+        ? null
+        : `${key} must be a list of strings`;
+    case 'hours':
+      return Array.isArray(value) && value.every(hour => Number.isInteger(hour) && hour >= 0 && hour <= 23)
+        ? null
+        : `${key} must be a list of hours (0-23)`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a full flat config ({ 'section.name': value })
+ * Returns a list of error messages (empty when valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+  for (const key of Object.keys(CONFIG_SCHEMA)) {
+    const error = validateValue(key, config[key]);
+    if (error) errors.push(error);
+  }
+  if (errors.length === 0) {
+    for (const rule of CONFIG_RULES) {
+      const error = rule(config);
+      if (error) errors.push(error);
+    }
+  }
+  return errors;
+}
+
+export default CONFIG_SCHEMA;
@@ -0,0 +1,252 @@
+/**
+ * Carbon Accounting
+ *
+ * Turns every executed run into a carbon_impact row:
+ * - energy_used_wh from the run's measured duration and power
+ * - carbon_emitted_kg at the grid carbon intensity when the run finished
+ *   (RenewableEnergyModule.getGridCarbonIntensity)
+ * - carbon_avoided_kg against the worst slot the task was allowed to run in:
+ *   the dirtiest hour of day (average over the last historyDays of
+ *   grid_metrics) between submission and its latest allowed start
+ *
+ * Rollups sum those rows per task name, user or period (see /api/carbon).
+ */
+
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+
+const logger = pino();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long each urgency may wait without an SLA (README "Urgency Levels"), indexed by tasks.priority
+const MAX_WAIT_HOURS_BY_PRIORITY = [168, 48, 24, 0.5];
+
+export const CARBON_GROUPS = ['task', 'user', 'day', 'week', 'month'];
+
+// Rollup key per group: tasks row (t) joined to carbon_impact (c)
+const GROUP_KEYS = {
+  task: 't.name',
+  user: "COALESCE(t.user_id, 'default')",
+  day: "strftime('%Y-%m-%d', c.executed_at)",
+  week: "strftime('%Y-W%W', c.executed_at)",
+  month: "strftime('%Y-%m', c.executed_at)"
+};
+
+const TOTALS = `COUNT(*) AS runs,
+  SUM(c.energy_used_wh) AS energyWh,
+  SUM(c.carbon_emitted_kg) AS carbonEmittedKg,
+  SUM(c.carbon_avoided_kg) AS carbonAvoidedKg,
+  AVG(c.grid_carbon_intensity) AS avgCarbonIntensity,
+  AVG(c.renewable_percent) AS avgRenewablePercent`;
+
+export class CarbonAccounting {
+  constructor(sharedMemory, renewableModule) {
+    this.memory = sharedMemory;
+    this.renewable = renewableModule;
+
+    // Overwritten by configure() from the carbon.* config section
+    this.settings = {
+      historyDays: 14
+    };
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  /**
+   * Account for one finished run (failed runs used energy too)
+   * run = { durationMs, powerWatts }. Returns the stored row's values, or
+   * null when the run's power is unknown
+   */
+  async recordRun(taskId, { durationMs, powerWatts }) {
+    if (typeof powerWatts !== 'number' || !durationMs) return null;
+
+    try {
+      const task = await this.memory.get('SELECT * FROM tasks WHERE id = ?', [taskId]);
+      const grid = await this.renewable.getGridCarbonIntensity();
+      const renewableStatus = await this.renewable.getRenewableStatus();
+
+      const energyWh = powerWatts * durationMs / HOUR_MS;
+      const worstIntensity = Math.max(grid.carbonIntensity, await this.worstIntensity(task));
+      const impact = {
+        energyWh,
+        carbonIntensity: grid.carbonIntensity,
+        worstCarbonIntensity: worstIntensity,
+        renewablePercent: renewableStatus.renewablePercent,
+        // kg CO2/MWh × MWh
+        carbonEmittedKg: grid.carbonIntensity * energyWh / 1e6,
+        carbonAvoidedKg: (worstIntensity - grid.carbonIntensity) * energyWh / 1e6,
+        executedAt: new Date().toISOString()
+      };
+
+      await this.memory.transaction(async (db) => {
+        await db.run(
+          `INSERT INTO carbon_impact
+           (id, task_id, grid_carbon_intensity, worst_carbon_intensity, renewable_percent,
+            energy_used_wh, carbon_emitted_kg, carbon_avoided_kg, executed_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            uuidv4(),
+            taskId,
+            Math.round(impact.carbonIntensity),
+            impact.worstCarbonIntensity,
+            Math.round(impact.renewablePercent),
+            impact.energyWh,
+            impact.carbonEmittedKg,
+            impact.carbonAvoidedKg,
+            impact.executedAt
+          ]
+        );
+        // TaskLearning stores these too, but only while learning is enabled
+        await db.run(
+          `UPDATE tasks SET actual_power_cost = COALESCE(actual_power_cost, ?),
+             executed_duration_ms = COALESCE(executed_duration_ms, ?) WHERE id = ?`,
+          [powerWatts, durationMs, taskId]
+        );
+      });
+
+      logger.info(`🌍 ${task?.name ?? taskId}: ${impact.energyWh.toPrecision(3)}Wh, ` +
+        `${(impact.carbonEmittedKg * 1000).toPrecision(3)}g CO2 (${(impact.carbonAvoidedKg * 1000).toPrecision(3)}g avoided)`);
+      return impact;
+    } catch (error) {
+      logger.warn(`Failed to record carbon impact of ${taskId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Predicted emissions of a run at the current grid carbon intensity:
+   * watts × expected duration, or else the average energy of the task name's
+   * accounted runs. Returns { kg, energyWh, carbonIntensity, basis } where
+   * basis is 'estimate', 'history' or 'none' (nothing to go on: 0 kg)
+   */
+  async predict(taskName, { watts, durationSeconds = null }) {
+    const grid = await this.renewable.getGridCarbonIntensity();
+
+    let energyWh = null;
+    let basis = 'none';
+    if (durationSeconds && watts) {
+      energyWh = watts * durationSeconds / 3600;
+      basis = 'estimate';
+    } else {
+      const past = await this.memory.get(
+        `SELECT AVG(c.energy_used_wh) AS energyWh, COUNT(*) AS runs
+         FROM carbon_impact c JOIN tasks t ON t.id = c.task_id WHERE t.name = ?`,
+        [taskName]
+      );
+      if (past?.runs > 0) {
+        energyWh = past.energyWh;
+        basis = 'history';
+      }
+    }
+
+    return {
+      kg: (energyWh ?? 0) * grid.carbonIntensity / 1e6,
+      energyWh,
+      carbonIntensity: grid.carbonIntensity,
+      basis
+    };
+  }
+
+  /**
+   * Highest average carbon intensity of any hour of day in the task's allowed
+   * window: submission until its SLA latest start, or until its urgency's
+   * maximum wait. 0 without grid history for those hours
+   */
+  async worstIntensity(task) {
+    if (!task) return 0;
+
+    const from = new Date(`${task.created_at.replace(' ', 'T')}Z`);
+    const until = task.start_by
+      ? new Date(task.start_by)
+      : new Date(from.getTime() + (MAX_WAIT_HOURS_BY_PRIORITY[task.priority] ?? 48) * HOUR_MS);
+
+    const profile = await this.renewable.getHourlyCarbonProfile(this.settings.historyDays);
+    const hours = new Set();
+    for (let time = from.getTime(); time <= until.getTime() && hours.size < 24; time += HOUR_MS) {
+      hours.add(new Date(time).getHours());
+    }
+    hours.add(until.getHours());
+
+    return Math.max(0, ...[...hours].map(hour => profile[hour]?.carbonIntensity ?? 0));
+  }
+
+  /**
+   * Every accounted run of one task and their sum
+   */
+  async taskImpact(taskId) {
+    const runs = await this.memory.all(
+      'SELECT * FROM carbon_impact WHERE task_id = ? ORDER BY executed_at',
+      [taskId]
+    );
+    const total = await this.memory.get(
+      `SELECT ${TOTALS} FROM carbon_impact c WHERE c.task_id = ?`,
+      [taskId]
+    );
+    return { runs: runs.map(serializeImpact), total: serializeTotals(total) };
+  }
+
+  /**
+   * Sums per task name, user ('default' when a task had none) or period
+   * (UTC day, week, month), newest/largest first, plus the overall total.
+   * from / to bound executed_at (ISO dates)
+   */
+  async rollup({ groupBy = 'day', from = null, to = null, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (from) {
+      where.push('c.executed_at >= ?');
+      params.push(new Date(from).toISOString());
+    }
+    if (to) {
+      where.push('c.executed_at < ?');
+      params.push(new Date(to).toISOString());
+    }
+    const filter = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const join = 'FROM carbon_impact c LEFT JOIN tasks t ON t.id = c.task_id';
+    const order = ['task', 'user'].includes(groupBy) ? 'carbonEmittedKg DESC' : 'groupKey DESC';
+
+    const groups = await this.memory.all(
+      `SELECT ${GROUP_KEYS[groupBy]} AS groupKey, ${TOTALS} ${join} ${filter}
+       GROUP BY groupKey ORDER BY ${order} LIMIT ?`,
+      [...params, limit]
+    );
+    const total = await this.memory.get(`SELECT ${TOTALS} ${join} ${filter}`, params);
+
+    return {
+      groupBy,
+      from,
+      to,
+      total: serializeTotals(total),
+      groups: groups.map(({ groupKey, ...row }) => ({ key: groupKey, ...serializeTotals(row) }))
+    };
+  }
+}
+
+export function serializeImpact(row) {
+  return {
+    executedAt: row.executed_at,
+    energyWh: row.energy_used_wh,
+    carbonIntensity: row.grid_carbon_intensity,
+    worstCarbonIntensity: row.worst_carbon_intensity,
+    renewablePercent: row.renewable_percent,
+    carbonEmittedKg: row.carbon_emitted_kg,
+    carbonAvoidedKg: row.carbon_avoided_kg,
+    peerId: row.executed_peer_id || null
+  };
+}
+
+function serializeTotals(row) {
+  return {
+    runs: row?.runs ?? 0,
+    energyWh: row?.energyWh ?? 0,
+    carbonEmittedKg: row?.carbonEmittedKg ?? 0,
+    carbonAvoidedKg: row?.carbonAvoidedKg ?? 0,
+    avgCarbonIntensity: row?.avgCarbonIntensity ?? null,
+    avgRenewablePercent: row?.avgRenewablePercent ?? null
+  };
+}
+
+export default CarbonAccounting;
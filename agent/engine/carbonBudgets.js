@@ -0,0 +1,297 @@
+/**
+ * Carbon Budgets
+ *
+ * Caps how much CO2 background work may emit, in kg per day, week or month
+ * (UTC periods, as in the /api/carbon rollups):
+ *   agent   carbon.budgetKg per carbon.budgetPeriod, covering every run
+ *   user    user_preferences.carbon_budget_kg per carbon_budget_period,
+ *           covering runs submitted with that taskData.userId
+ *
+ * Spent is what CarbonAccounting recorded in the current period. Admission
+ * adds the run's predicted emissions to it:
+ *   low / normal   wait for the next period once a budget would pass
+ *                  budgetNearlySpentPercent of its limit
+ *   high           wait once a budget would pass its limit
+ *   critical       may overdraw; every overdraw is audited
+ *
+ * Budget changes and overdraws go to execution_history (task_id
+ * 'budget:agent' or 'budget:user:<id>', BUDGET_* decisions).
+ *
+ * Emits 'change' { scope, userId, action, limitKg, period, actor, reason }
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+
+const logger = pino();
+
+export const BUDGET_PERIODS = ['day', 'week', 'month'];
+
+export class BudgetError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'BudgetError';
+    this.code = code; // BUDGET_NOT_FOUND | BUDGET_INVALID
+  }
+}
+
+// Urgencies that wait once a budget is nearly spent, rather than only once it would be exceeded
+const WAIT_WHEN_NEARLY_SPENT = ['low', 'normal'];
+
+export class CarbonBudgets extends EventEmitter {
+  constructor(sharedMemory, carbonAccounting) {
+    super();
+    this.memory = sharedMemory;
+    this.carbon = carbonAccounting;
+
+    // Overwritten by configure() from the carbon.* config section
+    this.settings = {
+      budgetKg: 0, // agent budget; 0 = none
+      budgetPeriod: 'day',
+      budgetNearlySpentPercent: 90
+    };
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  /**
+   * Current period of a budget: { start, end } (UTC day, Monday-based week, month)
+   */
+  periodBounds(period, now = new Date()) {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const end = new Date(start);
+
+    if (period === 'week') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      end.setTime(start.getTime());
+      end.setUTCDate(end.getUTCDate() + 7);
+    } else if (period === 'month') {
+      start.setUTCDate(1);
+      end.setTime(start.getTime());
+      end.setUTCMonth(end.getUTCMonth() + 1);
+    } else {
+      end.setUTCDate(end.getUTCDate() + 1);
+    }
+    return { start, end };
+  }
+
+  // kg CO2 accounted since the start of the period, for one user or the whole agent
+  async spent(period, userId = null) {
+    const { start } = this.periodBounds(period);
+    const row = await this.memory.get(
+      `SELECT COALESCE(SUM(c.carbon_emitted_kg), 0) AS kg
+       FROM carbon_impact c LEFT JOIN tasks t ON t.id = c.task_id
+       WHERE c.executed_at >= ? ${userId ? "AND COALESCE(t.user_id, 'default') = ?" : ''}`,
+      userId ? [start.toISOString(), userId] : [start.toISOString()]
+    );
+    return row.kg;
+  }
+
+  // Budgets a run of this user counts against: the agent's and the user's own
+  async budgetsFor(userId = null) {
+    const budgets = [];
+    if (this.settings.budgetKg > 0) {
+      budgets.push({ scope: 'agent', userId: null, limitKg: this.settings.budgetKg, period: this.settings.budgetPeriod });
+    }
+    if (userId) {
+      const row = await this.memory.get(
+        `SELECT * FROM user_preferences WHERE user_id = ? AND carbon_budget_kg IS NOT NULL`,
+        [userId]
+      );
+      if (row) budgets.push(userBudget(row));
+    }
+    return budgets;
+  }
+
+  // A budget with what its current period has spent
+  async describe(budget) {
+    const spentKg = await this.spent(budget.period, budget.userId);
+    const { start, end } = this.periodBounds(budget.period);
+    return {
+      ...budget,
+      spentKg,
+      remainingKg: budget.limitKg - spentKg,
+      percentUsed: budget.limitKg > 0 ? (spentKg / budget.limitKg) * 100 : null,
+      periodStart: start.toISOString(),
+      resetsAt: end.toISOString()
+    };
+  }
+
+  /**
+   * Every budget and how much of it is spent: { agent, users, nearlySpentPercent }
+   */
+  async status() {
+    const [agent] = await this.budgetsFor(null);
+    const rows = await this.memory.all(
+      'SELECT * FROM user_preferences WHERE carbon_budget_kg IS NOT NULL ORDER BY user_id'
+    );
+
+    const users = [];
+    for (const row of rows) {
+      users.push(await this.describe(userBudget(row)));
+    }
+    return {
+      agent: agent ? await this.describe(agent) : null,
+      users,
+      nearlySpentPercent: this.settings.budgetNearlySpentPercent
+    };
+  }
+
+  /**
+   * Admission of one run against its budgets, with predicted emissions
+   * run = { taskName, userId, urgency, watts, durationSeconds }
+   * Returns null without any budget, otherwise { action: 'allow' | 'defer' |
+   * 'overdraw', predicted, budgets (each with projectedKg), budget (the
+   * binding one), scheduledFor (defer), reason }
+   */
+  async admit({ taskName, userId = null, urgency = 'normal', watts, durationSeconds = null }) {
+    const budgets = await this.budgetsFor(userId);
+    if (budgets.length === 0) return null;
+
+    const predicted = await this.carbon.predict(taskName, { watts, durationSeconds });
+    const nearly = this.settings.budgetNearlySpentPercent / 100;
+    const checked = [];
+    for (const budget of budgets) {
+      const described = await this.describe(budget);
+      checked.push({ ...described, projectedKg: described.spentKg + predicted.kg });
+    }
+
+    const over = checked.find(budget => budget.projectedKg > budget.limitKg);
+    const nearlySpent = checked.find(budget => budget.projectedKg > budget.limitKg * nearly);
+
+    if (urgency === 'critical') {
+      return over
+        ? { action: 'overdraw', predicted, budgets: checked, budget: over, reason: `Overdraws ${label(over)}` }
+        : { action: 'allow', predicted, budgets: checked, budget: null, reason: 'Within carbon budget' };
+    }
+
+    const binding = WAIT_WHEN_NEARLY_SPENT.includes(urgency) ? nearlySpent : over;
+    if (binding) {
+      return {
+        action: 'defer',
+        predicted,
+        budgets: checked,
+        budget: binding,
+        scheduledFor: new Date(binding.resetsAt),
+        reason: binding === over
+          ? `Would exceed ${label(binding)}`
+          : `${label(binding)} nearly spent (${Math.round((binding.projectedKg / binding.limitKg) * 100)}% with this run)`
+      };
+    }
+    return { action: 'allow', predicted, budgets: checked, budget: null, reason: 'Within carbon budget' };
+  }
+
+  /**
+   * Audit a run that goes over a budget (critical, or held to its SLA)
+   */
+  async recordOverdraw(taskId, taskName, admission, reason) {
+    const { budget } = admission;
+    logger.warn(`💨 ${taskName} overdraws ${label(budget)}: ${reason}`, { taskId });
+    await this.record(budget, 'overdrawn', 'agent', reason, {
+      taskId,
+      taskName,
+      limitKg: budget.limitKg,
+      spentKg: budget.spentKg,
+      predictedKg: admission.predicted.kg
+    });
+  }
+
+  /**
+   * Set a user's budget (creates their user_preferences row if needed)
+   */
+  async setUserBudget(userId, { limitKg, period = 'day' }, { actor }) {
+    if (typeof userId !== 'string' || !/^[\w.@-]{1,64}$/.test(userId)) {
+      throw new BudgetError('BUDGET_INVALID', 'userId must be 1-64 letters, digits, ".", "@", "_" or "-"');
+    }
+    if (typeof limitKg !== 'number' || !Number.isFinite(limitKg) || limitKg <= 0) {
+      throw new BudgetError('BUDGET_INVALID', 'limitKg must be a positive number');
+    }
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new BudgetError('BUDGET_INVALID', `period must be one of: ${BUDGET_PERIODS.join(', ')}`);
+    }
+
+    await this.memory.run(
+      `INSERT INTO user_preferences (user_id, carbon_budget_kg, carbon_budget_period) VALUES (?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET carbon_budget_kg = excluded.carbon_budget_kg,
+         carbon_budget_period = excluded.carbon_budget_period, updated_at = CURRENT_TIMESTAMP`,
+      [userId, limitKg, period]
+    );
+    const budget = { scope: 'user', userId, limitKg, period };
+    await this.changed(budget, 'set', actor, `${limitKg} kg CO2 per ${period}`);
+    return await this.describe(budget);
+  }
+
+  async removeUserBudget(userId, { actor, reason = null }) {
+    const row = await this.memory.get(
+      'SELECT * FROM user_preferences WHERE user_id = ? AND carbon_budget_kg IS NOT NULL',
+      [userId]
+    );
+    if (!row) {
+      throw new BudgetError('BUDGET_NOT_FOUND', `User '${userId}' has no carbon budget`);
+    }
+
+    await this.memory.run(
+      `UPDATE user_preferences SET carbon_budget_kg = NULL, carbon_budget_period = NULL,
+         updated_at = CURRENT_TIMESTAMP WHERE user_id = ?`,
+      [userId]
+    );
+    const budget = userBudget(row);
+    await this.changed(budget, 'removed', actor, reason || 'Budget removed');
+    return { ...budget, removed: true };
+  }
+
+  async changed(budget, action, actor, reason) {
+    logger.info(`🌍 ${label(budget)} ${action} by ${actor}: ${reason}`);
+    await this.record(budget, action, actor, reason, { limitKg: budget.limitKg, period: budget.period });
+  }
+
+  async record(budget, action, actor, reason, details) {
+    this.emit('change', {
+      scope: budget.scope,
+      userId: budget.userId,
+      action,
+      limitKg: budget.limitKg,
+      period: budget.period,
+      actor,
+      reason,
+      taskId: details.taskId
+    });
+
+    try {
+      await this.memory.run(
+        `INSERT INTO execution_history (id, task_id, decision, reasoning, system_state)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          budget.scope === 'agent' ? 'budget:agent' : `budget:user:${budget.userId}`,
+          `BUDGET_${action.toUpperCase()}`,
+          reason,
+          JSON.stringify({ ...details, actor })
+        ]
+      );
+    } catch (error) {
+      logger.error(`Failed to record budget change: ${error.message}`);
+    }
+  }
+}
+
+function userBudget(row) {
+  return {
+    scope: 'user',
+    userId: row.user_id,
+    limitKg: row.carbon_budget_kg,
+    period: row.carbon_budget_period || 'day'
+  };
+}
+
+const PERIOD_ADJECTIVES = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+function label(budget) {
+  const owner = budget.scope === 'agent' ? "the agent's" : `${budget.userId}'s`;
+  return `${owner} ${PERIOD_ADJECTIVES[budget.period]} carbon budget`;
+}
+
+export default CarbonBudgets;
@@ -1,23 +1,21 @@
 import pino from 'pino';
 import { v4 as uuidv4 } from 'uuid';
+import { EnergySLA } from '../scheduler/energySla.js';
 
 const logger = pino();
 
 export class AgentDecisionEngine {
-  constructor(sharedMemory, scheduler) {
+  constructor(sharedMemory, scheduler, learning = null, policy = null, adjustments = null, budgets = null) {
     this.memory = sharedMemory;
     this.scheduler = scheduler;
+    this.learning = learning; // TaskLearning: learned estimates replace baseCosts
+    this.policy = policy; // PolicyEngine: capacity, urgency and user rules
+    this.adjustments = adjustments; // FeedbackAdjustments: demote/suppress/throttle from feedback
+    this.budgets = budgets; // CarbonBudgets: agent and per-user kg CO2 per period
     
     // Task whitelist: only these can be executed
-    this.allowedTasks = new Set([
-      'database-cleanup',
-      'index-optimization',
-      'cache-warming',
-      'log-rotation',
-      'metrics-aggregation',
-      'backup-verification',
-      'report-generation'
-    ]);
+    // Mirrors the approved rows of TaskWhitelist (engine/taskWhitelist.js)
+    this.allowedTasks = new Set();
 
     // Permission constraints
     this.permissions = {
@@ -27,14 +25,23 @@ export class AgentDecisionEngine {
       canModifyConfig: false,
       canAccessNetwork: false,
       maxTaskDuration: 3600000, // 1 hour
-      maxMemoryUsage: 500 // MB
+      maxMemoryUsage: 500, // MB
+      writableDirs: [] // absolute; the first is the task working directory
     };
+
+    // taskName → { writableDirs, settings }: a task's own targets (maintenance.* config)
+    this.taskTargets = {};
   }
 
   // Main decision logic: should this task execute?
+  // Whitelist first (locked), then the active policy decides allow/deny/defer.
+  // Every outcome is recorded with its steps (see recordDecision).
   async makeDecision(taskId, taskName, taskData) {
     const decisionId = uuidv4();
-    const reasoning = [];
+    const steps = [];
+    const step = (check, outcome, message, { inputs = {}, threshold = null, ...extra } = {}) => {
+      steps.push({ check, outcome, message, inputs, threshold, ...extra });
+    };
 
     try {
       // 1. Check whitelist
@@ -43,65 +50,272 @@ export class AgentDecisionEngine {
           allowed: false,
           reason: 'Task not in execution whitelist'
         };
-        reasoning.push('❌ Not whitelisted');
-        await this.recordDecision(decisionId, taskId, 'DENIED', reasoning, decision);
+        step('whitelist', 'fail', '❌ Not whitelisted', { inputs: { taskName } });
+        await this.recordDecision(decisionId, taskId, 'DENIED', steps, decision, [{
+          condition: 'whitelist',
+          text: `would run once '${taskName}' is approved (iospc-agent whitelist approve ${taskName})`,
+          stillBlockedBy: null
+        }]);
         return decision;
       }
-      reasoning.push('✓ Whitelisted');
+      step('whitelist', 'pass', '✓ Whitelisted', { inputs: { taskName } });
 
       // 2. Check feedback history for similar tasks
       const similarFeedback = await this.getSimilarTaskFeedback(taskName);
       if (similarFeedback && similarFeedback.necessaryCount < similarFeedback.avoidableCount) {
-        reasoning.push(`⚠ User marked similar tasks as avoidable (${similarFeedback.avoidableCount}x)`);
+        step('feedback', 'warn', `⚠ User marked similar tasks as avoidable (${similarFeedback.avoidableCount}x)`, {
+          inputs: similarFeedback
+        });
       } else if (similarFeedback && similarFeedback.necessaryCount > 0) {
-        reasoning.push(`✓ User confirmed similar tasks necessary (${similarFeedback.necessaryCount}x)`);
+        step('feedback', 'pass', `✓ User confirmed similar tasks necessary (${similarFeedback.necessaryCount}x)`, {
+          inputs: similarFeedback
+        });
       }
 
-      // 3. Check system capacity
-      const canExecute = await this.scheduler.canExecuteTask();
-      if (!canExecute) {
-        reasoning.push('⏱ Deferring: system load too high - scheduling for off-peak');
-        const optimalTime = await this.scheduler.findOptimalWindow('normal');
-        return {
-          allowed: true,
-          deferred: true,
-          scheduledFor: optimalTime,
-          reason: 'System capacity constraint - optimal window identified'
+      // 2b. What that feedback has changed (reversible through /api/adjustments)
+      let urgency = taskData.urgency || 'normal';
+      const adjustments = this.adjustments ? await this.adjustments.refresh(taskName) : {};
+      const revertHint = adjustment => ({
+        condition: 'adjustment',
+        text: `would run once adjustment #${adjustment.id} is reverted (iospc-agent adjustments revert ${adjustment.id})`,
+        stillBlockedBy: null
+      });
+      const adjustmentStep = (adjustment, outcome, message) => step('feedback-adjustment', outcome, message, {
+        inputs: { adjustmentId: adjustment.id, ...adjustment.evidence },
+        threshold: adjustment.setting
+      });
+
+      if (adjustments.suppress?.status === 'active') {
+        const decision = {
+          allowed: false,
+          reason: `Suppressed after feedback (adjustment #${adjustments.suppress.id})`,
+          adjustmentId: adjustments.suppress.id
         };
+        adjustmentStep(adjustments.suppress, 'suppressed', `❌ ${decision.reason}`);
+        await this.recordDecision(decisionId, taskId, 'DENIED', steps, decision, [revertHint(adjustments.suppress)]);
+        return decision;
+      }
+      if (adjustments.suppress?.status === 'proposed') {
+        adjustmentStep(adjustments.suppress, 'proposed',
+          `💡 Suppression proposed (adjustment #${adjustments.suppress.id}) - accept or reject it`);
+      }
+      if (adjustments.demote && urgency !== 'critical' && urgency !== 'low') {
+        adjustmentStep(adjustments.demote, 'demoted', `⬇ Demoted to low urgency (adjustment #${adjustments.demote.id})`);
+        urgency = 'low';
+      }
+
+      // SLA class / deadline (tasks row): deferrals are held to the latest start,
+      // and once it is reached the task runs instead of waiting any longer
+      const sla = taskData.sla || null;
+      const startBy = sla?.startBy ? new Date(sla.startBy) : null;
+      let forced = false;
+      const holdToSla = (deferral) => {
+        if (!startBy) return deferral;
+
+        const held = EnergySLA.holdDeferral(deferral.scheduledFor, startBy);
+        const slaStep = (outcome, message) => step('sla', outcome, message, {
+          inputs: { slaClass: sla.slaClass, deadline: sla.deadline, scheduledFor: new Date(deferral.scheduledFor).toISOString() },
+          threshold: { startBy: startBy.toISOString() }
+        });
+        if (held.outcome === 'within') {
+          slaStep('pass', `✓ Deferral ends before the latest start (${startBy.toISOString()})`);
+          return deferral;
+        }
+        if (held.outcome === 'clamped') {
+          slaStep('clamped', `⏰ Deferral shortened to the latest start (${startBy.toISOString()})`);
+          return { ...deferral, scheduledFor: held.scheduledFor, reason: `${deferral.reason} - until the latest start` };
+        }
+        slaStep('forced', `⏰ Latest start reached (${startBy.toISOString()}) - running instead of waiting`);
+        forced = true;
+        return null;
+      };
+
+      if (adjustments.throttle) {
+        const throttled = await this.throttle(taskId, taskName, adjustments.throttle);
+        if (throttled) {
+          adjustmentStep(adjustments.throttle, throttled.batchedInto ? 'batched' : 'deferred', `⏱ ${throttled.reason}`);
+          const held = throttled.batchedInto ? throttled : holdToSla(throttled);
+          if (held) {
+            const decision = { ...held, urgency };
+            await this.recordDecision(decisionId, taskId, held.batchedInto ? 'BATCHED' : 'DEFERRED', steps, decision,
+              [revertHint(adjustments.throttle)]);
+            return decision;
+          }
+        }
       }
-      reasoning.push('✓ System has capacity');
 
-      // 4. Estimate power cost
+      // 3. Estimate power cost
       const estimatedCost = this.estimatePowerCost(taskName, taskData);
-      reasoning.push(`⚡ Estimated cost: ${estimatedCost}W`);
-
-      // 5. Check urgency
-      const urgency = taskData.urgency || 'normal';
-      const isOffPeak = this.scheduler.isOffPeak();
-      
-      if (!isOffPeak && urgency === 'low') {
-        reasoning.push('📅 Low urgency + peak hours - deferring');
-        const optimalTime = await this.scheduler.findOptimalWindow('low');
-        return {
+      const learned = taskData.estimatedPowerWatts ? null : this.learning?.estimate(taskName, taskData.dataSize);
+      step('power-estimate', 'info', learned?.powerWatts != null
+        ? `⚡ Estimated cost: ${estimatedCost}W (learned from ${learned.samples} runs)`
+        : `⚡ Estimated cost: ${estimatedCost}W`, {
+        inputs: {
+          dataSize: taskData.dataSize ?? null,
+          explicitWatts: taskData.estimatedPowerWatts ?? null,
+          learnedSamples: learned?.powerWatts != null ? learned.samples : null
+        },
+        value: estimatedCost
+      });
+
+      // 3b. solar_only / wind_only: run only while that source is generating,
+      // even past the latest start (warned about instead)
+      const source = sla && EnergySLA.generationSource(sla.slaClass);
+      if (source) {
+        const renewable = this.scheduler.renewableModule;
+        const generation = await renewable.getGenerationStatus(source);
+        const slaInputs = { slaClass: sla.slaClass, percent: generation.percent };
+        const threshold = { minGenerationPercent: renewable.config.minGenerationPercent };
+
+        if (!generation.generating) {
+          const next = renewable.nextGenerationCheck(source) || new Date(Date.now() + 3600000);
+          const atRisk = startBy && next > startBy;
+          const decision = {
+            allowed: true,
+            deferred: true,
+            scheduledFor: next,
+            urgency,
+            reason: `Waiting for ${source} generation: ${generation.reason}`
+          };
+          if (atRisk) {
+            decision.slaWarning = `No ${source} generation expected before the latest start (${startBy.toISOString()})`;
+          }
+          step('sla', atRisk ? 'at-risk' : 'waiting', `${atRisk ? '⚠' : '⏱'} ${decision.reason}`, {
+            inputs: slaInputs,
+            threshold
+          });
+          await this.recordDecision(decisionId, taskId, 'DEFERRED', steps, decision, [{
+            condition: 'sla',
+            text: `would run once ${source} is at least ${threshold.minGenerationPercent}% of the grid mix`,
+            stillBlockedBy: null
+          }]);
+          return decision;
+        }
+        step('sla', 'pass', `✓ ${generation.reason}`, { inputs: slaInputs, threshold });
+      }
+
+      // 4. Policy rules: capacity, urgency, time windows, grid, temperature, user
+      const verdict = await this.policy.evaluate({
+        taskName,
+        urgency,
+        userId: taskData.userId,
+        watts: estimatedCost
+      });
+      const policyLabel = verdict.ruleId
+        ? `policy v${verdict.policyVersion} rule '${verdict.ruleId}'`
+        : `policy v${verdict.policyVersion} default`;
+
+      for (const rule of verdict.trace) {
+        step('policy-rule', rule.matched ? 'match' : 'no-match',
+          `${rule.matched ? '●' : '○'} Rule '${rule.ruleId}' (${rule.action}) ${rule.matched ? 'matched' : 'did not match'}`, {
+            rule: rule.ruleId,
+            action: rule.action,
+            inputs: Object.fromEntries(rule.conditions.map(({ fact, value }) => [fact, value])),
+            threshold: Object.fromEntries(rule.conditions.map(({ condition, expected }) => [condition, expected])),
+            conditions: rule.conditions
+          });
+      }
+      if (verdict.urgency !== urgency) {
+        step('urgency', 'lowered', `⬇ Urgency lowered to ${verdict.urgency}`, {
+          inputs: { urgency },
+          value: verdict.urgency
+        });
+      }
+
+      const policyStep = (outcome, message) => step('policy', outcome, message, {
+        inputs: { policyVersion: verdict.policyVersion, ruleId: verdict.ruleId },
+        threshold: null
+      });
+
+      if (verdict.action === 'deny') {
+        const decision = {
+          allowed: false,
+          reason: verdict.reason,
+          policyRule: verdict.ruleId
+        };
+        policyStep('deny', `❌ Denied by ${policyLabel}: ${verdict.reason}`);
+        await this.recordDecision(decisionId, taskId, 'DENIED', steps, decision, verdict.hints);
+        return decision;
+      }
+
+      if (verdict.action === 'defer') {
+        policyStep('defer', `⏱ Deferred by ${policyLabel}: ${verdict.reason}`);
+        const decision = holdToSla({
           allowed: true,
           deferred: true,
-          scheduledFor: optimalTime,
-          reason: 'Low priority - deferred to optimal window'
-        };
+          scheduledFor: verdict.scheduledFor,
+          urgency: verdict.urgency,
+          policyRule: verdict.ruleId,
+          reason: verdict.reason
+        });
+        if (decision) {
+          await this.recordDecision(decisionId, taskId, 'DEFERRED', steps, decision, verdict.hints);
+          return decision;
+        }
+      } else {
+        policyStep('allow', `✓ Allowed by ${policyLabel}`);
       }
 
-      reasoning.push('✓ Urgency acceptable');
+      // 4b. Carbon budgets: predicted emissions against what this period has left
+      const admission = this.budgets && await this.budgets.admit({
+        taskName,
+        userId: taskData.userId,
+        urgency: verdict.urgency,
+        watts: estimatedCost,
+        durationSeconds: taskData.estimatedDurationSeconds || learned?.durationSeconds
+      });
+      if (admission) {
+        const budgetStep = (outcome, message) => step('carbon-budget', outcome, message, {
+          inputs: { predictedKg: admission.predicted.kg, basis: admission.predicted.basis, urgency: verdict.urgency },
+          threshold: Object.fromEntries(admission.budgets.map(budget => [
+            budget.scope === 'agent' ? 'agent' : `user:${budget.userId}`,
+            { limitKg: budget.limitKg, spentKg: budget.spentKg, period: budget.period }
+          ]))
+        });
+        const overdrawn = admission.budgets.find(budget => budget.projectedKg > budget.limitKg);
 
-      // 6. Final approval
+        if (admission.action === 'defer') {
+          budgetStep('defer', `⏱ ${admission.reason}`);
+          const decision = holdToSla({
+            allowed: true,
+            deferred: true,
+            scheduledFor: admission.scheduledFor,
+            urgency: verdict.urgency,
+            policyRule: verdict.ruleId,
+            reason: admission.reason
+          });
+          if (decision) {
+            await this.recordDecision(decisionId, taskId, 'DEFERRED', steps, decision, [{
+              condition: 'carbon-budget',
+              text: `would run once the ${admission.budget.period} budget resets (${admission.budget.resetsAt}), or if submitted as critical`,
+              stillBlockedBy: null
+            }]);
+            return decision;
+          }
+          if (overdrawn) {
+            await this.budgets.recordOverdraw(taskId, taskName,
+              { ...admission, budget: overdrawn }, `Latest start reached (${startBy.toISOString()})`);
+          }
+        } else if (admission.action === 'overdraw') {
+          budgetStep('overdraw', `⚠ ${admission.reason} - critical`);
+          await this.budgets.recordOverdraw(taskId, taskName, admission, 'Critical urgency');
+        } else {
+          budgetStep('pass', `✓ ${admission.reason}`);
+        }
+      }
+
+      // 5. Final approval
       const decision = {
         allowed: true,
         deferred: false,
         estimatedPowerCost: estimatedCost,
-        reason: 'All checks passed'
+        urgency: verdict.urgency,
+        policyRule: verdict.ruleId,
+        reason: forced ? `Latest start reached (${startBy.toISOString()})` : 'All checks passed'
       };
 
-      reasoning.push('✅ APPROVED FOR EXECUTION');
-      await this.recordDecision(decisionId, taskId, 'APPROVED', reasoning, decision);
+      step('approval', 'pass', '✅ APPROVED FOR EXECUTION');
+      await this.recordDecision(decisionId, taskId, 'APPROVED', steps, decision);
 
       return decision;
 
@@ -114,6 +328,36 @@ export class AgentDecisionEngine {
     }
   }
 
+  /**
+   * Throttled task name: null when it may run now, otherwise a deferral to
+   * the end of its interval, or a batch into a run that is already waiting
+   */
+  async throttle(taskId, taskName, adjustment) {
+    const lastRun = await this.adjustments.lastRunAt(taskName);
+    if (!lastRun) return null;
+
+    const hours = adjustment.setting.minIntervalHours;
+    const next = new Date(lastRun.getTime() + hours * 3600000);
+    if (next <= new Date()) return null;
+
+    const waiting = await this.adjustments.waitingRun(taskName, taskId);
+    if (waiting) {
+      return {
+        allowed: false,
+        batchedInto: waiting.id,
+        adjustmentId: adjustment.id,
+        reason: `Batched into waiting run ${waiting.id} (at most one run per ${hours}h, adjustment #${adjustment.id})`
+      };
+    }
+    return {
+      allowed: true,
+      deferred: true,
+      scheduledFor: next,
+      adjustmentId: adjustment.id,
+      reason: `At most one run per ${hours}h (adjustment #${adjustment.id})`
+    };
+  }
+
   // Get feedback history for similar tasks
   async getSimilarTaskFeedback(taskName) {
     try {
@@ -159,7 +403,14 @@ export class AgentDecisionEngine {
       'report-generation': 60
     };
 
-    let cost = baseCosts[taskName] || 50;
+    // Learned from past runs (already scaled by data size) once there are enough
+    if (!taskData.estimatedPowerWatts) {
+      const learned = this.learning?.estimate(taskName, taskData.dataSize);
+      if (learned?.powerWatts != null) return learned.powerWatts;
+    }
+
+    // Web projects carry their own estimate
+    let cost = taskData.estimatedPowerWatts || baseCosts[taskName] || 50;
 
     // Adjust based on data size
     if (taskData.dataSize) {
@@ -169,19 +420,25 @@ export class AgentDecisionEngine {
     return Math.round(cost);
   }
 
-  // Record decision in memory for audit
-  async recordDecision(decisionId, taskId, decision, reasoning, details) {
+  /**
+   * Record a decision for audit and for GET /api/tasks/:id/decisions
+   * steps: [{ check, outcome, message, inputs, threshold, ... }]; reasoning keeps
+   * the joined messages. hints: what would change a deny/defer (counterfactuals).
+   */
+  async recordDecision(decisionId, taskId, decision, steps, details, hints = []) {
     try {
       await this.memory.run(
         `INSERT INTO execution_history 
-        (id, task_id, decision, reasoning, system_state) 
-        VALUES (?, ?, ?, ?, ?)`,
+        (id, task_id, decision, reasoning, system_state, steps, hints) 
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
         [
           decisionId,
           taskId,
           decision,
-          reasoning.join(' → '),
-          JSON.stringify(details)
+          steps.map(step => step.message).join(' → '),
+          JSON.stringify(details),
+          JSON.stringify(steps),
+          JSON.stringify(hints)
         ]
       );
     } catch (error) {
@@ -189,17 +446,45 @@ export class AgentDecisionEngine {
     }
   }
 
-  // Enforce sandbox constraints on task execution
-  async enforceConstraints(task) {
+  /**
+   * Every decision recorded for a task, oldest first: the decision engine's
+   * own (with steps and hints), SmartIdle's and the thermal pre-flight's
+   */
+  async getDecisionTrace(taskId) {
+    const rows = await this.memory.all(
+      `SELECT * FROM execution_history WHERE task_id = ? ORDER BY datetime(timestamp), rowid`,
+      [taskId]
+    );
+
+    return rows.map(serializeDecision);
+  }
+
+  // Sandbox constraints for task execution (enforced by TaskSandbox)
+  async enforceConstraints(task, taskName = null) {
+    const { canRead, canWrite, canDelete, canModifyConfig, canAccessNetwork } = this.permissions;
+    const operations = {
+      read: canRead,
+      write: canWrite,
+      delete: canDelete,
+      config_modify: canModifyConfig,
+      network: canAccessNetwork,
+      process: false
+    };
+
+    const target = this.taskTargets[taskName] || {};
+
     return {
       timeout: this.permissions.maxTaskDuration,
       memoryLimit: this.permissions.maxMemoryUsage,
-      allowedOperations: ['read', 'write'],
-      blockedOperations: ['delete', 'config_modify', 'network']
+      workDir: this.permissions.writableDirs[0] || null,
+      writableDirs: canWrite ? [...this.permissions.writableDirs, ...(target.writableDirs || [])] : [],
+      settings: target.settings || {},
+      allowedOperations: Object.keys(operations).filter(operation => operations[operation]),
+      blockedOperations: Object.keys(operations).filter(operation => !operations[operation])
     };
   }
 
-  // Add task to whitelist (requires explicit user action)
+  // Add task to whitelist (TaskWhitelist.approve, after explicit user action)
   addToWhitelist(taskName) {
     this.allowedTasks.add(taskName);
     logger.info(`Task added to whitelist: ${taskName}`);
@@ -216,4 +501,18 @@ export class AgentDecisionEngine {
   }
 }
 
+// execution_history row → API shape (also used by the CLI's LocalStore)
+// Rows written before decision steps were stored have steps: null
+export function serializeDecision(row) {
+  return {
+    id: row.id,
+    decision: row.decision,
+    timestamp: row.timestamp,
+    reasoning: row.reasoning,
+    steps: row.steps ? JSON.parse(row.steps) : null,
+    hints: row.hints ? JSON.parse(row.hints) : [],
+    details: row.system_state ? JSON.parse(row.system_state) : null
+  };
+}
+
 export default AgentDecisionEngine;
@@ -0,0 +1,267 @@
+/**
+ * Feedback Adjustments
+ *
+ * Turns user feedback on a task name into changes the decision engine
+ * applies, instead of only noting it in the reasoning:
+ *
+ *   demote     net avoidable (avoidable - necessary) ≥ demoteAfter
+ *              → runs at low urgency (critical submissions are left alone)
+ *   suppress   net avoidable ≥ suppressAfter
+ *              → proposed only; once accepted the task is denied
+ *   throttle   optimizable ≥ throttleAfter (and more than necessary)
+ *              → at most one run per throttleHours; submissions while a
+ *                run is already waiting are batched into it
+ *
+ * Each change is a task_adjustments row (active | proposed | reverted |
+ * rejected | lifted) and an execution_history entry (task_id
+ * 'adjustment:<task>'). A reverted or rejected change only comes back when
+ * enough new feedback arrives after it; an automatic change whose evidence
+ * falls below its threshold again is lifted.
+ *
+ * Emits 'change' { id, taskName, kind, status, actor, reason }
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+
+const logger = pino();
+
+export const ADJUSTMENT_KINDS = ['demote', 'suppress', 'throttle'];
+export const ADJUSTMENT_STATUSES = ['active', 'proposed', 'reverted', 'rejected', 'lifted'];
+
+export class AdjustmentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AdjustmentError';
+    this.code = code; // ADJUSTMENT_NOT_FOUND | ADJUSTMENT_INVALID_STATE
+  }
+}
+
+export class FeedbackAdjustments extends EventEmitter {
+  constructor(sharedMemory) {
+    super();
+    this.memory = sharedMemory;
+
+    // Overwritten by configure() from the feedback.* config section
+    this.settings = {
+      enabled: true,
+      demoteAfter: 3,
+      suppressAfter: 5,
+      throttleAfter: 3,
+      throttleHours: 24
+    };
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  /**
+   * Bring a task name's adjustments in line with its feedback
+   * Returns the open ones: { demote, suppress, throttle } (rows or null)
+   */
+  async refresh(taskName) {
+    const open = await this.getOpen(taskName);
+    if (!this.settings.enabled) return open;
+
+    const { demoteAfter, suppressAfter, throttleAfter, throttleHours } = this.settings;
+    const wanted = {
+      demote: { threshold: demoteAfter, setting: { urgency: 'low' }, status: 'active' },
+      suppress: { threshold: suppressAfter, setting: {}, status: 'proposed' },
+      throttle: { threshold: throttleAfter, setting: { minIntervalHours: throttleHours }, status: 'active' }
+    };
+
+    for (const kind of ADJUSTMENT_KINDS) {
+      const counts = await this.countFeedback(taskName, await this.settledAt(taskName, kind));
+      const score = kind === 'throttle'
+        ? (counts.optimizable > counts.necessary ? counts.optimizable : 0)
+        : counts.avoidable - counts.necessary;
+      const { threshold, setting, status } = wanted[kind];
+
+      if (!open[kind] && score >= threshold) {
+        open[kind] = await this.create(taskName, kind, status, setting, counts, describe(kind, counts, setting));
+      } else if (open[kind] && open[kind].changedBy === 'agent' && score < threshold) {
+        // Automatic change whose evidence no longer holds (e.g. later 'necessary' feedback)
+        await this.transition(open[kind].id, open[kind].status, 'lifted', 'agent', 'Feedback no longer supports it');
+        open[kind] = null;
+      }
+    }
+    return open;
+  }
+
+  async getOpen(taskName) {
+    const rows = await this.memory.all(
+      `SELECT * FROM task_adjustments WHERE task_name = ? AND status IN ('active', 'proposed')`,
+      [taskName]
+    );
+    const open = { demote: null, suppress: null, throttle: null };
+    for (const row of rows) open[row.kind] = serializeAdjustment(row);
+    return open;
+  }
+
+  async get(id) {
+    const row = await this.memory.get('SELECT * FROM task_adjustments WHERE id = ?', [id]);
+    if (!row) {
+      throw new AdjustmentError('ADJUSTMENT_NOT_FOUND', `Adjustment ${id} not found`);
+    }
+    return serializeAdjustment(row);
+  }
+
+  async list({ status = null, taskName = null } = {}) {
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (taskName) {
+      where.push('task_name = ?');
+      params.push(taskName);
+    }
+
+    const rows = await this.memory.all(
+      `SELECT * FROM task_adjustments ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY id DESC`,
+      params
+    );
+    return rows.map(serializeAdjustment);
+  }
+
+  // Undo an active change, or withdraw a proposal
+  async revert(id, { actor, reason = null }) {
+    const adjustment = await this.get(id);
+    if (adjustment.status !== 'active' && adjustment.status !== 'proposed') {
+      throw new AdjustmentError('ADJUSTMENT_INVALID_STATE', `Adjustment ${id} is ${adjustment.status}`);
+    }
+    const to = adjustment.status === 'proposed' ? 'rejected' : 'reverted';
+    return await this.transition(id, adjustment.status, to, actor, reason);
+  }
+
+  // Put a proposed suppression into effect
+  async accept(id, { actor, reason = null }) {
+    return await this.transition(id, 'proposed', 'active', actor, reason);
+  }
+
+  // When the last completed run of a task name started, or null
+  async lastRunAt(taskName) {
+    const row = await this.memory.get(
+      `SELECT MAX(datetime(executed_at)) AS executed_at FROM tasks
+       WHERE name = ? AND status = 'completed' AND executed_at IS NOT NULL`,
+      [taskName]
+    );
+    return row?.executed_at ? new Date(`${row.executed_at.replace(' ', 'T')}Z`) : null;
+  }
+
+  // Another run of the task name already waiting for its turn, or null
+  async waitingRun(taskName, taskId) {
+    return await this.memory.get(
+      `SELECT id, scheduled_for FROM tasks
+       WHERE name = ? AND id != ? AND status IN ('pending', 'deferred')
+       ORDER BY datetime(scheduled_for) LIMIT 1`,
+      [taskName, taskId]
+    );
+  }
+
+  async countFeedback(taskName, since = null) {
+    const rows = await this.memory.all(
+      `SELECT f.feedback_type, COUNT(*) AS count
+       FROM feedback f
+       JOIN tasks t ON f.task_id = t.id
+       WHERE t.name = ? AND (? IS NULL OR datetime(f.timestamp) > datetime(?))
+       GROUP BY f.feedback_type`,
+      [taskName, since, since]
+    );
+    const counts = { necessary: 0, avoidable: 0, optimizable: 0 };
+    for (const row of rows) {
+      if (row.feedback_type in counts) counts[row.feedback_type] = row.count;
+    }
+    return counts;
+  }
+
+  // Only feedback after the user last reverted/rejected this kind counts again
+  async settledAt(taskName, kind) {
+    const row = await this.memory.get(
+      `SELECT MAX(updated_at) AS settled_at FROM task_adjustments
+       WHERE task_name = ? AND kind = ? AND status IN ('reverted', 'rejected')`,
+      [taskName, kind]
+    );
+    return row?.settled_at || null;
+  }
+
+  async create(taskName, kind, status, setting, evidence, reason) {
+    const { id } = await this.memory.run(
+      `INSERT INTO task_adjustments (task_name, kind, status, setting, evidence, reason, changed_by)
+       VALUES (?, ?, ?, ?, ?, ?, 'agent')`,
+      [taskName, kind, status, JSON.stringify(setting), JSON.stringify(evidence), reason]
+    );
+    return await this.changed(id, status === 'proposed' ? 'proposed' : 'applied', 'agent', reason);
+  }
+
+  async transition(id, from, to, actor, reason) {
+    const { changes } = await this.memory.run(
+      `UPDATE task_adjustments SET status = ?, changed_by = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ?`,
+      [to, actor, id, from]
+    );
+    if (changes === 0) {
+      const adjustment = await this.get(id);
+      throw new AdjustmentError('ADJUSTMENT_INVALID_STATE', `Adjustment ${id} is ${adjustment.status}, not ${from}`);
+    }
+    const action = { active: 'accepted', reverted: 'reverted', rejected: 'rejected', lifted: 'lifted' }[to];
+    return await this.changed(id, action, actor, reason);
+  }
+
+  async changed(id, action, actor, reason) {
+    const adjustment = await this.get(id);
+
+    try {
+      await this.memory.run(
+        `INSERT INTO execution_history (id, task_id, decision, reasoning, system_state)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          `adjustment:${adjustment.taskName}`,
+          `ADJUSTMENT_${action.toUpperCase()}`,
+          reason,
+          JSON.stringify({ adjustmentId: id, kind: adjustment.kind, status: adjustment.status, actor })
+        ]
+      );
+    } catch (error) {
+      logger.error(`Failed to record adjustment change: ${error.message}`);
+    }
+
+    logger.info(`🔁 Adjustment #${id} (${adjustment.kind} ${adjustment.taskName}) ${action} by ${actor}${reason ? `: ${reason}` : ''}`);
+    this.emit('change', { id, taskName: adjustment.taskName, kind: adjustment.kind, status: adjustment.status, actor, reason });
+    return adjustment;
+  }
+}
+
+function describe(kind, counts, setting) {
+  switch (kind) {
+    case 'demote':
+      return `Marked avoidable ${counts.avoidable}x (necessary ${counts.necessary}x) - runs at low urgency`;
+    case 'suppress':
+      return `Marked avoidable ${counts.avoidable}x (necessary ${counts.necessary}x) - proposed to stop running it`;
+    default:
+      return `Marked optimizable ${counts.optimizable}x - at most one run per ${setting.minIntervalHours}h`;
+  }
+}
+
+// task_adjustments row → API shape
+export function serializeAdjustment(row) {
+  return {
+    id: row.id,
+    taskName: row.task_name,
+    kind: row.kind,
+    status: row.status,
+    setting: JSON.parse(row.setting || '{}'),
+    evidence: JSON.parse(row.evidence || '{}'),
+    reason: row.reason,
+    changedBy: row.changed_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default FeedbackAdjustments;
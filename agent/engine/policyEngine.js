@@ -0,0 +1,325 @@
+/**
+ * Policy Engine
+ *
+ * Evaluates the active policy (engine/policyRules.js) for the decision
+ * engine, and for dry runs through the API.
+ *
+ * Every policy that was ever active is a row in policy_versions; exactly
+ * one has is_active = 1. At startup the policy file (policy.path, default
+ * agent/policy.json) is stored as a new version when it changed since it
+ * was last imported. Without a file or any stored version the built-in
+ * DEFAULT_POLICY is used.
+ *
+ * Emits 'change' { version, name, source, changedBy }
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import pino from 'pino';
+import {
+  DEFAULT_POLICY,
+  validatePolicy,
+  factsUsed,
+  explainConditions,
+  negateCondition,
+  lowerUrgency
+} from './policyRules.js';
+
+const logger = pino();
+
+export class PolicyError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = code; // POLICY_INVALID | POLICY_VERSION_NOT_FOUND
+    this.details = details;
+  }
+}
+
+function checksum(policy) {
+  return crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex');
+}
+
+export class PolicyEngine extends EventEmitter {
+  constructor(sharedMemory, scheduler, thermalMonitor) {
+    super();
+    this.memory = sharedMemory;
+    this.scheduler = scheduler;
+    this.thermal = thermalMonitor;
+
+    this.active = null; // { version, name, policy, source, createdBy, createdAt }
+  }
+
+  /**
+   * Import the policy file if it changed, then load the active version
+   * Throws PolicyError (POLICY_INVALID) for a file that fails validation
+   */
+  async load(policyPath) {
+    if (policyPath && fs.existsSync(policyPath)) {
+      let policy;
+      try {
+        policy = JSON.parse(fs.readFileSync(policyPath, 'utf8'));
+      } catch (error) {
+        throw new PolicyError('POLICY_INVALID', `${path.basename(policyPath)}: ${error.message}`);
+      }
+
+      const lastImport = await this.memory.get(
+        `SELECT checksum FROM policy_versions WHERE source = 'file' ORDER BY version DESC LIMIT 1`
+      );
+      if (lastImport?.checksum !== checksum(policy)) {
+        await this.save(policy, { source: 'file', changedBy: path.basename(policyPath) });
+      }
+    }
+
+    const row = await this.memory.get('SELECT * FROM policy_versions WHERE is_active = 1');
+    if (row) {
+      this.active = fromRow(row);
+    } else {
+      await this.save(DEFAULT_POLICY, { source: 'builtin', changedBy: 'agent' });
+    }
+
+    logger.info(`📜 Policy '${this.active.name}' v${this.active.version} active (${this.active.policy.rules.length} rules)`);
+    return this.active;
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Store a policy as a new version and make it the active one
+   */
+  async save(policy, { source = 'api', changedBy = 'api' } = {}) {
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+      throw new PolicyError('POLICY_INVALID', `Invalid policy: ${errors.join('; ')}`, errors);
+    }
+
+    const name = policy.name || 'unnamed';
+    const version = await this.memory.transaction(async (db) => {
+      const { id } = await db.run(
+        `INSERT INTO policy_versions (name, document, checksum, source, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [name, JSON.stringify(policy), checksum(policy), source, changedBy]
+      );
+      await db.run('UPDATE policy_versions SET is_active = (version = ?)', [id]);
+      return id;
+    });
+
+    return await this.activated(version, source, changedBy);
+  }
+
+  /**
+   * Make an earlier version active again (rollback)
+   */
+  async activate(version, changedBy = 'api') {
+    const row = await this.memory.get('SELECT version FROM policy_versions WHERE version = ?', [version]);
+    if (!row) {
+      throw new PolicyError('POLICY_VERSION_NOT_FOUND', `Policy version ${version} not found`);
+    }
+
+    await this.memory.run('UPDATE policy_versions SET is_active = (version = ?)', [version]);
+    return await this.activated(version, 'rollback', changedBy);
+  }
+
+  async listVersions(limit = 50) {
+    const rows = await this.memory.all(
+      'SELECT * FROM policy_versions ORDER BY version DESC LIMIT ?',
+      [limit]
+    );
+    return rows.map(row => {
+      const { policy, ...version } = fromRow(row);
+      return { ...version, rules: policy.rules.length };
+    });
+  }
+
+  async getVersion(version) {
+    const row = await this.memory.get('SELECT * FROM policy_versions WHERE version = ?', [version]);
+    if (!row) {
+      throw new PolicyError('POLICY_VERSION_NOT_FOUND', `Policy version ${version} not found`);
+    }
+    return fromRow(row);
+  }
+
+  /**
+   * Run a task through the policy
+   *
+   * input = { taskName, urgency, userId, watts }
+   * options.policy: evaluate a draft instead of the active policy (dry run)
+   * options.facts: override looked-up facts, e.g. { temperature: 75, now: '2026-01-10T23:00:00' }
+   *
+   * Returns {
+   *   action: 'allow' | 'deny' | 'defer', ruleId, reason,
+   *   scheduledFor,        // Date, for defer
+   *   urgency,             // after any lower-priority rules
+   *   policyVersion, facts,
+   *   trace: [{ ruleId, action, matched, conditions: [{ condition, fact, value, expected, passed }] }],
+   *   hints: [{ condition, text, facts, stillBlockedBy }]   // deny/defer: what would let it run
+   * }
+   */
+  async evaluate(input, options = {}) {
+    const policy = options.policy || this.active.policy;
+    if (options.policy) {
+      const errors = validatePolicy(policy);
+      if (errors.length > 0) {
+        throw new PolicyError('POLICY_INVALID', `Invalid policy: ${errors.join('; ')}`, errors);
+      }
+    }
+
+    const rules = policy.rules.filter(rule => rule.enabled !== false);
+    const facts = await this.gatherFacts(input, rules, options.facts);
+    const outcome = runRules(rules, policy.defaultAction, facts);
+    const { action, rule, urgency } = outcome;
+
+    return {
+      action,
+      ruleId: rule?.id || null,
+      reason: rule ? rule.reason : `No rule decided - policy default (${action})`,
+      scheduledFor: action === 'defer' ? await this.resolveUntil(rule.until, urgency, facts.now) : null,
+      urgency,
+      policyVersion: options.policy ? null : this.active.version,
+      facts,
+      trace: outcome.trace,
+      hints: action === 'allow' ? [] : counterfactuals(rules, policy.defaultAction, facts, outcome)
+    };
+  }
+
+  /**
+   * Look up only the facts the rules use; overrides win
+   */
+  async gatherFacts(input, rules, overrides = {}) {
+    const used = factsUsed(rules);
+    const facts = {
+      task: input.taskName,
+      urgency: input.urgency || 'normal',
+      user: input.userId || null,
+      watts: input.watts ?? null,
+      now: overrides.now ? new Date(overrides.now) : new Date()
+    };
+
+    const lookups = {
+      offPeak: () => this.scheduler.isOffPeak(),
+      systemBusy: async () => !(await this.scheduler.canExecuteTask()),
+      gridScore: async () => (await this.scheduler.renewableModule.getGridStatus(facts.urgency)).score,
+      temperature: async () => {
+        const temps = await this.thermal.getSystemTemperature();
+        return temps.average ?? temps.cpu ?? null;
+      }
+    };
+
+    for (const [fact, lookup] of Object.entries(lookups)) {
+      if (!used.has(fact) || fact in overrides) continue;
+      try {
+        facts[fact] = await lookup();
+      } catch (error) {
+        logger.warn(`Policy fact ${fact} unavailable: ${error.message}`);
+        facts[fact] = null;
+      }
+    }
+
+    // facts.now already holds the override, parsed into a Date
+    const rest = { ...overrides };
+    delete rest.now;
+    return { ...facts, ...rest };
+  }
+
+  // defer-until target → Date
+  async resolveUntil(until, urgency, now) {
+    if (until === 'optimal-window' || until === 'off-peak') {
+      const window = new Date(await this.scheduler.findOptimalWindow(until === 'off-peak' ? 'low' : urgency));
+      // Today's renewable window may have passed; deferring to it would re-run the task at once
+      while (window <= now) window.setDate(window.getDate() + 1);
+      return window;
+    }
+
+    const relative = /^\+(\d+)([mh])$/.exec(until);
+    if (relative) {
+      const minutes = Number(relative[1]) * (relative[2] === 'h' ? 60 : 1);
+      return new Date(now.getTime() + minutes * 60000);
+    }
+
+    // HH:MM local time, the next time it comes round
+    const [hours, minutes] = until.split(':').map(Number);
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next;
+  }
+
+  async activated(version, source, changedBy) {
+    this.active = await this.getVersion(version);
+    logger.info(`📜 Policy '${this.active.name}' v${version} activated by ${changedBy} (${source})`);
+
+    const event = { version, name: this.active.name, source, changedBy };
+    this.emit('change', event);
+    return this.active;
+  }
+}
+
+/**
+ * Try the rules top to bottom on a set of facts (no lookups, no side effects)
+ * Returns { action, rule, urgency, trace }; rule is null when the default decided
+ */
+function runRules(rules, defaultAction = 'allow', facts) {
+  const trace = [];
+  let urgency = facts.urgency;
+
+  for (const rule of rules) {
+    const conditions = explainConditions(rule.when || {}, { ...facts, urgency });
+    const matched = conditions.every(condition => condition.passed);
+    trace.push({ ruleId: rule.id, action: rule.action, matched, conditions });
+    if (!matched) continue;
+
+    if (rule.action === 'lower-priority') {
+      urgency = lowerUrgency(urgency, rule.to);
+      continue;
+    }
+    const action = rule.action === 'defer-until' ? 'defer' : rule.action;
+    return { action, rule, urgency, trace };
+  }
+
+  return { action: defaultAction, rule: null, urgency, trace };
+}
+
+/**
+ * Counterfactual hints for a deny/defer: flip one condition of the deciding
+ * rule at a time and run the rules again on otherwise unchanged facts.
+ * stillBlockedBy names the rule that would decide instead, if not allow.
+ */
+function counterfactuals(rules, defaultAction, facts, outcome) {
+  if (!outcome.rule) return [];
+
+  const hints = [];
+  for (const [name, expected] of Object.entries(outcome.rule.when || {})) {
+    const negated = negateCondition(name, expected, facts);
+    if (!negated) continue;
+
+    const retry = runRules(rules, defaultAction, { ...facts, ...negated.facts });
+    const blockedBy = retry.action === 'allow' ? null : (retry.rule?.id || 'default');
+    hints.push({
+      condition: name,
+      text: blockedBy
+        ? `if ${negated.text}, ${blockedBy === 'default' ? 'the policy default' : `rule '${blockedBy}'`} would still ${retry.action} it`
+        : `would run if ${negated.text}`,
+      facts: negated.facts,
+      stillBlockedBy: blockedBy
+    });
+  }
+  return hints;
+}
+
+function fromRow(row) {
+  return {
+    version: row.version,
+    name: row.name,
+    policy: JSON.parse(row.document),
+    source: row.source,
+    createdBy: row.created_by,
+    active: Boolean(row.is_active),
+    createdAt: row.created_at
+  };
+}
+
+export default PolicyEngine;
@@ -0,0 +1,352 @@
+/**
+ * Policy Rules
+ *
+ * A policy is an ordered list of rules. Rules are tried top to bottom; the
+ * first one whose conditions all hold decides. lower-priority is the
+ * exception: it lowers the urgency later rules see and evaluation goes on.
+ * When no rule decides, defaultAction applies.
+ *
+ *   {
+ *     "name": "office",
+ *     "defaultAction": "allow",
+ *     "rules": [
+ *       { "id": "hot-and-heavy", "when": { "temperatureAbove": 70, "wattsAbove": 80 },
+ *         "action": "defer-until", "until": "+30m", "reason": "Let the device cool down first" }
+ *     ]
+ *   }
+ *
+ * Conditions (all must hold; a rule without `when` always matches):
+ *   task, exceptTask                     name pattern or list ('*' wildcard, case-insensitive)
+ *   urgency                              critical | high | normal | low, or a list
+ *   user                                 userId or list
+ *   wattsAbove, wattsBelow               estimated power (W)
+ *   gridScoreAbove, gridScoreBelow       RenewableEnergyModule grid score (0-100)
+ *   temperatureAbove, temperatureBelow   current average temperature (°C)
+ *   hours                                'HH:MM-HH:MM' or list, local time, may wrap midnight
+ *   days                                 list of mon, tue, wed, thu, fri, sat, sun
+ *   offPeak, systemBusy                  true | false (EcoScheduler off-peak hours / capacity)
+ * A condition on a fact that could not be read (no temperature sensor) does not match.
+ *
+ * Actions: allow | deny | defer-until (until: optimal-window | off-peak | HH:MM | +30m | +2h)
+ *          | lower-priority (one level down, or to: <urgency>)
+ */
+
+export const URGENCY_LEVELS = ['low', 'normal', 'high', 'critical'];
+export const ACTIONS = ['allow', 'deny', 'defer-until', 'lower-priority'];
+export const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const HOURS_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]):([0-5]\d)$/;
+const UNTIL_PATTERN = /^(optimal-window|off-peak|([01]\d|2[0-3]):[0-5]\d|\+\d+[mh])$/;
+
+// condition → fact it reads and how its value is checked
+export const CONDITIONS = {
+  task: { fact: 'task', type: 'patterns' },
+  exceptTask: { fact: 'task', type: 'patterns' },
+  urgency: { fact: 'urgency', type: 'urgency' },
+  user: { fact: 'user', type: 'strings' },
+  wattsAbove: { fact: 'watts', type: 'number' },
+  wattsBelow: { fact: 'watts', type: 'number' },
+  gridScoreAbove: { fact: 'gridScore', type: 'number' },
+  gridScoreBelow: { fact: 'gridScore', type: 'number' },
+  temperatureAbove: { fact: 'temperature', type: 'number' },
+  temperatureBelow: { fact: 'temperature', type: 'number' },
+  hours: { fact: 'now', type: 'hours' },
+  days: { fact: 'now', type: 'days' },
+  offPeak: { fact: 'offPeak', type: 'boolean' },
+  systemBusy: { fact: 'systemBusy', type: 'boolean' }
+};
+
+// The checks makeDecision used to hard-code
+export const DEFAULT_POLICY = {
+  name: 'default',
+  defaultAction: 'allow',
+  rules: [
+    {
+      id: 'system-capacity',
+      when: { systemBusy: true },
+      action: 'defer-until',
+      until: 'optimal-window',
+      reason: 'System capacity constraint - optimal window identified'
+    },
+    {
+      id: 'low-urgency-peak',
+      when: { urgency: 'low', offPeak: false },
+      action: 'defer-until',
+      until: 'off-peak',
+      reason: 'Low priority - deferred to optimal window'
+    }
+  ]
+};
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Validate a policy document
+ * Returns a list of error messages (empty when valid)
+ */
+export function validatePolicy(policy) {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return ['policy must be an object'];
+  }
+
+  const errors = [];
+  if (policy.name !== undefined && (typeof policy.name !== 'string' || policy.name === '')) {
+    errors.push('name must be a non-empty string');
+  }
+  if (policy.defaultAction !== undefined && !['allow', 'deny'].includes(policy.defaultAction)) {
+    errors.push('defaultAction must be allow or deny');
+  }
+  if (!Array.isArray(policy.rules)) {
+    errors.push('rules must be a list');
+    return errors;
+  }
+
+  const ids = new Set();
+  policy.rules.forEach((rule, index) => {
+    const label = typeof rule?.id === 'string' && rule.id ? `rule '${rule.id}'` : `rule ${index + 1}`;
+    if (typeof rule !== 'object' || rule === null) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (typeof rule.id !== 'string' || rule.id === '') {
+      errors.push(`${label}: id must be a non-empty string`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label}: duplicate id`);
+    } else {
+      ids.add(rule.id);
+    }
+
+    if (!ACTIONS.includes(rule.action)) {
+      errors.push(`${label}: action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (typeof rule.reason !== 'string' || rule.reason === '') {
+      errors.push(`${label}: reason must be a non-empty string`);
+    }
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push(`${label}: enabled must be true or false`);
+    }
+    if (rule.action === 'defer-until' && !(typeof rule.until === 'string' && UNTIL_PATTERN.test(rule.until))) {
+      errors.push(`${label}: until must be optimal-window, off-peak, HH:MM or +<n>m/+<n>h`);
+    }
+    if (rule.action === 'lower-priority' && rule.to !== undefined && !URGENCY_LEVELS.includes(rule.to)) {
+      errors.push(`${label}: to must be one of: ${URGENCY_LEVELS.join(', ')}`);
+    }
+
+    if (rule.when === undefined) return;
+    if (typeof rule.when !== 'object' || rule.when === null || Array.isArray(rule.when)) {
+      errors.push(`${label}: when must be an object of conditions`);
+      return;
+    }
+    for (const [name, expected] of Object.entries(rule.when)) {
+      const error = validateCondition(name, expected);
+      if (error) errors.push(`${label}: ${error}`);
+    }
+  });
+
+  return errors;
+}
+
+function validateCondition(name, expected) {
+  const condition = CONDITIONS[name];
+  if (!condition) return `unknown condition '${name}'`;
+
+  const values = toList(expected);
+  switch (condition.type) {
+    case 'number':
+      return typeof expected === 'number' && Number.isFinite(expected) ? null : `${name} must be a number`;
+    case 'boolean':
+      return typeof expected === 'boolean' ? null : `${name} must be true or false`;
+    case 'urgency':
+      return values.every(value => URGENCY_LEVELS.includes(value))
+        ? null
+        : `${name} must be one of: ${URGENCY_LEVELS.join(', ')}`;
+    case 'hours':
+      return values.every(value => typeof value === 'string' && HOURS_PATTERN.test(value))
+        ? null
+        : `${name} must be 'HH:MM-HH:MM' or a list of them`;
+    case 'days':
+      return Array.isArray(expected) && expected.every(value => DAY_NAMES.includes(value))
+        ? null
+        : `${name} must be a list of ${DAY_NAMES.join(', ')}`;
+    default:
+      return values.length > 0 && values.every(value => typeof value === 'string' && value !== '')
+        ? null
+        : `${name} must be a string or a list of strings`;
+  }
+}
+
+// Facts a set of rules reads, so only those are looked up
+export function factsUsed(rules) {
+  const facts = new Set();
+  for (const rule of rules) {
+    for (const name of Object.keys(rule.when || {})) {
+      facts.add(CONDITIONS[name].fact);
+    }
+  }
+  return facts;
+}
+
+/**
+ * Do all conditions hold for these facts?
+ * facts = { task, urgency, user, watts, gridScore, temperature, now, offPeak, systemBusy }
+ */
+export function matchesConditions(when, facts) {
+  return Object.entries(when).every(([name, expected]) => matchCondition(name, expected, facts));
+}
+
+/**
+ * Each condition of a rule checked on its own, for decision traces
+ * Returns [{ condition, fact, value, expected, passed }]
+ */
+export function explainConditions(when, facts) {
+  return Object.entries(when).map(([name, expected]) => {
+    const { fact } = CONDITIONS[name];
+    return {
+      condition: name,
+      fact,
+      value: facts[fact] ?? null,
+      expected,
+      passed: matchCondition(name, expected, facts)
+    };
+  });
+}
+
+function matchCondition(name, expected, facts) {
+  const value = facts[CONDITIONS[name].fact];
+  if (value === null || value === undefined) return false;
+
+  switch (name) {
+    case 'task':
+      return toList(expected).some(pattern => matchesPattern(pattern, value));
+    case 'exceptTask':
+      return !toList(expected).some(pattern => matchesPattern(pattern, value));
+    case 'urgency':
+    case 'user':
+      return toList(expected).includes(value);
+    case 'wattsAbove':
+    case 'gridScoreAbove':
+    case 'temperatureAbove':
+      return value > expected;
+    case 'wattsBelow':
+    case 'gridScoreBelow':
+    case 'temperatureBelow':
+      return value < expected;
+    case 'hours':
+      return toList(expected).some(window => inWindow(window, value));
+    case 'days':
+      return expected.includes(DAY_NAMES[value.getDay()]);
+    default:
+      return value === expected;
+  }
+}
+
+// 'backup-*' matches 'backup-verification'
+function matchesPattern(pattern, value) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(value);
+}
+
+// '22:00-06:00' wraps midnight; the end is exclusive
+function inWindow(window, date) {
+  const [, startH, startM, endH, endM] = HOURS_PATTERN.exec(window).map(Number);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = startH * 60 + startM;
+  const end = endH * 60 + endM;
+  return start <= end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+// numeric fact → how hints name it
+const NUMBER_FACTS = {
+  watts: { label: 'estimated power', unit: 'W' },
+  gridScore: { label: 'grid score', unit: '' },
+  temperature: { label: 'temperature', unit: '°C' }
+};
+
+/**
+ * What would make a matched condition fail: the facts to try instead and
+ * how to say it ("grid score ≥ 65"). null for conditions on the task itself
+ * (task, exceptTask, user), which waiting cannot change.
+ */
+export function negateCondition(name, expected, facts) {
+  const { fact, type } = CONDITIONS[name];
+
+  if (type === 'number') {
+    const { label, unit } = NUMBER_FACTS[fact];
+    return {
+      facts: { [fact]: expected },
+      text: `${label} ${name.endsWith('Above') ? '≤' : '≥'} ${expected}${unit}`
+    };
+  }
+
+  switch (name) {
+    case 'offPeak':
+      return {
+        facts: { offPeak: !expected },
+        text: expected ? 'it is not off-peak' : 'it is off-peak'
+      };
+    case 'systemBusy':
+      return {
+        facts: { systemBusy: !expected },
+        text: expected ? 'the system is not busy' : 'the system is busy'
+      };
+    case 'urgency': {
+      const others = URGENCY_LEVELS.filter(level => !toList(expected).includes(level));
+      if (others.length === 0) return null;
+      return {
+        facts: { urgency: others[others.length - 1] },
+        text: `urgency is ${joinAlternatives(others)}`
+      };
+    }
+    case 'hours': {
+      const window = toList(expected).find(candidate => inWindow(candidate, facts.now));
+      if (!window) return null;
+      const end = window.split('-')[1];
+      const [hours, minutes] = end.split(':').map(Number);
+      const next = new Date(facts.now);
+      next.setHours(hours, minutes, 0, 0);
+      if (next <= facts.now) next.setDate(next.getDate() + 1);
+      return { facts: { now: next }, text: `it is outside ${joinAlternatives(toList(expected))}` };
+    }
+    case 'days': {
+      const next = new Date(facts.now);
+      do {
+        next.setDate(next.getDate() + 1);
+      } while (expected.includes(DAY_NAMES[next.getDay()]) && next - facts.now < 7 * 86400000);
+      if (expected.includes(DAY_NAMES[next.getDay()])) return null;
+      return { facts: { now: next }, text: `it is not ${joinAlternatives(expected)}` };
+    }
+    default:
+      return null;
+  }
+}
+
+// ['normal', 'high', 'critical'] → 'normal, high or critical'
+function joinAlternatives(values) {
+  return values.length > 1
+    ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}`
+    : values[0];
+}
+
+export function lowerUrgency(urgency, to) {
+  if (to) {
+    return URGENCY_LEVELS.indexOf(to) < URGENCY_LEVELS.indexOf(urgency) ? to : urgency;
+  }
+  return URGENCY_LEVELS[Math.max(0, URGENCY_LEVELS.indexOf(urgency) - 1)];
+}
+
+// ethical_rules row → policy conditions (null for unknown rule types)
+const ETHICAL_RULE_CONDITIONS = {
+  max_power_watts: value => ({ wattsAbove: parseFloat(value) }),
+  task_type_blacklist: value => ({ task: `*${value}*` }),
+  task_type_whitelist: value => ({ exceptTask: `*${value}*` }),
+  no_heavy_computation: () => ({ task: ['*ml*', '*render*', '*analysis*'] }),
+  no_data_intensive: () => ({ task: ['*backup*', '*sync*', '*transfer*'] })
+};
+
+export function ethicalRuleConditions(rule) {
+  const build = ETHICAL_RULE_CONDITIONS[rule.rule_type];
+  return build ? build(rule.rule_value) : null;
+}
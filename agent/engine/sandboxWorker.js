@@ -0,0 +1,212 @@
+/**
+ * Sandbox worker entry (see taskSandbox.js)
+ *
+ * Installs the guards for the constraints it was started with, then
+ * imports the processor module and runs the handler. Guards report a
+ * violation to the parent (which terminates this worker) and throw, so
+ * a processor that catches the error still gets stopped.
+ *
+ * Messages to the parent:
+ *   { type: 'progress', percent, state }   constraints.reportProgress
+ *   { type: 'violation', kind, message }
+ *   { type: 'result', result } | { type: 'error', name, message }
+ * From the parent:
+ *   { type: 'abort', reason }              fires constraints.signal
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import workerThreads from 'worker_threads';
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import dgram from 'dgram';
+import childProcess from 'child_process';
+import { syncBuiltinESMExports } from 'module';
+import { fileURLToPath } from 'url';
+
+const { taskName, entry, jobData, constraints, protectedPaths } = workerData;
+
+// fs function → indexes of the path arguments it writes to
+const WRITES = {
+  writeFile: [0],
+  appendFile: [0],
+  mkdir: [0],
+  mkdtemp: [0],
+  truncate: [0],
+  utimes: [0],
+  lutimes: [0],
+  chmod: [0],
+  lchmod: [0],
+  chown: [0],
+  lchown: [0],
+  copyFile: [1],
+  cp: [1],
+  symlink: [1],
+  link: [1],
+  rename: [0, 1]
+};
+const DELETES = { rm: [0], rmdir: [0], unlink: [0] };
+
+const WRITE_FLAGS = fs.constants.O_WRONLY | fs.constants.O_RDWR | fs.constants.O_CREAT |
+  fs.constants.O_TRUNC | fs.constants.O_APPEND;
+
+const realpath = fs.realpathSync.native;
+
+function violate(kind, message) {
+  parentPort.postMessage({ type: 'violation', kind, message });
+  const error = new Error(`Sandbox violation (${kind}): ${message}`);
+  error.code = `SANDBOX_${kind.toUpperCase()}`;
+  throw error;
+}
+
+function toPath(target) {
+  if (target instanceof URL) return fileURLToPath(target);
+  if (Buffer.isBuffer(target)) return target.toString();
+  return typeof target === 'string' ? target : null; // file descriptors and FileHandles were checked at open
+}
+
+// Resolve symlinks in the part of the path that exists, so links cannot escape a root
+function realTarget(target) {
+  const rest = [];
+  let current = path.resolve(target);
+  for (;;) {
+    try {
+      return path.join(realpath(current), ...rest);
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) return path.resolve(target);
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+function inside(dir, target) {
+  const relative = path.relative(dir, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// ------------------------------------------------------------------------
+// Filesystem: writes inside writableDirs, deletes inside workDir unless allowed,
+// agent config and database untouchable unless config_modify is allowed
+
+function installFsGuard() {
+  const { blockedOperations } = constraints;
+  const writable = constraints.writableDirs.map(realTarget);
+  const workDir = constraints.workDir && realTarget(constraints.workDir);
+  const protectedFiles = blockedOperations.includes('config_modify') ? protectedPaths.map(realTarget) : [];
+  const canDelete = !blockedOperations.includes('delete');
+
+  const checkWrite = (name, target) => {
+    const file = toPath(target);
+    if (file === null) return;
+    const resolved = realTarget(file);
+    if (protectedFiles.some(protectedFile => inside(protectedFile, resolved))) {
+      violate('filesystem', `${name} ${resolved} is a protected agent file`);
+    }
+    if (!writable.some(dir => inside(dir, resolved))) {
+      violate('filesystem', writable.length === 0
+        ? `${name} ${resolved}: writing is disabled`
+        : `${name} ${resolved} is outside the writable directories (${writable.join(', ')})`);
+    }
+  };
+  const checkDelete = (name, target) => {
+    checkWrite(name, target);
+    const file = toPath(target);
+    if (file !== null && !canDelete && !(workDir && inside(workDir, realTarget(file)))) {
+      violate('delete', `${name} ${file}: deleting is only allowed inside ${workDir}`);
+    }
+  };
+  const checkOpen = (name, target, flags = 'r') => {
+    const writes = typeof flags === 'number' ? (flags & WRITE_FLAGS) !== 0 : /[wax+]/.test(flags);
+    if (writes) checkWrite(name, target);
+  };
+
+  const wrap = (object, name, check) => {
+    const original = object[name];
+    if (typeof original !== 'function') return;
+    object[name] = function guarded(...args) {
+      check(name, args);
+      return original.apply(this, args);
+    };
+  };
+
+  const guard = (names, check) => {
+    for (const [name, indexes] of Object.entries(names)) {
+      const run = (called, args) => indexes.forEach(i => check(called, args[i]));
+      wrap(fs, name, run);
+      wrap(fs, `${name}Sync`, run);
+      wrap(fs.promises, name, run);
+    }
+  };
+
+  guard(WRITES, checkWrite);
+  guard(DELETES, checkDelete);
+  for (const object of [fs, fs.promises]) {
+    wrap(object, 'open', (name, args) => checkOpen(name, args[0], args[1]));
+  }
+  wrap(fs, 'openSync', (name, args) => checkOpen(name, args[0], args[1]));
+  wrap(fs, 'createWriteStream', (name, args) => {
+    const flags = typeof args[1] === 'object' && args[1]?.flags ? args[1].flags : 'w';
+    checkOpen(name, args[0], flags);
+  });
+}
+
+// ------------------------------------------------------------------------
+// Network and processes
+
+function installNetworkGuard() {
+  const refuse = what => function refused() {
+    violate('network', `${what} refused: network access is disabled (constraints.allowNetworkAccess)`);
+  };
+  net.Socket.prototype.connect = refuse('connect');
+  net.Server.prototype.listen = refuse('listen');
+  net.connect = net.createConnection = refuse('connect');
+  dgram.createSocket = refuse('UDP socket');
+}
+
+function installProcessGuard() {
+  const refuse = what => function refused() {
+    violate('process', `${what} refused: tasks may not start or signal processes`);
+  };
+  for (const name of ['spawn', 'spawnSync', 'exec', 'execSync', 'execFile', 'execFileSync', 'fork']) {
+    childProcess[name] = refuse(`child_process.${name}`);
+  }
+  workerThreads.Worker = refuse('new Worker');
+  process.kill = refuse('process.kill');
+}
+
+// ------------------------------------------------------------------------
+
+async function run() {
+  installFsGuard();
+  if (constraints.blockedOperations.includes('network')) installNetworkGuard();
+  if (constraints.blockedOperations.includes('process')) installProcessGuard();
+  // Named ESM imports (import { writeFile } from 'fs') see the guarded functions too
+  syncBuiltinESMExports();
+
+  const processorModule = await import(entry.url);
+  const handler = entry.plugin !== undefined
+    ? [].concat(processorModule.default || [])[entry.plugin]?.handler
+    : processorModule[entry.export]?.[entry.key];
+  if (typeof handler !== 'function') {
+    throw new Error(`No handler for '${taskName}' in ${entry.url}`);
+  }
+
+  const controller = new AbortController();
+  parentPort.on('message', message => {
+    if (message.type === 'abort') controller.abort(new Error(message.reason));
+  });
+
+  return await handler(jobData, {
+    ...constraints,
+    signal: controller.signal,
+    reportProgress: (percent, state = {}) => parentPort.postMessage({ type: 'progress', percent, state })
+  });
+}
+
+try {
+  parentPort.postMessage({ type: 'result', result: await run() });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', name: error.name, message: error.message });
+}
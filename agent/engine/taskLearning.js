@@ -0,0 +1,253 @@
+/**
+ * Task Learning
+ *
+ * Learns, per task name, how long a task runs, how much power it draws and
+ * how far it heats the device, from the agent's own completed runs:
+ * - each finished run stores its observations on the tasks row
+ *   (executed_duration_ms, actual_power_cost, temp_rise, data_size_mb)
+ * - the last historySize runs are summarised into a 'task-profile' row in
+ *   learning_patterns, with confidence and success/failure counts
+ * - with data sizes that vary, duration and power are fitted linearly
+ *   against data size (value = intercept + slope × MB)
+ *
+ * Until a task name has minSamples successful runs, estimate() returns null
+ * and callers keep their built-in constants.
+ */
+
+import pino from 'pino';
+
+const logger = pino();
+
+const PATTERN_TYPE = 'task-profile';
+
+export class TaskLearning {
+  constructor(sharedMemory) {
+    this.memory = sharedMemory;
+
+    // Overwritten by configure() from the learning.* config section
+    this.settings = {
+      enabled: true,
+      minSamples: 5,
+      historySize: 200,
+      wattsPerCore: 15
+    };
+
+    this.profiles = new Map(); // taskName → learned profile (pattern_data)
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  /**
+   * Load stored profiles so estimates are available before the next run
+   */
+  async load() {
+    const rows = await this.memory.all(
+      'SELECT * FROM learning_patterns WHERE pattern_type = ?',
+      [PATTERN_TYPE]
+    );
+    for (const row of rows) {
+      try {
+        const profile = JSON.parse(row.pattern_data);
+        this.profiles.set(profile.taskName, toProfile(profile, row));
+      } catch (error) {
+        logger.warn(`Ignoring unreadable learning pattern ${row.id}: ${error.message}`);
+      }
+    }
+    logger.info(`🧠 Loaded learned profiles for ${this.profiles.size} task(s)`);
+  }
+
+  /**
+   * Power drawn by an in-process run, from the CPU time it used
+   * Processors that measure their own draw report result.powerWatts instead.
+   */
+  powerFromCpuUsage(cpuUsage, durationMs) {
+    if (!durationMs) return null;
+    const cpuMs = (cpuUsage.user + cpuUsage.system) / 1000;
+    return (cpuMs / durationMs) * this.settings.wattsPerCore;
+  }
+
+  /**
+   * Store what a finished run measured, then relearn its task name
+   * observation = { durationMs, powerWatts, dataSize }
+   */
+  async recordExecution(taskId, taskName, observation) {
+    if (!this.settings.enabled) return;
+
+    try {
+      const fields = {
+        executed_duration_ms: observation.durationMs ?? null,
+        actual_power_cost: observation.powerWatts ?? null,
+        data_size_mb: observation.dataSize ?? null
+      };
+
+      // Only present when abort monitoring sampled the run
+      const thermal = await this.memory.get(
+        `SELECT MAX(temperature) AS peak,
+          (SELECT temperature FROM task_thermal_history
+           WHERE task_id = ? ORDER BY elapsed_seconds ASC, timestamp ASC LIMIT 1) AS start
+         FROM task_thermal_history WHERE task_id = ?`,
+        [taskId, taskId]
+      );
+      if (thermal?.peak != null) {
+        fields.peak_temp = thermal.peak;
+        fields.temp_rise = Math.max(0, thermal.peak - thermal.start);
+      }
+
+      const columns = Object.keys(fields);
+      await this.memory.run(
+        `UPDATE tasks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), taskId]
+      );
+
+      await this.learn(taskName);
+    } catch (error) {
+      logger.warn(`Failed to learn from ${taskName} run ${taskId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rebuild one task name's profile from its recent runs
+   */
+  async learn(taskName) {
+    const runs = await this.memory.all(
+      `SELECT executed_duration_ms, actual_power_cost, temp_rise, data_size_mb
+       FROM tasks
+       WHERE name = ? AND status = 'completed' AND executed_duration_ms IS NOT NULL
+       ORDER BY completed_at DESC
+       LIMIT ?`,
+      [taskName, this.settings.historySize]
+    );
+    const counts = await this.memory.get(
+      `SELECT
+        SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS success_count,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failure_count
+       FROM tasks WHERE name = ?`,
+      [taskName]
+    );
+
+    const profile = {
+      taskName,
+      samples: runs.length,
+      durationMs: summarize(runs, 'executed_duration_ms'),
+      powerWatts: summarize(runs, 'actual_power_cost'),
+      tempRise: summarize(runs, 'temp_rise')
+    };
+    const confidence = Number((runs.length / (runs.length + this.settings.minSamples)).toFixed(2));
+    const successCount = counts?.success_count || 0;
+    const failureCount = counts?.failure_count || 0;
+
+    await this.memory.run(
+      `INSERT INTO learning_patterns
+       (id, pattern_type, pattern_data, confidence, success_count, failure_count)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         pattern_data = excluded.pattern_data,
+         confidence = excluded.confidence,
+         success_count = excluded.success_count,
+         failure_count = excluded.failure_count,
+         last_updated = CURRENT_TIMESTAMP`,
+      [`${PATTERN_TYPE}:${taskName}`, PATTERN_TYPE, JSON.stringify(profile), confidence, successCount, failureCount]
+    );
+
+    const learned = toProfile(profile, { confidence, success_count: successCount, failure_count: failureCount });
+    this.profiles.set(taskName, learned);
+    logger.debug(`Learned ${taskName} from ${runs.length} runs (confidence ${confidence})`);
+    return learned;
+  }
+
+  getProfile(taskName) {
+    return this.profiles.get(taskName) || null;
+  }
+
+  listProfiles() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * Learned estimate for one run, or null while there are too few samples
+   * Returns { durationSeconds, powerWatts, tempRise, samples, confidence };
+   * a value is null when no run measured it
+   */
+  estimate(taskName, dataSize) {
+    if (!this.settings.enabled || !taskName) return null;
+    const profile = this.profiles.get(taskName);
+    if (!profile || profile.samples < this.settings.minSamples) return null;
+
+    const durationMs = predict(profile.durationMs, dataSize, this.settings.minSamples);
+    return {
+      durationSeconds: durationMs != null ? Math.round(durationMs / 1000) : null,
+      powerWatts: roundOrNull(predict(profile.powerWatts, dataSize, this.settings.minSamples)),
+      // Conservative: one standard deviation above the mean rise
+      tempRise: profile.tempRise ? roundOrNull(profile.tempRise.mean + profile.tempRise.stddev, 1) : null,
+      samples: profile.samples,
+      confidence: profile.confidence
+    };
+  }
+}
+
+// Stored pattern + row counters → in-memory profile
+function toProfile(profile, row) {
+  return {
+    ...profile,
+    confidence: row.confidence,
+    successCount: row.success_count,
+    failureCount: row.failure_count
+  };
+}
+
+/**
+ * Distribution of one column over the runs that measured it, plus a least
+ * squares fit against data size when at least two sizes were seen
+ */
+function summarize(runs, column) {
+  const points = runs.filter(run => run[column] != null);
+  if (points.length === 0) return null;
+
+  const values = points.map(run => run[column]);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  const summary = {
+    samples: values.length,
+    mean,
+    stddev: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    scaling: null
+  };
+
+  const sized = points.filter(run => run.data_size_mb != null);
+  if (sized.length >= 2) {
+    const meanX = sized.reduce((sum, run) => sum + run.data_size_mb, 0) / sized.length;
+    const meanY = sized.reduce((sum, run) => sum + run[column], 0) / sized.length;
+    let covariance = 0;
+    let varianceX = 0;
+    for (const run of sized) {
+      covariance += (run.data_size_mb - meanX) * (run[column] - meanY);
+      varianceX += (run.data_size_mb - meanX) ** 2;
+    }
+    if (varianceX > 0) {
+      const slope = covariance / varianceX;
+      summary.scaling = { samples: sized.length, intercept: meanY - slope * meanX, slope };
+    }
+  }
+
+  return summary;
+}
+
+// Data-size fit when it has enough points, otherwise the mean
+function predict(summary, dataSize, minSamples) {
+  if (!summary) return null;
+  if (dataSize != null && summary.scaling && summary.scaling.samples >= minSamples) {
+    return Math.max(0, summary.scaling.intercept + summary.scaling.slope * dataSize);
+  }
+  return summary.mean;
+}
+
+function roundOrNull(value, digits = 0) {
+  return value == null ? null : Number(value.toFixed(digits));
+}
+
+export default TaskLearning;
@@ -1,138 +1,529 @@
 /**
- * Sample Task Processors
- * Add custom task implementations here and reference in index.js
+ * Built-in Task Processors
+ * Registered automatically by TaskProcessorRegistry under kebab-case names
+ * (databaseCleanup → database-cleanup). For new tasks prefer a plugin in
+ * agent/plugins - see plugins/README.md.
+ *
+ * The maintenance processors work on the local targets in the maintenance.*
+ * config section, passed in as constraints.settings (absolute paths). Each
+ * reports progress with the state it needs to skip finished work when a
+ * paused run is resumed (jobData.resumeFrom.restoreState). Project
+ * execution is still simulated; metrics-aggregation runs in-process
+ * (memory/metricsAggregator.js).
  */
 
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import sqlite3 from 'sqlite3';
 import pino from 'pino';
 
 const logger = pino();
 
+const REPORT_FORMATS = ['md', 'json'];
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
 export const taskProcessors = {
 
-  // Example 1: Database Cleanup
+  // Prune and VACUUM the SQLite databases in maintenance.databases
   async databaseCleanup(jobData, constraints) {
     logger.info('⏳ Executing database-cleanup task');
-    
-    // Simulate cleanup
-    const recordsDeleted = 1500;
-    const spaceFreed = 250; // MB
-    
+    const started = Date.now();
+    const { databases = [], pruneTables = [], pruneDays = 30 } = constraints.settings || {};
+    if (databases.length === 0) {
+      return skipped('No databases configured (maintenance.databases)');
+    }
+
+    // Databases finished before a pause are not cleaned twice
+    const cleaned = [...(jobData.resumeFrom?.restoreState?.cleaned || [])];
+    const results = [];
+    for (const [index, file] of databases.entries()) {
+      if (constraints.signal?.aborted) break;
+      if (cleaned.includes(file)) continue;
+
+      results.push(await cleanDatabase(file, pruneTables, pruneDays));
+      cleaned.push(file);
+      constraints.reportProgress?.(((index + 1) / databases.length) * 100, { cleaned });
+    }
+
+    const bytesFreed = results.reduce((sum, result) => sum + (result.bytesFreed || 0), 0);
     return {
       status: 'success',
-      recordsDeleted,
-      spaceFreedMb: spaceFreed,
-      duration: 8234, // ms
+      databases: results,
+      recordsDeleted: results.reduce((sum, result) => sum + (result.rowsDeleted || 0), 0),
+      spaceFreedMb: toMb(bytesFreed),
+      duration: Date.now() - started,
       timestamp: new Date().toISOString()
     };
   },
 
-  // Example 2: Index Optimization
+  // REINDEX and ANALYZE the SQLite databases in maintenance.databases
   async indexOptimization(jobData, constraints) {
     logger.info('⏳ Executing index-optimization task');
-    
-    // Simulate index rebuild
-    const indexesRebuilt = 5;
-    const performanceImprovement = 12; // %
-    
+    const started = Date.now();
+    const { databases = [] } = constraints.settings || {};
+    if (databases.length === 0) {
+      return skipped('No databases configured (maintenance.databases)');
+    }
+
+    const optimized = [...(jobData.resumeFrom?.restoreState?.optimized || [])];
+    const results = [];
+    for (const [index, file] of databases.entries()) {
+      if (constraints.signal?.aborted) break;
+      if (optimized.includes(file)) continue;
+
+      results.push(await optimizeIndexes(file));
+      optimized.push(file);
+      constraints.reportProgress?.(((index + 1) / databases.length) * 100, { optimized });
+    }
+
     return {
       status: 'success',
-      indexesRebuilt,
-      performanceGainPercent: performanceImprovement,
-      duration: 18500, // ms
+      databases: results,
+      indexesRebuilt: results.reduce((sum, result) => sum + (result.indexes || 0), 0),
+      duration: Date.now() - started,
       timestamp: new Date().toISOString()
     };
   },
 
-  // Example 3: Cache Warming
+  // Read the maintenance.databases files (and their WAL) into the OS page cache
   async cacheWarming(jobData, constraints) {
     logger.info('⏳ Executing cache-warming task');
-    
-    // Simulate cache population
-    const itemsCached = 450;
-    const estimatedHitRate = 65; // %
-    
+    const started = Date.now();
+    const { databases = [] } = constraints.settings || {};
+    if (databases.length === 0) {
+      return skipped('No databases configured (maintenance.databases)');
+    }
+
+    const warmed = [...(jobData.resumeFrom?.restoreState?.warmed || [])];
+    const files = [];
+    for (const [index, file] of databases.entries()) {
+      if (constraints.signal?.aborted) break;
+      if (warmed.includes(file)) continue;
+
+      files.push(await warmFile(file, constraints.signal));
+      warmed.push(file);
+      constraints.reportProgress?.(((index + 1) / databases.length) * 100, { warmed });
+    }
+
+    const bytesRead = files.reduce((sum, file) => sum + (file.bytesRead || 0), 0);
     return {
       status: 'success',
-      itemsCached,
-      estimatedHitRatePercent: estimatedHitRate,
-      duration: 5300, // ms
+      files,
+      bytesRead,
+      mbRead: toMb(bytesRead),
+      duration: Date.now() - started,
       timestamp: new Date().toISOString()
     };
   },
 
-  // Example 4: Log Rotation
+  // Compress each *.log in maintenance.logDir to <name>.1.gz, keeping logKeep generations
   async logRotation(jobData, constraints) {
     logger.info('⏳ Executing log-rotation task');
-    
-    // Simulate log archival
-    const logsArchived = 12;
-    const spaceFreed = 450; // MB
-    
-    return {
-      status: 'success',
-      logsArchived,
-      spaceFreedMb: spaceFreed,
-      duration: 3200, // ms
-      timestamp: new Date().toISOString()
-    };
-  },
+    const started = Date.now();
+    const { logDir, logKeep = 5 } = constraints.settings || {};
+    if (!logDir || !fs.existsSync(logDir)) {
+      return skipped(`No log directory at ${logDir}`);
+    }
 
-  // Example 5: Metrics Aggregation
-  async metricsAggregation(jobData, constraints) {
-    logger.info('⏳ Executing metrics-aggregation task');
-    
-    // Simulate metric processing
-    const recordsProcessed = 50000;
-    const outlierDetected = 23;
-    
+    const rotated = [...(jobData.resumeFrom?.restoreState?.rotated || [])];
+    const logs = [];
+    for (const name of (await fsp.readdir(logDir)).sort()) {
+      if (path.extname(name) !== '.log' || rotated.includes(name)) continue;
+      const stats = await fsp.stat(path.join(logDir, name));
+      if (stats.isFile() && stats.size > 0) logs.push({ name, size: stats.size });
+    }
+
+    const files = [];
+    for (const [index, { name, size }] of logs.entries()) {
+      if (constraints.signal?.aborted) break;
+
+      files.push(await rotateLog(path.join(logDir, name), size, logKeep, constraints.signal));
+      rotated.push(name);
+      constraints.reportProgress?.(((index + 1) / logs.length) * 100, { rotated });
+    }
+
+    const bytesBefore = files.reduce((sum, file) => sum + file.bytesBefore, 0);
+    const bytesCompressed = files.reduce((sum, file) => sum + file.bytesCompressed, 0);
     return {
       status: 'success',
-      recordsProcessed,
-      outliersDetected: outlierDetected,
-      duration: 12400, // ms
+      logsArchived: files.length,
+      files,
+      bytesBefore,
+      bytesCompressed,
+      spaceFreedMb: toMb(bytesBefore - bytesCompressed),
+      duration: Date.now() - started,
       timestamp: new Date().toISOString()
     };
   },
 
-  // Example 6: Backup Verification
+  // Checksum the files in maintenance.backupDir against its sha256sum manifest
   async backupVerification(jobData, constraints) {
     logger.info('⏳ Executing backup-verification task');
-    
-    // Simulate backup check
-    const backupsChecked = 8;
-    const corrupted = 0;
-    const backupAgeHours = 2;
-    
+    const started = Date.now();
+    const { backupDir, backupManifest = 'SHA256SUMS' } = constraints.settings || {};
+    const manifestPath = path.resolve(backupDir || '.', backupManifest);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No backup manifest at ${manifestPath}`);
+    }
+
+    const manifest = parseManifest(await fsp.readFile(manifestPath, 'utf8'));
+    const names = Object.keys(manifest);
+    const verified = { ...(jobData.resumeFrom?.restoreState?.verified || {}) }; // name → ok | corrupted | missing
+    let bytesVerified = 0;
+    let oldestMs = null;
+
+    for (const [index, name] of names.entries()) {
+      if (constraints.signal?.aborted) break;
+      const file = path.join(path.dirname(manifestPath), name);
+      const stats = await fsp.stat(file).catch(() => null);
+      if (stats && (oldestMs === null || stats.mtimeMs < oldestMs)) oldestMs = stats.mtimeMs;
+      if (name in verified) continue;
+
+      if (!stats) {
+        verified[name] = 'missing';
+      } else {
+        verified[name] = (await sha256(file, constraints.signal)) === manifest[name] ? 'ok' : 'corrupted';
+        bytesVerified += stats.size;
+      }
+      constraints.reportProgress?.(((index + 1) / names.length) * 100, { verified });
+    }
+
+    const listed = new Set([...names, path.basename(manifestPath)]);
+    const unlisted = (await fsp.readdir(path.dirname(manifestPath))).filter(name => !listed.has(name));
+    const withStatus = status => names.filter(name => verified[name] === status);
+
     return {
       status: 'success',
-      backupsChecked,
-      corruptedBackups: corrupted,
-      oldestBackupHours: backupAgeHours,
-      duration: 28500, // ms
+      healthy: withStatus('corrupted').length === 0 && withStatus('missing').length === 0,
+      backupsChecked: Object.keys(verified).length,
+      corruptedBackups: withStatus('corrupted').length,
+      corrupted: withStatus('corrupted'),
+      missing: withStatus('missing'),
+      unlisted,
+      bytesVerified,
+      oldestBackupHours: oldestMs === null ? null : Math.round((Date.now() - oldestMs) / 36e5 * 10) / 10,
+      duration: Date.now() - started,
       timestamp: new Date().toISOString()
     };
   },
 
-  // Example 7: Report Generation
+  // Write a task/energy report for the last periodDays into maintenance.reportDir
   async reportGeneration(jobData, constraints) {
     logger.info('⏳ Executing report-generation task');
-    
-    // Simulate report creation
-    const format = jobData.format || 'pdf';
-    const pages = 47;
-    const size = 3.2; // MB
-    
+    const started = Date.now();
+    const { reportDir, database } = constraints.settings || {};
+    const format = jobData.format || 'md';
+    const periodDays = jobData.periodDays || 7;
+    if (!REPORT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${REPORT_FORMATS.join(', ')}`);
+    }
+    if (!Number.isInteger(periodDays) || periodDays < 1 || periodDays > 366) {
+      throw new Error('periodDays must be an integer between 1 and 366');
+    }
+
+    // A report is cheap to rebuild, so a resumed run starts over
+    const db = await openDatabase(database, { readOnly: true });
+    let report;
+    try {
+      report = await collectReport(db, periodDays, constraints);
+    } finally {
+      await db.close();
+    }
+
+    await fsp.mkdir(reportDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:T]/g, '-').slice(0, 19);
+    const file = path.join(reportDir, `report-${stamp}.${format}`);
+    const content = format === 'json' ? `${JSON.stringify(report, null, 2)}\n` : renderMarkdown(report);
+    // Written under a temporary name first so readers never see half a report
+    await fsp.writeFile(`${file}.partial`, content);
+    await fsp.rename(`${file}.partial`, file);
+    constraints.reportProgress?.(100, { file });
+
+    const bytes = Buffer.byteLength(content);
     return {
       status: 'success',
       format,
-      pages,
-      fileSizeMb: size,
-      duration: 15800, // ms
+      file,
+      periodDays,
+      tasks: report.tasks.reduce((sum, row) => sum + row.count, 0),
+      fileSizeMb: toMb(bytes),
+      bytes,
+      duration: Date.now() - started,
+      timestamp: new Date().toISOString()
+    };
+  },
+
+  // Project Execution (submitted from the web app, simulated)
+  async projectExecution(jobData, constraints) {
+    logger.info(`⏳ Executing project-execution task: ${jobData.projectId}`);
+
+    // Simulate running the project, one segment at a time if planned
+    const segments = jobData.segmentPlan ? jobData.segmentPlan.length : 1;
+
+    return {
+      status: 'success',
+      projectId: jobData.projectId,
+      segmentsCompleted: segments,
+      duration: Math.min((jobData.estimatedDurationSeconds || 60) * 1000, constraints.timeout),
       timestamp: new Date().toISOString()
     };
   }
 };
 
+// ------------------------------------------------------------------------
+// Helpers
+
+function skipped(reason) {
+  logger.warn(`Task skipped: ${reason}`);
+  return { status: 'skipped', reason, timestamp: new Date().toISOString() };
+}
+
+function toMb(bytes) {
+  return Math.round(bytes / 1024 / 1024 * 100) / 100;
+}
+
+// Existing SQLite file → promise wrapper; never creates a database
+function openDatabase(file, { readOnly = false } = {}) {
+  if (!file || !fs.existsSync(file)) {
+    return Promise.reject(new Error(`No database at ${file}`));
+  }
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE, (err) => {
+      if (err) return reject(err);
+      db.configure('busyTimeout', 5000);
+      const call = method => (sql, params = []) => new Promise((done, fail) => {
+        db[method](sql, params, function (error, rows) {
+          if (error) fail(error);
+          else done(method === 'run' ? { changes: this.changes } : rows);
+        });
+      });
+      resolve({
+        run: call('run'),
+        get: call('get'),
+        all: call('all'),
+        close: () => new Promise(done => db.close(() => done()))
+      });
+    });
+  });
+}
+
+// Database file plus its WAL, in bytes
+function databaseSize(file) {
+  return [file, `${file}-wal`].reduce((sum, part) => sum + (fs.existsSync(part) ? fs.statSync(part).size : 0), 0);
+}
+
+// pruneTables entries are 'table.column': rows older than pruneDays by that column are deleted
+async function cleanDatabase(file, pruneTables, pruneDays) {
+  if (!fs.existsSync(file)) {
+    return { database: file, skipped: 'not found' };
+  }
+
+  const sizeBefore = databaseSize(file);
+  const db = await openDatabase(file);
+  const pruned = {};
+  try {
+    for (const rule of pruneTables) {
+      const [table, column] = rule.split('.');
+      if (!IDENTIFIER.test(table) || !IDENTIFIER.test(column)) continue;
+      const columns = await db.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(existing => existing.name === column)) continue;
+
+      const { changes } = await db.run(
+        `DELETE FROM ${table} WHERE datetime(${column}) < datetime('now', ?)`,
+        [`-${pruneDays} days`]
+      );
+      pruned[table] = (pruned[table] || 0) + changes;
+    }
+
+    const { freelist_count: freePages } = await db.get('PRAGMA freelist_count');
+    await db.run('VACUUM');
+    const { journal_mode: journalMode } = await db.get('PRAGMA journal_mode');
+    if (journalMode === 'wal') await db.get('PRAGMA wal_checkpoint(TRUNCATE)');
+
+    const sizeAfter = databaseSize(file);
+    return {
+      database: file,
+      pruned,
+      rowsDeleted: Object.values(pruned).reduce((sum, count) => sum + count, 0),
+      freePages,
+      sizeBeforeBytes: sizeBefore,
+      sizeAfterBytes: sizeAfter,
+      bytesFreed: Math.max(0, sizeBefore - sizeAfter)
+    };
+  } finally {
+    await db.close();
+  }
+}
+
+// REINDEX rebuilds every index; ANALYZE refreshes the statistics the query planner uses
+async function optimizeIndexes(file) {
+  if (!fs.existsSync(file)) {
+    return { database: file, skipped: 'not found' };
+  }
+
+  const started = Date.now();
+  const db = await openDatabase(file);
+  try {
+    const indexes = await db.all(`SELECT name FROM sqlite_master WHERE type = 'index'`);
+    await db.run('REINDEX');
+    await db.run('ANALYZE');
+    return { database: file, indexes: indexes.length, durationMs: Date.now() - started };
+  } finally {
+    await db.close();
+  }
+}
+
+async function warmFile(file, signal) {
+  if (!fs.existsSync(file)) {
+    return { database: file, skipped: 'not found' };
+  }
+
+  let bytesRead = 0;
+  for (const part of [file, `${file}-wal`]) {
+    if (!fs.existsSync(part)) continue;
+    for await (const chunk of fs.createReadStream(part, { signal })) {
+      bytesRead += chunk.length;
+    }
+  }
+  return { database: file, bytesRead };
+}
+
+/**
+ * copytruncate rotation: the first size bytes are gzipped to <file>.1.gz,
+ * older generations shift up (.1.gz → .2.gz, the oldest is overwritten)
+ * and the log is truncated so writers keep their open file. Lines written
+ * between the copy and the truncate are lost, as with logrotate.
+ */
+async function rotateLog(file, size, keep, signal) {
+  const partial = `${file}.partial.gz`;
+  await pipeline(
+    fs.createReadStream(file, { start: 0, end: size - 1 }),
+    zlib.createGzip(),
+    fs.createWriteStream(partial),
+    { signal }
+  );
+
+  for (let generation = keep - 1; generation >= 1; generation--) {
+    const from = `${file}.${generation}.gz`;
+    if (fs.existsSync(from)) await fsp.rename(from, `${file}.${generation + 1}.gz`);
+  }
+  await fsp.rename(partial, `${file}.1.gz`);
+  await fsp.truncate(file, 0);
+
+  const { size: bytesCompressed } = await fsp.stat(`${file}.1.gz`);
+  return { file: path.basename(file), bytesBefore: size, bytesCompressed };
+}
+
+// sha256sum output ('<hex>  <name>' or '<hex> *<name>') → { name: hex }
+function parseManifest(text) {
+  const entries = {};
+  for (const line of text.split('\n')) {
+    const match = line.trim().match(/^([0-9a-fA-F]{64}) [ *](.+)$/);
+    if (match) entries[match[2]] = match[1].toLowerCase();
+  }
+  return entries;
+}
+
+async function sha256(file, signal) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(file), hash, { signal });
+  return hash.digest('hex');
+}
+
+async function hasTable(db, name) {
+  return Boolean(await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [name]));
+}
+
+async function collectReport(db, periodDays, constraints) {
+  const since = [`-${periodDays} days`];
+  const report = { generatedAt: new Date().toISOString(), periodDays };
+
+  report.tasks = await db.all(
+    `SELECT name, status, COUNT(*) AS count, AVG(executed_duration_ms) AS avgDurationMs,
+       AVG(actual_power_cost) AS avgPowerWatts
+     FROM tasks WHERE datetime(created_at) >= datetime('now', ?)
+     GROUP BY name, status ORDER BY name, status`,
+    since
+  );
+  constraints.reportProgress?.(25, {});
+
+  report.feedback = await db.all(
+    `SELECT t.name, f.feedback_type AS feedbackType, COUNT(*) AS count
+     FROM feedback f JOIN tasks t ON f.task_id = t.id
+     WHERE datetime(f.timestamp) >= datetime('now', ?)
+     GROUP BY t.name, f.feedback_type ORDER BY t.name`,
+    since
+  );
+  constraints.reportProgress?.(50, {});
+
+  report.grid = await hasTable(db, 'grid_metrics')
+    ? await db.get(
+      `SELECT AVG(carbon_intensity) AS avgCarbonIntensity, AVG(renewable_percent) AS avgRenewablePercent,
+         COUNT(*) AS samples
+       FROM grid_metrics WHERE datetime(timestamp) >= datetime('now', ?)`,
+      since
+    )
+    : null;
+  constraints.reportProgress?.(75, {});
+
+  report.metrics = await hasTable(db, 'metric_summaries')
+    ? await db.all(
+      `SELECT source_table AS source, field, SUM(sample_count) AS samples,
+         SUM(avg_value * sample_count) / SUM(sample_count) AS avg, MIN(min_value) AS min,
+         MAX(max_value) AS max, MAX(p95_value) AS maxDailyP95
+       FROM metric_summaries WHERE day >= date('now', ?)
+       GROUP BY source_table, field ORDER BY source_table, field`,
+      since
+    )
+    : [];
+  return report;
+}
+
+function renderMarkdown(report) {
+  const round = value => (value === null || value === undefined ? 'n/a' : String(Math.round(value * 10) / 10));
+  const table = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ];
+
+  const lines = [
+    `# Eco Agent report`,
+    '',
+    `Generated ${report.generatedAt}, covering the last ${report.periodDays} day(s).`,
+    '',
+    '## Tasks',
+    ''
+  ];
+  lines.push(...(report.tasks.length === 0
+    ? ['No tasks in this period.']
+    : table(['Task', 'Status', 'Runs', 'Avg duration (ms)', 'Avg power (W)'],
+      report.tasks.map(row => [row.name, row.status, row.count, round(row.avgDurationMs), round(row.avgPowerWatts)]))));
+
+  lines.push('', '## Feedback', '');
+  lines.push(...(report.feedback.length === 0
+    ? ['No feedback in this period.']
+    : table(['Task', 'Feedback', 'Count'], report.feedback.map(row => [row.name, row.feedbackType, row.count]))));
+
+  lines.push('', '## Grid', '');
+  lines.push(report.grid?.samples
+    ? `Average carbon intensity ${round(report.grid.avgCarbonIntensity)} gCO2/kWh, ` +
+      `${round(report.grid.avgRenewablePercent)}% renewable (${report.grid.samples} readings).`
+    : 'No grid readings in this period.');
+
+  lines.push('', '## System metrics', '');
+  lines.push(...(report.metrics.length === 0
+    ? ['No daily summaries yet (run metrics-aggregation).']
+    : table(['Source', 'Field', 'Samples', 'Avg', 'Min', 'Max', 'Max daily p95'],
+      report.metrics.map(row => [row.source, row.field, row.samples, round(row.avg), round(row.min), round(row.max), round(row.maxDailyP95)]))));
+
+  return `${lines.join('\n')}\n`;
+}
+
 /**
  * Template for adding custom task
  * 
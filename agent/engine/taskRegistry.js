@@ -0,0 +1,171 @@
+/**
+ * Task Processor Registry
+ *
+ * Maps kebab-case task names to handler functions:
+ * - Built-in processors from engine/taskProcessors.js (databaseCleanup → database-cleanup)
+ * - Plugins loaded from a directory (default: agent/plugins)
+ *
+ * Registering a processor never whitelists it. A task only becomes
+ * executable once TaskWhitelist approves it (engine/taskWhitelist.js).
+ *
+ * Handler signature: async (jobData, constraints) => result
+ * constraints is the output of AgentDecisionEngine.enforceConstraints
+ * plus an AbortSignal (signal) that fires when the task is paused/aborted.
+ *
+ * Processors registered with a module entry (built-ins and plugins) run in
+ * a TaskSandbox worker when one is given; handlers registered as plain
+ * functions (agent-internal tasks such as data-retention) run in-process.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import pino from 'pino';
+
+const logger = pino();
+
+const TASK_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+// databaseCleanup → database-cleanup
+export function toTaskName(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[_\s]+/g, '-')
+    .toLowerCase();
+}
+
+export function isValidTaskName(taskName) {
+  return typeof taskName === 'string' && TASK_NAME_PATTERN.test(taskName);
+}
+
+export class TaskProcessorRegistry {
+  constructor(decisionEngine, sandbox = null) {
+    this.decisionEngine = decisionEngine;
+    this.sandbox = sandbox; // TaskSandbox, or null to run everything in-process
+    this.processors = new Map(); // taskName → { handler, source, description, entry }
+  }
+
+  /**
+   * Register a handler under a kebab-case task name
+   * Re-registering a name replaces the handler but keeps its approval
+   * entry: where a sandbox worker finds the handler again,
+   *   { url, export, key } (named export object) or { url, plugin } (plugin index)
+   */
+  register(taskName, handler, { source = 'builtin', description = '', entry = null } = {}) {
+    if (!isValidTaskName(taskName)) {
+      throw new Error(`Invalid task name '${taskName}' - use kebab-case (e.g. my-task)`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Processor for '${taskName}' must be a function`);
+    }
+
+    if (this.processors.has(taskName)) {
+      logger.warn(`Replacing processor for ${taskName}`, { source });
+    }
+    this.processors.set(taskName, { handler, source, description, entry });
+  }
+
+  /**
+   * Register every handler of an object keyed by camelCase names
+   * (the shape of engine/taskProcessors.js)
+   * module: { url, export } of the object, so the handlers can be sandboxed
+   */
+  registerAll(processors, { module = null, ...options } = {}) {
+    for (const [key, handler] of Object.entries(processors)) {
+      this.register(toTaskName(key), handler, { ...options, entry: module && { ...module, key } });
+    }
+  }
+
+  /**
+   * Load plugins from a directory
+   *
+   * A plugin file's default export is one plugin or an array of them:
+   *   { name: 'my-task', description: '...', handler: async (jobData, constraints) => ... }
+   * name defaults to the file name. Broken plugins are logged and skipped.
+   * Returns the task names that were registered.
+   */
+  async loadPlugins(pluginsDir) {
+    let files;
+    try {
+      files = await fs.readdir(pluginsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        logger.info(`No plugins directory at ${pluginsDir}`);
+        return [];
+      }
+      throw error;
+    }
+
+    const loaded = [];
+    for (const file of files.sort()) {
+      if (!PLUGIN_EXTENSIONS.includes(path.extname(file))) continue;
+
+      const filePath = path.join(pluginsDir, file);
+      try {
+        const url = pathToFileURL(filePath).href;
+        const module = await import(url);
+        const plugins = [].concat(module.default || []);
+        if (plugins.length === 0) {
+          throw new Error('no default export');
+        }
+
+        for (const [index, plugin] of plugins.entries()) {
+          const taskName = plugin.name || toTaskName(path.basename(file, path.extname(file)));
+          this.register(taskName, plugin.handler, {
+            source: `plugin:${file}`,
+            description: plugin.description || '',
+            entry: { url, plugin: index }
+          });
+          loaded.push(taskName);
+        }
+      } catch (error) {
+        logger.error(`Failed to load plugin ${file}: ${error.message}`);
+      }
+    }
+
+    if (loaded.length > 0) {
+      const pending = loaded.filter(name => !this.isApproved(name));
+      logger.info(`🔌 Loaded ${loaded.length} plugin processor(s)`, { pendingApproval: pending });
+    }
+    return loaded;
+  }
+
+  has(taskName) {
+    return this.processors.has(taskName);
+  }
+
+  getTaskNames() {
+    return Array.from(this.processors.keys());
+  }
+
+  isApproved(taskName) {
+    return this.decisionEngine.getWhitelist().includes(taskName);
+  }
+
+  list() {
+    return this.getTaskNames().map(taskName => {
+      const { source, description, entry } = this.processors.get(taskName);
+      return {
+        taskName,
+        source,
+        description,
+        approved: this.isApproved(taskName),
+        sandboxed: Boolean(entry && this.sandbox)
+      };
+    });
+  }
+
+  async execute(taskName, jobData, constraints) {
+    const processor = this.processors.get(taskName);
+    if (!processor) {
+      throw new Error(`No processor registered for '${taskName}'`);
+    }
+    if (processor.entry && this.sandbox) {
+      return await this.sandbox.run(taskName, processor.entry, jobData, constraints);
+    }
+    return await processor.handler(jobData, constraints);
+  }
+}
+
+export default TaskProcessorRegistry;
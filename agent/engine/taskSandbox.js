@@ -0,0 +1,128 @@
+/**
+ * Task Sandbox
+ *
+ * Runs a task processor in a worker thread so the limits from
+ * AgentDecisionEngine.enforceConstraints are enforced, not just reported:
+ *
+ *   timeout         wall clock; the worker is terminated when it runs out
+ *   memoryLimit     worker heap (resourceLimits.maxOldGenerationSizeMb)
+ *   writableDirs    fs writes outside these directories are refused
+ *   blocked 'delete'         fs deletes only inside workDir (writableDirs[0])
+ *   blocked 'config_modify'  protectedPaths (agent config, database) are not writable
+ *   blocked 'network'        sockets (net, tls, http(s), fetch, dgram) are refused
+ *   blocked 'process'        child processes, nested workers and signals are refused
+ *
+ * The guards live in sandboxWorker.js and patch Node's own modules inside
+ * the worker. Native addons (e.g. sqlite3) bypass the fs guard.
+ *
+ * A violation terminates the worker and rejects with SandboxViolation;
+ * the job handler records its message in tasks.error_log. Pause/abort
+ * (constraints.signal) is forwarded to the processor, which gets
+ * abortGraceMs to return before the worker is terminated.
+ */
+
+import { Worker } from 'worker_threads';
+import pino from 'pino';
+
+const logger = pino();
+
+const WORKER_URL = new URL('./sandboxWorker.js', import.meta.url);
+
+export class SandboxViolation extends Error {
+  constructor(kind, message) {
+    super(`Sandbox violation (${kind}): ${message}`);
+    this.name = 'SandboxViolation';
+    this.kind = kind; // timeout | memory | filesystem | delete | network | process
+    this.code = `SANDBOX_${kind.toUpperCase()}`;
+  }
+}
+
+export class TaskSandbox {
+  constructor(options = {}) {
+    this.config = {
+      abortGraceMs: 2000,
+      protectedPaths: [], // agent config files and database, guarded while config_modify is blocked
+      ...options
+    };
+  }
+
+  /**
+   * Run a processor module entry ({ url, export, key } or { url, plugin })
+   * Resolves to its result, or { status: 'interrupted' } after a pause/abort
+   */
+  run(taskName, entry, jobData, constraints) {
+    const { signal, reportProgress, ...limits } = constraints;
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_URL, {
+        workerData: {
+          taskName,
+          entry,
+          jobData,
+          constraints: limits,
+          protectedPaths: this.config.protectedPaths
+        },
+        resourceLimits: { maxOldGenerationSizeMb: limits.memoryLimit }
+      });
+
+      let settled = false;
+      let graceTimer = null;
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeoutTimer);
+        clearTimeout(graceTimer);
+        signal?.removeEventListener('abort', onAbort);
+        worker.terminate().finally(() => (error ? reject(error) : resolve(result)));
+      };
+      const violate = (kind, message) => {
+        logger.warn(`🚫 ${taskName}: sandbox violation (${kind}) - ${message}`);
+        finish(new SandboxViolation(kind, message));
+      };
+
+      const timeoutTimer = setTimeout(
+        () => violate('timeout', `still running after ${limits.timeout} ms`),
+        limits.timeout
+      );
+
+      const onAbort = () => {
+        worker.postMessage({ type: 'abort', reason: signal.reason?.message || 'aborted' });
+        graceTimer = setTimeout(() => finish(null, { status: 'interrupted' }), this.config.abortGraceMs);
+      };
+      if (signal?.aborted) onAbort();
+      else signal?.addEventListener('abort', onAbort, { once: true });
+
+      worker.on('message', message => {
+        switch (message.type) {
+          case 'progress':
+            reportProgress?.(message.percent, message.state);
+            break;
+          case 'violation':
+            violate(message.kind, message.message);
+            break;
+          case 'result':
+            finish(null, signal?.aborted ? { status: 'interrupted' } : message.result);
+            break;
+          case 'error':
+            finish(signal?.aborted ? null : Object.assign(new Error(message.message), { name: message.name }),
+              { status: 'interrupted' });
+            break;
+        }
+      });
+
+      worker.on('error', error => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          violate('memory', `heap exceeded ${limits.memoryLimit} MB`);
+        } else {
+          finish(error);
+        }
+      });
+
+      worker.on('exit', code => {
+        finish(new Error(`Task worker exited with code ${code} before returning a result`));
+      });
+    });
+  }
+}
+
+export default TaskSandbox;
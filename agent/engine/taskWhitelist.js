@@ -0,0 +1,251 @@
+/**
+ * Task Whitelist
+ *
+ * Persistent store behind the decision engine's execution whitelist.
+ * One task_whitelist row per task name records its state and who put it
+ * there; every change is also written to execution_history
+ * (task_id 'whitelist:<task>', decision WHITELIST_<ACTION>) as the audit trail.
+ *
+ *   pending ──approve──→ approved ──revoke──→ revoked
+ *      │                    │
+ *      └──reject──→ rejected └──expires_at passes──→ expired
+ *
+ * Any state except approved can be approved directly (an explicit user
+ * action); request() only records that someone wants a task enabled.
+ * The decision engine's in-memory set mirrors the approved rows.
+ *
+ * Emits 'change' { taskName, action, status, actor, reason, expiresAt }
+ */
+
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+
+const logger = pino();
+
+export const WHITELIST_STATUSES = ['pending', 'approved', 'rejected', 'revoked', 'expired'];
+
+export class WhitelistError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'WhitelistError';
+    this.code = code; // WHITELIST_ENTRY_NOT_FOUND | WHITELIST_INVALID_STATE | WHITELIST_INVALID_EXPIRY
+  }
+}
+
+export class TaskWhitelist extends EventEmitter {
+  constructor(sharedMemory, decisionEngine, options = {}) {
+    super();
+    this.memory = sharedMemory;
+    this.decisionEngine = decisionEngine;
+    this.logger = options.logger || logger; // the CLI passes a silent logger to keep its output clean
+  }
+
+  /**
+   * Expire what has lapsed, then fill the decision engine with approved rows
+   */
+  async load() {
+    await this.sweepExpired();
+
+    const rows = await this.memory.all(`SELECT task_name FROM task_whitelist WHERE status = 'approved'`);
+    for (const { task_name: taskName } of rows) {
+      this.decisionEngine.addToWhitelist(taskName);
+    }
+    return rows.length;
+  }
+
+  /**
+   * Seed approvals from tasks.allowed
+   *
+   * Tasks without a row are approved by 'config'. Config approvals whose
+   * task left the list are revoked, so a narrower ALLOWED_TASKS still
+   * narrows the whitelist; approvals made through the API or CLI stay.
+   */
+  async syncConfigured(taskNames) {
+    for (const taskName of taskNames) {
+      if (!(await this.get(taskName))) {
+        await this.approve(taskName, { actor: 'config', reason: 'tasks.allowed' });
+      }
+    }
+
+    const stale = await this.memory.all(
+      `SELECT task_name FROM task_whitelist WHERE status = 'approved' AND approved_by = 'config'`
+    );
+    for (const { task_name: taskName } of stale) {
+      if (!taskNames.includes(taskName)) {
+        await this.revoke(taskName, { actor: 'config', reason: 'No longer in tasks.allowed' });
+      }
+    }
+  }
+
+  async get(taskName) {
+    const row = await this.memory.get('SELECT * FROM task_whitelist WHERE task_name = ?', [taskName]);
+    return row ? serializeEntry(row) : null;
+  }
+
+  async list(status = null) {
+    const rows = status
+      ? await this.memory.all('SELECT * FROM task_whitelist WHERE status = ? ORDER BY task_name', [status])
+      : await this.memory.all('SELECT * FROM task_whitelist ORDER BY task_name');
+    return rows.map(serializeEntry);
+  }
+
+  // Audit trail for one task, newest first
+  async history(taskName, limit = 50) {
+    const rows = await this.memory.all(
+      `SELECT decision, reasoning, system_state, timestamp FROM execution_history
+       WHERE task_id = ? ORDER BY timestamp DESC, rowid DESC LIMIT ?`,
+      [auditId(taskName), limit]
+    );
+    return rows.map(row => ({
+      action: row.decision.replace(/^WHITELIST_/, '').toLowerCase(),
+      reason: row.reasoning,
+      ...JSON.parse(row.system_state || '{}'),
+      timestamp: row.timestamp
+    }));
+  }
+
+  /**
+   * Ask for a task to be whitelisted; it stays pending until approved
+   */
+  async request(taskName, { actor, reason = null, expiresAt = null }) {
+    const entry = await this.get(taskName);
+    if (entry?.status === 'approved' || entry?.status === 'pending') {
+      throw new WhitelistError('WHITELIST_INVALID_STATE', `Task '${taskName}' is already ${entry.status}`);
+    }
+    const expires = parseExpiry(expiresAt);
+
+    await this.memory.run(
+      `INSERT INTO task_whitelist (task_name, status, requested_by, request_reason, expires_at, changed_by)
+       VALUES (?, 'pending', ?, ?, ?, ?)
+       ON CONFLICT(task_name) DO UPDATE SET
+         status = 'pending', requested_by = excluded.requested_by, request_reason = excluded.request_reason,
+         expires_at = excluded.expires_at, approved_by = NULL, approved_at = NULL,
+         changed_by = excluded.changed_by, updated_at = CURRENT_TIMESTAMP`,
+      [taskName, actor, reason, expires, actor]
+    );
+    return await this.changed(taskName, 'requested', actor, reason, expires);
+  }
+
+  /**
+   * Whitelist a task; expiresAt (optional) overrides the requested expiry
+   */
+  async approve(taskName, { actor, reason = null, expiresAt }) {
+    const entry = await this.get(taskName);
+    if (entry?.status === 'approved') {
+      throw new WhitelistError('WHITELIST_INVALID_STATE', `Task '${taskName}' is already approved`);
+    }
+    // A pending request keeps the expiry it asked for unless the approver sets one
+    const requested = entry?.status === 'pending' ? entry.expiresAt : null;
+    const expires = parseExpiry(expiresAt === undefined ? requested : expiresAt);
+
+    await this.memory.run(
+      `INSERT INTO task_whitelist (task_name, status, requested_by, approved_by, approved_at, expires_at, changed_by)
+       VALUES (?, 'approved', ?, ?, CURRENT_TIMESTAMP, ?, ?)
+       ON CONFLICT(task_name) DO UPDATE SET
+         status = 'approved', approved_by = excluded.approved_by, approved_at = CURRENT_TIMESTAMP,
+         expires_at = excluded.expires_at, changed_by = excluded.changed_by, updated_at = CURRENT_TIMESTAMP`,
+      [taskName, actor, actor, expires, actor]
+    );
+    this.decisionEngine.addToWhitelist(taskName);
+    return await this.changed(taskName, 'approved', actor, reason, expires);
+  }
+
+  async reject(taskName, { actor, reason = null }) {
+    await this.transition(taskName, 'pending', 'rejected', actor);
+    return await this.changed(taskName, 'rejected', actor, reason);
+  }
+
+  async revoke(taskName, { actor, reason = null }) {
+    await this.transition(taskName, 'approved', 'revoked', actor);
+    this.decisionEngine.removeFromWhitelist(taskName);
+    return await this.changed(taskName, 'revoked', actor, reason);
+  }
+
+  /**
+   * Move approved rows past their expiry to expired; returns their task names
+   */
+  async sweepExpired() {
+    const rows = await this.memory.all(
+      `SELECT task_name FROM task_whitelist
+       WHERE status = 'approved' AND expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now')`
+    );
+
+    for (const { task_name: taskName } of rows) {
+      await this.transition(taskName, 'approved', 'expired', 'agent');
+      this.decisionEngine.removeFromWhitelist(taskName);
+      await this.changed(taskName, 'expired', 'agent', 'Approval expired');
+    }
+    return rows.map(row => row.task_name);
+  }
+
+  async transition(taskName, from, to, actor) {
+    const { changes } = await this.memory.run(
+      `UPDATE task_whitelist SET status = ?, changed_by = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE task_name = ? AND status = ?`,
+      [to, actor, taskName, from]
+    );
+    if (changes > 0) return;
+
+    const entry = await this.get(taskName);
+    if (!entry) {
+      throw new WhitelistError('WHITELIST_ENTRY_NOT_FOUND', `Task '${taskName}' has no whitelist entry`);
+    }
+    throw new WhitelistError('WHITELIST_INVALID_STATE', `Task '${taskName}' is ${entry.status}, not ${from}`);
+  }
+
+  async changed(taskName, action, actor, reason, expiresAt = null) {
+    const entry = await this.get(taskName);
+    const details = { actor, status: entry.status, expiresAt };
+
+    try {
+      await this.memory.run(
+        `INSERT INTO execution_history (id, task_id, decision, reasoning, system_state)
+         VALUES (?, ?, ?, ?, ?)`,
+        [uuidv4(), auditId(taskName), `WHITELIST_${action.toUpperCase()}`, reason, JSON.stringify(details)]
+      );
+    } catch (error) {
+      this.logger.error(`Failed to record whitelist change: ${error.message}`);
+    }
+
+    this.logger.info(`📝 Whitelist: ${taskName} ${action} by ${actor}${reason ? ` (${reason})` : ''}`);
+    this.emit('change', { taskName, action, ...details, reason });
+    return entry;
+  }
+}
+
+function auditId(taskName) {
+  return `whitelist:${taskName}`;
+}
+
+// null | ISO date in the future → ISO string
+function parseExpiry(expiresAt) {
+  if (expiresAt === null || expiresAt === undefined) return null;
+
+  const date = new Date(expiresAt);
+  if (isNaN(date.getTime())) {
+    throw new WhitelistError('WHITELIST_INVALID_EXPIRY', 'expiresAt must be a date');
+  }
+  if (date <= new Date()) {
+    throw new WhitelistError('WHITELIST_INVALID_EXPIRY', 'expiresAt must be in the future');
+  }
+  return date.toISOString();
+}
+
+// task_whitelist row → API shape (also used by the CLI's LocalStore)
+export function serializeEntry(row) {
+  return {
+    taskName: row.task_name,
+    status: row.status,
+    requestedBy: row.requested_by,
+    requestReason: row.request_reason,
+    approvedBy: row.approved_by,
+    approvedAt: row.approved_at,
+    expiresAt: row.expires_at,
+    changedBy: row.changed_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default TaskWhitelist;
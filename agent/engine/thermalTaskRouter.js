@@ -0,0 +1,233 @@
+/**
+ * Thermal Task Router
+ *
+ * Bridges the web app's TaskRoutingService and the agent:
+ * - Resolves device profiles (built-in, saved, or 'auto')
+ * - Runs ThermalPrediction pre-flight checks before submission
+ * - Turns the prediction into a routing decision:
+ *   PROCEED → queue normally
+ *   SEGMENT → queue with a segment plan
+ *   WAIT    → queue, but not before the device has cooled
+ *   SKIP    → refuse, task would overheat the device
+ */
+
+import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
+import { BUILTIN_DEVICE_PROFILES, getBuiltinProfile } from '../scheduler/deviceProfiles.js';
+
+const logger = pino();
+
+// Task name used for projects submitted from the web app
+export const PROJECT_TASK_NAME = 'project-execution';
+
+// ThermalPrediction recommendation → action vocabulary used by the web app
+const RECOMMENDATION_ACTIONS = {
+  PROCEED: 'PROCEED',
+  BREAK_INTO_SEGMENTS: 'SEGMENT',
+  WAIT_FOR_COOLING: 'WAIT',
+  SKIP: 'SKIP'
+};
+
+export class ThermalTaskRouter {
+  constructor(agent) {
+    this.agent = agent;
+  }
+
+  /**
+   * Built-in profiles followed by profiles saved in device_profiles
+   */
+  async listDeviceProfiles() {
+    const profiles = [...BUILTIN_DEVICE_PROFILES];
+
+    try {
+      const saved = await this.agent.sharedMemory.all(
+        `SELECT device_id, config FROM device_profiles ORDER BY device_id ASC`
+      );
+
+      for (const row of saved) {
+        try {
+          profiles.push({ name: row.device_id, ...JSON.parse(row.config), id: row.device_id });
+        } catch (error) {
+          logger.warn(`Skipping unreadable device profile ${row.device_id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not load saved device profiles: ${error.message}`);
+    }
+
+    return profiles;
+  }
+
+  /**
+   * Resolve a profile ID to a profile config
+   * Returns null for unknown IDs
+   */
+  async resolveDeviceProfile(profileId = 'auto') {
+    if (!profileId || profileId === 'auto') {
+      return await this.agent.thermalPrediction.getDefaultProfile();
+    }
+
+    const builtin = getBuiltinProfile(profileId);
+    if (builtin) return builtin;
+
+    const profiles = await this.listDeviceProfiles();
+    return profiles.find(profile => profile.id === profileId) || null;
+  }
+
+  /**
+   * Thermal prediction for a task spec without submitting it
+   *
+   * taskSpec = {
+   *   type, estimatedPowerWatts, estimatedDurationSeconds, segmentable
+   * }
+   * Returns null if the device profile is unknown
+   */
+  async predict(taskSpec, profileId = 'auto', { autoSegment = true } = {}) {
+    const profile = await this.resolveDeviceProfile(profileId);
+    if (!profile) return null;
+
+    const prediction = this.agent.thermalPrediction;
+    const task = {
+      id: uuidv4(),
+      type: taskSpec.type,
+      estimatedPowerWatts: taskSpec.estimatedPowerWatts,
+      estimatedDurationSeconds: taskSpec.estimatedDurationSeconds,
+      segmentable: taskSpec.segmentable !== false
+    };
+
+    let check;
+    try {
+      check = await prediction.preFlightThermalCheck(task, profile);
+    } finally {
+      // Ad-hoc task IDs would otherwise pile up in the cache
+      prediction.clearPredictionCache(task.id);
+    }
+
+    let action = RECOMMENDATION_ACTIONS[check.recommendation] || 'PROCEED';
+    if (action === 'SEGMENT' && !autoSegment) {
+      action = 'WAIT';
+    }
+
+    let segmentation = null;
+    if (action === 'SEGMENT') {
+      segmentation = prediction.recommendSegmentation(task, check.timeline, profile);
+    }
+
+    let waitMinutes = 0;
+    if (action === 'WAIT') {
+      const wait = await prediction.getWaitTimeUntilSafe(task, profile);
+      waitMinutes = wait.minutesUntilSafe;
+    }
+
+    const criticalThreshold = profile.criticalThreshold || 80;
+    const peakTempEstimate = check.peakTempEstimate || 0;
+
+    return {
+      peakTempEstimate,
+      peakTempTime: check.peakTempTime ?? null,
+      safetyMargin: check.safetyMargin ?? criticalThreshold - peakTempEstimate,
+      recommendation: action,
+      thermalRecommendation: check.recommendation,
+      reason: check.reason,
+      segmentsRecommended: segmentation ? segmentation.segmentsRecommended : 1,
+      segments: segmentation ? segmentation.segments : null,
+      waitMinutes,
+      trajectory: check.trajectory || null,
+      metadata: {
+        currentTemp: check.timeline?.startTemp ?? null,
+        coolingRate: profile.coolingRate,
+        thermalBudget: criticalThreshold,
+        deviceProfile: profile.id || profile.name
+      }
+    };
+  }
+
+  /**
+   * Predict, then queue the project unless the prediction says SKIP
+   *
+   * project = { projectId, projectName, taskData }
+   * options = { urgency, deviceProfile, autoSegment }
+   */
+  async submitWithPrediction(project, options = {}) {
+    const { urgency = 'normal', deviceProfile = 'auto', autoSegment = true } = options;
+    const taskData = project.taskData || {};
+
+    const prediction = await this.predict(taskData, deviceProfile, { autoSegment });
+    if (!prediction) return null;
+
+    const base = {
+      projectId: project.projectId,
+      projectName: project.projectName,
+      prediction,
+      decision: prediction.recommendation,
+      segments: prediction.segments
+    };
+
+    if (prediction.recommendation === 'SKIP') {
+      logger.warn(`🔥 Project ${project.projectId} skipped: ${prediction.reason}`);
+      return { ...base, submitted: false };
+    }
+
+    const submitOptions = {};
+    if (prediction.recommendation === 'WAIT') {
+      submitOptions.notBefore = new Date(Date.now() + prediction.waitMinutes * 60000);
+    }
+
+    const result = await this.agent.submitTask(
+      PROJECT_TASK_NAME,
+      {
+        ...taskData,
+        description: project.projectName,
+        projectId: project.projectId,
+        deviceProfile,
+        segmentPlan: prediction.segments,
+        thermalPrediction: {
+          peakTempEstimate: prediction.peakTempEstimate,
+          recommendation: prediction.recommendation
+        }
+      },
+      urgency,
+      submitOptions
+    );
+
+    return { ...base, ...result, submitted: true };
+  }
+
+  /**
+   * Current thermal snapshot for the dashboard
+   */
+  async getCurrentThermal() {
+    const thermal = this.agent.thermalMonitor;
+    const temps = await thermal.getSystemTemperature();
+    const stats = await thermal.getThermalStats(60);
+    const history = await thermal.getThermalHistory(10); // newest first
+
+    const currentTemp = temps.average;
+    let trend = 'stable';
+    if (history.length >= 2) {
+      const change = history[0].average_temp - history[history.length - 1].average_temp;
+      if (change > 1) trend = 'rising';
+      else if (change < -1) trend = 'cooling';
+    }
+
+    const cooldownMinutes = thermal.estimateCoolingTime(currentTemp, thermal.thresholds.safe.max);
+
+    return {
+      timestamp: temps.timestamp,
+      currentTemp,
+      cpuTemp: temps.cpu,
+      gpuTemp: temps.gpu,
+      peakTemp: Math.max(stats?.max_temp ?? currentTemp, currentTemp),
+      avgTemp: stats?.avg_temp ?? currentTemp,
+      status: thermal.getThermalStatus(currentTemp),
+      trend,
+      coolingRate: thermal.coolingRate,
+      estimatedCooldownTime: cooldownMinutes * 60, // seconds
+      thermalBudget: thermal.thresholds.critical,
+      headroom: thermal.thresholds.critical - currentTemp,
+      source: temps.source
+    };
+  }
+}
+
+export default ThermalTaskRouter;
@@ -1,8 +1,41 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
 import { TaskQueue } from './queue/taskQueue.js';
+import { FallbackQueue } from './queue/fallbackQueue.js';
+import { SqliteQueue } from './queue/sqliteQueue.js';
 import { SharedMemory } from './memory/sharedMemory.js';
 import { EcoScheduler } from './scheduler/ecoScheduler.js';
 import { AgentDecisionEngine } from './engine/decisionEngine.js';
+import { ThermalTaskRouter } from './engine/thermalTaskRouter.js';
+import { TaskProcessorRegistry } from './engine/taskRegistry.js';
+import { taskProcessors } from './engine/taskProcessors.js';
+import { ThermalMonitor } from './scheduler/thermalMonitoring.js';
+import { ThermalPrediction } from './scheduler/thermalPrediction.js';
+import { TaskCheckpointManager } from './scheduler/taskCheckpointManager.js';
+import { DeviceSleepManager } from './scheduler/deviceSleepManager.js';
+import { RuntimeAbortMonitor } from './scheduler/runtimeAbortMonitor.js';
+import { SmartIdleEngine } from './scheduler/smartIdleEngine.js';
+import { AgentApiServer } from './api/server.js';
+import { LiveEventHub } from './api/liveEvents.js';
+import { AgentConfig } from './config/agentConfig.js';
+import { RetentionManager } from './memory/retention.js';
+import { TaskLearning } from './engine/taskLearning.js';
+import { PolicyEngine } from './engine/policyEngine.js';
+import { TaskWhitelist } from './engine/taskWhitelist.js';
+import { FeedbackAdjustments } from './engine/feedbackAdjustments.js';
+import { TaskSandbox } from './engine/taskSandbox.js';
+import { MetricsAggregator } from './memory/metricsAggregator.js';
+import { RecurringSchedules } from './scheduler/recurringSchedules.js';
+import { EnergySLA } from './scheduler/energySla.js';
+import { CarbonAccounting } from './engine/carbonAccounting.js';
+import { CarbonBudgets } from './engine/carbonBudgets.js';
+import { WebhookDispatcher } from './api/webhooks.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const logger = pino({
   level: process.env.LOG_LEVEL || 'info',
@@ -16,39 +49,144 @@ const logger = pino({
   }
 });
 
-class EcoAgent {
+// Queue priority → urgency (submitTask maps urgency to priority)
+const URGENCY_BY_PRIORITY = ['low', 'normal', 'high', 'critical'];
+
+// SLA of a tasks row as the decision engine takes it; null without a class or deadline
+function taskSla(record) {
+  if (!record?.sla_class && !record?.deadline) return null;
+  return { slaClass: record.sla_class, deadline: record.deadline, startBy: record.start_by };
+}
+
+// Emits 'task-status' { taskId, status, ... } whenever a tasks row changes state
+// and 'sla-warning' { taskId, taskName, reason, ... } when a task may miss its SLA
+class EcoAgent extends EventEmitter {
   constructor() {
+    super();
+    this.config = null;
     this.taskQueue = null;
     this.sharedMemory = null;
     this.scheduler = null;
     this.decisionEngine = null;
+    this.processors = null;
+    this.whitelist = null;
+    this.adjustments = null;
+    this.schedules = null;
+    this.learning = null;
+    this.policy = null;
+    this.thermalMonitor = null;
+    this.thermalPrediction = null;
+    this.checkpointManager = null;
+    this.sleepManager = null;
+    this.abortMonitor = null;
+    this.smartIdle = null;
+    this.pipeline = null; // pipeline.* config section, refreshed on reload
+    this.taskRouter = null;
+    this.retention = null;
+    this.metricsAggregator = null;
+    this.retentionTimer = null;
+    this.whitelistTimer = null;
+    this.meshNetwork = null;
+    this.liveEvents = null;
+    this.apiServer = null;
     this.isRunning = false;
+
+    // taskId → { controller, job } for tasks currently executing
+    this.activeExecutions = new Map();
+
+    // taskId → job ID of the re-queued job while a deferred task waits
+    this.deferredJobs = new Map();
   }
 
   async initialize() {
     try {
       logger.info('🚀 Initializing Eco Agent...');
 
-      // Initialize components
-      this.sharedMemory = new SharedMemory();
-      
-      // Note: TaskQueue requires Redis. If Redis is not available,
-      // we'll use a fallback in-memory queue
-      try {
-        this.taskQueue = new TaskQueue();
-      } catch (error) {
-        logger.warn('Redis not available, using fallback queue');
-        this.taskQueue = new FallbackQueue();
-      }
+      // Defaults < agent.config.json < .env < environment < configuration table
+      this.config = new AgentConfig().load();
+      this.sharedMemory = new SharedMemory(this.config.get('database.path'));
+      await this.sharedMemory.ready;
+      await this.config.attach(this.sharedMemory);
+      this.pipeline = this.config.getSection('pipeline');
+
+      this.taskQueue = await this.createTaskQueue();
 
       this.scheduler = new EcoScheduler(this.taskQueue, this.sharedMemory);
-      this.decisionEngine = new AgentDecisionEngine(this.sharedMemory, this.scheduler);
+      this.thermalMonitor = new ThermalMonitor(this.sharedMemory);
+      this.learning = new TaskLearning(this.sharedMemory);
+      await this.learning.load();
+      this.policy = new PolicyEngine(this.sharedMemory, this.scheduler, this.thermalMonitor);
+      await this.policy.load(path.resolve(__dirname, this.config.get('policy.path')));
+      this.adjustments = new FeedbackAdjustments(this.sharedMemory);
+      this.carbon = new CarbonAccounting(this.sharedMemory, this.scheduler.renewableModule);
+      this.budgets = new CarbonBudgets(this.sharedMemory, this.carbon);
+      this.decisionEngine = new AgentDecisionEngine(
+        this.sharedMemory,
+        this.scheduler,
+        this.learning,
+        this.policy,
+        this.adjustments,
+        this.budgets
+      );
+      this.retention = new RetentionManager(this.sharedMemory);
+      this.metricsAggregator = new MetricsAggregator(this.sharedMemory);
+      await this.loadProcessors();
+
+      // Thermal safety: prediction before execution, checkpoints and aborts during it
+      this.thermalPrediction = new ThermalPrediction(this.sharedMemory, this.thermalMonitor, this.learning);
+      this.checkpointManager = new TaskCheckpointManager(this.sharedMemory);
+      this.sleepManager = new DeviceSleepManager(this.sharedMemory, this.taskQueue);
+      this.abortMonitor = new RuntimeAbortMonitor(
+        this.sharedMemory,
+        this.thermalMonitor,
+        this.checkpointManager,
+        this.pipeline.deviceSleep ? this.sleepManager : null
+      );
+      this.smartIdle = new SmartIdleEngine(
+        this.sharedMemory,
+        this.thermalMonitor,
+        this.sleepManager,
+        this.scheduler
+      );
+      this.taskRouter = new ThermalTaskRouter(this);
+      this.schedules = new RecurringSchedules(
+        this.sharedMemory,
+        this.scheduler,
+        (taskName, taskData, urgency, options) => this.submitTask(taskName, taskData, urgency, options)
+      );
+      this.webhooks = new WebhookDispatcher(this.sharedMemory);
+
+      // Push config values into every component, again whenever they change
+      this.applyConfig();
+      this.config.on('change', ({ restartRequired }) => {
+        this.applyConfig();
+        if (restartRequired.length > 0) {
+          logger.warn(`Restart the agent to apply: ${restartRequired.join(', ')}`);
+        }
+      });
+
+      // Push task/thermal/sleep events to /ws/live subscribers
+      this.liveEvents = new LiveEventHub();
+      this.liveEvents.attach(this);
+      // ...and the same events to outgoing webhook subscriptions
+      await this.webhooks.start(this.liveEvents);
+      await this.thermalMonitor.startMonitoring();
 
       // Register task processors
       await this.registerTaskProcessors();
 
+      // Expose the agent over HTTP for the web app and AgentClient
+      this.apiServer = new AgentApiServer(this, {
+        port: this.config.get('api.port'),
+        host: this.config.get('api.host'),
+        corsOrigins: this.config.get('api.corsOrigins')
+      });
+      await this.apiServer.start();
+
       logger.info('✅ Eco Agent initialized successfully');
       this.isRunning = true;
+      this.startRetentionSchedule();
+      await this.schedules.restore();
       return true;
 
     } catch (error) {
@@ -57,57 +195,354 @@ class EcoAgent {
     }
   }
 
+  // Hot-reloadable settings; restart-only ones (queue, API, database) are read in initialize
+  applyConfig() {
+    const config = this.config;
+    logger.level = config.get('logging.level');
+
+    this.scheduler.configure(config.getSection('scheduler'));
+    this.scheduler.renewableModule.configureEnergySource(config.getSection('energy'));
+
+    const thermal = config.getSection('thermal');
+    this.thermalMonitor.configureThresholds({
+      optimal: { min: thermal.optimalMin, max: thermal.optimalMax },
+      safe: { min: thermal.safeMin, max: thermal.safeMax },
+      warning: { min: thermal.warningMin, max: thermal.warningMax },
+      critical: thermal.critical
+    });
+    this.thermalMonitor.configureCoolingRate(thermal.coolingRate);
+
+    this.abortMonitor.configureThresholds(config.getSection('abort'));
+    this.sleepManager.configureSettings(config.getSection('sleep'));
+
+    this.learning.configure(config.getSection('learning'));
+    this.adjustments.configure(config.getSection('feedback'));
+    this.schedules.configure(config.getSection('schedules'));
+    const { historyDays, ...budgets } = config.getSection('carbon');
+    this.carbon.configure({ historyDays });
+    this.budgets.configure(budgets);
+    this.webhooks.configure(config.getSection('webhooks'));
+
+    const retention = config.getSection('retention');
+    this.retention.configure({ ...retention, archiveDir: path.resolve(__dirname, retention.archiveDir) });
+
+    const constraints = config.getSection('constraints');
+    Object.assign(this.decisionEngine.permissions, {
+      maxTaskDuration: constraints.maxTaskDurationMs,
+      maxMemoryUsage: constraints.maxMemoryUsageMb,
+      canAccessNetwork: constraints.allowNetworkAccess,
+      canModifyConfig: constraints.allowConfigModification,
+      writableDirs: constraints.writableDirs.map(dir => path.resolve(__dirname, dir))
+    });
+    this.decisionEngine.taskTargets = this.maintenanceTargets(config.getSection('maintenance'));
+
+    // Device sleep is opt-in: without it neither SmartIdle nor thermal aborts suspend the OS
+    this.pipeline = config.getSection('pipeline');
+    this.abortMonitor.sleep = this.pipeline.deviceSleep ? this.sleepManager : null;
+    this.smartIdle.configureSettings({ enableSmartSleep: this.pipeline.deviceSleep });
+    const steps = Object.keys(this.pipeline).filter(step => this.pipeline[step]);
+    logger.info(`Execution pipeline: ${steps.join(', ') || 'decision engine only'}`);
+  }
+
+  // queue.backend: redis (default, in-memory fallback if Redis does not answer), sqlite or memory
+  async createTaskQueue() {
+    const backend = this.config.get('queue.backend');
+    const concurrency = this.config.get('scheduler.maxConcurrentTasks');
+
+    if (backend === 'sqlite') {
+      logger.info('Using SQLite job queue');
+      return new SqliteQueue(this.sharedMemory, { concurrency });
+    }
+    if (backend === 'memory') {
+      logger.info('Using in-memory job queue');
+      return new FallbackQueue({ concurrency });
+    }
+
+    const redisUrl = this.config.get('queue.redisUrl');
+    const queue = new TaskQueue(redisUrl);
+    try {
+      await queue.connect(this.config.get('queue.redisTimeoutMs'));
+      logger.info('Using Redis job queue');
+      return queue;
+    } catch (error) {
+      logger.warn(`Redis not available at ${redisUrl} (${error.message}), using in-memory fallback queue`);
+      await queue.disconnect().catch(() => {});
+      return new FallbackQueue({ concurrency });
+    }
+  }
+
+  // Built-in processors + plugins; approvals come from task_whitelist, seeded
+  // from tasks.allowed (default: the built-ins). New plugins wait for approval.
+  async loadProcessors() {
+    this.whitelist = new TaskWhitelist(this.sharedMemory, this.decisionEngine);
+    await this.whitelist.load();
+
+    this.processors = new TaskProcessorRegistry(this.decisionEngine, await this.createSandbox());
+    this.processors.registerAll(taskProcessors, {
+      module: { url: new URL('./engine/taskProcessors.js', import.meta.url).href, export: 'taskProcessors' }
+    });
+    // These two work on the agent's own SharedMemory connection, which cannot be handed to a
+    // sandbox worker, so they run in-process (sandboxed: false in /api/processors). A worker
+    // would have to open the database itself through sqlite3, a native addon the fs guard
+    // cannot see, so sandboxing them would add no enforcement
+    this.processors.register('data-retention', async (jobData, constraints) => {
+      logger.info('⏳ Executing data-retention task');
+      const result = await this.retention.run({ signal: constraints.signal });
+      return { status: 'success', ...result, timestamp: new Date().toISOString() };
+    }, { description: 'Roll metrics and thermal history up into hourly/daily aggregates, prune old rows' });
+    this.processors.register('metrics-aggregation', async (jobData, constraints) => {
+      logger.info('⏳ Executing metrics-aggregation task');
+      const result = await this.metricsAggregator.run({
+        lookbackDays: this.config.get('maintenance.summaryDays'),
+        signal: constraints.signal,
+        reportProgress: constraints.reportProgress
+      });
+      return { status: 'success', ...result, timestamp: new Date().toISOString() };
+    }, { description: 'Summarise each day of metrics, temperatures and grid readings (avg/min/max/p95)' });
+    const builtins = this.processors.getTaskNames();
+
+    const plugins = await this.processors.loadPlugins(path.resolve(__dirname, this.config.get('tasks.pluginsDir')));
+
+    const configured = this.config.get('tasks.allowed');
+    const allowed = configured.length > 0 ? configured : builtins;
+    for (const taskName of allowed) {
+      if (!this.processors.has(taskName)) {
+        logger.warn(`tasks.allowed lists '${taskName}' but no processor is registered for it`);
+      }
+    }
+    await this.whitelist.syncConfigured(allowed.filter(taskName => this.processors.has(taskName)));
+
+    for (const { taskName, source } of this.processors.list()) {
+      if (plugins.includes(taskName) && !(await this.whitelist.get(taskName))) {
+        await this.whitelist.request(taskName, { actor: source, reason: 'Plugin loaded' });
+      }
+    }
+
+    this.whitelistTimer = setInterval(() => {
+      this.whitelist.sweepExpired().catch(error => {
+        logger.warn(`Could not expire whitelist entries: ${error.message}`);
+      });
+    }, 60 * 1000);
+    this.whitelistTimer.unref();
+  }
+
+  // maintenance.* → what each built-in maintenance processor works on and may write to
+  maintenanceTargets(maintenance) {
+    const resolve = target => path.resolve(__dirname, target);
+    const databases = maintenance.databases.map(resolve);
+    const logDir = resolve(maintenance.logDir);
+    const reportDir = resolve(maintenance.reportDir);
+
+    const databaseFiles = databases.flatMap(file => [file, `${file}-journal`, `${file}-wal`, `${file}-shm`]);
+
+    return {
+      'database-cleanup': {
+        writableDirs: databaseFiles,
+        settings: { databases, pruneTables: maintenance.pruneTables, pruneDays: maintenance.pruneDays }
+      },
+      'index-optimization': {
+        writableDirs: databaseFiles,
+        settings: { databases }
+      },
+      'cache-warming': {
+        settings: { databases }
+      },
+      'log-rotation': {
+        writableDirs: [logDir],
+        settings: { logDir, logKeep: maintenance.logKeep }
+      },
+      'backup-verification': {
+        settings: { backupDir: resolve(maintenance.backupDir), backupManifest: maintenance.backupManifest }
+      },
+      'report-generation': {
+        writableDirs: [reportDir],
+        settings: { reportDir, database: this.sharedMemory.dbPath }
+      }
+    };
+  }
+
+  // constraints.sandbox: built-in and plugin processors run in worker threads
+  async createSandbox() {
+    const { sandbox, writableDirs } = this.config.getSection('constraints');
+    if (!sandbox) {
+      logger.warn('Task sandbox disabled: processors run in-process without enforced limits');
+      return null;
+    }
+
+    // The first writable directory is the tasks' working directory
+    const workDir = path.resolve(__dirname, writableDirs[0] || 'sandbox');
+    await fs.mkdir(workDir, { recursive: true });
+
+    const database = this.sharedMemory.dbPath;
+    return new TaskSandbox({
+      protectedPaths: [
+        this.config.options.configPath,
+        this.config.options.envPath,
+        path.resolve(__dirname, this.config.get('policy.path')),
+        database,
+        `${database}-journal`,
+        `${database}-wal`,
+        `${database}-shm`
+      ]
+    });
+  }
+
+  // Submit data-retention as a low-priority task once per retention.intervalHours
+  startRetentionSchedule() {
+    const check = () => this.submitRetentionIfDue().catch(error => {
+      logger.warn(`Could not schedule data retention: ${error.message}`);
+    });
+    check();
+    this.retentionTimer = setInterval(check, 60 * 60 * 1000);
+    this.retentionTimer.unref();
+  }
+
+  async submitRetentionIfDue() {
+    const { enabled, intervalHours } = this.config.getSection('retention');
+    if (!enabled || !this.processors.isApproved('data-retention')) return;
+
+    // Any run created within the interval counts, so restarts do not pile up runs
+    const recent = await this.sharedMemory.get(
+      `SELECT id FROM tasks
+       WHERE name = 'data-retention' AND datetime(created_at) > datetime('now', ?)
+       LIMIT 1`,
+      [`-${Math.round(intervalHours * 60)} minutes`]
+    );
+    if (recent) return;
+
+    await this.submitTask('data-retention', {
+      description: 'Roll up and prune metrics and thermal history'
+    }, 'low');
+  }
+
   async registerTaskProcessors() {
-    // Example task processors
-    const tasks = [
-      'database-cleanup',
-      'index-optimization',
-      'cache-warming',
-      'log-rotation',
-      'metrics-aggregation',
-      'backup-verification',
-      'report-generation'
-    ];
+    // Unapproved processors get a queue handler too; the decision engine denies them
+    const tasks = this.processors.getTaskNames();
 
     for (const taskName of tasks) {
       await this.taskQueue.process(taskName, async (job) => {
-        logger.info(`▶️  Processing: ${taskName}`, { jobId: job.id });
+        // Jobs submitted through submitTask carry the tasks row ID
+        const taskId = job.data.taskId || job.id;
+        if (this.deferredJobs.get(taskId) === job.id) {
+          this.deferredJobs.delete(taskId);
+        }
+        logger.info(`▶️  Processing: ${taskName}`, { jobId: job.id, taskId });
+
+        // Paused/aborted through the API after the job was picked up
+        const record = await this.getTask(taskId);
+        if (record && ['paused', 'aborted'].includes(record.status)) {
+          logger.info(`⏭ Skipping ${record.status} task ${taskId}`);
+          return { status: record.status };
+        }
+
+        const controller = new AbortController();
+        let run = null; // start time and CPU usage of the processor call
 
         try {
           // Make decision
+          const urgency = job.data.urgency || URGENCY_BY_PRIORITY[job.opts?.priority] || 'normal';
+          const sla = taskSla(record);
           const decision = await this.decisionEngine.makeDecision(
-            job.id,
+            taskId,
             taskName,
-            job.data
+            { ...job.data, urgency, sla }
           );
+          if (decision.slaWarning) {
+            this.warnSla(taskId, taskName, decision.slaWarning, sla);
+          }
+
+          // A lower-priority policy rule applies to this run and any re-queue
+          let priority = job.opts?.priority;
+          if (decision.urgency && decision.urgency !== urgency) {
+            priority = URGENCY_BY_PRIORITY.indexOf(decision.urgency);
+            await this.updateTaskRecord(taskId, { priority });
+          }
+
+          if (decision.batchedInto) {
+            logger.info(`📦 Task batched: ${decision.reason}`, { taskId });
+            await this.updateTaskRecord(taskId, {
+              status: 'batched',
+              result_summary: JSON.stringify({ batchedInto: decision.batchedInto })
+            });
+            return { status: 'batched', batchedInto: decision.batchedInto };
+          }
 
           if (!decision.allowed) {
             logger.warn(`⛔ Task denied: ${decision.reason}`);
+            await this.updateTaskRecord(taskId, { status: 'denied', error_log: decision.reason });
             return { status: 'denied', reason: decision.reason };
           }
 
           if (decision.deferred) {
-            logger.info(`⏱ Task deferred until ${decision.scheduledFor}`);
-            return { status: 'deferred', scheduledFor: decision.scheduledFor };
+            return await this.deferTask(taskId, taskName, job, decision.scheduledFor, decision.reason, priority);
+          }
+
+          // Thermal pre-flight and SmartIdle may still hold the task back
+          const preflight = await this.runPreflight(taskId, taskName, job, decision, sla);
+          if (preflight.denied) {
+            logger.warn(`⛔ Task denied: ${preflight.reason}`);
+            await this.updateTaskRecord(taskId, { status: 'denied', error_log: preflight.reason });
+            return { status: 'denied', reason: preflight.reason };
           }
+          if (preflight.scheduledFor) {
+            return await this.deferTask(taskId, taskName, job, preflight.scheduledFor, preflight.reason, priority);
+          }
+          const taskData = preflight.taskData;
 
           // Get execution constraints
-          const constraints = await this.decisionEngine.enforceConstraints(job.data);
+          const constraints = await this.decisionEngine.enforceConstraints(taskData, taskName);
+
+          const lateMinutes = sla?.startBy ? Math.round((Date.now() - new Date(sla.startBy)) / 60000) : 0;
+          if (lateMinutes > 0) {
+            this.warnSla(taskId, taskName, `Started ${lateMinutes} min after its latest start`, sla);
+          }
+
+          await this.updateTaskRecord(taskId, {
+            status: 'active',
+            executed_at: new Date().toISOString()
+          });
 
-          // Execute task (simplified example)
-          const result = await this.executeTask(taskName, job.data, constraints);
+          // Run the registered processor under checkpointing and abort monitoring
+          this.activeExecutions.set(taskId, { controller, job });
+          const progress = this.trackProgress(taskId, taskName, job, taskData);
+          await this.startAbortMonitoring(taskId, taskName, taskData, controller);
+          run = { startedAt: Date.now(), cpuUsage: process.cpuUsage() };
+          let result;
+          try {
+            result = await this.executeTask(taskName, taskData, {
+              ...constraints,
+              signal: controller.signal,
+              reportProgress: progress.report
+            });
+          } finally {
+            this.activeExecutions.delete(taskId);
+            progress.stop();
+            if (this.abortMonitor.isMonitoring(taskId)) {
+              await this.abortMonitor.stopMonitoring(taskId);
+            }
+          }
+
+          // Paused or aborted mid-run: the control method already updated the record
+          if (controller.signal.aborted) {
+            logger.info(`⏸ Task interrupted: ${taskName} - ${controller.signal.reason?.message}`);
+            return { status: 'interrupted', reason: controller.signal.reason?.message };
+          }
 
           // Update task record
-          await this.sharedMemory.run(
-            `UPDATE tasks SET status = ?, completed_at = ? WHERE id = ?`,
-            ['completed', new Date().toISOString(), job.id]
-          );
+          await this.updateTaskRecord(taskId, {
+            status: 'completed',
+            completed_at: new Date().toISOString(),
+            result_summary: JSON.stringify(result)
+          });
+          await this.learnFromRun(taskId, taskName, job, run, result);
 
           logger.info(`✨ Task completed: ${taskName}`, { result });
           return result;
 
         } catch (error) {
           logger.error(`❌ Task failed: ${taskName} - ${error.message}`);
+          await this.updateTaskRecord(taskId, { status: 'failed', error_log: error.message });
+          if (run) await this.learnFromRun(taskId, taskName, job, run);
           throw error;
         }
       });
@@ -116,50 +551,327 @@ class EcoAgent {
     logger.info(`📋 Registered ${tasks.length} task processors`);
   }
 
-  async executeTask(taskName, taskData, constraints) {
-    // Simulated task execution
-    // In production, this would call actual task implementations
-    return {
-      status: 'success',
+  /**
+   * Thermal pre-flight prediction, then SmartIdle
+   * Returns { taskData } to run now (with a segment plan if the prediction asks
+   * for one), { denied, reason } or { scheduledFor, reason }. SmartIdle waits
+   * are held to the SLA's latest start; thermal waits are not, but warned about
+   */
+  async runPreflight(taskId, taskName, job, decision, sla = null) {
+    let taskData = job.data;
+    const task = {
+      id: taskId,
+      name: taskName,
+      type: taskData.type,
+      urgency: decision.urgency || taskData.urgency || URGENCY_BY_PRIORITY[job.opts?.priority] || 'normal',
+      estimatedPowerWatts: taskData.estimatedPowerWatts || decision.estimatedPowerCost,
+      estimatedDurationSeconds: taskData.estimatedDurationSeconds ||
+        this.learning.estimate(taskName, taskData.dataSize)?.durationSeconds,
+      dataSize: taskData.dataSize,
+      segmentable: taskData.segmentable !== false
+    };
+
+    if (this.pipeline.thermalPreflight) {
+      const profile = await this.taskRouter.resolveDeviceProfile(taskData.deviceProfile);
+      let check;
+      try {
+        check = await this.thermalPrediction.preFlightThermalCheck(task, profile);
+      } finally {
+        // A deferred run must be predicted again, not served from the cache
+        this.thermalPrediction.clearPredictionCache(taskId);
+      }
+
+      if (check.recommendation === 'SKIP') {
+        await this.recordThermalDecision(taskId, 'THERMAL_DENIED', check, profile, task);
+        return { denied: true, reason: check.reason };
+      }
+      if (check.recommendation === 'WAIT_FOR_COOLING') {
+        const wait = await this.thermalPrediction.getWaitTimeUntilSafe(task, profile);
+        const scheduledFor = new Date(Date.now() + Math.max(1, wait.minutesUntilSafe) * 60000);
+        await this.recordThermalDecision(taskId, 'THERMAL_DEFERRED', check, profile, task, { scheduledFor, wait });
+        if (sla?.startBy && scheduledFor > new Date(sla.startBy)) {
+          this.warnSla(taskId, taskName, `Cooling down until ${scheduledFor.toISOString()}, past its latest start`, sla);
+        }
+        return { scheduledFor, reason: check.reason };
+      }
+      if (check.recommendation === 'BREAK_INTO_SEGMENTS' && !taskData.segmentPlan) {
+        const segmentation = this.thermalPrediction.recommendSegmentation(task, check.timeline, profile);
+        taskData = { ...taskData, segmentPlan: segmentation.segments };
+        logger.info(`✂️  ${taskName} split into ${segmentation.segmentsRecommended} segments`, { taskId });
+      }
+    }
+
+    if (this.pipeline.smartIdle) {
+      const idle = await this.smartIdle.makeDecision(task, taskData.userId || 'default');
+      await this.smartIdle.logDecision({
+        taskId,
+        action: idle.action,
+        reason: idle.reason,
+        timestamp: new Date().toISOString(),
+        metadata: idle.metadata
+      });
+
+      if (idle.action === 'DEFER' || idle.action === 'SLEEP') {
+        if (idle.action === 'SLEEP' && this.pipeline.deviceSleep) {
+          // Suspends after this job is settled so the task is re-queued first
+          setImmediate(() => {
+            this.sleepManager.initiateDeviceSleep('smart_idle')
+              .catch(error => logger.warn(`SmartIdle sleep failed: ${error.message}`));
+          });
+        }
+        const scheduledFor = idle.nextCleanWindow
+          ? new Date(idle.nextCleanWindow)
+          : new Date(Date.now() + (idle.retryAfter || 15) * 60000);
+        const held = EnergySLA.holdDeferral(scheduledFor, sla?.startBy);
+        if (held.outcome !== 'forced') {
+          return { scheduledFor: held.scheduledFor, reason: idle.reason };
+        }
+        logger.info(`⏰ Latest start reached, running despite SmartIdle: ${idle.reason}`, { taskId });
+      }
+    }
+
+    if (this.pipeline.deviceSleep) {
+      this.sleepManager.recordActivity('task_execution');
+    }
+
+    return { taskData };
+  }
+
+  // Thermal pre-flight holds a task back: record it like a decision engine step
+  async recordThermalDecision(taskId, decision, check, profile, task, { scheduledFor = null, wait = null } = {}) {
+    const critical = profile?.criticalThreshold || 80;
+    const warning = profile?.warningThreshold || 70;
+    const limit = decision === 'THERMAL_DENIED' ? critical : warning;
+    const peak = Math.round(check.peakTempEstimate * 10) / 10;
+
+    const hints = [{
+      condition: 'thermal-preflight',
+      text: decision === 'THERMAL_DENIED'
+        ? `would run if its predicted peak stayed ≤ ${limit}°C (now ${peak}°C)`
+        : task.segmentable
+          ? `would run once the device cools towards ${wait?.targetTemp ?? warning}°C`
+          : `would run once the device cools towards ${wait?.targetTemp ?? warning}°C, or sooner if submitted as segmentable`,
+      stillBlockedBy: null
+    }];
+    const steps = [{
+      check: 'thermal-preflight',
+      outcome: check.recommendation,
+      message: `🌡 ${check.reason}`,
+      inputs: { peakTemp: peak, currentTemp: wait?.currentTemp ?? null, segmentable: task.segmentable },
+      threshold: { warning, critical }
+    }];
+
+    await this.decisionEngine.recordDecision(uuidv4(), taskId, decision, steps, {
+      reason: check.reason,
+      scheduledFor: scheduledFor?.toISOString() ?? null
+    }, hints);
+  }
+
+  // Measurements of a finished run (result is null when it failed) for TaskLearning and CarbonAccounting
+  async learnFromRun(taskId, taskName, job, run, result = null) {
+    const durationMs = Date.now() - run.startedAt;
+    // Processors that measure their own draw report it; otherwise use the CPU time spent
+    const powerWatts = typeof result?.powerWatts === 'number'
+      ? result.powerWatts
+      : this.learning.powerFromCpuUsage(process.cpuUsage(run.cpuUsage), durationMs);
+
+    await this.learning.recordExecution(taskId, taskName, {
+      durationMs,
+      powerWatts,
+      dataSize: job.data.dataSize
+    });
+    await this.carbon.recordRun(taskId, { durationMs, powerWatts });
+  }
+
+  /**
+   * Mark the task deferred and queue it again for scheduledFor
+   * The running job still holds the task ID, so the new job gets its own ID
+   */
+  async deferTask(taskId, taskName, job, scheduledFor, reason, priority = job.opts?.priority) {
+    const when = new Date(scheduledFor);
+    // addTask puts the task ID back into the job data
+    const taskData = { ...job.data };
+    delete taskData.taskId;
+    const jobId = `${taskId}-deferred-${Date.now()}`;
+
+    await this.taskQueue.addTask(taskName, taskData, {
+      taskId,
+      jobId,
+      priority,
+      scheduledFor: when.toISOString(),
+      delay: Math.max(0, when - Date.now())
+    });
+    this.deferredJobs.set(taskId, jobId);
+
+    logger.info(`⏱ Task deferred until ${when.toISOString()}: ${reason}`, { taskId });
+    await this.updateTaskRecord(taskId, {
+      status: 'deferred',
+      scheduled_for: when.toISOString()
+    });
+    return { status: 'deferred', scheduledFor: when.toISOString(), reason };
+  }
+
+  // A task may miss its SLA: log it and tell live subscribers
+  warnSla(taskId, taskName, reason, sla) {
+    logger.warn(`⚠️  SLA at risk for ${taskName}: ${reason}`, { taskId });
+    this.emit('sla-warning', {
+      taskId,
       taskName,
-      executedAt: new Date().toISOString(),
-      duration: Math.floor(Math.random() * 30000),
-      message: `${taskName} executed within constraints`
+      reason,
+      slaClass: sla?.slaClass ?? null,
+      deadline: sla?.deadline ?? null,
+      startBy: sla?.startBy ?? null
+    });
+  }
+
+  // Queue job ID for a task: its own ID, or the job a deferral re-queued
+  queuedJobId(taskId) {
+    return this.deferredJobs.get(taskId) || taskId;
+  }
+
+  /**
+   * Checkpoint callback for a running task
+   * Processors call constraints.reportProgress(percent, state); emergency
+   * checkpoints (pause, thermal abort) save the latest report
+   */
+  trackProgress(taskId, taskName, job, taskData) {
+    const latest = { progress: 0, state: {} };
+    const report = (percent, state = {}) => {
+      latest.progress = Math.max(0, Math.min(100, Math.round(percent)));
+      latest.state = state;
     };
+
+    if (!this.pipeline.checkpoints) {
+      return { report, stop: () => {} };
+    }
+
+    this.checkpointManager.registerCheckpointFunction(taskId, async () => ({
+      progress: latest.progress,
+      state: {
+        ...latest.state,
+        taskName,
+        priority: job.opts?.priority,
+        taskData
+      }
+    }));
+
+    return {
+      report,
+      stop: () => this.checkpointManager.unregisterCheckpointFunction(taskId)
+    };
+  }
+
+  // Thermal/power abort: the monitor saves a checkpoint, then the task is stopped and left paused
+  async startAbortMonitoring(taskId, taskName, taskData, controller) {
+    if (!this.pipeline.abortMonitoring) return;
+
+    try {
+      await this.abortMonitor.startMonitoring(taskId, { id: taskId, name: taskName, ...taskData }, async () => {
+        // Saved after the monitor's own checkpoint, so resumeTask finds the task data
+        if (this.pipeline.checkpoints) {
+          await this.checkpointManager.emergencyCheckpoint(taskId, 'RUNTIME_ABORT');
+        }
+        controller.abort(new Error('RUNTIME_ABORT'));
+        await this.updateTaskRecord(taskId, { status: 'paused', error_log: 'Aborted by runtime monitor' });
+      });
+    } catch (error) {
+      logger.warn(`Abort monitoring unavailable for ${taskId}: ${error.message}`);
+    }
+  }
+
+  // Apply column updates to a tasks row; failures are logged, never thrown
+  async updateTaskRecord(taskId, fields) {
+    const columns = Object.keys(fields);
+    try {
+      await this.sharedMemory.run(
+        `UPDATE tasks SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(c => fields[c]), taskId]
+      );
+      if (fields.status) {
+        this.emitTaskStatus(taskId, fields);
+      }
+    } catch (error) {
+      logger.warn(`Failed to update task ${taskId}: ${error.message}`);
+    }
+  }
+
+  emitTaskStatus(taskId, fields) {
+    this.emit('task-status', {
+      taskId,
+      status: fields.status,
+      scheduledFor: fields.scheduled_for,
+      error: fields.error_log
+    });
+  }
+
+  async executeTask(taskName, taskData, constraints) {
+    return await this.processors.execute(taskName, taskData, constraints);
   }
 
   // API: User submits task for deferred execution
-  async submitTask(taskName, taskData, urgencyLevel = 'normal') {
+  // options.notBefore: earliest start (e.g. after thermal cool-down)
+  // options.scheduledFor: start then instead of the next eco window (recurring schedules pick their own slot)
+  // options.sla: EnergySLA class; options.deadline: when the run must be finished
+  async submitTask(taskName, taskData, urgencyLevel = 'normal', options = {}) {
     if (!this.isRunning) {
       throw new Error('Agent not running');
     }
 
     try {
       // Insert into memory
-      const taskId = require('uuid').v4();
-      const optimalTime = await this.scheduler.findOptimalWindow(urgencyLevel);
+      const taskId = uuidv4();
+      const priority = { critical: 3, high: 2, normal: 1, low: 0 }[urgencyLevel] ?? 1;
+      const sla = await this.planSla(taskName, taskData, options);
+      const source = sla && EnergySLA.generationSource(sla.slaClass);
+
+      // solar_only / wind_only: the first decision checks for generation right away
+      let optimalTime = options.scheduledFor
+        ? new Date(options.scheduledFor)
+        : source ? new Date() : await this.scheduler.findOptimalWindow(urgencyLevel);
+      if (options.notBefore && options.notBefore > optimalTime) {
+        optimalTime = new Date(options.notBefore);
+      }
+      if (sla?.startBy) {
+        optimalTime = EnergySLA.holdDeferral(optimalTime, sla.startBy).scheduledFor || new Date();
+      }
 
       await this.sharedMemory.run(
         `INSERT INTO tasks 
-        (id, name, description, priority, scheduled_for, status) 
-        VALUES (?, ?, ?, ?, ?, ?)`,
+        (id, name, description, priority, scheduled_for, status, sla_class, deadline, start_by, user_id) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           taskId,
           taskName,
           taskData.description || '',
-          { critical: 3, high: 2, normal: 1, low: 0 }[urgencyLevel] || 1,
+          priority,
           optimalTime.toISOString(),
-          'pending'
+          'pending',
+          sla?.slaClass ?? null,
+          sla?.deadline ?? null,
+          sla?.startBy ?? null,
+          taskData.userId ?? null
         ]
       );
+      if (sla?.warning) {
+        this.warnSla(taskId, taskName, sla.warning, sla);
+      }
+      this.emitTaskStatus(taskId, {
+        status: 'pending',
+        scheduled_for: optimalTime.toISOString()
+      });
 
       // Add to queue
-      const queueResult = await this.taskQueue.addTask(taskName, taskData, {
-        priority: { critical: 3, high: 2, normal: 1, low: 0 }[urgencyLevel] || 1,
+      await this.taskQueue.addTask(taskName, taskData, {
+        taskId,
+        priority,
         scheduledFor: optimalTime.toISOString(),
         delay: Math.max(0, optimalTime - Date.now())
       });
 
+      if (this.pipeline.deviceSleep) {
+        await this.sleepManager.handleTaskArrival({ id: taskId, urgency: urgencyLevel });
+      }
+
       logger.info(`📝 Task submitted: ${taskName}`, {
         taskId,
         urgency: urgencyLevel,
@@ -170,7 +882,11 @@ class EcoAgent {
         taskId,
         status: 'queued',
         scheduledFor: optimalTime,
-        estimatedPowerCost: this.decisionEngine.estimatePowerCost(taskName, taskData)
+        estimatedPowerCost: this.decisionEngine.estimatePowerCost(taskName, taskData),
+        ...(sla && {
+          sla: { slaClass: sla.slaClass, deadline: sla.deadline, startBy: sla.startBy },
+          slaWarning: sla.warning
+        })
       };
 
     } catch (error) {
@@ -179,6 +895,46 @@ class EcoAgent {
     }
   }
 
+  /**
+   * SLA of a task being submitted: { slaClass, deadline, startBy, warning }
+   * with ISO dates, or null without options.sla / options.deadline. warning
+   * is set when the task is already predicted to miss it: solar_only /
+   * wind_only count as on time if the source is generating now or has a
+   * peak hour before the latest start
+   */
+  async planSla(taskName, taskData, options) {
+    if (!options.sla && !options.deadline) return null;
+
+    const now = new Date();
+    const slaClass = options.sla || null;
+    const deadline = options.deadline ? new Date(options.deadline) : null;
+    const durationSeconds = taskData.estimatedDurationSeconds ||
+      this.learning.estimate(taskName, taskData.dataSize)?.durationSeconds || 0;
+    const startBy = EnergySLA.latestStart({ slaClass, deadline, submittedAt: now, durationSeconds });
+
+    let warning = null;
+    const source = EnergySLA.generationSource(slaClass);
+    if (startBy && startBy < now) {
+      warning = `Expected to take ${Math.ceil(durationSeconds / 60)} min, which runs past the deadline`;
+    } else if (startBy && options.notBefore && options.notBefore > startBy) {
+      warning = `Cannot start before ${new Date(options.notBefore).toISOString()}, past its latest start`;
+    } else if (startBy && source) {
+      const renewable = this.scheduler.renewableModule;
+      const generating = (await renewable.getGenerationStatus(source)).generating;
+      const next = generating ? now : renewable.nextGenerationCheck(source, now);
+      if (!next || next > startBy) {
+        warning = `No ${source} generation expected before its latest start (${startBy.toISOString()})`;
+      }
+    }
+
+    return {
+      slaClass,
+      deadline: deadline?.toISOString() ?? null,
+      startBy: startBy?.toISOString() ?? null,
+      warning
+    };
+  }
+
   // API: User provides feedback on task
   async recordFeedback(taskId, feedbackType, notes = '') {
     try {
@@ -186,7 +942,7 @@ class EcoAgent {
         `INSERT INTO feedback (id, task_id, feedback_type, value, notes) 
         VALUES (?, ?, ?, ?, ?)`,
         [
-          require('uuid').v4(),
+          uuidv4(),
           taskId,
           feedbackType, // 'necessary', 'avoidable', 'optimizable'
           feedbackType,
@@ -195,7 +951,11 @@ class EcoAgent {
       );
 
       logger.info(`📊 Feedback recorded: ${feedbackType}`, { taskId });
-      return { status: 'recorded', taskId, feedbackType };
+
+      // Apply or propose adjustments now rather than at the task's next run
+      const task = await this.getTask(taskId);
+      const adjustments = task ? Object.values(await this.adjustments.refresh(task.name)).filter(Boolean) : [];
+      return { status: 'recorded', taskId, feedbackType, adjustments };
 
     } catch (error) {
       logger.error(`Failed to record feedback: ${error.message}`);
@@ -203,6 +963,168 @@ class EcoAgent {
     }
   }
 
+  // API: Look up a single task record
+  async getTask(taskId) {
+    return await this.sharedMemory.get(
+      `SELECT * FROM tasks WHERE id = ?`,
+      [taskId]
+    );
+  }
+
+  // API: Most recent tasks, optionally filtered by status
+  async getTaskHistory({ limit = 10, offset = 0, status } = {}) {
+    const params = [];
+    let where = '';
+
+    if (status) {
+      where = 'WHERE status = ?';
+      params.push(status);
+    }
+
+    return await this.sharedMemory.all(
+      `SELECT * FROM tasks ${where}
+       ORDER BY created_at DESC, rowid DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  }
+
+  // API: Progress, latest checkpoint and thermal readings for a task
+  async getTaskRuntime(taskId) {
+    const checkpoint = await this.checkpointManager.getLatestCheckpoint(taskId);
+    const monitored = this.abortMonitor.getMonitoredTasks().find(t => t.taskId === taskId);
+
+    let thermalData = null;
+    try {
+      const readings = await this.sharedMemory.all(
+        `SELECT temperature FROM task_thermal_history
+         WHERE task_id = ? ORDER BY elapsed_seconds DESC LIMIT 60`,
+        [taskId]
+      );
+      if (readings.length > 0) {
+        const temps = readings.map(r => r.temperature);
+        thermalData = {
+          currentTemp: temps[0],
+          peakTemp: monitored?.peakTemp || Math.max(...temps),
+          avgTemp: temps.reduce((a, b) => a + b, 0) / temps.length,
+          alerts: monitored?.alerts || 0
+        };
+      }
+    } catch (error) {
+      logger.debug(`Could not load task thermal history: ${error.message}`);
+    }
+
+    return {
+      progress: checkpoint?.progress || 0,
+      checkpoint: checkpoint
+        ? { number: checkpoint.checkpointNumber, savedAt: checkpoint.timestamp, progress: checkpoint.progress }
+        : null,
+      thermalData
+    };
+  }
+
+  // API: Pause a pending or running task; its payload is kept in a checkpoint
+  async pauseTask(taskId, reason = 'USER_PAUSE') {
+    const task = await this.getTask(taskId);
+    const execution = this.activeExecutions.get(taskId);
+    const job = execution?.job || await this.taskQueue.getJob(this.queuedJobId(taskId));
+
+    if (execution) {
+      // Let the task save its own state first (if it registered a callback)
+      await this.checkpointManager.emergencyCheckpoint(taskId, reason);
+      execution.controller.abort(new Error(reason));
+    } else {
+      await this.taskQueue.removeTask(this.queuedJobId(taskId));
+      this.deferredJobs.delete(taskId);
+    }
+
+    const previous = await this.checkpointManager.getLatestCheckpoint(taskId);
+    const progress = previous?.progress || 0;
+    const checkpoint = await this.checkpointManager.saveCheckpoint(taskId, {
+      progress,
+      state: {
+        ...(previous?.state || {}),
+        taskName: task.name,
+        priority: task.priority,
+        taskData: job?.data || previous?.state?.taskData || {}
+      },
+      reason
+    });
+
+    await this.updateTaskRecord(taskId, { status: 'paused' });
+    logger.info(`⏸ Task paused: ${task.name}`, { taskId, progress });
+
+    return {
+      taskId,
+      status: 'paused',
+      checkpoint: { number: checkpoint.checkpointNumber, savedAt: checkpoint.timestamp, progress }
+    };
+  }
+
+  // API: Re-queue a paused task from its latest checkpoint
+  async resumeTask(taskId) {
+    const task = await this.getTask(taskId);
+    const resume = await this.checkpointManager.resumeFromCheckpoint(taskId);
+    const taskData = { ...(resume?.state?.taskData || {}) };
+    delete taskData.taskId; // re-added by the queue
+    const now = new Date().toISOString();
+
+    // Record first: the queue may pick the job up before addTask returns
+    await this.updateTaskRecord(taskId, { status: 'pending', scheduled_for: now });
+    await this.taskQueue.addTask(task.name, {
+      ...taskData,
+      resumeFrom: resume ? resume.instructions : null
+    }, {
+      taskId,
+      priority: task.priority,
+      scheduledFor: now
+    });
+
+    logger.info(`▶️  Task resumed: ${task.name}`, { taskId, progress: resume?.progress || 0 });
+
+    return {
+      taskId,
+      status: 'pending',
+      resumedFrom: resume ? resume.checkpoint.checkpointNumber : null,
+      progress: resume?.progress || 0,
+      message: resume
+        ? `Task resumed from checkpoint ${resume.checkpoint.checkpointNumber} (${resume.progress}% complete)`
+        : 'No checkpoint found - task restarted from the beginning'
+    };
+  }
+
+  // API: Stop a task for good (emergency stop)
+  async abortTask(taskId, note = 'Aborted by user') {
+    const execution = this.activeExecutions.get(taskId);
+
+    let abortResult = null;
+    if (this.abortMonitor.isMonitoring(taskId)) {
+      // Saves an emergency checkpoint and records the abort
+      abortResult = await this.abortMonitor.abortTask(taskId, 'USER_ABORT', null);
+    }
+
+    if (execution) {
+      if (!execution.controller.signal.aborted) {
+        execution.controller.abort(new Error('USER_ABORT'));
+      }
+    } else {
+      await this.taskQueue.removeTask(this.queuedJobId(taskId));
+      this.deferredJobs.delete(taskId);
+    }
+
+    await this.updateTaskRecord(taskId, { status: 'aborted', error_log: note });
+    const checkpoint = await this.checkpointManager.getLatestCheckpoint(taskId);
+    logger.warn(`🛑 Task aborted: ${taskId} - ${note}`);
+
+    return {
+      taskId,
+      status: 'aborted',
+      progress: checkpoint?.progress || 0,
+      reason: note,
+      checkpointSaved: Boolean(abortResult?.checkpointSaved)
+    };
+  }
+
   // Get queue statistics
   async getStatus() {
     const stats = await this.taskQueue.getStats();
@@ -210,6 +1132,7 @@ class EcoAgent {
       isRunning: this.isRunning,
       queue: stats,
       whitelistedTasks: this.decisionEngine.getWhitelist(),
+      carbonBudgets: await this.budgets.status(),
       timestamp: new Date().toISOString()
     };
   }
@@ -217,6 +1140,13 @@ class EcoAgent {
   async shutdown() {
     logger.info('🛑 Shutting down Eco Agent...');
     try {
+      if (this.apiServer) await this.apiServer.stop();
+      if (this.liveEvents) this.liveEvents.detach();
+      if (this.webhooks) this.webhooks.stop();
+      if (this.retentionTimer) clearInterval(this.retentionTimer);
+      if (this.whitelistTimer) clearInterval(this.whitelistTimer);
+      if (this.schedules) this.schedules.stop();
+      if (this.thermalMonitor) this.thermalMonitor.stopMonitoring();
       await this.scheduler.shutdown();
       await this.taskQueue.close();
       await this.sharedMemory.close();
@@ -228,30 +1158,6 @@ class EcoAgent {
   }
 }
 
-// Fallback in-memory queue (if Redis unavailable)
-class FallbackQueue {
-  constructor() {
-    this.jobs = [];
-    this.processors = new Map();
-  }
-
-  async addTask(name, data, options = {}) {
-    const job = { name, data, options, id: require('uuid').v4() };
-    this.jobs.push(job);
-    return { id: job.id };
-  }
-
-  async process(name, handler) {
-    this.processors.set(name, handler);
-  }
-
-  async getStats() {
-    return { pending: this.jobs.length, active: 0, completed: 0, failed: 0 };
-  }
-
-  async close() {}
-}
-
 // Main execution
 async function main() {
   const agent = new EcoAgent();
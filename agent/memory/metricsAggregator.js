@@ -0,0 +1,133 @@
+/**
+ * Metrics Aggregator
+ *
+ * Summarises the agent's own samples (system metrics, temperatures, grid
+ * readings) into one metric_summaries row per UTC day, table and field:
+ * sample count, average, min, max and 95th percentile.
+ *
+ * Days are computed from raw rows; days whose raw rows RetentionManager
+ * already pruned fall back to the hourly/daily rollups (no percentile).
+ * Only complete days are summarised, each once; a re-run picks up where
+ * the last one stopped. Runs as the 'metrics-aggregation' task.
+ */
+
+import pino from 'pino';
+import { RETENTION_POLICIES } from './retention.js';
+
+const logger = pino();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Per-task series (task_thermal_history) are left to the task's own view
+const SOURCES = Object.entries(RETENTION_POLICIES).filter(([, policy]) => !policy.series);
+
+export class MetricsAggregator {
+  constructor(sharedMemory) {
+    this.memory = sharedMemory;
+  }
+
+  /**
+   * Summarise every complete day in the last lookbackDays not summarised yet
+   * Stops between days once signal is aborted; reportProgress gets
+   * { lastDay } after each day. Returns { days, rows, samples }
+   */
+  async run({ lookbackDays = 30, signal, reportProgress } = {}) {
+    const days = await this.pendingDays(lookbackDays);
+    const result = { days: [], rows: 0, samples: 0 };
+
+    for (const [index, day] of days.entries()) {
+      if (signal?.aborted) break;
+
+      const { rows, samples } = await this.summarizeDay(day);
+      result.days.push(day);
+      result.rows += rows;
+      result.samples += samples;
+      reportProgress?.(((index + 1) / days.length) * 100, { lastDay: day });
+    }
+
+    logger.info(`📈 Metrics aggregation: ${result.days.length} day(s), ${result.samples} samples → ${result.rows} summaries`);
+    return result;
+  }
+
+  // Complete days with samples (raw or rolled up) and no summary yet, oldest first
+  async pendingDays(lookbackDays) {
+    const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const from = new Date(today.getTime() - lookbackDays * DAY_MS).toISOString().slice(0, 10);
+    const to = today.toISOString().slice(0, 10);
+
+    const sampled = new Set();
+    for (const [table] of SOURCES) {
+      const rows = await this.memory.all(
+        `SELECT DISTINCT date(timestamp) AS day FROM ${table} WHERE date(timestamp) >= ? AND date(timestamp) < ?`,
+        [from, to]
+      );
+      rows.forEach(row => sampled.add(row.day));
+    }
+    const rolledUp = await this.memory.all(
+      `SELECT DISTINCT date(bucket_start) AS day FROM metric_rollups
+       WHERE series = '' AND date(bucket_start) >= ? AND date(bucket_start) < ?`,
+      [from, to]
+    );
+    rolledUp.forEach(row => sampled.add(row.day));
+
+    const summarised = new Set((await this.memory.all(
+      'SELECT DISTINCT day FROM metric_summaries WHERE day >= ?',
+      [from]
+    )).map(row => row.day));
+
+    return [...sampled].filter(day => !summarised.has(day)).sort();
+  }
+
+  async summarizeDay(day) {
+    const summaries = [];
+
+    for (const [table, policy] of SOURCES) {
+      for (const field of policy.fields) {
+        const values = (await this.memory.all(
+          `SELECT ${field} AS value FROM ${table}
+           WHERE date(timestamp) = ? AND ${field} IS NOT NULL ORDER BY ${field}`,
+          [day]
+        )).map(row => row.value);
+
+        if (values.length > 0) {
+          summaries.push({
+            table,
+            field,
+            count: values.length,
+            avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+            min: values[0],
+            max: values[values.length - 1],
+            p95: values[Math.min(values.length - 1, Math.ceil(values.length * 0.95) - 1)]
+          });
+          continue;
+        }
+
+        const rollup = await this.memory.get(
+          `SELECT SUM(sample_count) AS count, SUM(avg_value * sample_count) / SUM(sample_count) AS avg,
+             MIN(min_value) AS min, MAX(max_value) AS max
+           FROM metric_rollups
+           WHERE source_table = ? AND field = ? AND series = '' AND date(bucket_start) = ?`,
+          [table, field, day]
+        );
+        if (rollup?.count) {
+          summaries.push({ table, field, ...rollup, p95: null });
+        }
+      }
+    }
+
+    await this.memory.transaction(async (db) => {
+      for (const summary of summaries) {
+        await db.run(
+          `INSERT OR REPLACE INTO metric_summaries
+           (day, source_table, field, sample_count, avg_value, min_value, max_value, p95_value)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [day, summary.table, summary.field, summary.count, summary.avg, summary.min, summary.max, summary.p95]
+        );
+      }
+    });
+
+    return { rows: summaries.length, samples: summaries.reduce((sum, summary) => sum + summary.count, 0) };
+  }
+}
+
+export default MetricsAggregator;
@@ -0,0 +1,709 @@
+/**
+ * Schema Migrations
+ *
+ * Ordered up-migrations for the agent database. SharedMemory applies the
+ * pending ones before it runs any query; the CLI can apply them to a
+ * stopped agent's database (iospc-agent db migrate).
+ *
+ * - schema_migrations records every applied version
+ * - each migration runs in its own transaction: it applies fully or not at all
+ * - migrations only add tables, columns and indexes, so upgrading an
+ *   existing agent.db keeps its data
+ *
+ * Never edit a migration that has shipped; add a new one with the next version.
+ *
+ * `db` is any object with promise-returning run/get/all/exec
+ * (SharedMemory's connection, the CLI's LocalStore).
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    // The schema SharedMemory used to create on every start. IF NOT EXISTS
+    // lets it run against databases created before migrations existed.
+    up: db => db.exec(`
+    -- Tasks table: tracks all submitted jobs
+    CREATE TABLE IF NOT EXISTS tasks (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      priority INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      scheduled_for DATETIME,
+      executed_at DATETIME,
+      completed_at DATETIME,
+      status TEXT DEFAULT 'pending',
+      estimated_power_cost REAL,
+      actual_power_cost REAL,
+      result_summary TEXT,
+      error_log TEXT
+    );
+
+    -- Feedback table: user annotations on task necessity/timing
+    CREATE TABLE IF NOT EXISTS feedback (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      feedback_type TEXT NOT NULL,
+      value TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      notes TEXT,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Metrics table: system resource snapshots
+    CREATE TABLE IF NOT EXISTS metrics (
+      id TEXT PRIMARY KEY,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      cpu_usage_percent REAL,
+      memory_usage_mb REAL,
+      disk_io_percent REAL,
+      estimated_power_draw_watts REAL,
+      system_load REAL,
+      is_off_peak BOOLEAN DEFAULT 0
+    );
+
+    -- Execution history: decisions made by agent
+    CREATE TABLE IF NOT EXISTS execution_history (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      reasoning TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      system_state TEXT,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Agent learning patterns: aggregated insights
+    CREATE TABLE IF NOT EXISTS learning_patterns (
+      id TEXT PRIMARY KEY,
+      pattern_type TEXT NOT NULL,
+      pattern_data TEXT NOT NULL,
+      confidence REAL DEFAULT 0.5,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
+      success_count INTEGER DEFAULT 0,
+      failure_count INTEGER DEFAULT 0
+    );
+
+    -- Configuration table: agent settings (read-only to agent)
+    CREATE TABLE IF NOT EXISTS configuration (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      is_locked BOOLEAN DEFAULT 1,
+      last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
+      modified_by TEXT
+    );
+
+    -- User preferences table: per-user scheduling preferences
+    CREATE TABLE IF NOT EXISTS user_preferences (
+      user_id TEXT PRIMARY KEY,
+      min_idle_between_tasks_minutes INTEGER DEFAULT 5,
+      timezone TEXT DEFAULT 'UTC',
+      preferred_energy_source TEXT DEFAULT 'any',
+      max_concurrent_tasks INTEGER DEFAULT 1,
+      allow_off_peak_only BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- User delegation hours: when each user allows task execution
+    CREATE TABLE IF NOT EXISTS delegation_hours (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      day_of_week INTEGER,
+      start_hour INTEGER,
+      start_minute INTEGER,
+      end_hour INTEGER,
+      end_minute INTEGER,
+      is_active BOOLEAN DEFAULT 1,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES user_preferences(user_id)
+    );
+
+    -- Ethical moderation rules: per-user constraints on task types
+    CREATE TABLE IF NOT EXISTS ethical_rules (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      rule_type TEXT NOT NULL,
+      rule_value TEXT NOT NULL,
+      enforcement_level TEXT DEFAULT 'strict',
+      is_active BOOLEAN DEFAULT 1,
+      reasoning TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES user_preferences(user_id)
+    );
+
+    -- Task execution cooldown: tracks last task execution for idle enforcement
+    CREATE TABLE IF NOT EXISTS task_cooldown (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      last_task_id TEXT,
+      last_executed_at DATETIME,
+      idle_until DATETIME,
+      reason TEXT,
+      FOREIGN KEY(user_id) REFERENCES user_preferences(user_id),
+      FOREIGN KEY(last_task_id) REFERENCES tasks(id)
+    );
+
+    -- Thermal history: tracks system temperature over time
+    CREATE TABLE IF NOT EXISTS thermal_history (
+      id TEXT PRIMARY KEY,
+      cpu_temp REAL,
+      gpu_temp REAL,
+      average_temp REAL,
+      system_load REAL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status TEXT DEFAULT 'safe'
+    );
+
+    -- Sleep schedule: tracks device sleep/wake events
+    CREATE TABLE IF NOT EXISTS sleep_schedule (
+      id TEXT PRIMARY KEY,
+      sleep_start DATETIME NOT NULL,
+      scheduled_wake DATETIME,
+      actual_wake DATETIME,
+      reason TEXT,
+      duration_target INTEGER,
+      actual_sleep_duration INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Device status: current device state (sleeping, awake, etc.)
+    CREATE TABLE IF NOT EXISTS device_status (
+      id TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      metadata TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Device profiles: thermal capabilities per device type
+    CREATE TABLE IF NOT EXISTS device_profiles (
+      id TEXT PRIMARY KEY,
+      device_id TEXT UNIQUE NOT NULL,
+      config TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Task checkpoints: save task state for pause/resume
+    CREATE TABLE IF NOT EXISTS task_checkpoints (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      checkpoint_number INTEGER DEFAULT 1,
+      progress_percent INTEGER,
+      state_data TEXT,
+      output_data TEXT,
+      reason TEXT DEFAULT 'manual',
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Task thermal history: temperature during task execution
+    CREATE TABLE IF NOT EXISTS task_thermal_history (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      temperature REAL NOT NULL,
+      elapsed_seconds INTEGER,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Task abort history: record of aborted tasks and reasons
+    CREATE TABLE IF NOT EXISTS task_abort_history (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      temperature REAL,
+      execution_duration_seconds INTEGER,
+      peak_temperature REAL,
+      thermal_alerts INTEGER DEFAULT 0,
+      power_alerts INTEGER DEFAULT 0,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Task resumption queue: tasks waiting to resume after abort
+    CREATE TABLE IF NOT EXISTS task_resumption_queue (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      abort_reason TEXT,
+      status TEXT DEFAULT 'PENDING',
+      retry_count INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Config audit: every change of an effective configuration value
+    CREATE TABLE IF NOT EXISTS config_audit (
+      id TEXT PRIMARY KEY,
+      config_key TEXT NOT NULL,
+      old_value TEXT,
+      new_value TEXT,
+      source TEXT NOT NULL,
+      changed_by TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Job queue: durable jobs for SqliteQueue (QUEUE_BACKEND=sqlite)
+    CREATE TABLE IF NOT EXISTS job_queue (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      data TEXT,
+      opts TEXT,
+      priority INTEGER DEFAULT 0,
+      state TEXT DEFAULT 'waiting',
+      attempts_made INTEGER DEFAULT 0,
+      stalled_count INTEGER DEFAULT 0,
+      process_after INTEGER NOT NULL,
+      lock_owner TEXT,
+      lock_expires_at INTEGER,
+      failed_reason TEXT,
+      return_value TEXT,
+      created_at INTEGER NOT NULL,
+      finished_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_job_queue_state
+    ON job_queue(state, process_after);
+    `)
+  },
+  {
+    version: 2,
+    name: 'mesh-network',
+    // Formerly mesh/meshSchema.js, which nothing applied
+    up: db => db.exec(`
+    -- Peer devices in network
+    CREATE TABLE IF NOT EXISTS peers (
+      id TEXT PRIMARY KEY,
+      device_name TEXT NOT NULL,
+      location TEXT,
+      current_energy TEXT,           -- JSON: {type, percentClean, source}
+      capacity TEXT,                 -- JSON: {cpu, memory, disk}
+      available TEXT,                -- JSON: {cpu, memory, disk}
+      permissions TEXT,              -- CSV: allowed tasks
+      max_task_duration_ms INTEGER,
+      timezone TEXT,
+      last_seen DATETIME,
+      status TEXT DEFAULT 'online'   -- online | offline | maintenance
+    );
+
+    -- Voting on task importance
+    CREATE TABLE IF NOT EXISTS importance_votes (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      task_name TEXT,
+      task_description TEXT,
+      status TEXT DEFAULT 'voting',  -- voting | closed | consensus
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME,
+      final_consensus TEXT,          -- critical|high|normal|low|non-critical
+      confidence REAL DEFAULT 0.5,
+      FOREIGN KEY(task_id) REFERENCES tasks(id)
+    );
+
+    -- Individual votes
+    CREATE TABLE IF NOT EXISTS votes (
+      id TEXT PRIMARY KEY,
+      vote_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      importance_level TEXT,         -- critical|high|normal|low|non-critical
+      reasoning TEXT,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(vote_id) REFERENCES importance_votes(id)
+    );
+
+    -- User tiers & quotas
+    CREATE TABLE IF NOT EXISTS user_tiers (
+      user_id TEXT PRIMARY KEY,
+      tier TEXT DEFAULT 'free',      -- free|supporter|contributor
+      total_contributions INTEGER DEFAULT 0,
+      tasks_executed_today INTEGER DEFAULT 0,
+      last_renewal DATETIME,
+      join_date DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Task delegations between peers
+    CREATE TABLE IF NOT EXISTS task_delegations (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      from_peer_id TEXT,
+      to_peer_id TEXT,
+      from_user_id TEXT,
+      status TEXT DEFAULT 'pending',   -- pending|accepted|executing|completed|failed|retracted
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      accepted_at DATETIME,
+      completed_at DATETIME,
+      urgency TEXT DEFAULT 'normal',   -- urgent|high|normal|eco|solar_only
+      energy_used_wh REAL,            -- Watt-hours used
+      carbon_saved_kg REAL,           -- CO2 avoided by choosing clean energy
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(from_peer_id) REFERENCES peers(id),
+      FOREIGN KEY(to_peer_id) REFERENCES peers(id)
+    );
+
+    -- Mesh network events log
+    CREATE TABLE IF NOT EXISTS mesh_events (
+      id TEXT PRIMARY KEY,
+      event_type TEXT,                -- peer_online|peer_offline|task_delegated|consensus_reached
+      peer_id TEXT,
+      task_id TEXT,
+      event_data TEXT,                -- JSON details
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- User permissions & trust
+    CREATE TABLE IF NOT EXISTS peer_permissions (
+      id TEXT PRIMARY KEY,
+      peer_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      can_execute_task TEXT,         -- task name or * for all
+      can_delegate_to_peer BOOLEAN DEFAULT 1,
+      can_vote_importance BOOLEAN DEFAULT 1,
+      expires_at DATETIME,
+      FOREIGN KEY(peer_id) REFERENCES peers(id)
+    );
+
+    -- Carbon impact tracking
+    CREATE TABLE IF NOT EXISTS carbon_impact (
+      id TEXT PRIMARY KEY,
+      task_id TEXT NOT NULL,
+      executed_peer_id TEXT,
+      grid_carbon_intensity INTEGER,      -- kg CO2/MWh at execution time
+      renewable_percent INTEGER,          -- % renewable at execution
+      energy_used_wh REAL,               -- Watt-hours consumed
+      carbon_emitted_kg REAL,            -- Direct CO2
+      carbon_avoided_kg REAL,            -- CO2 saved vs worst-case timing
+      executed_at DATETIME,
+      FOREIGN KEY(task_id) REFERENCES tasks(id),
+      FOREIGN KEY(executed_peer_id) REFERENCES peers(id)
+    );
+    `)
+  },
+  {
+    version: 3,
+    name: 'task-ownership-and-grid-metrics',
+    up: async (db) => {
+      // UserQuotaManager: who ran a task and what it cost
+      await addColumn(db, 'tasks', 'user_id', 'TEXT');
+      await addColumn(db, 'tasks', 'executed_by_user', 'TEXT');
+      await addColumn(db, 'tasks', 'executed_duration_ms', 'INTEGER');
+      await addColumn(db, 'tasks', 'memory_used_mb', 'REAL');
+
+      // RenewableEnergyModule: grid readings for statistics
+      await db.exec(`
+    CREATE TABLE IF NOT EXISTS grid_metrics (
+      id TEXT PRIMARY KEY,
+      timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+      carbon_intensity REAL,
+      renewable_percent REAL,
+      source TEXT,
+      data TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_grid_metrics_timestamp ON grid_metrics(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_tasks_user ON tasks(user_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'metric-rollups',
+    // RetentionManager: hourly/daily aggregates of pruned raw samples
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS metric_rollups (
+      source_table TEXT NOT NULL,
+      resolution TEXT NOT NULL,
+      bucket_start DATETIME NOT NULL,
+      series TEXT NOT NULL DEFAULT '',
+      field TEXT NOT NULL,
+      sample_count INTEGER NOT NULL,
+      avg_value REAL,
+      min_value REAL,
+      max_value REAL,
+      PRIMARY KEY (source_table, resolution, bucket_start, series, field)
+    );
+    CREATE INDEX IF NOT EXISTS idx_metric_rollups_bucket ON metric_rollups(resolution, bucket_start);
+    `)
+  },
+  {
+    version: 5,
+    name: 'task-observations',
+    // TaskLearning: what each run measured, the input to learned estimates
+    up: async (db) => {
+      await addColumn(db, 'tasks', 'data_size_mb', 'REAL');
+      await addColumn(db, 'tasks', 'peak_temp', 'REAL');
+      await addColumn(db, 'tasks', 'temp_rise', 'REAL');
+      await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_tasks_name_status ON tasks(name, status, completed_at);
+    CREATE INDEX IF NOT EXISTS idx_learning_patterns_type ON learning_patterns(pattern_type);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'policy-versions',
+    // PolicyEngine: every policy that was active; is_active marks the current one
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS policy_versions (
+      version INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      document TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      source TEXT NOT NULL,
+      created_by TEXT,
+      is_active BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_policy_versions_active ON policy_versions(is_active);
+    `)
+  },
+  {
+    version: 7,
+    name: 'task-whitelist',
+    // TaskWhitelist: approvals that survive restarts; changes are audited in execution_history
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS task_whitelist (
+      task_name TEXT PRIMARY KEY,
+      status TEXT NOT NULL,
+      requested_by TEXT,
+      request_reason TEXT,
+      approved_by TEXT,
+      approved_at DATETIME,
+      expires_at DATETIME,
+      changed_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_whitelist_status ON task_whitelist(status);
+    `)
+  },
+  {
+    version: 8,
+    name: 'decision-steps',
+    // AgentDecisionEngine: structured steps and counterfactual hints per decision
+    up: async (db) => {
+      await addColumn(db, 'execution_history', 'steps', 'TEXT');
+      await addColumn(db, 'execution_history', 'hints', 'TEXT');
+      await db.exec('CREATE INDEX IF NOT EXISTS idx_execution_history_task ON execution_history(task_id, timestamp)');
+    }
+  },
+  {
+    version: 9,
+    name: 'task-adjustments',
+    // FeedbackAdjustments: demote/suppress/throttle changes derived from feedback
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS task_adjustments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      task_name TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      status TEXT NOT NULL,
+      setting TEXT,
+      evidence TEXT,
+      reason TEXT,
+      changed_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_adjustments_task ON task_adjustments(task_name, status);
+    CREATE INDEX IF NOT EXISTS idx_feedback_task ON feedback(task_id);
+    `)
+  },
+  {
+    version: 10,
+    name: 'metric-summaries',
+    // MetricsAggregator: per-day summary of each sampled field
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS metric_summaries (
+      day TEXT NOT NULL,
+      source_table TEXT NOT NULL,
+      field TEXT NOT NULL,
+      sample_count INTEGER NOT NULL,
+      avg_value REAL,
+      min_value REAL,
+      max_value REAL,
+      p95_value REAL,
+      computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (day, source_table, field)
+    );
+    `)
+  },
+  {
+    version: 11,
+    name: 'recurring-schedules',
+    // RecurringSchedules: cron window, planned slot and last run of each schedule
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS recurring_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      task_name TEXT NOT NULL,
+      task_data TEXT NOT NULL DEFAULT '{}',
+      urgency TEXT NOT NULL DEFAULT 'normal',
+      cron TEXT NOT NULL,
+      window_hours REAL NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      next_window_at DATETIME,
+      planned_for DATETIME,
+      plan_reason TEXT,
+      last_task_id TEXT,
+      last_run_at DATETIME,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    `)
+  },
+  {
+    version: 12,
+    name: 'task-sla',
+    // EnergySLA: the class and deadline a task was submitted with, and its latest start
+    up: async (db) => {
+      await addColumn(db, 'tasks', 'sla_class', 'TEXT');
+      await addColumn(db, 'tasks', 'deadline', 'DATETIME');
+      await addColumn(db, 'tasks', 'start_by', 'DATETIME');
+    }
+  },
+  {
+    version: 13,
+    name: 'carbon-accounting',
+    // CarbonAccounting: the worst-case intensity each run is compared against, and rollup indexes
+    up: async (db) => {
+      await addColumn(db, 'carbon_impact', 'worst_carbon_intensity', 'REAL');
+      await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_carbon_impact_task ON carbon_impact(task_id);
+    CREATE INDEX IF NOT EXISTS idx_carbon_impact_executed ON carbon_impact(executed_at);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'carbon-budgets',
+    // CarbonBudgets: per-user kg CO2 limit and its period (day, week, month)
+    up: async (db) => {
+      await addColumn(db, 'user_preferences', 'carbon_budget_kg', 'REAL');
+      await addColumn(db, 'user_preferences', 'carbon_budget_period', 'TEXT');
+    }
+  },
+  {
+    version: 15,
+    name: 'webhooks',
+    // WebhookDispatcher: subscriptions and the log of every delivery and its last attempt
+    up: db => db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '[]',
+      statuses TEXT NOT NULL DEFAULT '[]',
+      description TEXT,
+      enabled BOOLEAN NOT NULL DEFAULT 1,
+      created_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      delivery_id TEXT NOT NULL UNIQUE,
+      webhook_id INTEGER NOT NULL,
+      event_type TEXT NOT NULL,
+      task_id TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      response_status INTEGER,
+      response_ms INTEGER,
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+    `)
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// ALTER TABLE ADD COLUMN fails if the column exists; databases that already
+// have it (added by hand or by an older build) are left as they are
+export async function addColumn(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (columns.some(existing => existing.name === column)) return false;
+  await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Current version and the migrations still to apply
+ */
+export async function getSchemaStatus(db) {
+  const table = await db.get(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`
+  );
+  const row = table ? await db.get('SELECT MAX(version) AS version FROM schema_migrations') : null;
+  const version = row?.version || 0;
+  return {
+    version,
+    latest: LATEST_VERSION,
+    pending: MIGRATIONS.filter(migration => migration.version > version)
+      .map(({ version: pendingVersion, name }) => ({ version: pendingVersion, name }))
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * Returns { from, to, applied: [{ version, name }] }
+ */
+export async function migrate(db) {
+  await ensureMigrationsTable(db);
+  const { version: from } = await getSchemaStatus(db);
+  const applied = [];
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+
+    // BEGIN IMMEDIATE takes the write lock, so a second process migrating
+    // the same file waits and then sees the version as already applied
+    await db.exec('BEGIN IMMEDIATE');
+    try {
+      const done = await db.get(
+        'SELECT version FROM schema_migrations WHERE version = ?',
+        [migration.version]
+      );
+      if (done) {
+        await db.exec('COMMIT');
+        continue;
+      }
+
+      await migration.up(db);
+      await db.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await db.exec('COMMIT');
+      applied.push({ version: migration.version, name: migration.name });
+    } catch (error) {
+      await db.exec('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+  }
+
+  const { version: to } = await getSchemaStatus(db);
+  return { from, to, applied };
+}
+
+export default migrate;
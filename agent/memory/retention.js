@@ -0,0 +1,206 @@
+/**
+ * Retention Manager
+ *
+ * Keeps the sample tables from growing without bound:
+ * - raw rows older than a table's raw retention are rolled up into hourly
+ *   aggregates (metric_rollups) and then deleted, optionally archived first
+ * - hourly aggregates older than hourlyDays are rolled up into daily ones
+ * - daily aggregates older than dailyDays are deleted (0 keeps them forever)
+ *
+ * Raw rows are processed one day at a time, each day in its own
+ * transaction: a day's rollup, archive and delete apply together or not at all.
+ * Runs as the low-priority 'data-retention' task (see EcoAgent).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import pino from 'pino';
+
+const logger = pino();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Table → numeric columns to aggregate, optional series column, raw retention setting
+export const RETENTION_POLICIES = {
+  metrics: {
+    fields: ['cpu_usage_percent', 'memory_usage_mb', 'disk_io_percent', 'estimated_power_draw_watts', 'system_load'],
+    rawDaysSetting: 'metricsRawDays'
+  },
+  thermal_history: {
+    fields: ['cpu_temp', 'gpu_temp', 'average_temp', 'system_load'],
+    rawDaysSetting: 'thermalRawDays'
+  },
+  task_thermal_history: {
+    series: 'task_id',
+    fields: ['temperature'],
+    rawDaysSetting: 'taskThermalRawDays'
+  },
+  grid_metrics: {
+    fields: ['carbon_intensity', 'renewable_percent'],
+    rawDaysSetting: 'gridRawDays'
+  }
+};
+
+// Date → 'YYYY-MM-DD HH:MM:SS' (the format rollup buckets are stored in)
+function toSqlTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// A bucket that already exists (late samples, re-runs) is merged, weighted by sample count
+const MERGE_ROLLUP = `
+  ON CONFLICT(source_table, resolution, bucket_start, series, field) DO UPDATE SET
+    avg_value = (avg_value * sample_count + excluded.avg_value * excluded.sample_count)
+      / (sample_count + excluded.sample_count),
+    min_value = MIN(min_value, excluded.min_value),
+    max_value = MAX(max_value, excluded.max_value),
+    sample_count = sample_count + excluded.sample_count`;
+
+export class RetentionManager {
+  constructor(sharedMemory) {
+    this.memory = sharedMemory;
+
+    // Overwritten by configure() from the retention.* config section
+    this.settings = {
+      metricsRawDays: 7,
+      thermalRawDays: 7,
+      taskThermalRawDays: 3,
+      gridRawDays: 30,
+      hourlyDays: 90,
+      dailyDays: 0,
+      archive: false,
+      archiveDir: 'archive'
+    };
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  /**
+   * Apply every table policy
+   * Stops between days once signal is aborted; what is done stays done.
+   * Returns { tables: { [table]: { rolledUp, deleted, archived } }, hourly, daily }
+   */
+  async run({ signal } = {}) {
+    const now = Date.now();
+    const tables = {};
+
+    for (const [table, policy] of Object.entries(RETENTION_POLICIES)) {
+      if (signal?.aborted) break;
+      const rawDays = this.settings[policy.rawDaysSetting];
+      // Whole hours only, so no hourly bucket is built from part of its samples
+      const cutoff = new Date(Math.floor((now - rawDays * DAY_MS) / HOUR_MS) * HOUR_MS);
+      tables[table] = await this.compactRaw(table, policy, cutoff, signal);
+    }
+
+    const hourly = signal?.aborted
+      ? { rolledUp: 0, deleted: 0 }
+      : await this.compactHourly(new Date(Math.floor((now - this.settings.hourlyDays * DAY_MS) / DAY_MS) * DAY_MS));
+
+    let daily = { deleted: 0 };
+    if (!signal?.aborted && this.settings.dailyDays > 0) {
+      const { changes } = await this.memory.run(
+        `DELETE FROM metric_rollups WHERE resolution = 'day' AND bucket_start < ?`,
+        [toSqlTime(new Date(now - this.settings.dailyDays * DAY_MS))]
+      );
+      daily = { deleted: changes };
+    }
+
+    const deleted = Object.values(tables).reduce((sum, result) => sum + result.deleted, 0);
+    logger.info(`🧹 Retention: ${deleted} raw rows compacted, ${hourly.deleted} hourly rollups merged into daily`);
+
+    return { tables, hourly, daily };
+  }
+
+  /**
+   * Roll raw rows older than cutoff into hourly buckets, archive, delete
+   */
+  async compactRaw(table, policy, cutoff, signal) {
+    const result = { rolledUp: 0, deleted: 0, archived: 0 };
+    const cutoffTime = toSqlTime(cutoff);
+
+    // datetime() normalises both timestamp formats in use (ISO and CURRENT_TIMESTAMP)
+    const days = await this.memory.all(
+      `SELECT DISTINCT date(timestamp) AS day FROM ${table}
+       WHERE datetime(timestamp) < datetime(?)
+       ORDER BY day`,
+      [cutoffTime]
+    );
+
+    for (const { day } of days) {
+      if (signal?.aborted) break;
+
+      await this.memory.transaction(async (db) => {
+        const where = `datetime(timestamp) < datetime(?) AND date(timestamp) = ?`;
+        const params = [cutoffTime, day];
+
+        for (const field of policy.fields) {
+          const { changes } = await db.run(
+            `INSERT INTO metric_rollups
+             (source_table, resolution, bucket_start, series, field, sample_count, avg_value, min_value, max_value)
+             SELECT ?, 'hour', strftime('%Y-%m-%d %H:00:00', timestamp) AS bucket,
+               ${policy.series ? `COALESCE(${policy.series}, '')` : `''`} AS series_key,
+               ?, COUNT(${field}), AVG(${field}), MIN(${field}), MAX(${field})
+             FROM ${table}
+             WHERE ${where} AND ${field} IS NOT NULL
+             GROUP BY bucket, series_key
+             ${MERGE_ROLLUP}`,
+            [table, field, ...params]
+          );
+          result.rolledUp += changes;
+        }
+
+        if (this.settings.archive) {
+          const rows = await db.all(`SELECT * FROM ${table} WHERE ${where}`, params);
+          await this.archive(table, day, rows);
+          result.archived += rows.length;
+        }
+
+        const { changes } = await db.run(`DELETE FROM ${table} WHERE ${where}`, params);
+        result.deleted += changes;
+      });
+    }
+
+    if (result.deleted > 0) {
+      logger.info(`Retention ${table}: ${result.deleted} rows older than ${cutoffTime} rolled up into ${result.rolledUp} hourly aggregates`);
+    }
+    return result;
+  }
+
+  /**
+   * Merge hourly aggregates older than cutoff into daily ones
+   */
+  async compactHourly(cutoff) {
+    const cutoffTime = toSqlTime(cutoff);
+
+    return await this.memory.transaction(async (db) => {
+      const { changes: rolledUp } = await db.run(
+        `INSERT INTO metric_rollups
+         (source_table, resolution, bucket_start, series, field, sample_count, avg_value, min_value, max_value)
+         SELECT source_table, 'day', strftime('%Y-%m-%d 00:00:00', bucket_start) AS bucket, series, field,
+           SUM(sample_count), SUM(avg_value * sample_count) / SUM(sample_count), MIN(min_value), MAX(max_value)
+         FROM metric_rollups
+         WHERE resolution = 'hour' AND bucket_start < ?
+         GROUP BY source_table, bucket, series, field
+         ${MERGE_ROLLUP}`,
+        [cutoffTime]
+      );
+      const { changes: deleted } = await db.run(
+        `DELETE FROM metric_rollups WHERE resolution = 'hour' AND bucket_start < ?`,
+        [cutoffTime]
+      );
+      return { rolledUp, deleted };
+    });
+  }
+
+  // Append a day's raw rows to <archiveDir>/<table>-<day>.jsonl
+  async archive(table, day, rows) {
+    if (rows.length === 0) return;
+    await fs.mkdir(this.settings.archiveDir, { recursive: true });
+    const lines = rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+    await fs.appendFile(path.join(this.settings.archiveDir, `${table}-${day}.jsonl`), lines);
+  }
+}
+
+export default RetentionManager;
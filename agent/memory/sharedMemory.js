@@ -1,304 +1,160 @@
 import sqlite3 from 'sqlite3';
+import pino from 'pino';
 import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
+import { migrate } from './migrations.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DB_PATH = path.join(__dirname, '..', 'agent.db');
 
+const logger = pino();
+
+// The SharedMemory whose transaction the current async call chain is in
+const transactionScope = new AsyncLocalStorage();
+
+/**
+ * Shared Memory
+ *
+ * The agent's SQLite database. Every component gets the instance EcoAgent
+ * creates; nothing opens the database on import.
+ *
+ * - dbPath: file path (relative to agent/) or ':memory:' for a throwaway database
+ * - file databases use WAL, so readers (CLI, API) do not block the writer
+ * - queries wait for schema migrations (`ready`) and for any open transaction
+ * - statements are prepared once and cached per SQL string; an evicted one
+ *   is finalized only once no query is still using it
+ */
 export class SharedMemory {
-  constructor() {
-    this.db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) console.error('Database connection error:', err);
-      else console.log('Connected to shared memory database');
+  constructor(dbPath = DB_PATH, options = {}) {
+    this.options = {
+      statementCacheSize: 100,
+      ...options
+    };
+    this.inMemory = dbPath === ':memory:';
+    this.dbPath = this.inMemory ? dbPath : path.resolve(__dirname, '..', dbPath);
+    this.statements = new Map(); // sql → { statement: Promise<Statement>, users, evicted }, oldest first
+    this.activeTransaction = null; // settles when the open transaction ends
+    this.inFlight = 0; // queries outside a transaction that have not finished
+    this.idleWaiters = [];
+
+    this.db = new sqlite3.Database(this.dbPath, (err) => {
+      if (err) logger.error(`Database connection error: ${err.message}`);
+      else logger.debug(`Connected to shared memory database (${this.dbPath})`);
     });
-    this.initializeSchema();
+    // Another connection may hold the write lock (CLI, second instance)
+    this.db.configure('busyTimeout', 5000);
+    this.ready = this.initializeSchema();
+    this.ready.catch(err => logger.error(`Database migration error: ${err.message}`));
   }
 
-  initializeSchema() {
-    this.db.serialize(() => {
-      // Tasks table: tracks all submitted jobs
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS tasks (
-          id TEXT PRIMARY KEY,
-          name TEXT NOT NULL,
-          description TEXT,
-          priority INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          scheduled_for DATETIME,
-          executed_at DATETIME,
-          completed_at DATETIME,
-          status TEXT DEFAULT 'pending',
-          estimated_power_cost REAL,
-          actual_power_cost REAL,
-          result_summary TEXT,
-          error_log TEXT
-        )
-      `);
-
-      // Feedback table: user annotations on task necessity/timing
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS feedback (
-          id TEXT PRIMARY KEY,
-          task_id TEXT NOT NULL,
-          feedback_type TEXT NOT NULL,
-          value TEXT NOT NULL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          notes TEXT,
-          FOREIGN KEY(task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      // Metrics table: system resource snapshots
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS metrics (
-          id TEXT PRIMARY KEY,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          cpu_usage_percent REAL,
-          memory_usage_mb REAL,
-          disk_io_percent REAL,
-          estimated_power_draw_watts REAL,
-          system_load REAL,
-          is_off_peak BOOLEAN DEFAULT 0
-        )
-      `);
-
-      // Execution history: decisions made by agent
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS execution_history (
-          id TEXT PRIMARY KEY,
-          task_id TEXT NOT NULL,
-          decision TEXT NOT NULL,
-          reasoning TEXT,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          system_state TEXT,
-          FOREIGN KEY(task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      // Agent learning patterns: aggregated insights
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS learning_patterns (
-          id TEXT PRIMARY KEY,
-          pattern_type TEXT NOT NULL,
-          pattern_data TEXT NOT NULL,
-          confidence REAL DEFAULT 0.5,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
-          success_count INTEGER DEFAULT 0,
-          failure_count INTEGER DEFAULT 0
-        )
-      `);
-
-      // Configuration table: agent settings (read-only to agent)
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS configuration (
-          key TEXT PRIMARY KEY,
-          value TEXT NOT NULL,
-          is_locked BOOLEAN DEFAULT 1,
-          last_modified DATETIME DEFAULT CURRENT_TIMESTAMP,
-          modified_by TEXT
-        )
-      `);
-
-      // User preferences table: per-user scheduling preferences
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS user_preferences (
-          user_id TEXT PRIMARY KEY,
-          min_idle_between_tasks_minutes INTEGER DEFAULT 5,
-          timezone TEXT DEFAULT 'UTC',
-          preferred_energy_source TEXT DEFAULT 'any',
-          max_concurrent_tasks INTEGER DEFAULT 1,
-          allow_off_peak_only BOOLEAN DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // User delegation hours: when each user allows task execution
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS delegation_hours (
-          id TEXT PRIMARY KEY,
-          user_id TEXT NOT NULL,
-          day_of_week INTEGER,
-          start_hour INTEGER,
-          start_minute INTEGER,
-          end_hour INTEGER,
-          end_minute INTEGER,
-          is_active BOOLEAN DEFAULT 1,
-          description TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(user_id) REFERENCES user_preferences(user_id)
-        )
-      `);
-
-      // Ethical moderation rules: per-user constraints on task types
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS ethical_rules (
-          id TEXT PRIMARY KEY,
-          user_id TEXT NOT NULL,
-          rule_type TEXT NOT NULL,
-          rule_value TEXT NOT NULL,
-          enforcement_level TEXT DEFAULT 'strict',
-          is_active BOOLEAN DEFAULT 1,
-          reasoning TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(user_id) REFERENCES user_preferences(user_id)
-        )
-      `);
-
-      // Task execution cooldown: tracks last task execution for idle enforcement
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS task_cooldown (
-          id TEXT PRIMARY KEY,
-          user_id TEXT NOT NULL,
-          last_task_id TEXT,
-          last_executed_at DATETIME,
-          idle_until DATETIME,
-          reason TEXT,
-          FOREIGN KEY(user_id) REFERENCES user_preferences(user_id),
-          FOREIGN KEY(last_task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      // Thermal history: tracks system temperature over time
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS thermal_history (
-          id TEXT PRIMARY KEY,
-          cpu_temp REAL,
-          gpu_temp REAL,
-          average_temp REAL,
-          system_load REAL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          status TEXT DEFAULT 'safe'
-        )
-      `);
-
-      // Sleep schedule: tracks device sleep/wake events
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS sleep_schedule (
-          id TEXT PRIMARY KEY,
-          sleep_start DATETIME NOT NULL,
-          scheduled_wake DATETIME,
-          actual_wake DATETIME,
-          reason TEXT,
-          duration_target INTEGER,
-          actual_sleep_duration INTEGER,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Device status: current device state (sleeping, awake, etc.)
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS device_status (
-          id TEXT PRIMARY KEY,
-          status TEXT NOT NULL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          metadata TEXT,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Device profiles: thermal capabilities per device type
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS device_profiles (
-          id TEXT PRIMARY KEY,
-          device_id TEXT UNIQUE NOT NULL,
-          config TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Task checkpoints: save task state for pause/resume
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS task_checkpoints (
-          id TEXT PRIMARY KEY,
-          task_id TEXT NOT NULL,
-          checkpoint_number INTEGER DEFAULT 1,
-          progress_percent INTEGER,
-          state_data TEXT,
-          output_data TEXT,
-          reason TEXT DEFAULT 'manual',
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      // Task thermal history: temperature during task execution
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS task_thermal_history (
-          id TEXT PRIMARY KEY,
-          task_id TEXT NOT NULL,
-          temperature REAL NOT NULL,
-          elapsed_seconds INTEGER,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      // Task abort history: record of aborted tasks and reasons
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS task_abort_history (
-          id TEXT PRIMARY KEY,
-          task_id TEXT NOT NULL,
-          reason TEXT NOT NULL,
-          temperature REAL,
-          execution_duration_seconds INTEGER,
-          peak_temperature REAL,
-          thermal_alerts INTEGER DEFAULT 0,
-          power_alerts INTEGER DEFAULT 0,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      // Task resumption queue: tasks waiting to resume after abort
-      this.db.run(`
-        CREATE TABLE IF NOT EXISTS task_resumption_queue (
-          id TEXT PRIMARY KEY,
-          task_id TEXT NOT NULL,
-          abort_reason TEXT,
-          status TEXT DEFAULT 'PENDING',
-          retry_count INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          FOREIGN KEY(task_id) REFERENCES tasks(id)
-        )
-      `);
-
-      console.log('Database schema initialized');
-    });
+  // Apply pending schema migrations; queries wait for this
+  async initializeSchema() {
+    const connection = this.connection();
+    if (!this.inMemory) {
+      await connection.exec('PRAGMA journal_mode = WAL');
+    }
+
+    const { from, to, applied } = await migrate(connection);
+    if (applied.length > 0) {
+      logger.info(`Database schema migrated from version ${from} to ${to}: ${applied.map(m => m.name).join(', ')}`);
+    } else {
+      logger.debug(`Database schema at version ${to}`);
+    }
+  }
+
+  // Raw access for migrations, which run before `ready` resolves
+  connection() {
+    return {
+      run: (sql, params) => query(this.db, 'run', sql, params),
+      get: (sql, params) => query(this.db, 'get', sql, params),
+      all: (sql, params) => query(this.db, 'all', sql, params),
+      exec: (sql) => exec(this.db, sql)
+    };
   }
 
-  // Async query helper
+  // Async query helpers
   run(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.run(sql, params, function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, changes: this.changes });
-      });
-    });
+    return this.query('run', sql, params);
   }
 
   get(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.get(sql, params, (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    return this.query('get', sql, params);
   }
 
   all(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      this.db.all(sql, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    return this.query('all', sql, params);
   }
 
-  close() {
+  // Aliases used by the thermal/checkpoint modules
+  queryOne(sql, params = []) {
+    return this.get(sql, params);
+  }
+
+  queryAll(sql, params = []) {
+    return this.all(sql, params);
+  }
+
+  /**
+   * Run fn inside one transaction: committed if it resolves, rolled back if it throws
+   *
+   * Queries made while fn runs (through this instance, from any module) are
+   * part of the transaction; everyone else waits until it ends. A nested
+   * transaction() call joins the outer one.
+   *
+   *   await memory.transaction(async () => {
+   *     await memory.run('INSERT ...');
+   *     await memory.run('UPDATE ...');
+   *   });
+   */
+  async transaction(fn) {
+    if (transactionScope.getStore() === this) {
+      return await fn(this);
+    }
+
+    await this.ready;
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+
+    let finish;
+    this.activeTransaction = new Promise(resolve => { finish = resolve; });
+
+    try {
+      // Queries already on their way must not end up inside the transaction
+      while (this.inFlight > 0) {
+        await new Promise(resolve => this.idleWaiters.push(resolve));
+      }
+      await exec(this.db, 'BEGIN IMMEDIATE');
+      try {
+        const result = await transactionScope.run(this, () => fn(this));
+        await exec(this.db, 'COMMIT');
+        return result;
+      } catch (error) {
+        await exec(this.db, 'ROLLBACK').catch(rollbackError => {
+          logger.error(`Transaction rollback failed: ${rollbackError.message}`);
+        });
+        throw error;
+      }
+    } finally {
+      this.activeTransaction = null;
+      finish();
+    }
+  }
+
+  async close() {
+    await this.ready.catch(() => {});
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    while (this.inFlight > 0) {
+      await new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    const entries = Array.from(this.statements.values());
+    this.statements.clear();
+    await Promise.all(entries.map(entry => this.evict(entry)));
+
     return new Promise((resolve, reject) => {
       this.db.close((err) => {
         if (err) reject(err);
@@ -306,6 +162,112 @@ export class SharedMemory {
       });
     });
   }
+
+  // Wait for migrations and for any transaction this call is not part of
+  async query(method, sql, params) {
+    await this.ready;
+    if (transactionScope.getStore() === this) {
+      return await this.execute(method, sql, params);
+    }
+
+    while (this.activeTransaction) {
+      await this.activeTransaction;
+    }
+    this.inFlight++;
+    try {
+      return await this.execute(method, sql, params);
+    } finally {
+      this.inFlight--;
+      if (this.inFlight === 0) {
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    }
+  }
+
+  async execute(method, sql, params) {
+    const entry = this.acquire(sql);
+    try {
+      const statement = await entry.statement;
+      return await new Promise((resolve, reject) => {
+        statement[method](params, function(err, result) {
+          if (method === 'get') statement.reset();
+          if (err) reject(err);
+          else if (method === 'run') resolve({ id: this.lastID, changes: this.changes });
+          else resolve(method === 'all' ? result || [] : result);
+        });
+      });
+    } finally {
+      this.release(entry);
+    }
+  }
+
+  /**
+   * Cached prepared statement for sql, counted as in use until release().
+   * When the cache is full the least recently used one is evicted
+   */
+  acquire(sql) {
+    let entry = this.statements.get(sql);
+    if (entry) {
+      this.statements.delete(sql);
+      this.statements.set(sql, entry);
+      entry.users++;
+      return entry;
+    }
+
+    entry = {
+      statement: new Promise((resolve, reject) => {
+        const statement = this.db.prepare(sql, (err) => (err ? reject(err) : resolve(statement)));
+      }),
+      users: 1,
+      evicted: false,
+      finalized: null
+    };
+    // A statement that failed to prepare (bad SQL, missing table) is not kept
+    entry.statement.catch(() => {
+      if (this.statements.get(sql) === entry) this.statements.delete(sql);
+    });
+    this.statements.set(sql, entry);
+
+    if (this.statements.size > this.options.statementCacheSize) {
+      const [oldestSql, oldest] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      this.evict(oldest);
+    }
+    return entry;
+  }
+
+  release(entry) {
+    entry.users--;
+    if (entry.evicted && entry.users === 0) this.evict(entry);
+  }
+
+  // Finalize an entry that left the cache, or leave that to the last release() while queries still use it
+  evict(entry) {
+    entry.evicted = true;
+    if (entry.users > 0) return Promise.resolve();
+
+    entry.finalized ??= entry.statement.then(
+      statement => new Promise(resolve => statement.finalize(() => resolve())),
+      () => {}
+    );
+    return entry.finalized;
+  }
+}
+
+function query(db, method, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db[method](sql, params, function(err, result) {
+      if (err) reject(err);
+      else if (method === 'run') resolve({ id: this.lastID, changes: this.changes });
+      else resolve(method === 'all' ? result || [] : result);
+    });
+  });
+}
+
+function exec(db, sql) {
+  return new Promise((resolve, reject) => {
+    db.exec(sql, (err) => (err ? reject(err) : resolve()));
+  });
 }
 
-export default new SharedMemory();
+export default SharedMemory;
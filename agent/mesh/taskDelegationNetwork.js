@@ -13,6 +13,7 @@
  *              Energy availability + Democracy
  */
 
+import { EventEmitter } from 'events';
 import pino from 'pino';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -303,9 +304,12 @@ export class UserQuotaManager {
 /**
  * Decentralized Task Delegation
  * Tasks can move between devices based on available energy + user permissions
+ *
+ * Events: 'peer-registered', 'task-delegated', 'delegation-retracted'
  */
-export class TaskDelegationNetwork {
+export class TaskDelegationNetwork extends EventEmitter {
   constructor(sharedMemory, renewableModule, ecoScheduler) {
+    super();
     this.memory = sharedMemory;
     this.renewable = renewableModule;
     this.scheduler = ecoScheduler;
@@ -336,7 +340,7 @@ export class TaskDelegationNetwork {
       await this.memory.run(
         `INSERT OR REPLACE INTO peers 
         (id, device_name, location, current_energy, capacity, available, 
-         permissions, max_task_duration, timezone, last_seen, status)
+         permissions, max_task_duration_ms, timezone, last_seen, status)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           peerId,
@@ -355,6 +359,12 @@ export class TaskDelegationNetwork {
 
       this.peers.set(peerId, deviceInfo);
       logger.info(`Peer registered: ${deviceInfo.name}`, { peerId });
+      this.emit('peer-registered', {
+        peerId,
+        name: deviceInfo.name,
+        location: deviceInfo.location,
+        currentEnergy: deviceInfo.currentEnergy
+      });
       return { peerId, status: 'registered' };
     } catch (error) {
       logger.error(`Failed to register peer: ${error.message}`);
@@ -524,6 +534,8 @@ export class TaskDelegationNetwork {
         passedEthicalRules: true
       });
 
+      this.emit('task-delegated', { delegationId, taskId, taskName, peerId, userId, urgency });
+
       return { delegationId, status: 'delegated', peerId };
     } catch (error) {
       logger.error(`Failed to delegate task: ${error.message}`);
@@ -542,6 +554,7 @@ export class TaskDelegationNetwork {
       );
 
       logger.info(`Delegation retracted: ${delegationId}`);
+      this.emit('delegation-retracted', { delegationId });
       return { status: 'retracted' };
     } catch (error) {
       logger.error(`Failed to retract delegation: ${error.message}`);
@@ -549,70 +562,7 @@ export class TaskDelegationNetwork {
   }
 }
 
-/**
- * Energy-Aware SLA (Service Level Agreement)
- * Users can specify: "I need this NOW" vs "I can wait for clean energy"
- */
-export class EnergySLA {
-  /**
-   * SLA Types:
-   * 
-   * URGENT = "Execute within 30 minutes, any energy source"
-   * HIGH = "Execute within 24 hours, prefer clean energy"
-   * NORMAL = "Execute within 48 hours, prefer clean"
-   * ECO = "Execute when grid is clean (could be days)"
-   * SOLAR_ONLY = "Only execute during peak solar generation"
-   * WIND_ONLY = "Only execute during strong wind"
-   */
-
-  static getSLAPolicy(slaType, energyStatus) {
-    const policies = {
-      urgent: {
-        maxWaitTime: 1800000, // 30 min
-        energyRequired: 'any',
-        canDelegate: true,
-        canInterrupt: false
-      },
-      high: {
-        maxWaitTime: 86400000, // 24 hours
-        energyRequired: 'prefer-clean',
-        canDelegate: true,
-        canInterrupt: false
-      },
-      normal: {
-        maxWaitTime: 172800000, // 48 hours
-        energyRequired: 'prefer-clean',
-        canDelegate: true,
-        canInterrupt: true
-      },
-      eco: {
-        maxWaitTime: Infinity,
-        energyRequired: 'clean-only',
-        canDelegate: true,
-        canInterrupt: true
-      },
-      solar_only: {
-        maxWaitTime: Infinity,
-        energyRequired: 'solar-peak-only',
-        canDelegate: false,
-        canInterrupt: true
-      },
-      wind_only: {
-        maxWaitTime: Infinity,
-        energyRequired: 'wind-peak-only',
-        canDelegate: false,
-        canInterrupt: true
-      }
-    };
-
-    return policies[slaType.toLowerCase()] || policies.normal;
-  }
-
-  static wouldBreakSLA(taskStartTime, slaType) {
-    const policy = this.getSLAPolicy(slaType);
-    const elapsed = Date.now() - taskStartTime;
-    return elapsed > policy.maxWaitTime;
-  }
-}
+// Moved to the scheduler, which enforces it; still exported here for mesh callers
+export { EnergySLA } from '../scheduler/energySla.js';
 
 export default TaskDelegationNetwork;
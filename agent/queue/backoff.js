@@ -0,0 +1,16 @@
+/**
+ * Retry delays for the Bull-compatible queue backends
+ * Same formulas as Bull: fixed → delay, exponential → (2^attemptsMade - 1) * delay
+ */
+export function backoffDelay(backoff, attemptsMade) {
+  const { type, delay = 0 } = typeof backoff === 'number'
+    ? { type: 'fixed', delay: backoff }
+    : backoff || {};
+
+  if (type === 'exponential') {
+    return Math.round((Math.pow(2, attemptsMade) - 1) * delay);
+  }
+  return delay;
+}
+
+export default backoffDelay;
@@ -0,0 +1,245 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import { backoffDelay } from './backoff.js';
+
+const logger = pino();
+
+/**
+ * Fallback in-memory queue (used when Redis is unavailable)
+ *
+ * Implements the TaskQueue contract without persistence:
+ * - delay: jobs wait in 'delayed' until their time comes
+ * - priority: higher number runs first (critical: 3 … low: 0), FIFO within a level
+ * - attempts/backoff: failed jobs are retried with exponential (or fixed) backoff
+ * - pause/resume: active jobs finish, nothing new starts while paused
+ *
+ * Emits the same 'job' { state, jobId, taskId, taskName, ... } events as TaskQueue.
+ * Jobs are lost on restart.
+ */
+export class FallbackQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.config = {
+      concurrency: 1, // jobs running at once, across all task names
+      ...options
+    };
+
+    this.jobs = new Map(); // jobId → job
+    this.processors = new Map(); // taskName → handler
+    this.running = new Map(); // jobId → handler promise
+    this.counts = { completed: 0, failed: 0 };
+    this.sequence = 0; // insertion order, keeps equal priorities FIFO
+    this.paused = false;
+    this.closed = false;
+  }
+
+  emitJobEvent(state, job, extra = {}) {
+    this.emit('job', {
+      state,
+      jobId: job.id,
+      taskId: job.data?.taskId || job.id,
+      taskName: job.name,
+      ...extra
+    });
+  }
+
+  // Enqueue a task for deferred execution
+  async addTask(taskName, data, options = {}) {
+    const { taskId: requestedTaskId, ...queueOptions } = options;
+    const taskId = requestedTaskId || uuidv4();
+    const jobOptions = {
+      jobId: taskId,
+      attempts: options.attempts || 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000
+      },
+      removeOnComplete: true,
+      ...queueOptions
+    };
+
+    // Same as Bull: a job ID that is still known is not added twice
+    const existing = this.jobs.get(jobOptions.jobId);
+    if (existing) {
+      return { taskId, jobId: existing.id, status: 'queued' };
+    }
+
+    const job = {
+      id: jobOptions.jobId,
+      name: taskName,
+      data: { taskId, ...data },
+      opts: jobOptions,
+      state: 'waiting',
+      attemptsMade: 0,
+      sequence: this.sequence++,
+      timer: null
+    };
+    this.jobs.set(job.id, job);
+
+    logger.info(`Task enqueued: ${taskName}`, {
+      taskId,
+      priority: options.priority || 0,
+      scheduledFor: options.scheduledFor || 'ASAP'
+    });
+
+    if (jobOptions.delay > 0) {
+      this.delay(job, jobOptions.delay);
+      this.emitJobEvent('delayed', job);
+    } else {
+      this.emitJobEvent('waiting', job);
+      this.drain();
+    }
+
+    return { taskId, jobId: job.id, status: 'queued' };
+  }
+
+  // Register job processor; waiting jobs of that name start right away
+  async process(jobName, handler) {
+    this.processors.set(jobName, async (job) => {
+      logger.info(`Processing job: ${jobName}`, { jobId: job.id });
+      return await handler(job);
+    });
+    this.drain();
+  }
+
+  // Look up a job by task ID
+  async getJob(taskId) {
+    const job = this.jobs.get(taskId);
+    if (!job) return null;
+    return { id: job.id, name: job.name, data: job.data, opts: job.opts };
+  }
+
+  // Remove a waiting/delayed job; active jobs are left to finish
+  async removeTask(taskId) {
+    const job = this.jobs.get(taskId);
+    if (!job || job.state === 'active') return false;
+
+    clearTimeout(job.timer);
+    this.jobs.delete(taskId);
+    logger.info(`Task removed from queue: ${taskId}`);
+    return true;
+  }
+
+  // Get queue stats (completed/failed are totals since start)
+  async getStats() {
+    const counts = { waiting: 0, active: 0, delayed: 0 };
+    for (const job of this.jobs.values()) {
+      if (job.state in counts) counts[job.state]++;
+    }
+    return {
+      pending: counts.waiting,
+      active: counts.active,
+      completed: this.counts.completed,
+      failed: this.counts.failed,
+      delayed: counts.delayed
+    };
+  }
+
+  // Pause queue (during high load)
+  async pause() {
+    this.paused = true;
+    logger.info('Queue paused due to high system load');
+  }
+
+  // Resume queue
+  async resume() {
+    this.paused = false;
+    logger.info('Queue resumed');
+    this.drain();
+  }
+
+  // Stop timers and wait for active jobs to settle
+  async close() {
+    this.closed = true;
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+    }
+    await Promise.allSettled(this.running.values());
+  }
+
+  delay(job, ms) {
+    job.state = 'delayed';
+    job.timer = setTimeout(() => {
+      job.timer = null;
+      job.state = 'waiting';
+      this.emitJobEvent('waiting', job);
+      this.drain();
+    }, ms);
+  }
+
+  // Highest priority first, then oldest
+  nextJob() {
+    let next = null;
+    for (const job of this.jobs.values()) {
+      if (job.state !== 'waiting' || !this.processors.has(job.name)) continue;
+      const priority = job.opts.priority || 0;
+      const nextPriority = next ? next.opts.priority || 0 : -Infinity;
+      if (priority > nextPriority || (priority === nextPriority && job.sequence < next.sequence)) {
+        next = job;
+      }
+    }
+    return next;
+  }
+
+  drain() {
+    while (!this.paused && !this.closed && this.running.size < this.config.concurrency) {
+      const job = this.nextJob();
+      if (!job) return;
+
+      const run = this.run(job).finally(() => {
+        this.running.delete(job.id);
+        this.drain();
+      });
+      this.running.set(job.id, run);
+    }
+  }
+
+  async run(job) {
+    job.state = 'active';
+    this.emitJobEvent('active', job);
+
+    try {
+      const result = await this.processors.get(job.name)({
+        id: job.id,
+        name: job.name,
+        data: job.data,
+        opts: job.opts,
+        attemptsMade: job.attemptsMade
+      });
+
+      job.state = 'completed';
+      job.returnvalue = result;
+      this.counts.completed++;
+      logger.info(`Job ${job.id} completed`, { jobName: job.name });
+      this.emitJobEvent('completed', job);
+
+      if (job.opts.removeOnComplete) {
+        this.jobs.delete(job.id);
+      }
+    } catch (err) {
+      job.attemptsMade++;
+      job.failedReason = err.message;
+      const willRetry = job.attemptsMade < (job.opts.attempts || 1) && !this.closed;
+
+      logger.error(`Job ${job.id} failed: ${err.message}`, { jobName: job.name });
+      this.emitJobEvent('failed', job, {
+        error: err.message,
+        attemptsMade: job.attemptsMade,
+        willRetry
+      });
+
+      if (willRetry) {
+        this.delay(job, backoffDelay(job.opts.backoff, job.attemptsMade));
+      } else {
+        job.state = 'failed';
+        this.counts.failed++;
+        if (job.opts.removeOnFail) {
+          this.jobs.delete(job.id);
+        }
+      }
+    }
+  }
+}
+
+export default FallbackQueue;
@@ -0,0 +1,366 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+import { backoffDelay } from './backoff.js';
+
+const logger = pino();
+
+/**
+ * SQLite job queue (QUEUE_BACKEND=sqlite)
+ *
+ * Durable TaskQueue backend on the SharedMemory database (job_queue table),
+ * for devices that should not run Redis:
+ * - jobs survive restarts; delayed jobs run once process_after has passed
+ * - priority: higher number runs first (critical: 3 … low: 0), FIFO within a level
+ * - leases: an active job holds a lock that its worker renews; a lock that
+ *   expires (crashed agent, blocked event loop) marks the job stalled and it
+ *   goes back to waiting, or fails after maxStalledCount stalls
+ * - attempts/backoff: failed jobs are retried like Bull
+ *
+ * Emits the same 'job' { state, jobId, taskId, taskName, ... } events as TaskQueue.
+ */
+export class SqliteQueue extends EventEmitter {
+  constructor(sharedMemory, options = {}) {
+    super();
+    this.db = sharedMemory;
+    // Timings mirror the Bull settings in TaskQueue
+    this.config = {
+      concurrency: 1,
+      pollInterval: 1000,
+      lockDuration: 30000,
+      lockRenewTime: 15000,
+      stalledInterval: 5000,
+      maxStalledCount: 2,
+      ...options
+    };
+
+    this.workerId = uuidv4();
+    this.processors = new Map(); // taskName → handler
+    this.running = new Map(); // jobId → handler promise
+    this.pollTimer = null;
+    this.stalledTimer = null;
+    this.polling = false;
+    this.paused = false;
+    this.closed = false;
+  }
+
+  emitJobEvent(state, job, extra = {}) {
+    this.emit('job', {
+      state,
+      jobId: job.id,
+      taskId: job.data?.taskId || job.id,
+      taskName: job.name,
+      ...extra
+    });
+  }
+
+  // Enqueue a task for deferred execution
+  async addTask(taskName, data, options = {}) {
+    const { taskId: requestedTaskId, ...queueOptions } = options;
+    const taskId = requestedTaskId || uuidv4();
+    const jobOptions = {
+      jobId: taskId,
+      attempts: options.attempts || 3,
+      backoff: {
+        type: 'exponential',
+        delay: 2000
+      },
+      removeOnComplete: true,
+      ...queueOptions
+    };
+    const job = { id: jobOptions.jobId, name: taskName, data: { taskId, ...data } };
+    const now = Date.now();
+    const delayed = jobOptions.delay > 0;
+
+    try {
+      // Same as Bull: a job ID that is still stored is not added twice
+      const { changes } = await this.db.run(
+        `INSERT OR IGNORE INTO job_queue
+         (id, name, data, opts, priority, state, process_after, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          job.id,
+          taskName,
+          JSON.stringify(job.data),
+          JSON.stringify(jobOptions),
+          jobOptions.priority || 0,
+          delayed ? 'delayed' : 'waiting',
+          now + (delayed ? jobOptions.delay : 0),
+          now
+        ]
+      );
+
+      if (changes > 0) {
+        logger.info(`Task enqueued: ${taskName}`, {
+          taskId,
+          priority: options.priority || 0,
+          scheduledFor: options.scheduledFor || 'ASAP'
+        });
+        this.emitJobEvent(delayed ? 'delayed' : 'waiting', job);
+        if (!delayed) this.poll();
+      }
+
+      return { taskId, jobId: job.id, status: 'queued' };
+    } catch (error) {
+      logger.error(`Failed to enqueue task: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Register job processor; the first one starts polling
+  async process(jobName, handler) {
+    this.processors.set(jobName, async (job) => {
+      logger.info(`Processing job: ${jobName}`, { jobId: job.id });
+      return await handler(job);
+    });
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+      this.stalledTimer = setInterval(() => this.checkStalled(), this.config.stalledInterval);
+    }
+    this.poll();
+  }
+
+  // Look up a job by task ID
+  async getJob(taskId) {
+    const row = await this.db.get('SELECT * FROM job_queue WHERE id = ?', [taskId]);
+    if (!row) return null;
+    const job = this.fromRow(row);
+    return { id: job.id, name: job.name, data: job.data, opts: job.opts };
+  }
+
+  // Remove a waiting/delayed job; active jobs are locked by their worker
+  async removeTask(taskId) {
+    const { changes } = await this.db.run(
+      `DELETE FROM job_queue WHERE id = ? AND state != 'active'`,
+      [taskId]
+    );
+    if (changes === 0) return false;
+
+    logger.info(`Task removed from queue: ${taskId}`);
+    return true;
+  }
+
+  // Get queue stats
+  async getStats() {
+    const rows = await this.db.all(
+      'SELECT state, COUNT(*) AS count FROM job_queue GROUP BY state'
+    );
+    const counts = Object.fromEntries(rows.map(row => [row.state, row.count]));
+    return {
+      pending: counts.waiting || 0,
+      active: counts.active || 0,
+      completed: counts.completed || 0,
+      failed: counts.failed || 0,
+      delayed: counts.delayed || 0
+    };
+  }
+
+  // Pause queue (during high load)
+  async pause() {
+    this.paused = true;
+    logger.info('Queue paused due to high system load');
+  }
+
+  // Resume queue
+  async resume() {
+    this.paused = false;
+    logger.info('Queue resumed');
+    this.poll();
+  }
+
+  // Stop polling and wait for active jobs to settle
+  async close() {
+    this.closed = true;
+    clearInterval(this.pollTimer);
+    clearInterval(this.stalledTimer);
+    await Promise.allSettled(this.running.values());
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      data: JSON.parse(row.data || '{}'),
+      opts: JSON.parse(row.opts || '{}'),
+      attemptsMade: row.attempts_made
+    };
+  }
+
+  // Promote due delayed jobs, then claim jobs until concurrency is reached
+  async poll() {
+    if (this.polling || this.paused || this.closed || this.processors.size === 0) return;
+    this.polling = true;
+
+    try {
+      await this.promoteDelayed();
+
+      while (!this.paused && !this.closed && this.running.size < this.config.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const run = this.run(job).finally(() => {
+          this.running.delete(job.id);
+          this.poll();
+        });
+        this.running.set(job.id, run);
+      }
+    } catch (error) {
+      logger.error(`Queue poll failed: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async promoteDelayed() {
+    const due = await this.db.all(
+      `SELECT * FROM job_queue WHERE state = 'delayed' AND process_after <= ?`,
+      [Date.now()]
+    );
+
+    for (const row of due) {
+      await this.db.run(
+        `UPDATE job_queue SET state = 'waiting' WHERE id = ? AND state = 'delayed'`,
+        [row.id]
+      );
+      this.emitJobEvent('waiting', this.fromRow(row));
+    }
+  }
+
+  // Highest priority first, then oldest; the state check makes the claim atomic
+  async claimNext() {
+    const names = Array.from(this.processors.keys());
+    const candidates = await this.db.all(
+      `SELECT * FROM job_queue
+       WHERE state = 'waiting' AND name IN (${names.map(() => '?').join(', ')})
+       ORDER BY priority DESC, process_after ASC, created_at ASC
+       LIMIT 5`,
+      names
+    );
+
+    for (const row of candidates) {
+      if (this.running.has(row.id)) continue; // re-queued after a stall, still running here
+      const { changes } = await this.db.run(
+        `UPDATE job_queue SET state = 'active', lock_owner = ?, lock_expires_at = ?
+         WHERE id = ? AND state = 'waiting'`,
+        [this.workerId, Date.now() + this.config.lockDuration, row.id]
+      );
+      if (changes > 0) return this.fromRow(row);
+    }
+    return null;
+  }
+
+  async run(job) {
+    this.emitJobEvent('active', job);
+
+    const renewTimer = setInterval(() => {
+      this.db.run(
+        `UPDATE job_queue SET lock_expires_at = ? WHERE id = ? AND lock_owner = ? AND state = 'active'`,
+        [Date.now() + this.config.lockDuration, job.id, this.workerId]
+      ).catch(error => logger.warn(`Lock renewal failed for ${job.id}: ${error.message}`));
+    }, this.config.lockRenewTime);
+
+    try {
+      const result = await this.processors.get(job.name)(job);
+      clearInterval(renewTimer);
+
+      // A stalled job was handed back to the queue: its result is dropped
+      const { changes } = job.opts.removeOnComplete
+        ? await this.db.run('DELETE FROM job_queue WHERE id = ? AND lock_owner = ?', [job.id, this.workerId])
+        : await this.db.run(
+          `UPDATE job_queue
+           SET state = 'completed', return_value = ?, finished_at = ?, lock_owner = NULL
+           WHERE id = ? AND lock_owner = ?`,
+          [JSON.stringify(result ?? null), Date.now(), job.id, this.workerId]
+        );
+      if (changes === 0) {
+        logger.warn(`Job ${job.id} finished after losing its lock`, { jobName: job.name });
+        return;
+      }
+
+      logger.info(`Job ${job.id} completed`, { jobName: job.name });
+      this.emitJobEvent('completed', job);
+    } catch (err) {
+      clearInterval(renewTimer);
+      if (!(await this.ownsLock(job))) {
+        logger.warn(`Job ${job.id} failed after losing its lock: ${err.message}`, { jobName: job.name });
+        return;
+      }
+      await this.fail(job, err.message);
+    }
+  }
+
+  async ownsLock(job) {
+    const row = await this.db.get(
+      `SELECT id FROM job_queue WHERE id = ? AND lock_owner = ? AND state = 'active'`,
+      [job.id, this.workerId]
+    );
+    return Boolean(row);
+  }
+
+  async fail(job, reason, { retry = true } = {}) {
+    const attemptsMade = job.attemptsMade + 1;
+    const willRetry = retry && attemptsMade < (job.opts.attempts || 1);
+
+    logger.error(`Job ${job.id} failed: ${reason}`, { jobName: job.name });
+
+    if (willRetry) {
+      await this.db.run(
+        `UPDATE job_queue
+         SET state = 'delayed', attempts_made = ?, failed_reason = ?, process_after = ?, lock_owner = NULL
+         WHERE id = ?`,
+        [attemptsMade, reason, Date.now() + backoffDelay(job.opts.backoff, attemptsMade), job.id]
+      );
+    } else if (job.opts.removeOnFail) {
+      await this.db.run('DELETE FROM job_queue WHERE id = ?', [job.id]);
+    } else {
+      await this.db.run(
+        `UPDATE job_queue
+         SET state = 'failed', attempts_made = ?, failed_reason = ?, finished_at = ?, lock_owner = NULL
+         WHERE id = ?`,
+        [attemptsMade, reason, Date.now(), job.id]
+      );
+    }
+
+    this.emitJobEvent('failed', job, { error: reason, attemptsMade, willRetry });
+  }
+
+  // Active jobs whose lock expired: back to waiting, or failed after maxStalledCount
+  async checkStalled() {
+    if (this.closed) return;
+
+    try {
+      const stalled = await this.db.all(
+        `SELECT * FROM job_queue WHERE state = 'active' AND lock_expires_at < ?`,
+        [Date.now()]
+      );
+
+      for (const row of stalled) {
+        const job = this.fromRow(row);
+        logger.warn(`Job ${job.id} stalled`, { jobName: job.name });
+        this.emitJobEvent('stalled', job);
+
+        if (row.stalled_count + 1 > this.config.maxStalledCount) {
+          await this.db.run(
+            'UPDATE job_queue SET stalled_count = stalled_count + 1 WHERE id = ?',
+            [job.id]
+          );
+          await this.fail(job, 'job stalled more than allowable limit', { retry: false });
+        } else {
+          await this.db.run(
+            `UPDATE job_queue
+             SET state = 'waiting', stalled_count = stalled_count + 1, lock_owner = NULL
+             WHERE id = ? AND state = 'active'`,
+            [job.id]
+          );
+        }
+      }
+
+      if (stalled.length > 0) this.poll();
+    } catch (error) {
+      logger.error(`Stalled job check failed: ${error.message}`);
+    }
+  }
+}
+
+export default SqliteQueue;
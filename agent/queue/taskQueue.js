@@ -1,11 +1,14 @@
+import { EventEmitter } from 'events';
 import Queue from 'bull';
 import { v4 as uuidv4 } from 'uuid';
 import pino from 'pino';
 
 const logger = pino();
 
-export class TaskQueue {
+// Re-emits Bull job events as 'job' { state, jobId, taskId, taskName, ... }
+export class TaskQueue extends EventEmitter {
   constructor(redisUrl = 'redis://127.0.0.1:6379') {
+    super();
     this.queue = new Queue('eco-tasks', redisUrl, {
       settings: {
         lockDuration: 30000,
@@ -20,23 +23,68 @@ export class TaskQueue {
     this.setupEventHandlers();
   }
 
+  /**
+   * Resolves once Redis answers a PING; rejects on the first connection error
+   * or after timeoutMs. Bull itself never fails without Redis, it holds every
+   * command until a connection comes up
+   */
+  async connect(timeoutMs = 3000) {
+    let timer;
+    let onError;
+    const failed = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs}ms`)), timeoutMs);
+      onError = error => reject(error);
+      this.queue.on('error', onError);
+    });
+
+    try {
+      await Promise.race([this.queue.isReady().then(() => this.queue.client.ping()), failed]);
+    } finally {
+      clearTimeout(timer);
+      this.queue.removeListener('error', onError);
+    }
+  }
+
   setupEventHandlers() {
+    this.queue.on('active', (job) => {
+      this.emitJobEvent('active', job);
+    });
+
     this.queue.on('completed', (job) => {
       logger.info(`Job ${job.id} completed`, { jobName: job.name });
+      this.emitJobEvent('completed', job);
     });
 
     this.queue.on('failed', (job, err) => {
       logger.error(`Job ${job.id} failed: ${err.message}`, { jobName: job.name });
+      this.emitJobEvent('failed', job, {
+        error: err.message,
+        attemptsMade: job.attemptsMade,
+        willRetry: job.attemptsMade < (job.opts.attempts || 1)
+      });
     });
 
     this.queue.on('stalled', (job) => {
       logger.warn(`Job ${job.id} stalled`, { jobName: job.name });
+      this.emitJobEvent('stalled', job);
+    });
+  }
+
+  emitJobEvent(state, job, extra = {}) {
+    this.emit('job', {
+      state,
+      jobId: job.id,
+      taskId: job.data?.taskId || job.id,
+      taskName: job.name,
+      ...extra
     });
   }
 
   // Enqueue a task for deferred execution
   async addTask(taskName, data, options = {}) {
-    const taskId = uuidv4();
+    // Reuse the caller's task ID so the job and its tasks row share one ID
+    const { taskId: requestedTaskId, ...queueOptions } = options;
+    const taskId = requestedTaskId || uuidv4();
     const jobOptions = {
       jobId: taskId,
       attempts: options.attempts || 3,
@@ -45,7 +93,7 @@ export class TaskQueue {
         delay: 2000
       },
       removeOnComplete: true,
-      ...options
+      ...queueOptions
     };
 
     try {
@@ -63,6 +111,7 @@ export class TaskQueue {
         priority: options.priority || 0,
         scheduledFor: options.scheduledFor || 'ASAP'
       });
+      this.emitJobEvent(jobOptions.delay > 0 ? 'delayed' : 'waiting', job);
 
       return { taskId, jobId: job.id, status: 'queued' };
     } catch (error) {
@@ -79,6 +128,23 @@ export class TaskQueue {
     });
   }
 
+  // Look up a job by task ID
+  async getJob(taskId) {
+    const job = await this.queue.getJob(taskId);
+    if (!job) return null;
+    return { id: job.id, name: job.name, data: job.data, opts: job.opts };
+  }
+
+  // Remove a waiting/delayed job; active jobs are locked by their worker
+  async removeTask(taskId) {
+    const job = await this.queue.getJob(taskId);
+    if (!job || await job.isActive()) return false;
+
+    await job.remove();
+    logger.info(`Task removed from queue: ${taskId}`);
+    return true;
+  }
+
   // Get queue stats
   async getStats() {
     const counts = await this.queue.getJobCounts();
@@ -106,6 +172,11 @@ export class TaskQueue {
   async close() {
     await this.queue.close();
   }
+
+  // Drop the Redis connections of a queue that never connected (close() waits for one)
+  async disconnect() {
+    await this.queue.disconnect();
+  }
 }
 
 export default TaskQueue;
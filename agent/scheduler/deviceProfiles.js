@@ -0,0 +1,64 @@
+/**
+ * Pre-configured Device Thermal Profiles
+ *
+ * Used by ThermalPrediction when the caller picks a device type
+ * instead of 'auto'. Custom profiles saved with
+ * ThermalPrediction.saveDeviceProfile live in the device_profiles table.
+ */
+
+export const BUILTIN_DEVICE_PROFILES = [
+  {
+    id: 'fanless-laptop',
+    name: 'Fanless laptop',
+    thermalMass: 0.6,          // Small, heats quickly
+    coolingRate: 0.8,          // Slow cooling (no fans)
+    coolingEffectiveness: 0.6,
+    thermalEfficiency: 0.9,    // 90% becomes heat
+    criticalThreshold: 80,
+    warningThreshold: 70,
+    safeThreshold: 60,         // Conservative
+    description: 'Passive cooling only'
+  },
+  {
+    id: 'laptop-fan',
+    name: 'Laptop with fan',
+    thermalMass: 1.0,
+    coolingRate: 1.5,
+    coolingEffectiveness: 0.8,
+    thermalEfficiency: 0.8,
+    criticalThreshold: 90,
+    warningThreshold: 80,
+    safeThreshold: 70,
+    description: 'Active fan cooling'
+  },
+  {
+    id: 'workstation',
+    name: 'Desktop workstation',
+    thermalMass: 2.5,          // Large, heats slowly
+    coolingRate: 3.0,          // Fast cooling
+    coolingEffectiveness: 0.95,
+    thermalEfficiency: 0.65,   // Excellent ventilation
+    criticalThreshold: 95,
+    warningThreshold: 85,
+    safeThreshold: 75,
+    description: 'Liquid cooling, robust'
+  },
+  {
+    id: 'solar-iot',
+    name: 'Solar IoT device',
+    thermalMass: 0.3,          // Tiny, very sensitive
+    coolingRate: 2.0,
+    coolingEffectiveness: 0.5,
+    thermalEfficiency: 0.6,    // Only natural convection
+    criticalThreshold: 70,
+    warningThreshold: 60,
+    safeThreshold: 50,         // Very conservative
+    description: 'Extremely thermally constrained'
+  }
+];
+
+export function getBuiltinProfile(profileId) {
+  return BUILTIN_DEVICE_PROFILES.find(profile => profile.id === profileId) || null;
+}
+
+export default BUILTIN_DEVICE_PROFILES;
@@ -11,14 +11,16 @@
  * - Graceful wake-up transitions
  */
 
+import { EventEmitter } from 'events';
 import pino from 'pino';
 import { execSync, spawn } from 'child_process';
 import { v4 as uuidv4 } from 'uuid';
 
 const logger = pino();
 
-export class DeviceSleepManager {
+export class DeviceSleepManager extends EventEmitter {
   constructor(sharedMemory, taskQueue) {
+    super();
     this.memory = sharedMemory;
     this.taskQueue = taskQueue;
 
@@ -91,6 +93,7 @@ export class DeviceSleepManager {
   /**
    * Initiate device sleep
    * Schedules automatic wake-up for next delegation window
+   * Emits 'sleep' just before the OS is asked to suspend
    */
   async initiateDeviceSleep(reason = 'idle') {
     if (this.state.isSleeping) {
@@ -133,6 +136,7 @@ export class DeviceSleepManager {
       }
 
       // 5. Initiate OS-level sleep
+      this.emit('sleep', { reason, scheduledWake: wakeTime ? wakeTime.toISOString() : null });
       await this.triggerOSSleep();
 
       this.state.isSleeping = true;
@@ -177,6 +181,7 @@ export class DeviceSleepManager {
 
   /**
    * Wake device from sleep
+   * Emits 'wake' with the same summary it returns
    */
   async wakeDevice(reason = 'scheduled') {
     if (!this.state.isSleeping) {
@@ -210,11 +215,14 @@ export class DeviceSleepManager {
         sleptFor: `${Math.round(sleepDuration / 60000)} minutes`
       });
 
-      return {
+      const summary = {
         wakeReason: reason,
         sleptFor: Math.round(sleepDuration / 60000),
         timestamp: new Date().toISOString()
       };
+      this.emit('wake', summary);
+
+      return summary;
 
     } catch (error) {
       logger.error(`Failed to wake device: ${error.message}`);
@@ -295,11 +303,10 @@ export class DeviceSleepManager {
    */
   async getQueuedTaskCount() {
     try {
-      // This depends on your task queue implementation
-      // If using Bull + Redis:
-      if (this.taskQueue && typeof this.taskQueue.getQueueStatus === 'function') {
-        const status = await this.taskQueue.getQueueStatus();
-        return status.pending || 0;
+      // Every queue backend (Bull, SQLite, in-memory) reports getStats()
+      if (this.taskQueue && typeof this.taskQueue.getStats === 'function') {
+        const stats = await this.taskQueue.getStats();
+        return stats.pending || 0;
       }
 
       // Fallback: query database
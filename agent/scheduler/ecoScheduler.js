@@ -1,7 +1,10 @@
 import schedule from 'node-schedule';
 import os from 'os';
 import pino from 'pino';
+import { v4 as uuidv4 } from 'uuid';
 import { RenewableEnergyModule } from './renewableEnergyModule.js';
+import { SystemLoadSampler } from './systemLoadSampler.js';
+import { ethicalRuleConditions, matchesConditions } from '../engine/policyRules.js';
 
 const logger = pino();
 
@@ -10,13 +13,20 @@ export class EcoScheduler {
     this.queue = taskQueue;
     this.memory = sharedMemory;
     this.renewableModule = new RenewableEnergyModule(sharedMemory);
+    this.loadSampler = new SystemLoadSampler();
     
     this.config = {
       offPeakHours: [2, 3, 4, 5], // 2-5 AM (fallback)
       cpuThreshold: 60, // %
       memoryThreshold: 70, // %
       diskIOThreshold: 50, // %
+      pressureThreshold: 20, // % of the last 10s some task stalled on CPU, memory or I/O (PSI); 0 = off
       maxConcurrentTasks: 2,
+
+      // CPU / disk sampling (SystemLoadSampler)
+      loadSampleWindowMs: 1000, // first sample, and after a long gap
+      loadCacheMs: 5000, // capacity checks within this reuse the last sample
+      loadSmoothingSeconds: 30, // moving average; 0 = raw
       
       // Energy-aware configuration
       schedulingMode: 'hybrid', // 'renewable' | 'grid-aware' | 'hybrid' | 'off-peak'
@@ -39,22 +49,28 @@ export class EcoScheduler {
   }
 
   // Get current system resource usage
+  // CPU and disk come from SystemLoadSampler (smoothed, cached for loadCacheMs);
+  // diskIOPercent and pressure are null where the OS does not provide them
   async getSystemLoad() {
-    const cpus = os.cpus();
     const totalMemory = os.totalmem();
     const freeMemory = os.freemem();
     const usedMemory = totalMemory - freeMemory;
     
-    const cpuUsage = 100 - (os.freemem() / os.totalmem() * 100); // rough estimate
     const memoryPercent = (usedMemory / totalMemory) * 100;
     const loadAverage = os.loadavg()[0]; // 1-min load average
+    const sample = await this.loadSampler.current();
     
     return {
-      cpuUsagePercent: cpuUsage,
+      cpuUsagePercent: sample.cpuPercent,
       memoryUsageMb: usedMemory / (1024 * 1024),
       memoryPercent,
+      diskIOPercent: sample.diskIOPercent,
+      diskReadBytesPerSec: sample.diskReadBytesPerSec,
+      diskWriteBytesPerSec: sample.diskWriteBytesPerSec,
+      pressure: sample.pressure,
       loadAverage,
       isOffPeak: this.isOffPeak(),
+      sampledAt: sample.sampledAt,
       timestamp: new Date()
     };
   }
@@ -65,12 +81,15 @@ export class EcoScheduler {
     
     // Always check system resources first
     const conditions = {
-      cpuOk: load.cpuUsagePercent < this.config.cpuThreshold,
+      cpuOk: load.cpuUsagePercent == null || load.cpuUsagePercent < this.config.cpuThreshold,
       memoryOk: load.memoryPercent < this.config.memoryThreshold,
+      diskIOOk: load.diskIOPercent == null || load.diskIOPercent < this.config.diskIOThreshold,
+      stalled: this.stalledResources(load.pressure),
       offPeakBonus: load.isOffPeak ? 1.2 : 0.8
     };
+    conditions.pressureOk = conditions.stalled.length === 0;
 
-    const systemOk = conditions.cpuOk && conditions.memoryOk;
+    const systemOk = conditions.cpuOk && conditions.memoryOk && conditions.diskIOOk && conditions.pressureOk;
 
     // If system OK, also check renewable energy
     let energyOk = true;
@@ -97,12 +116,13 @@ export class EcoScheduler {
     try {
       await this.memory.run(
         `INSERT INTO metrics 
-        (id, cpu_usage_percent, memory_usage_mb, system_load, is_off_peak) 
-        VALUES (?, ?, ?, ?, ?)`,
+        (id, cpu_usage_percent, memory_usage_mb, disk_io_percent, system_load, is_off_peak) 
+        VALUES (?, ?, ?, ?, ?, ?)`,
         [
-          require('uuid').v4(),
+          uuidv4(),
           load.cpuUsagePercent,
           load.memoryUsageMb,
+          load.diskIOPercent,
           load.loadAverage,
           load.isOffPeak ? 1 : 0
         ]
@@ -123,21 +143,14 @@ export class EcoScheduler {
     return canExecute;
   }
 
-  // Schedule recurring tasks
-  scheduleRecurringTask(taskName, cronExpression, taskData) {
-    return schedule.scheduleJob(cronExpression, async () => {
-      const canExecute = await this.canExecuteTask();
-      
-      if (canExecute) {
-        logger.info(`Executing scheduled task: ${taskName}`);
-        await this.queue.addTask(taskName, taskData, {
-          priority: 1,
-          scheduledFor: new Date().toISOString()
-        });
-      } else {
-        logger.info(`Deferring task ${taskName} - system load too high`);
-      }
-    });
+  // PSI resources (cpu, memory, io) whose "some" avg10 is at or above pressureThreshold
+  stalledResources(pressure) {
+    const threshold = this.config.pressureThreshold;
+    if (!pressure || !(threshold > 0)) return [];
+
+    return Object.entries(pressure)
+      .filter(([, stall]) => stall?.some && stall.some.avg10 >= threshold)
+      .map(([resource]) => resource);
   }
 
   // Schedule one-off task for optimal time
@@ -214,6 +227,17 @@ export class EcoScheduler {
     return candidate;
   }
 
+  // Replace scheduler settings (scheduler.* section of the agent config)
+  configure(settings) {
+    this.config = { ...this.config, ...settings };
+    this.loadSampler.configure({
+      windowMs: this.config.loadSampleWindowMs,
+      cacheMs: this.config.loadCacheMs,
+      smoothingSeconds: this.config.loadSmoothingSeconds
+    });
+    logger.info('Scheduler configuration updated', { schedulingMode: this.config.schedulingMode });
+  }
+
   // Configure renewable energy source (direct solar, grid API, etc)
   configureRenewableEnergy(config) {
     /**
@@ -380,43 +404,10 @@ export class EcoScheduler {
       const violations = [];
 
       for (const rule of rules) {
-        let ruleViolated = false;
-
-        switch (rule.rule_type) {
-          case 'max_power_watts':
-            if (estimatedPowerWatts > parseFloat(rule.rule_value)) {
-              ruleViolated = true;
-            }
-            break;
-
-          case 'task_type_blacklist':
-            if (taskName.toLowerCase().includes(rule.rule_value.toLowerCase())) {
-              ruleViolated = true;
-            }
-            break;
-
-          case 'task_type_whitelist':
-            if (!taskName.toLowerCase().includes(rule.rule_value.toLowerCase())) {
-              ruleViolated = true;
-            }
-            break;
-
-          case 'no_heavy_computation':
-            if (taskName.toLowerCase().includes('ml') || 
-                taskName.toLowerCase().includes('render') ||
-                taskName.toLowerCase().includes('analysis')) {
-              ruleViolated = true;
-            }
-            break;
-
-          case 'no_data_intensive':
-            if (taskName.toLowerCase().includes('backup') || 
-                taskName.toLowerCase().includes('sync') ||
-                taskName.toLowerCase().includes('transfer')) {
-              ruleViolated = true;
-            }
-            break;
-        }
+        // Same conditions as policy rules (engine/policyRules.js)
+        const when = ethicalRuleConditions(rule);
+        const ruleViolated = when !== null &&
+          matchesConditions(when, { task: taskName, watts: estimatedPowerWatts });
 
         if (ruleViolated) {
           violations.push({
@@ -450,7 +441,7 @@ export class EcoScheduler {
     }
   }
 
-  // Graceful shutdown
+  // Graceful shutdown (also cancels RecurringSchedules' node-schedule jobs)
   async shutdown() {
     logger.info('Scheduler shutting down...');
     schedule.gracefulShutdown();
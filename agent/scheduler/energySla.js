@@ -0,0 +1,119 @@
+/**
+ * Energy-Aware SLA (Service Level Agreement)
+ * Users can specify: "I need this NOW" vs "I can wait for clean energy"
+ *
+ * A task submitted with an SLA class or a deadline gets a latest start: the
+ * class's maxWaitTime after submission, or the deadline minus the task's
+ * expected duration, whichever comes first. Deferrals for cleaner energy are
+ * held to it, and once it is reached the task runs on whatever energy there is.
+ * solar_only and wind_only tasks only run while that source is generating.
+ */
+
+export const SLA_CLASSES = ['urgent', 'high', 'normal', 'eco', 'solar_only', 'wind_only'];
+
+// A deferral that would leave less than this before the latest start runs now instead
+const FORCE_MARGIN_MS = 60000;
+
+export class EnergySLA {
+  /**
+   * SLA Types:
+   *
+   * URGENT = "Execute within 30 minutes, any energy source"
+   * HIGH = "Execute within 24 hours, prefer clean energy"
+   * NORMAL = "Execute within 48 hours, prefer clean"
+   * ECO = "Execute when grid is clean (could be days)"
+   * SOLAR_ONLY = "Only execute during peak solar generation"
+   * WIND_ONLY = "Only execute during strong wind"
+   */
+
+  static getSLAPolicy(slaType, energyStatus) {
+    const policies = {
+      urgent: {
+        maxWaitTime: 1800000, // 30 min
+        energyRequired: 'any',
+        canDelegate: true,
+        canInterrupt: false
+      },
+      high: {
+        maxWaitTime: 86400000, // 24 hours
+        energyRequired: 'prefer-clean',
+        canDelegate: true,
+        canInterrupt: false
+      },
+      normal: {
+        maxWaitTime: 172800000, // 48 hours
+        energyRequired: 'prefer-clean',
+        canDelegate: true,
+        canInterrupt: true
+      },
+      eco: {
+        maxWaitTime: Infinity,
+        energyRequired: 'clean-only',
+        canDelegate: true,
+        canInterrupt: true
+      },
+      solar_only: {
+        maxWaitTime: Infinity,
+        energyRequired: 'solar-peak-only',
+        canDelegate: false,
+        canInterrupt: true
+      },
+      wind_only: {
+        maxWaitTime: Infinity,
+        energyRequired: 'wind-peak-only',
+        canDelegate: false,
+        canInterrupt: true
+      }
+    };
+
+    return policies[slaType.toLowerCase()] || policies.normal;
+  }
+
+  static wouldBreakSLA(taskStartTime, slaType) {
+    const policy = this.getSLAPolicy(slaType);
+    const elapsed = Date.now() - taskStartTime;
+    return elapsed > policy.maxWaitTime;
+  }
+
+  // 'solar' or 'wind' for the classes restricted to that source, otherwise null
+  static generationSource(slaType) {
+    return { solar_only: 'solar', wind_only: 'wind' }[slaType] || null;
+  }
+
+  /**
+   * Latest start for a task, or null when neither its class nor a deadline bounds it
+   * deadline is when the run must be finished, so the expected duration comes off it
+   */
+  static latestStart({ slaClass = null, deadline = null, submittedAt = new Date(), durationSeconds = 0 } = {}) {
+    const limits = [];
+    if (slaClass) {
+      const { maxWaitTime } = this.getSLAPolicy(slaClass);
+      if (Number.isFinite(maxWaitTime)) {
+        limits.push(new Date(submittedAt).getTime() + maxWaitTime);
+      }
+    }
+    if (deadline) {
+      limits.push(new Date(deadline).getTime() - (durationSeconds || 0) * 1000);
+    }
+    return limits.length > 0 ? new Date(Math.min(...limits)) : null;
+  }
+
+  /**
+   * Hold a deferral to the latest start
+   * Returns { outcome, scheduledFor }: 'within' keeps it, 'clamped' moves it
+   * to the latest start, 'forced' means that is (nearly) now and the task
+   * should run instead (scheduledFor null)
+   */
+  static holdDeferral(scheduledFor, startBy, now = Date.now()) {
+    const when = new Date(scheduledFor);
+    if (!startBy || when <= new Date(startBy)) {
+      return { outcome: 'within', scheduledFor: when };
+    }
+    if (new Date(startBy).getTime() - now <= FORCE_MARGIN_MS) {
+      return { outcome: 'forced', scheduledFor: null };
+    }
+    return { outcome: 'clamped', scheduledFor: new Date(startBy) };
+  }
+}
+
+export default EnergySLA;
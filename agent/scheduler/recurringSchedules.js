@@ -0,0 +1,524 @@
+/**
+ * Recurring Schedules
+ *
+ * Energy-aware recurring tasks, stored in recurring_schedules so they
+ * survive restarts. A schedule is a cron expression for when its window
+ * opens plus the window length, e.g. '0 0 * * *' with windowHours 8 is
+ * "daily, anywhere between 00:00 and 08:00".
+ *
+ * When a window opens the cleanest hour in it is planned, from the grid
+ * carbon history of that hour of day (RenewableEnergyModule). At that slot
+ * the task is submitted like any other; if the decision engine holds it
+ * back it is deferred to the next good slot, not dropped. A window whose
+ * previous run is still waiting is skipped rather than stacking runs.
+ *
+ * On startup planned slots are re-armed; a slot or window missed while the
+ * agent was down is run now (or planned in what is left of its window).
+ *
+ * Every change and run is an execution_history entry (task_id
+ * 'schedule:<name>').
+ *
+ * Emits 'change' { id, name, taskName, action, status, plannedFor, actor }
+ */
+
+import { EventEmitter } from 'events';
+import schedule from 'node-schedule';
+import { v4 as uuidv4 } from 'uuid';
+import pino from 'pino';
+
+const logger = pino();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const SCHEDULE_STATUSES = ['active', 'paused'];
+export const SCHEDULE_URGENCIES = ['critical', 'high', 'normal', 'low'];
+
+// A previous run in one of these states has not finished yet
+const RUNNING_STATUSES = ['pending', 'deferred', 'active'];
+
+export class ScheduleError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code; // SCHEDULE_NOT_FOUND | SCHEDULE_INVALID | SCHEDULE_NAME_TAKEN | SCHEDULE_INVALID_STATE
+  }
+}
+
+export class RecurringSchedules extends EventEmitter {
+  /**
+   * @param {function} submitTask - (taskName, taskData, urgency, options) => { taskId }
+   */
+  constructor(sharedMemory, scheduler, submitTask) {
+    super();
+    this.memory = sharedMemory;
+    this.scheduler = scheduler;
+    this.submitTask = submitTask;
+
+    // Overwritten by configure() from the schedules.* config section
+    this.settings = {
+      historyDays: 14 // grid carbon history used to rank the hours of a window
+    };
+
+    // schedule ID → { window, slot } node-schedule jobs
+    this.jobs = new Map();
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  // Arm every active schedule; catch up on windows and slots missed while stopped
+  async restore() {
+    const rows = await this.memory.all(`SELECT * FROM recurring_schedules WHERE status = 'active'`);
+
+    for (const row of rows) {
+      try {
+        await this.catchUp(row);
+        await this.arm(row.id);
+      } catch (error) {
+        logger.warn(`Could not restore schedule '${row.name}': ${error.message}`);
+      }
+    }
+    if (rows.length > 0) logger.info(`🔁 Restored ${rows.length} recurring schedule(s)`);
+  }
+
+  stop() {
+    for (const id of this.jobs.keys()) this.disarm(id);
+  }
+
+  async list({ status = null, taskName = null } = {}) {
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('s.status = ?');
+      params.push(status);
+    }
+    if (taskName) {
+      where.push('s.task_name = ?');
+      params.push(taskName);
+    }
+
+    const rows = await this.memory.all(
+      `SELECT s.*, t.status AS last_task_status FROM recurring_schedules s
+       LEFT JOIN tasks t ON t.id = s.last_task_id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY s.id`,
+      params
+    );
+    return rows.map(serializeSchedule);
+  }
+
+  async get(id) {
+    const row = await this.memory.get(
+      `SELECT s.*, t.status AS last_task_status FROM recurring_schedules s
+       LEFT JOIN tasks t ON t.id = s.last_task_id
+       WHERE s.id = ?`,
+      [id]
+    );
+    if (!row) {
+      throw new ScheduleError('SCHEDULE_NOT_FOUND', `Schedule ${id} not found`);
+    }
+    return serializeSchedule(row);
+  }
+
+  /**
+   * @param {object} fields - { name?, taskName, taskData?, urgency?, cron, windowHours }
+   */
+  async create(fields, { actor }) {
+    const values = validate({ taskData: {}, urgency: 'normal', ...fields });
+    for (const required of ['taskName', 'cron', 'windowHours']) {
+      if (values[required] === undefined) {
+        throw new ScheduleError('SCHEDULE_INVALID', `${required} is required`);
+      }
+    }
+    const name = values.name || `${values.taskName}-${Date.now().toString(36)}`;
+    await this.assertNameFree(name);
+
+    const { id } = await this.memory.run(
+      `INSERT INTO recurring_schedules (name, task_name, task_data, urgency, cron, window_hours, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name, values.taskName, JSON.stringify(values.taskData), values.urgency, values.cron, values.windowHours, actor]
+    );
+    await this.arm(id);
+    return await this.changed(id, 'created', actor, `${values.cron}, ${values.windowHours}h window`);
+  }
+
+  /**
+   * Edit some of name, taskName, taskData, urgency, cron and windowHours
+   * A run already planned keeps its slot; the new timing applies from the next window
+   */
+  async update(id, fields, { actor }) {
+    const current = await this.get(id);
+    const values = validate(fields);
+    if (Object.keys(values).length === 0) {
+      throw new ScheduleError('SCHEDULE_INVALID', 'Nothing to change');
+    }
+    if (values.name !== undefined && values.name !== current.name) {
+      await this.assertNameFree(values.name);
+    }
+
+    const columns = {
+      name: values.name,
+      task_name: values.taskName,
+      task_data: values.taskData && JSON.stringify(values.taskData),
+      urgency: values.urgency,
+      cron: values.cron,
+      window_hours: values.windowHours
+    };
+    const changed = Object.keys(columns).filter(column => columns[column] !== undefined);
+    await this.memory.run(
+      `UPDATE recurring_schedules SET ${changed.map(column => `${column} = ?`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...changed.map(column => columns[column]), id]
+    );
+
+    if (current.status === 'active') await this.arm(id);
+    return await this.changed(id, 'updated', actor, `Changed ${Object.keys(values).join(', ')}`);
+  }
+
+  // Stop planning runs; a slot already planned is dropped, a submitted run is left alone
+  async pause(id, { actor, reason = null }) {
+    await this.transition(id, 'active', 'paused');
+    this.disarm(id);
+    await this.memory.run(
+      `UPDATE recurring_schedules SET planned_for = NULL, plan_reason = NULL, next_window_at = NULL WHERE id = ?`,
+      [id]
+    );
+    return await this.changed(id, 'paused', actor, reason);
+  }
+
+  // Start again from the next window; windows that passed while paused are not made up
+  async resume(id, { actor, reason = null }) {
+    await this.transition(id, 'paused', 'active');
+    await this.arm(id);
+    return await this.changed(id, 'resumed', actor, reason);
+  }
+
+  async remove(id, { actor, reason = null }) {
+    const current = await this.get(id);
+    this.disarm(id);
+    await this.memory.run('DELETE FROM recurring_schedules WHERE id = ?', [id]);
+    await this.record(current, 'deleted', actor, reason);
+    this.emit('change', { id, name: current.name, taskName: current.taskName, action: 'deleted', status: null, plannedFor: null, actor });
+    return { ...current, deleted: true };
+  }
+
+  // ------------------------------------------------------------------------
+  // Timers
+
+  // (Re)create the window job, and the slot job if a run is planned
+  async arm(id) {
+    this.disarm(id);
+    const row = await this.memory.get('SELECT * FROM recurring_schedules WHERE id = ?', [id]);
+    if (!row || row.status !== 'active') return;
+
+    const window = schedule.scheduleJob(row.cron, fireDate => {
+      this.openWindow(id, fireDate).catch(error => {
+        logger.warn(`Schedule '${row.name}' could not plan its window: ${error.message}`);
+      });
+    });
+    const jobs = { window, slot: null };
+    this.jobs.set(id, jobs);
+
+    if (row.planned_for) {
+      jobs.slot = this.armSlot(id, row.name, new Date(row.planned_for));
+    }
+
+    await this.memory.run(
+      'UPDATE recurring_schedules SET next_window_at = ? WHERE id = ?',
+      [window.nextInvocation()?.toDate().toISOString() ?? null, id]
+    );
+  }
+
+  armSlot(id, name, at) {
+    // node-schedule ignores dates in the past; a missed slot runs right away
+    const when = new Date(Math.max(at.getTime(), Date.now() + 1000));
+    return schedule.scheduleJob(when, () => {
+      this.runPlanned(id).catch(error => {
+        logger.warn(`Schedule '${name}' could not submit its run: ${error.message}`);
+      });
+    });
+  }
+
+  disarm(id) {
+    const jobs = this.jobs.get(id);
+    if (!jobs) return;
+    jobs.window?.cancel();
+    jobs.slot?.cancel();
+    this.jobs.delete(id);
+  }
+
+  // The window for this schedule opened: plan its cleanest slot
+  async openWindow(id, start) {
+    const row = await this.memory.get('SELECT * FROM recurring_schedules WHERE id = ?', [id]);
+    if (!row || row.status !== 'active') return;
+
+    const jobs = this.jobs.get(id);
+    await this.memory.run(
+      'UPDATE recurring_schedules SET next_window_at = ? WHERE id = ?',
+      [jobs?.window.nextInvocation()?.toDate().toISOString() ?? null, id]
+    );
+
+    if (row.planned_for) {
+      await this.changed(id, 'skipped', 'agent',
+        `Window ${start.toISOString()} skipped: the run planned for ${row.planned_for} has not started yet`);
+      return;
+    }
+
+    await this.plan(row, start, new Date(start.getTime() + row.window_hours * HOUR_MS));
+  }
+
+  async plan(row, start, end) {
+    const slot = await this.cleanestSlot(start, end);
+    await this.memory.run(
+      `UPDATE recurring_schedules SET planned_for = ?, plan_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [slot.at.toISOString(), slot.reason, row.id]
+    );
+
+    const jobs = this.jobs.get(row.id);
+    if (jobs) {
+      jobs.slot?.cancel();
+      jobs.slot = this.armSlot(row.id, row.name, slot.at);
+    }
+    await this.changed(row.id, 'planned', 'agent', `${slot.at.toISOString()}: ${slot.reason}`);
+  }
+
+  // The planned slot arrived: submit the run, unless the previous one is still waiting
+  async runPlanned(id) {
+    const row = await this.memory.get(
+      `SELECT s.*, t.status AS last_task_status FROM recurring_schedules s
+       LEFT JOIN tasks t ON t.id = s.last_task_id
+       WHERE s.id = ?`,
+      [id]
+    );
+    if (!row || row.status !== 'active' || !row.planned_for) return;
+
+    const jobs = this.jobs.get(id);
+    if (jobs) jobs.slot = null;
+    await this.memory.run(
+      'UPDATE recurring_schedules SET planned_for = NULL, plan_reason = NULL WHERE id = ?',
+      [id]
+    );
+
+    if (RUNNING_STATUSES.includes(row.last_task_status)) {
+      await this.changed(id, 'skipped', 'agent',
+        `Previous run ${row.last_task_id} is still ${row.last_task_status}`);
+      return;
+    }
+
+    let taskId;
+    try {
+      ({ taskId } = await this.submitTask(row.task_name, {
+        description: `Recurring schedule '${row.name}'`,
+        ...JSON.parse(row.task_data || '{}')
+      }, row.urgency, { scheduledFor: new Date() }));
+    } catch (error) {
+      await this.changed(id, 'failed', 'agent', `Could not submit ${row.task_name}: ${error.message}`);
+      return;
+    }
+
+    await this.memory.run(
+      `UPDATE recurring_schedules SET last_task_id = ?, last_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [taskId, new Date().toISOString(), id]
+    );
+    await this.changed(id, 'submitted', 'agent', `Submitted ${row.task_name} as task ${taskId}`);
+  }
+
+  // Startup: a planned slot that passed is run by arm(); a window that opened
+  // while the agent was down is planned in its remainder, or run now if it closed
+  async catchUp(row) {
+    if (row.planned_for || !row.next_window_at) return;
+
+    const start = new Date(row.next_window_at);
+    if (start.getTime() > Date.now()) return;
+
+    const end = new Date(start.getTime() + row.window_hours * HOUR_MS);
+    if (end.getTime() > Date.now()) {
+      await this.plan(row, new Date(), end);
+      return;
+    }
+
+    const reason = `Missed window ${start.toISOString()} while the agent was stopped - running late`;
+    await this.memory.run(
+      `UPDATE recurring_schedules SET planned_for = ?, plan_reason = ? WHERE id = ?`,
+      [new Date().toISOString(), reason, row.id]
+    );
+    await this.changed(row.id, 'planned', 'agent', reason);
+  }
+
+  /**
+   * Cleanest start hour between start and end (the window's own start, then
+   * each full hour before end), ranked by the average carbon intensity of
+   * that hour of day. Hours without history count as the average of those
+   * with it; with no history at all the historically clean grid hour is used.
+   * Returns { at, carbonIntensity, reason }
+   */
+  async cleanestSlot(start, end) {
+    const from = new Date(Math.max(start.getTime(), Date.now()));
+    const candidates = [from];
+    const hour = new Date(from);
+    hour.setMinutes(0, 0, 0);
+    for (hour.setHours(hour.getHours() + 1); hour < end; hour.setHours(hour.getHours() + 1)) {
+      candidates.push(new Date(hour));
+    }
+
+    const renewable = this.scheduler.renewableModule;
+    const profile = await renewable.getHourlyCarbonProfile(this.settings.historyDays);
+    const known = Object.values(profile);
+
+    if (known.length === 0) {
+      const dayOffset = Math.round((new Date(from).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / (24 * HOUR_MS));
+      const cleanHour = renewable.getOptimalGridHour(dayOffset);
+      const match = candidates.find(candidate => candidate.getHours() === cleanHour);
+      return match
+        ? { at: match, carbonIntensity: null, reason: `No grid history yet - historically clean hour ${pad(cleanHour)}:00` }
+        : { at: from, carbonIntensity: null, reason: 'No grid history yet - start of window' };
+    }
+
+    const average = known.reduce((sum, entry) => sum + entry.carbonIntensity, 0) / known.length;
+    const estimate = candidate => profile[candidate.getHours()]?.carbonIntensity ?? average;
+
+    // Earliest wins a tie, so an all-equal window runs at its start
+    const best = candidates.reduce((cleanest, candidate) =>
+      estimate(candidate) < estimate(cleanest) ? candidate : cleanest);
+    const carbonIntensity = Math.round(estimate(best));
+
+    return {
+      at: best,
+      carbonIntensity,
+      reason: `Cleanest hour in window: ${pad(best.getHours())}:${pad(best.getMinutes())}, ~${carbonIntensity} gCO2/kWh ` +
+        `over the last ${this.settings.historyDays} days`
+    };
+  }
+
+  // ------------------------------------------------------------------------
+
+  async assertNameFree(name) {
+    const existing = await this.memory.get('SELECT id FROM recurring_schedules WHERE name = ?', [name]);
+    if (existing) {
+      throw new ScheduleError('SCHEDULE_NAME_TAKEN', `A schedule named '${name}' already exists (#${existing.id})`);
+    }
+  }
+
+  async transition(id, from, to) {
+    const { changes } = await this.memory.run(
+      `UPDATE recurring_schedules SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?`,
+      [to, id, from]
+    );
+    if (changes === 0) {
+      const current = await this.get(id);
+      throw new ScheduleError('SCHEDULE_INVALID_STATE', `Schedule ${id} is ${current.status}, not ${from}`);
+    }
+  }
+
+  async changed(id, action, actor, reason) {
+    const current = await this.get(id);
+    await this.record(current, action, actor, reason);
+    logger.info(`🔁 Schedule #${id} (${current.name}) ${action} by ${actor}${reason ? `: ${reason}` : ''}`);
+    this.emit('change', {
+      id,
+      name: current.name,
+      taskName: current.taskName,
+      action,
+      status: current.status,
+      plannedFor: current.plannedFor,
+      actor
+    });
+    return current;
+  }
+
+  async record(current, action, actor, reason) {
+    try {
+      await this.memory.run(
+        `INSERT INTO execution_history (id, task_id, decision, reasoning, system_state)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          `schedule:${current.name}`,
+          `SCHEDULE_${action.toUpperCase()}`,
+          reason,
+          JSON.stringify({ scheduleId: current.id, taskName: current.taskName, plannedFor: current.plannedFor, actor })
+        ]
+      );
+    } catch (error) {
+      logger.error(`Failed to record schedule change: ${error.message}`);
+    }
+  }
+}
+
+// Check the fields given; returns them without the ones left undefined
+function validate(fields) {
+  const values = {};
+  const { name, taskName, taskData, urgency, cron, windowHours } = fields;
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !/^[\w.-]{1,64}$/.test(name)) {
+      throw new ScheduleError('SCHEDULE_INVALID', 'name must be 1-64 letters, digits, dots, dashes or underscores');
+    }
+    values.name = name;
+  }
+  if (taskName !== undefined) {
+    if (typeof taskName !== 'string' || taskName.trim() === '') {
+      throw new ScheduleError('SCHEDULE_INVALID', 'taskName must be a non-empty string');
+    }
+    values.taskName = taskName;
+  }
+  if (taskData !== undefined) {
+    if (typeof taskData !== 'object' || taskData === null || Array.isArray(taskData)) {
+      throw new ScheduleError('SCHEDULE_INVALID', 'taskData must be an object');
+    }
+    values.taskData = taskData;
+  }
+  if (urgency !== undefined) {
+    if (!SCHEDULE_URGENCIES.includes(urgency)) {
+      throw new ScheduleError('SCHEDULE_INVALID', `urgency must be one of: ${SCHEDULE_URGENCIES.join(', ')}`);
+    }
+    values.urgency = urgency;
+  }
+  if (cron !== undefined) {
+    // node-schedule returns null for a spec it cannot parse
+    const probe = typeof cron === 'string' ? schedule.scheduleJob(cron, () => {}) : null;
+    if (!probe) {
+      throw new ScheduleError('SCHEDULE_INVALID', `cron '${cron}' is not a valid cron expression`);
+    }
+    probe.cancel();
+    values.cron = cron;
+  }
+  if (windowHours !== undefined) {
+    if (typeof windowHours !== 'number' || !(windowHours > 0 && windowHours <= 168)) {
+      throw new ScheduleError('SCHEDULE_INVALID', 'windowHours must be a number above 0 and at most 168');
+    }
+    values.windowHours = windowHours;
+  }
+  return values;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// recurring_schedules row → API shape
+export function serializeSchedule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    taskName: row.task_name,
+    taskData: JSON.parse(row.task_data || '{}'),
+    urgency: row.urgency,
+    cron: row.cron,
+    windowHours: row.window_hours,
+    status: row.status,
+    nextWindowAt: row.next_window_at,
+    plannedFor: row.planned_for,
+    planReason: row.plan_reason,
+    lastRun: row.last_task_id
+      ? { taskId: row.last_task_id, status: row.last_task_status ?? null, submittedAt: row.last_run_at }
+      : null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export default RecurringSchedules;
@@ -22,6 +22,7 @@ export class RenewableEnergyModule {
       minRenewablePercent: 40, // Execute if >=40% renewable
       solarPeakHours: [9, 10, 11, 12, 13, 14, 15], // 9 AM - 3 PM
       windPeakHours: [0, 1, 2, 3, 4, 5, 6], // Night (wind often peaks)
+      minGenerationPercent: 15, // solar_only/wind_only: source share of the grid mix that counts as generating
       directSolarWatts: 0 // 0 = no direct solar, >0 = connected capacity
     };
 
@@ -220,6 +221,62 @@ export class RenewableEnergyModule {
     return cloudCover < 50;
   }
 
+  /**
+   * Is this source ('solar' | 'wind') generating now? Used by the
+   * solar_only / wind_only SLA classes. Solar needs direct solar, or daylight
+   * with solar at least minGenerationPercent of the grid mix; wind needs that
+   * share of wind. Returns { generating, percent, reason }
+   */
+  async getGenerationStatus(source) {
+    const renewableStatus = await this.getRenewableStatus();
+    const minimum = this.config.minGenerationPercent;
+
+    if (source === 'solar') {
+      if (this.isDirectSolarActive()) {
+        return { generating: true, percent: null, reason: 'Direct solar generating' };
+      }
+      const solarStatus = await this.getSolarStatus();
+      const hour = new Date().getHours();
+      const daylight = hour >= solarStatus.sunriseHour && hour < solarStatus.sunsetHour;
+      const percent = Math.round(renewableStatus.solarPercent);
+      return {
+        generating: daylight && percent >= minimum,
+        percent,
+        reason: daylight
+          ? `Solar ${percent}% of grid mix (needs ${minimum}%)`
+          : `No daylight (sunrise ${solarStatus.sunriseHour}:00, sunset ${solarStatus.sunsetHour}:00)`
+      };
+    }
+
+    const percent = Math.round(renewableStatus.windPercent);
+    return {
+      generating: percent >= minimum,
+      percent,
+      reason: `Wind ${percent}% of grid mix (needs ${minimum}%)`
+    };
+  }
+
+  /**
+   * When to check the source's generation again: retryMinutes from now while
+   * inside its peak hours (solarPeakHours / windPeakHours), otherwise the start
+   * of the next peak hour. null when no peak hours are configured
+   */
+  nextGenerationCheck(source, from = new Date(), retryMinutes = 30) {
+    const hours = source === 'solar' ? this.config.solarPeakHours : this.config.windPeakHours;
+    if (!hours?.length) return null;
+
+    if (hours.includes(from.getHours())) {
+      return new Date(from.getTime() + retryMinutes * 60000);
+    }
+    const candidate = new Date(from);
+    candidate.setMinutes(0, 0, 0);
+    for (let step = 0; step < 24; step++) {
+      candidate.setHours(candidate.getHours() + 1);
+      if (hours.includes(candidate.getHours())) return candidate;
+    }
+    return null;
+  }
+
   /**
    * Decide if task should execute now
    */
@@ -298,6 +355,26 @@ export class RenewableEnergyModule {
     return 3; // Weekday 3 AM (traditionally low demand)
   }
 
+  /**
+   * Average grid carbon intensity per local hour of day over the last days
+   * Returns { [hour]: { carbonIntensity, samples } } for hours with readings
+   */
+  async getHourlyCarbonProfile(days = 14) {
+    const rows = await this.memory.all(
+      `SELECT CAST(strftime('%H', timestamp, 'localtime') AS INTEGER) AS hour,
+         AVG(carbon_intensity) AS carbon_intensity, COUNT(*) AS samples
+       FROM grid_metrics
+       WHERE datetime(timestamp) > datetime('now', ?) AND carbon_intensity > 0
+       GROUP BY hour`,
+      [`-${days} days`]
+    );
+
+    return Object.fromEntries(rows.map(row => [
+      row.hour,
+      { carbonIntensity: row.carbon_intensity, samples: row.samples }
+    ]));
+  }
+
   /**
    * Store grid metrics in database for learning
    */
@@ -11,13 +11,15 @@
  * Prevents damage and wasted energy.
  */
 
+import { EventEmitter } from 'events';
 import pino from 'pino';
 import { v4 as uuidv4 } from 'uuid';
 
 const logger = pino();
 
-export class RuntimeAbortMonitor {
+export class RuntimeAbortMonitor extends EventEmitter {
   constructor(sharedMemory, thermalMonitor, checkpointManager, sleepManager) {
+    super();
     this.memory = sharedMemory;
     this.thermal = thermalMonitor;
     this.checkpoints = checkpointManager;
@@ -83,7 +85,7 @@ export class RuntimeAbortMonitor {
       logger.info(`🔍 Monitoring started for task ${taskId}`);
 
       return {
-        monitoringId,
+        monitoringId: monitorId,
         startTime,
         initialTemp: monitored.startTemp
       };
@@ -233,6 +235,8 @@ export class RuntimeAbortMonitor {
   /**
    * Abort a task in flight
    * Saves checkpoint, pauses execution, queues for resumption
+   * The checkpoint, abort record and resumption entry are written in one transaction
+   * Emits 'abort' once they are recorded
    */
   async abortTask(taskId, reason, temperature) {
     try {
@@ -250,7 +254,6 @@ export class RuntimeAbortMonitor {
 
       logger.warn(`🛑 ABORTING TASK ${taskId}: ${reason}${temperature ? ` (${temperature.toFixed(1)}°C)` : ''}`);
 
-      // 1. Trigger emergency checkpoint
       const checkpointData = {
         progress: 75, // Estimate 75% complete when aborted
         reason: `ABORT_${reason}`,
@@ -260,7 +263,17 @@ export class RuntimeAbortMonitor {
         peakTemperature: monitored.peakTemp
       };
 
-      await this.checkpoints.saveCheckpoint(taskId, checkpointData);
+      // 1. Emergency checkpoint, abort event and resumption entry
+      try {
+        await this.memory.transaction(async () => {
+          await this.checkpoints.saveCheckpoint(taskId, checkpointData);
+          await this.recordAbortEvent(taskId, reason, temperature, monitored);
+          await this.queueForResumption(taskId, reason);
+        });
+      } catch (error) {
+        monitored.aborted = false; // nothing was recorded: the next check may retry
+        throw error;
+      }
 
       // 2. Call abort callback to pause execution
       const callback = this.abortCallbacks.get(taskId);
@@ -272,16 +285,18 @@ export class RuntimeAbortMonitor {
         }
       }
 
-      // 3. Record abort event
-      await this.recordAbortEvent(taskId, reason, temperature, monitored);
+      this.emit('abort', {
+        taskId,
+        reason,
+        temperature: temperature ?? null,
+        peakTemperature: monitored.peakTemp,
+        executionTimeSeconds: checkpointData.executionTimeSeconds
+      });
 
-      // 4. Stop monitoring
+      // 3. Stop monitoring
       await this.stopMonitoring(taskId);
 
-      // 5. Queue task for resumption
-      await this.queueForResumption(taskId, reason);
-
-      // 6. Initiate sleep if thermal
+      // 4. Initiate sleep if thermal
       if (reason === 'THERMAL_CRITICAL' && this.sleep) {
         logger.info(`Initiating device sleep due to thermal abort`);
         await this.sleep.initiateDeviceSleep('thermal_abort');
@@ -375,55 +390,47 @@ export class RuntimeAbortMonitor {
 
   /**
    * Record abort event for analysis
+   * Throws so abortTask can roll back the whole abort
    */
   async recordAbortEvent(taskId, reason, temperature, monitored) {
-    try {
-      const id = uuidv4();
-      const executionDuration = Math.floor((Date.now() - monitored.startTime) / 1000);
-
-      await this.memory.run(
-        `INSERT INTO task_abort_history 
-         (id, task_id, reason, temperature, execution_duration_seconds, 
-          peak_temperature, thermal_alerts, power_alerts, timestamp)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [
-          id,
-          taskId,
-          reason,
-          temperature || null,
-          executionDuration,
-          monitored.peakTemp,
-          monitored.thermalAlerts,
-          monitored.powerAlerts
-        ]
-      );
-
-      logger.info(`Abort event recorded: task ${taskId}, reason ${reason}`);
-
-    } catch (error) {
-      logger.error(`Failed to record abort event: ${error.message}`);
-    }
+    const id = uuidv4();
+    const executionDuration = Math.floor((Date.now() - monitored.startTime) / 1000);
+
+    await this.memory.run(
+      `INSERT INTO task_abort_history 
+       (id, task_id, reason, temperature, execution_duration_seconds, 
+        peak_temperature, thermal_alerts, power_alerts, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        id,
+        taskId,
+        reason,
+        temperature || null,
+        executionDuration,
+        monitored.peakTemp,
+        monitored.thermalAlerts,
+        monitored.powerAlerts
+      ]
+    );
+
+    logger.info(`Abort event recorded: task ${taskId}, reason ${reason}`);
   }
 
   /**
    * Queue task for resumption after conditions improve
+   * Throws so abortTask can roll back the whole abort
    */
   async queueForResumption(taskId, abortReason) {
-    try {
-      const id = uuidv4();
-
-      await this.memory.run(
-        `INSERT INTO task_resumption_queue 
-         (id, task_id, abort_reason, status, created_at)
-         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
-        [id, taskId, abortReason, 'PENDING']
-      );
+    const id = uuidv4();
 
-      logger.info(`Task ${taskId} queued for resumption`);
+    await this.memory.run(
+      `INSERT INTO task_resumption_queue 
+       (id, task_id, abort_reason, status, created_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [id, taskId, abortReason, 'PENDING']
+    );
 
-    } catch (error) {
-      logger.error(`Failed to queue for resumption: ${error.message}`);
-    }
+    logger.info(`Task ${taskId} queued for resumption`);
   }
 
   /**
@@ -464,6 +471,14 @@ export class RuntimeAbortMonitor {
     logger.info('Runtime abort thresholds updated', this.config);
   }
 
+  /**
+   * Is this task currently being monitored (and not yet aborted)?
+   */
+  isMonitoring(taskId) {
+    const monitored = this.monitoredTasks.get(taskId);
+    return Boolean(monitored && !monitored.aborted);
+  }
+
   /**
    * Get currently monitored tasks
    */
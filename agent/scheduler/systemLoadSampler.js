@@ -0,0 +1,219 @@
+/**
+ * System Load Sampler
+ *
+ * What EcoScheduler.getSystemLoad reports about CPU and disk, measured
+ * rather than guessed:
+ *   cpuPercent      busy share of all cores, from os.cpus() tick deltas
+ *   diskIOPercent   busiest whole disk's utilisation, from the io_ticks
+ *                   delta in /proc/diskstats (null where it does not exist)
+ *   pressure        Linux PSI from /proc/pressure/{cpu,memory,io}
+ *                   ({ some, full } avg10/avg60/avg300 %), null where missing
+ *
+ * A sample is the delta between two snapshots. Snapshots are taken when a
+ * caller asks and the last sample is older than cacheMs, so repeated
+ * capacity checks reuse it. When the previous snapshot is missing or older
+ * than maxWindowMs, a fresh one is taken windowMs before the sample.
+ *
+ * cpuPercent and diskIOPercent are smoothed with an exponential moving
+ * average over smoothingSeconds (time-weighted, 0 = raw); PSI is already
+ * averaged by the kernel and passed through.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+
+const SECTOR_BYTES = 512;
+
+// Block devices that are not physical disks
+const VIRTUAL_DEVICES = /^(loop|ram|zram|fd|sr|nbd)\d*/;
+
+const PRESSURE_RESOURCES = ['cpu', 'memory', 'io'];
+
+export class SystemLoadSampler {
+  constructor(options = {}) {
+    this.settings = {
+      windowMs: 1000,
+      cacheMs: 5000,
+      maxWindowMs: 60000,
+      smoothingSeconds: 30,
+      procPath: '/proc',
+      sysBlockPath: '/sys/block',
+      ...options
+    };
+
+    this.previous = null; // last snapshot
+    this.latest = null; // last (smoothed) sample
+    this.pending = null; // sample being taken, shared by concurrent callers
+  }
+
+  configure(settings = {}) {
+    Object.assign(this.settings, settings);
+  }
+
+  /**
+   * Latest sample, taking a new one when the cached one is older than cacheMs
+   * Returns { cpuPercent, diskIOPercent, diskReadBytesPerSec,
+   * diskWriteBytesPerSec, pressure, windowMs, sampledAt }
+   */
+  async current() {
+    if (this.latest && Date.now() - this.latest.sampledAt.getTime() < this.settings.cacheMs) {
+      return this.latest;
+    }
+    if (!this.pending) {
+      this.pending = this.sample().finally(() => {
+        this.pending = null;
+      });
+    }
+    return await this.pending;
+  }
+
+  async sample() {
+    if (!this.previous || Date.now() - this.previous.at > this.settings.maxWindowMs) {
+      this.previous = await this.snapshot();
+      await new Promise(resolve => setTimeout(resolve, this.settings.windowMs));
+    }
+
+    const next = await this.snapshot();
+    const raw = measure(this.previous, next);
+    this.previous = next;
+
+    const smoothed = this.latest ? this.smooth(this.latest, raw) : raw;
+    this.latest = {
+      ...smoothed,
+      pressure: await this.readPressure(),
+      windowMs: raw.windowMs,
+      sampledAt: new Date(next.at)
+    };
+    return this.latest;
+  }
+
+  // Exponential moving average, weighted by how long this window was
+  smooth(previous, raw) {
+    const { smoothingSeconds } = this.settings;
+    const alpha = smoothingSeconds > 0 ? 1 - Math.exp(-raw.windowMs / 1000 / smoothingSeconds) : 1;
+    const blend = (before, now) => (before == null || now == null ? now : before + alpha * (now - before));
+
+    return {
+      cpuPercent: blend(previous.cpuPercent, raw.cpuPercent),
+      diskIOPercent: blend(previous.diskIOPercent, raw.diskIOPercent),
+      diskReadBytesPerSec: blend(previous.diskReadBytesPerSec, raw.diskReadBytesPerSec),
+      diskWriteBytesPerSec: blend(previous.diskWriteBytesPerSec, raw.diskWriteBytesPerSec)
+    };
+  }
+
+  async snapshot() {
+    const cpu = os.cpus().reduce((sum, { times }) => {
+      sum.idle += times.idle;
+      sum.total += times.user + times.nice + times.sys + times.idle + times.irq;
+      return sum;
+    }, { idle: 0, total: 0 });
+
+    return { at: Date.now(), cpu, disks: await this.readDiskStats() };
+  }
+
+  // device name → { ioTicksMs, sectorsRead, sectorsWritten }; null without /proc/diskstats
+  async readDiskStats() {
+    let text;
+    try {
+      text = await fs.readFile(`${this.settings.procPath}/diskstats`, 'utf8');
+    } catch {
+      return null;
+    }
+
+    // /sys/block lists whole disks only, so partitions are not counted twice
+    let wholeDisks = null;
+    try {
+      wholeDisks = new Set(await fs.readdir(this.settings.sysBlockPath));
+    } catch {
+      // Without sysfs every non-virtual device counts
+    }
+
+    const disks = {};
+    for (const line of text.split('\n')) {
+      // major minor name reads merged sectors ms writes merged sectors ms in-flight io_ticks ...
+      const fields = line.trim().split(/\s+/);
+      if (fields.length < 13) continue;
+      const name = fields[2];
+      if (VIRTUAL_DEVICES.test(name) || (wholeDisks && !wholeDisks.has(name))) continue;
+
+      disks[name] = {
+        sectorsRead: Number(fields[5]),
+        sectorsWritten: Number(fields[9]),
+        ioTicksMs: Number(fields[12])
+      };
+    }
+    return disks;
+  }
+
+  // { cpu, memory, io } → { some: { avg10, avg60, avg300 }, full } or null; null without PSI
+  async readPressure() {
+    const pressure = {};
+    let available = false;
+
+    for (const resource of PRESSURE_RESOURCES) {
+      try {
+        const text = await fs.readFile(`${this.settings.procPath}/pressure/${resource}`, 'utf8');
+        pressure[resource] = parsePressure(text);
+        available = true;
+      } catch {
+        pressure[resource] = null;
+      }
+    }
+    return available ? pressure : null;
+  }
+}
+
+// Raw utilisation between two snapshots
+function measure(before, after) {
+  const windowMs = Math.max(after.at - before.at, 1);
+  const totalTicks = after.cpu.total - before.cpu.total;
+  const cpuPercent = totalTicks > 0
+    ? clampPercent((1 - (after.cpu.idle - before.cpu.idle) / totalTicks) * 100)
+    : null;
+
+  let diskIOPercent = null;
+  let readSectors = 0;
+  let writtenSectors = 0;
+  if (before.disks && after.disks) {
+    for (const [name, now] of Object.entries(after.disks)) {
+      const then = before.disks[name];
+      if (!then) continue;
+      const busy = clampPercent(((now.ioTicksMs - then.ioTicksMs) / windowMs) * 100);
+      diskIOPercent = Math.max(diskIOPercent ?? 0, busy);
+      readSectors += Math.max(now.sectorsRead - then.sectorsRead, 0);
+      writtenSectors += Math.max(now.sectorsWritten - then.sectorsWritten, 0);
+    }
+  }
+  const perSecond = sectors => (diskIOPercent == null ? null : (sectors * SECTOR_BYTES * 1000) / windowMs);
+
+  return {
+    cpuPercent,
+    diskIOPercent,
+    diskReadBytesPerSec: perSecond(readSectors),
+    diskWriteBytesPerSec: perSecond(writtenSectors),
+    windowMs
+  };
+}
+
+// "some avg10=1.00 avg60=0.50 avg300=0.10 total=123" → { some: { avg10, avg60, avg300 }, full: null }
+function parsePressure(text) {
+  const result = { some: null, full: null };
+  for (const line of text.split('\n')) {
+    const [kind, ...pairs] = line.trim().split(/\s+/);
+    if (kind !== 'some' && kind !== 'full') continue;
+
+    const values = Object.fromEntries(pairs.map(pair => pair.split('=')));
+    result[kind] = {
+      avg10: Number(values.avg10),
+      avg60: Number(values.avg60),
+      avg300: Number(values.avg300)
+    };
+  }
+  return result;
+}
+
+function clampPercent(value) {
+  return Math.min(Math.max(value, 0), 100);
+}
+
+export default SystemLoadSampler;
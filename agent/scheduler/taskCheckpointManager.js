@@ -46,6 +46,13 @@ export class TaskCheckpointManager {
     logger.debug(`Checkpoint function registered for task ${taskId}`);
   }
 
+  /**
+   * Drop a task's checkpoint function once it stops running
+   */
+  unregisterCheckpointFunction(taskId) {
+    this.checkpointCallbacks.delete(taskId);
+  }
+
   /**
    * Trigger an emergency checkpoint (thermal, power, manual)
    * Saves current state and pauses task execution
@@ -79,40 +86,48 @@ export class TaskCheckpointManager {
 
   /**
    * Save checkpoint to database
+   * Checkpoints are numbered per task unless checkpointNumber is given
+   * (numbering and insert share a transaction so concurrent saves cannot collide)
    */
   async saveCheckpoint(taskId, checkpointData) {
     try {
       const id = uuidv4();
       const timestamp = new Date().toISOString();
-
-      await this.memory.run(
-        `INSERT INTO task_checkpoints 
-         (id, task_id, checkpoint_number, progress_percent, 
-          state_data, output_data, reason, timestamp)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          id,
-          taskId,
-          checkpointData.checkpointNumber || 1,
-          checkpointData.progress || 0,
-          JSON.stringify(checkpointData.state || {}),
-          JSON.stringify(checkpointData.output || {}),
-          checkpointData.reason || 'manual',
-          timestamp
-        ]
-      );
+      const checkpointNumber = await this.memory.transaction(async () => {
+        const number = checkpointData.checkpointNumber ||
+          await this.getNextCheckpointNumber(taskId);
+
+        await this.memory.run(
+          `INSERT INTO task_checkpoints 
+           (id, task_id, checkpoint_number, progress_percent, 
+            state_data, output_data, reason, timestamp)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            id,
+            taskId,
+            number,
+            checkpointData.progress || 0,
+            JSON.stringify(checkpointData.state || {}),
+            JSON.stringify(checkpointData.output || {}),
+            checkpointData.reason || 'manual',
+            timestamp
+          ]
+        );
+        return number;
+      });
 
       // Cache it
       this.activeCheckpoints.set(taskId, {
         id,
         taskId,
         timestamp,
+        checkpointNumber,
         progress: checkpointData.progress,
         reason: checkpointData.reason,
         data: checkpointData
       });
 
-      return { id, timestamp, progress: checkpointData.progress };
+      return { id, timestamp, checkpointNumber, progress: checkpointData.progress };
 
     } catch (error) {
       logger.error(`Failed to save checkpoint: ${error.message}`);
@@ -120,6 +135,17 @@ export class TaskCheckpointManager {
     }
   }
 
+  /**
+   * Next checkpoint number for a task (1 for the first checkpoint)
+   */
+  async getNextCheckpointNumber(taskId) {
+    const row = await this.memory.get(
+      `SELECT MAX(checkpoint_number) as last FROM task_checkpoints WHERE task_id = ?`,
+      [taskId]
+    );
+    return (row?.last || 0) + 1;
+  }
+
   /**
    * Get latest checkpoint for a task
    */
@@ -128,7 +154,7 @@ export class TaskCheckpointManager {
       const checkpoint = await this.memory.queryOne(
         `SELECT * FROM task_checkpoints 
          WHERE task_id = ? 
-         ORDER BY checkpoint_number DESC 
+         ORDER BY checkpoint_number DESC, timestamp DESC 
          LIMIT 1`,
         [taskId]
       );
@@ -13,14 +13,16 @@
  * - Predictive cooling estimation
  */
 
+import { EventEmitter } from 'events';
 import pino from 'pino';
 import os from 'os';
 import { v4 as uuidv4 } from 'uuid';
 
 const logger = pino();
 
-export class ThermalMonitor {
+export class ThermalMonitor extends EventEmitter {
   constructor(sharedMemory) {
+    super();
     this.memory = sharedMemory;
 
     // Default temperature thresholds (Celsius)
@@ -322,10 +324,12 @@ export class ThermalMonitor {
 
   /**
    * Record temperature to history
+   * Emits 'temperature' with the sample once it is stored
    */
   async recordTemperature() {
     try {
       const temps = await this.getSystemTemperature();
+      const status = this.getThermalStatus(temps.average);
 
       await this.memory.run(
         `INSERT INTO thermal_history 
@@ -338,9 +342,11 @@ export class ThermalMonitor {
           temps.average,
           os.loadavg()[0],
           temps.timestamp,
-          this.getThermalStatus(temps.average)
+          status
         ]
       );
+
+      this.emit('temperature', { ...temps, status });
     } catch (error) {
       logger.debug(`Failed to record temperature: ${error.message}`);
     }
@@ -17,9 +17,10 @@ import { v4 as uuidv4 } from 'uuid';
 const logger = pino();
 
 export class ThermalPrediction {
-  constructor(sharedMemory, thermalMonitor) {
+  constructor(sharedMemory, thermalMonitor, learning = null) {
     this.memory = sharedMemory;
     this.thermal = thermalMonitor;
+    this.learning = learning; // TaskLearning: measured runs replace the heat model
 
     // Pre-flight check cache (task → prediction result)
     this.predictionCache = new Map();
@@ -53,17 +54,26 @@ export class ThermalPrediction {
       // Get device capabilities
       const profile = deviceProfile || await this.getDefaultProfile();
 
+      // Past runs of the same task, once there are enough of them
+      const learned = this.learning?.estimate(task.name, task.dataSize) || null;
+
       // Estimate task heat generation
-      const taskHeat = this.estimateTaskHeatGeneration(task, profile);
+      const taskHeat = this.estimateTaskHeatGeneration(task, profile, learned);
 
       // Predict temperature trajectory
       const prediction = this.predictTemperatureTrajectory(
         avgTemp,
         taskHeat,
-        task.estimatedDurationSeconds || 3600, // Default 1 hour
+        task.estimatedDurationSeconds || learned?.durationSeconds || 3600, // Default 1 hour
         profile
       );
 
+      // Measured temperature rise replaces the modelled peak
+      if (learned?.tempRise != null) {
+        prediction.peakTemp = Math.min(avgTemp + learned.tempRise, 120);
+        prediction.learned = true;
+      }
+
       // Determine safety
       const result = this.assessThermalSafety(prediction, task, profile);
 
@@ -97,7 +107,7 @@ export class ThermalPrediction {
    *   hotspots: ['GPU' | 'CPU' | 'SSD'] // Which components generate most heat
    * }
    */
-  estimateTaskHeatGeneration(task, deviceProfile) {
+  estimateTaskHeatGeneration(task, deviceProfile, learned = null) {
     // Start with task power rating
     let baselinePower = task.estimatedPowerWatts || 50; // Default 50W
 
@@ -114,8 +124,12 @@ export class ThermalPrediction {
       default: 1.0
     };
 
-    const multiplier = typeMultipliers[task.type] || typeMultipliers['default'];
-    baselinePower *= multiplier;
+    // Measured draw already reflects the task type
+    if (learned?.powerWatts != null) {
+      baselinePower = learned.powerWatts;
+    } else {
+      baselinePower *= typeMultipliers[task.type] || typeMultipliers['default'];
+    }
 
     // Device thermal efficiency (some devices waste more as heat)
     // Fanless laptops: ~90% becomes heat
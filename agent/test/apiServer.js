@@ -0,0 +1,74 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentApiServer } from '../api/server.js';
+
+// Just enough of an agent for the config routes
+const reloads = [];
+const agent = {
+  config: {
+    describe: () => [],
+    reload: async (actor) => {
+      reloads.push(actor);
+      return { changed: [] };
+    }
+  }
+};
+
+const api = new AgentApiServer(agent, { port: 0, corsOrigins: ['http://localhost:3000'] });
+let baseUrl;
+
+before(async () => {
+  const server = await api.start();
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => api.stop());
+
+function reload(headers = {}, body) {
+  return fetch(`${baseUrl}/api/config/reload`, { method: 'POST', headers, body });
+}
+
+test('a state-changing request from an origin not in corsOrigins is refused', async () => {
+  reloads.length = 0;
+
+  // What a form or fetch(..., { mode: 'no-cors' }) on another site can send
+  const form = await reload(
+    { Origin: 'http://evil.example', 'Content-Type': 'application/x-www-form-urlencoded' },
+    'actor=evil'
+  );
+  assert.equal(form.status, 403);
+  assert.deepEqual(await form.json(), {
+    success: false,
+    error: 'Origin http://evil.example may not change agent state',
+    code: 'ORIGIN_NOT_ALLOWED'
+  });
+
+  const json = await reload({ Origin: 'http://evil.example', 'Content-Type': 'application/json' }, '{}');
+  assert.equal(json.status, 403);
+  assert.deepEqual(reloads, []);
+
+  // Reads are left to cors()
+  const read = await fetch(`${baseUrl}/api/config`, { headers: { Origin: 'http://evil.example' } });
+  assert.equal(read.status, 200);
+});
+
+test('a body that is not JSON is refused even from an allowed origin', async () => {
+  reloads.length = 0;
+
+  const response = await reload({ Origin: 'http://localhost:3000', 'Content-Type': 'text/plain' }, '{"actor":"web"}');
+  assert.equal(response.status, 415);
+  assert.equal((await response.json()).code, 'UNSUPPORTED_MEDIA_TYPE');
+  assert.deepEqual(reloads, []);
+});
+
+test('the web app and local clients without an Origin still get through', async () => {
+  reloads.length = 0;
+
+  const web = await reload({ Origin: 'http://localhost:3000', 'Content-Type': 'application/json' }, '{"actor":"web"}');
+  assert.equal(web.status, 200);
+
+  // AgentClient sends no Content-Type when there is no body
+  const cli = await reload();
+  assert.equal(cli.status, 200);
+
+  assert.deepEqual(reloads, ['web', 'api']);
+});
@@ -0,0 +1,134 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { CarbonAccounting } from '../engine/carbonAccounting.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const memory = new SharedMemory(':memory:');
+after(() => memory.close());
+
+// Current grid and grid history by hour of day, as RenewableEnergyModule reports them
+const grid = { carbonIntensity: 400, renewablePercent: 35, profile: {} };
+const renewable = {
+  getGridCarbonIntensity: async () => ({ carbonIntensity: grid.carbonIntensity }),
+  getRenewableStatus: async () => ({ renewablePercent: grid.renewablePercent }),
+  getHourlyCarbonProfile: async () => grid.profile
+};
+
+const carbon = new CarbonAccounting(memory, renewable);
+
+beforeEach(async () => {
+  await memory.run('DELETE FROM carbon_impact');
+  await memory.run('DELETE FROM tasks');
+  Object.assign(grid, { carbonIntensity: 400, renewablePercent: 35, profile: {} });
+});
+
+async function addTask(id, name, { userId = null, priority = 1, startBy = null } = {}) {
+  await memory.run(
+    'INSERT INTO tasks (id, name, user_id, priority, start_by) VALUES (?, ?, ?, ?, ?)',
+    [id, name, userId, priority, startBy]
+  );
+}
+
+async function addImpact(taskId, executedAt, { energyWh, emittedKg, avoidedKg = 0 }) {
+  await memory.run(
+    `INSERT INTO carbon_impact (id, task_id, grid_carbon_intensity, renewable_percent,
+       energy_used_wh, carbon_emitted_kg, carbon_avoided_kg, executed_at)
+     VALUES (?, ?, 300, 40, ?, ?, ?, ?)`,
+    [`${taskId}-${executedAt}`, taskId, energyWh, emittedKg, avoidedKg, executedAt]
+  );
+}
+
+test('a run is charged at the current intensity and credited against the dirtiest allowed hour', async () => {
+  const now = Date.now();
+  const hourOf = offset => new Date(now + offset * HOUR_MS).getHours();
+  await addTask('t1', 'backup-verification', { startBy: new Date(now + 2 * HOUR_MS).toISOString() });
+
+  // Only hours between submission and start_by count; the 900 hour is outside it
+  grid.profile = {
+    [hourOf(0)]: { carbonIntensity: 350 },
+    [hourOf(1)]: { carbonIntensity: 600 },
+    [hourOf(5)]: { carbonIntensity: 900 }
+  };
+
+  const impact = await carbon.recordRun('t1', { durationMs: 30 * 60 * 1000, powerWatts: 100 });
+  assert.equal(impact.energyWh, 50);
+  assert.equal(impact.worstCarbonIntensity, 600);
+  assert.ok(Math.abs(impact.carbonEmittedKg - 0.02) < 1e-12); // 400 kg/MWh × 50 Wh
+  assert.ok(Math.abs(impact.carbonAvoidedKg - 0.01) < 1e-12); // (600 - 400) kg/MWh × 50 Wh
+
+  const task = await memory.get('SELECT actual_power_cost, executed_duration_ms FROM tasks WHERE id = ?', ['t1']);
+  assert.deepEqual(task, { actual_power_cost: 100, executed_duration_ms: 1800000 });
+
+  const { runs, total } = await carbon.taskImpact('t1');
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].renewablePercent, 35);
+  assert.equal(total.runs, 1);
+  assert.equal(total.energyWh, 50);
+});
+
+test('nothing is avoided when the run happens in the dirtiest slot, or without history', async () => {
+  await addTask('t2', 'log-rotation');
+  grid.carbonIntensity = 700;
+  grid.profile = { [new Date().getHours()]: { carbonIntensity: 500 } };
+
+  const dirty = await carbon.recordRun('t2', { durationMs: HOUR_MS, powerWatts: 10 });
+  assert.equal(dirty.worstCarbonIntensity, 700);
+  assert.equal(dirty.carbonAvoidedKg, 0);
+
+  grid.profile = {};
+  const unknown = await carbon.recordRun('t2', { durationMs: HOUR_MS, powerWatts: 10 });
+  assert.equal(unknown.carbonAvoidedKg, 0);
+});
+
+test('a run without a known power draw is not accounted', async () => {
+  await addTask('t3', 'cache-warming');
+
+  assert.equal(await carbon.recordRun('t3', { durationMs: 1000, powerWatts: undefined }), null);
+  assert.equal(await carbon.recordRun('t3', { durationMs: 0, powerWatts: 20 }), null);
+  assert.equal((await carbon.taskImpact('t3')).total.runs, 0);
+});
+
+test('predictions use the given estimate, else the task name\'s history', async () => {
+  const estimate = await carbon.predict('report-generation', { watts: 60, durationSeconds: 1800 });
+  assert.equal(estimate.basis, 'estimate');
+  assert.equal(estimate.energyWh, 30);
+  assert.ok(Math.abs(estimate.kg - 0.012) < 1e-12);
+
+  assert.deepEqual(await carbon.predict('report-generation', { watts: 60 }), {
+    kg: 0, energyWh: null, carbonIntensity: 400, basis: 'none'
+  });
+
+  await addTask('r1', 'report-generation');
+  await addTask('r2', 'report-generation');
+  await addImpact('r1', '2026-01-01T10:00:00.000Z', { energyWh: 10, emittedKg: 0.004 });
+  await addImpact('r2', '2026-01-02T10:00:00.000Z', { energyWh: 30, emittedKg: 0.012 });
+  const history = await carbon.predict('report-generation', { watts: 60 });
+  assert.equal(history.basis, 'history');
+  assert.equal(history.energyWh, 20);
+});
+
+test('rollups sum per task, user and period within from/to', async () => {
+  await addTask('a1', 'database-cleanup', { userId: 'alice' });
+  await addTask('a2', 'database-cleanup', { userId: 'alice' });
+  await addTask('b1', 'log-rotation');
+  await addImpact('a1', '2026-03-01T08:00:00.000Z', { energyWh: 100, emittedKg: 0.04, avoidedKg: 0.01 });
+  await addImpact('a2', '2026-03-02T08:00:00.000Z', { energyWh: 50, emittedKg: 0.02 });
+  await addImpact('b1', '2026-03-02T09:00:00.000Z', { energyWh: 10, emittedKg: 0.005 });
+
+  const byTask = await carbon.rollup({ groupBy: 'task' });
+  assert.deepEqual(byTask.groups.map(group => [group.key, group.runs, group.energyWh]), [
+    ['database-cleanup', 2, 150],
+    ['log-rotation', 1, 10]
+  ]);
+  assert.equal(byTask.total.runs, 3);
+  assert.ok(Math.abs(byTask.total.carbonAvoidedKg - 0.01) < 1e-12);
+
+  const byUser = await carbon.rollup({ groupBy: 'user' });
+  assert.deepEqual(byUser.groups.map(group => [group.key, group.runs]), [['alice', 2], ['default', 1]]);
+
+  const byDay = await carbon.rollup({ groupBy: 'day', from: '2026-03-02T00:00:00Z', to: '2026-03-03T00:00:00Z' });
+  assert.deepEqual(byDay.groups.map(group => [group.key, group.runs, group.energyWh]), [['2026-03-02', 2, 60]]);
+  assert.equal(byDay.total.runs, 2);
+});
@@ -0,0 +1,133 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { CarbonBudgets } from '../engine/carbonBudgets.js';
+
+const memory = new SharedMemory(':memory:');
+after(() => memory.close());
+
+// Every run is predicted to emit predictedKg (CarbonAccounting.predict)
+let predictedKg = 0;
+const carbon = {
+  predict: async () => ({ kg: predictedKg, energyWh: null, carbonIntensity: 400, basis: 'estimate' })
+};
+
+let budgets;
+beforeEach(async () => {
+  for (const table of ['carbon_impact', 'tasks', 'user_preferences', 'execution_history']) {
+    await memory.run(`DELETE FROM ${table}`);
+  }
+  predictedKg = 0;
+  budgets = new CarbonBudgets(memory, carbon);
+});
+
+// A run accounted just now
+async function spend(taskId, kg, userId = null) {
+  await memory.run('INSERT INTO tasks (id, name, user_id) VALUES (?, ?, ?)', [taskId, 'database-cleanup', userId]);
+  await memory.run(
+    'INSERT INTO carbon_impact (id, task_id, carbon_emitted_kg, executed_at) VALUES (?, ?, ?, ?)',
+    [`impact-${taskId}`, taskId, kg, new Date().toISOString()]
+  );
+}
+
+async function history(taskId) {
+  const rows = await memory.all(
+    'SELECT decision, system_state FROM execution_history WHERE task_id = ? ORDER BY rowid',
+    [taskId]
+  );
+  return rows.map(row => ({ decision: row.decision, ...JSON.parse(row.system_state) }));
+}
+
+test('periods are the UTC day, the Monday-based week and the month', () => {
+  const wednesday = new Date('2026-03-04T15:30:00Z');
+  const bounds = period => {
+    const { start, end } = budgets.periodBounds(period, wednesday);
+    return [start.toISOString(), end.toISOString()];
+  };
+
+  assert.deepEqual(bounds('day'), ['2026-03-04T00:00:00.000Z', '2026-03-05T00:00:00.000Z']);
+  assert.deepEqual(bounds('week'), ['2026-03-02T00:00:00.000Z', '2026-03-09T00:00:00.000Z']);
+  assert.deepEqual(bounds('month'), ['2026-03-01T00:00:00.000Z', '2026-04-01T00:00:00.000Z']);
+
+  const sunday = budgets.periodBounds('week', new Date('2026-03-08T23:00:00Z'));
+  assert.equal(sunday.start.toISOString(), '2026-03-02T00:00:00.000Z');
+});
+
+test('without any budget every run is admitted unchecked', async () => {
+  assert.equal(await budgets.admit({ taskName: 'database-cleanup', urgency: 'low' }), null);
+});
+
+test('low and normal runs wait once the budget is nearly spent, high ones once it would be exceeded', async () => {
+  budgets.configure({ budgetKg: 1, budgetPeriod: 'day', budgetNearlySpentPercent: 90 });
+  await spend('earlier', 0.5);
+
+  // 0.5 spent + 0.45 predicted = 95% of 1 kg
+  predictedKg = 0.45;
+  const low = await budgets.admit({ taskName: 'database-cleanup', urgency: 'low' });
+  assert.equal(low.action, 'defer');
+  assert.equal(low.reason, "the agent's daily carbon budget nearly spent (95% with this run)");
+  assert.equal(low.scheduledFor.toISOString(), budgets.periodBounds('day').end.toISOString());
+  assert.ok(Math.abs(low.budgets[0].projectedKg - 0.95) < 1e-12);
+
+  assert.equal((await budgets.admit({ taskName: 'database-cleanup', urgency: 'normal' })).action, 'defer');
+  assert.equal((await budgets.admit({ taskName: 'database-cleanup', urgency: 'high' })).action, 'allow');
+
+  predictedKg = 0.6;
+  const high = await budgets.admit({ taskName: 'database-cleanup', urgency: 'high' });
+  assert.equal(high.action, 'defer');
+  assert.equal(high.reason, "Would exceed the agent's daily carbon budget");
+});
+
+test('critical runs may overdraw, and each overdraw is audited', async () => {
+  budgets.configure({ budgetKg: 1, budgetPeriod: 'week' });
+  await spend('earlier', 0.9);
+  predictedKg = 0.3;
+
+  const admission = await budgets.admit({ taskName: 'backup-verification', urgency: 'critical' });
+  assert.equal(admission.action, 'overdraw');
+  assert.equal(admission.reason, "Overdraws the agent's weekly carbon budget");
+
+  const changes = [];
+  budgets.on('change', change => changes.push(change));
+  await budgets.recordOverdraw('task-1', 'backup-verification', admission, 'Critical task');
+
+  assert.deepEqual(changes.map(change => [change.scope, change.action, change.taskId]), [['agent', 'overdrawn', 'task-1']]);
+  const [audit] = await history('budget:agent');
+  assert.equal(audit.decision, 'BUDGET_OVERDRAWN');
+  assert.equal(audit.taskId, 'task-1');
+  assert.equal(audit.limitKg, 1);
+  assert.ok(Math.abs(audit.spentKg - 0.9) < 1e-12);
+  assert.equal(audit.predictedKg, 0.3);
+});
+
+test('a user budget counts only that user\'s runs and can be set and removed', async () => {
+  await assert.rejects(budgets.setUserBudget('bad user!', { limitKg: 1 }, { actor: 'tester' }), { code: 'BUDGET_INVALID' });
+  await assert.rejects(budgets.setUserBudget('alice', { limitKg: 0 }, { actor: 'tester' }), { code: 'BUDGET_INVALID' });
+  await assert.rejects(budgets.setUserBudget('alice', { limitKg: 1, period: 'year' }, { actor: 'tester' }), { code: 'BUDGET_INVALID' });
+
+  const set = await budgets.setUserBudget('alice', { limitKg: 0.2, period: 'month' }, { actor: 'tester' });
+  assert.deepEqual([set.scope, set.userId, set.limitKg, set.period, set.spentKg], ['user', 'alice', 0.2, 'month', 0]);
+
+  await spend('alice-1', 0.15, 'alice');
+  await spend('bob-1', 5, 'bob');
+  predictedKg = 0.1;
+
+  const alice = await budgets.admit({ taskName: 'report-generation', userId: 'alice', urgency: 'high' });
+  assert.equal(alice.action, 'defer');
+  assert.equal(alice.budget.userId, 'alice');
+  assert.ok(Math.abs(alice.budget.spentKg - 0.15) < 1e-12);
+
+  // Bob has no budget, and no agent budget is configured
+  assert.equal(await budgets.admit({ taskName: 'report-generation', userId: 'bob', urgency: 'high' }), null);
+
+  const status = await budgets.status();
+  assert.equal(status.agent, null);
+  assert.deepEqual(status.users.map(user => [user.userId, Math.round(user.percentUsed)]), [['alice', 75]]);
+
+  assert.equal((await budgets.removeUserBudget('alice', { actor: 'tester' })).removed, true);
+  await assert.rejects(budgets.removeUserBudget('alice', { actor: 'tester' }), { code: 'BUDGET_NOT_FOUND' });
+  assert.deepEqual((await history('budget:user:alice')).map(entry => [entry.decision, entry.actor]), [
+    ['BUDGET_SET', 'tester'],
+    ['BUDGET_REMOVED', 'tester']
+  ]);
+});
@@ -0,0 +1,76 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { EcoScheduler } from '../scheduler/ecoScheduler.js';
+import { SharedMemory } from '../memory/sharedMemory.js';
+
+const procDirs = [];
+after(() => Promise.all(procDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+// A /proc with only pressure files; cpu/memory/io "some avg10" as given
+async function fakeProc(avg10) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eco-proc-'));
+  procDirs.push(dir);
+  await fs.mkdir(path.join(dir, 'pressure'));
+  for (const [resource, value] of Object.entries(avg10)) {
+    await fs.writeFile(
+      path.join(dir, 'pressure', resource),
+      `some avg10=${value.toFixed(2)} avg60=0.00 avg300=0.00 total=0\n` +
+        'full avg10=0.00 avg60=0.00 avg300=0.00 total=0\n'
+    );
+  }
+  return dir;
+}
+
+async function schedulerWithPressure(memory, avg10, pressureThreshold = 20) {
+  const scheduler = new EcoScheduler(null, memory);
+  // Only pressure decides: CPU and memory never reach these, and the energy check is off
+  scheduler.configure({
+    cpuThreshold: 101,
+    memoryThreshold: 101,
+    pressureThreshold,
+    preferRenewableEnergy: false,
+    considerGridCarbon: false,
+    loadSampleWindowMs: 10,
+    loadCacheMs: 0
+  });
+  scheduler.loadSampler.configure({ procPath: await fakeProc(avg10) });
+  return scheduler;
+}
+
+test('PSI pressure at or above pressureThreshold makes the system busy', async () => {
+  const memory = new SharedMemory(':memory:');
+  await memory.ready;
+
+  try {
+    const calm = await schedulerWithPressure(memory, { cpu: 1, memory: 0, io: 3 });
+    assert.equal(await calm.canExecuteTask(), true);
+
+    const ioStall = await schedulerWithPressure(memory, { cpu: 1, memory: 0, io: 35 });
+    assert.equal(await ioStall.canExecuteTask(), false);
+    assert.deepEqual(ioStall.stalledResources((await ioStall.getSystemLoad()).pressure), ['io']);
+
+    const memoryStall = await schedulerWithPressure(memory, { cpu: 0, memory: 20, io: 0 });
+    assert.equal(await memoryStall.canExecuteTask(), false);
+
+    const checkOff = await schedulerWithPressure(memory, { cpu: 90, memory: 90, io: 90 }, 0);
+    assert.equal(await checkOff.canExecuteTask(), true);
+  } finally {
+    await memory.close();
+  }
+});
+
+test('without PSI the pressure check is skipped', async () => {
+  const memory = new SharedMemory(':memory:');
+  await memory.ready;
+
+  try {
+    const scheduler = await schedulerWithPressure(memory, {});
+    assert.equal((await scheduler.getSystemLoad()).pressure, null);
+    assert.equal(await scheduler.canExecuteTask(), true);
+  } finally {
+    await memory.close();
+  }
+});
@@ -0,0 +1,116 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import sqlite3 from 'sqlite3';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { LocalStore } from '../cli/localStore.js';
+import { MIGRATIONS, LATEST_VERSION, migrate, getSchemaStatus } from '../memory/migrations.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempDbPath() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eco-migrations-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'agent.db');
+}
+
+// Write a database file with plain sqlite3, the way the agent did before migrations
+async function createDatabase(dbPath, sql) {
+  const db = new sqlite3.Database(dbPath);
+  await new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+  await new Promise(resolve => db.close(resolve));
+}
+
+async function openStore(dbPath) {
+  const store = new LocalStore(dbPath);
+  return store.open();
+}
+
+test('an agent.db from before migrations is upgraded in place and keeps its rows', async () => {
+  const dbPath = await tempDbPath();
+  await createDatabase(dbPath, `
+    CREATE TABLE tasks (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT,
+      priority INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      scheduled_for DATETIME,
+      executed_at DATETIME,
+      completed_at DATETIME,
+      status TEXT DEFAULT 'pending',
+      estimated_power_cost REAL,
+      actual_power_cost REAL,
+      result_summary TEXT,
+      error_log TEXT
+    );
+    INSERT INTO tasks (id, name, status) VALUES ('legacy-1', 'log-rotation', 'completed');
+  `);
+
+  const memory = new SharedMemory(dbPath);
+  try {
+    await memory.ready;
+
+    const task = await memory.get('SELECT id, name, status, sla_class FROM tasks WHERE id = ?', ['legacy-1']);
+    assert.deepEqual(task, { id: 'legacy-1', name: 'log-rotation', status: 'completed', sla_class: null });
+
+    const versions = await memory.all('SELECT version FROM schema_migrations ORDER BY version');
+    assert.deepEqual(versions.map(row => row.version), MIGRATIONS.map(migration => migration.version));
+  } finally {
+    await memory.close();
+  }
+});
+
+test('getSchemaStatus reports the version and what migrate would apply', async () => {
+  const dbPath = await tempDbPath();
+  await createDatabase(dbPath, '');
+  const store = await openStore(dbPath);
+
+  try {
+    const before = await getSchemaStatus(store);
+    assert.equal(before.version, 0);
+    assert.equal(before.latest, LATEST_VERSION);
+    assert.deepEqual(before.pending, MIGRATIONS.map(({ version, name }) => ({ version, name })));
+
+    const result = await migrate(store);
+    assert.equal(result.from, 0);
+    assert.equal(result.to, LATEST_VERSION);
+    assert.equal(result.applied.length, MIGRATIONS.length);
+
+    assert.deepEqual(await getSchemaStatus(store), { version: LATEST_VERSION, latest: LATEST_VERSION, pending: [] });
+    assert.deepEqual(await migrate(store), { from: LATEST_VERSION, to: LATEST_VERSION, applied: [] });
+  } finally {
+    await store.close();
+  }
+});
+
+test('a migration that fails is rolled back and leaves the version where it was', async () => {
+  const dbPath = await tempDbPath();
+  await createDatabase(dbPath, '');
+  const store = await openStore(dbPath);
+  await migrate(store);
+
+  MIGRATIONS.push({
+    version: LATEST_VERSION + 1,
+    name: 'broken',
+    up: db => db.exec(`
+      CREATE TABLE half_done (id TEXT PRIMARY KEY);
+      INSERT INTO no_such_table VALUES (1);
+    `)
+  });
+
+  try {
+    await assert.rejects(migrate(store), new RegExp(`Migration ${LATEST_VERSION + 1} \\(broken\\) failed: .*no such table`));
+
+    assert.equal(await store.hasTable('half_done'), false);
+    const status = await getSchemaStatus(store);
+    assert.equal(status.version, LATEST_VERSION);
+    assert.deepEqual(status.pending, [{ version: LATEST_VERSION + 1, name: 'broken' }]);
+  } finally {
+    MIGRATIONS.pop();
+    await store.close();
+  }
+});
@@ -0,0 +1,135 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { PolicyEngine } from '../engine/policyEngine.js';
+
+// Every fact the rules below use is passed in options.facts, so the
+// scheduler and thermal monitor are never asked
+const memory = new SharedMemory(':memory:');
+const engine = new PolicyEngine(memory, {}, {});
+
+before(() => engine.load());
+after(() => memory.close());
+
+const NOW = new Date(2026, 0, 10, 23, 0); // Saturday 23:00 local time
+
+function evaluate(policy, input, facts = {}) {
+  return engine.evaluate({ urgency: 'normal', ...input }, { policy, facts: { now: NOW, ...facts } });
+}
+
+test('rules are tried top to bottom and the first match decides', async () => {
+  const policy = {
+    rules: [
+      { id: 'too-hot', when: { temperatureAbove: 80 }, action: 'deny', reason: 'Too hot' },
+      { id: 'backups', when: { task: 'backup-*' }, action: 'allow', reason: 'Backups always run' },
+      { id: 'no-backups', when: { task: 'backup-*' }, action: 'deny', reason: 'Never reached' }
+    ]
+  };
+
+  const hot = await evaluate(policy, { taskName: 'backup-verification' }, { temperature: 85 });
+  assert.equal(hot.action, 'deny');
+  assert.equal(hot.ruleId, 'too-hot');
+  assert.deepEqual(hot.trace.map(step => step.ruleId), ['too-hot']);
+
+  const cool = await evaluate(policy, { taskName: 'backup-verification' }, { temperature: 60 });
+  assert.equal(cool.action, 'allow');
+  assert.equal(cool.ruleId, 'backups');
+  assert.deepEqual(cool.trace.map(step => [step.ruleId, step.matched]), [['too-hot', false], ['backups', true]]);
+
+  const other = await evaluate(policy, { taskName: 'log-rotation' }, { temperature: 60 });
+  assert.equal(other.ruleId, null);
+  assert.equal(other.action, 'allow');
+  assert.match(other.reason, /policy default \(allow\)/);
+});
+
+test('lower-priority rules chain and later rules see the lowered urgency', async () => {
+  const policy = {
+    rules: [
+      { id: 'heavy', when: { wattsAbove: 100 }, action: 'lower-priority', reason: 'Heavy task' },
+      { id: 'renders', when: { task: 'render-*' }, action: 'lower-priority', to: 'low', reason: 'Renders can wait' },
+      { id: 'low-later', when: { urgency: 'low' }, action: 'defer-until', until: '+2h', reason: 'Low urgency waits' }
+    ]
+  };
+
+  const render = await evaluate(policy, { taskName: 'render-scene', urgency: 'high', watts: 150 });
+  assert.equal(render.action, 'defer');
+  assert.equal(render.ruleId, 'low-later');
+  assert.equal(render.urgency, 'low');
+  assert.deepEqual(render.trace.map(step => step.matched), [true, true, true]);
+
+  // One step down only: high → normal, which the defer rule does not match
+  const heavy = await evaluate(policy, { taskName: 'index-optimization', urgency: 'high', watts: 150 });
+  assert.equal(heavy.action, 'allow');
+  assert.equal(heavy.urgency, 'normal');
+});
+
+test('a deny comes with hints saying what would let the task run', async () => {
+  const policy = {
+    rules: [
+      { id: 'hot-ml', when: { task: 'ml-*', temperatureAbove: 80 }, action: 'deny', reason: 'ML heats the room' },
+      { id: 'dirty-grid', when: { gridScoreBelow: 50 }, action: 'defer-until', until: '+30m', reason: 'Wait for a cleaner grid' }
+    ]
+  };
+
+  const clean = await evaluate(policy, { taskName: 'ml-training' }, { temperature: 85, gridScore: 70 });
+  assert.equal(clean.ruleId, 'hot-ml');
+  // task is a fact about the task itself: no hint for it
+  assert.deepEqual(clean.hints, [{
+    condition: 'temperatureAbove',
+    text: 'would run if temperature ≤ 80°C',
+    facts: { temperature: 80 },
+    stillBlockedBy: null
+  }]);
+
+  const dirty = await evaluate(policy, { taskName: 'ml-training' }, { temperature: 85, gridScore: 40 });
+  assert.equal(dirty.hints.length, 1);
+  assert.equal(dirty.hints[0].stillBlockedBy, 'dirty-grid');
+  assert.equal(dirty.hints[0].text, "if temperature ≤ 80°C, rule 'dirty-grid' would still defer it");
+
+  const allowed = await evaluate(policy, { taskName: 'ml-training' }, { temperature: 60, gridScore: 70 });
+  assert.deepEqual(allowed.hints, []);
+});
+
+test('defer-until resolves HH:MM to its next occurrence and +Nh relative to now', async () => {
+  const policy = {
+    rules: [
+      { id: 'morning', when: { task: 'backup-*' }, action: 'defer-until', until: '06:00', reason: 'Back up in the morning' },
+      { id: 'later', when: { task: 'cleanup' }, action: 'defer-until', until: '+3h', reason: 'Clean up later' }
+    ]
+  };
+
+  const tonight = await evaluate(policy, { taskName: 'backup-db' });
+  assert.equal(tonight.scheduledFor.getTime(), new Date(2026, 0, 11, 6, 0).getTime());
+
+  const early = await evaluate(policy, { taskName: 'backup-db' }, { now: new Date(2026, 0, 11, 5, 30) });
+  assert.equal(early.scheduledFor.getTime(), new Date(2026, 0, 11, 6, 0).getTime());
+
+  const cleanup = await evaluate(policy, { taskName: 'cleanup' });
+  assert.equal(cleanup.scheduledFor.getTime(), NOW.getTime() + 3 * 3600000);
+});
+
+test('an earlier version can be activated again and stays active after a restart', async () => {
+  const original = engine.getActive();
+  const strict = { name: 'strict', defaultAction: 'deny', rules: [] };
+  const saved = await engine.save(strict, { source: 'api', changedBy: 'tester' });
+  assert.equal(saved.version, original.version + 1);
+  assert.equal((await engine.evaluate({ taskName: 'anything' }, { facts: { now: NOW } })).action, 'deny');
+
+  const changes = [];
+  engine.on('change', change => changes.push(change));
+  const restored = await engine.activate(original.version, 'tester');
+  assert.equal(restored.version, original.version);
+  assert.deepEqual(changes, [{ version: original.version, name: original.name, source: 'rollback', changedBy: 'tester' }]);
+
+  const decision = await engine.evaluate({ taskName: 'anything' }, { facts: { now: NOW, systemBusy: false, offPeak: true } });
+  assert.equal(decision.policyVersion, original.version);
+  assert.equal(decision.action, 'allow');
+
+  const versions = await engine.listVersions();
+  assert.deepEqual(versions.map(version => [version.version, version.active]), [[saved.version, false], [original.version, true]]);
+
+  const restarted = new PolicyEngine(memory, {}, {});
+  assert.equal((await restarted.load()).version, original.version);
+
+  await assert.rejects(engine.activate(99), { code: 'POLICY_VERSION_NOT_FOUND' });
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const agentDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const port = 39000 + Math.floor(Math.random() * 1000);
+const baseUrl = `http://127.0.0.1:${port}/api`;
+
+async function waitForApi(child, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`Agent exited with code ${child.exitCode}`);
+    try {
+      return await fetch(`${baseUrl}/status`, { signal: AbortSignal.timeout(2000) });
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+  throw new Error(`API did not come up within ${timeoutMs}ms`);
+}
+
+test('agent without Redis falls back to the in-memory queue and serves requests', { timeout: 60000 }, async () => {
+  const child = spawn(process.execPath, ['index.js'], {
+    cwd: agentDir,
+    env: {
+      ...process.env,
+      QUEUE_BACKEND: 'redis',
+      REDIS_URL: 'redis://127.0.0.1:1', // nothing listens here
+      REDIS_TIMEOUT_MS: '1000',
+      DB_PATH: ':memory:',
+      API_PORT: String(port),
+      LOG_LEVEL: 'warn'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  try {
+    const status = await waitForApi(child, 30000);
+    assert.equal(status.status, 200);
+    assert.equal((await status.json()).isRunning, true);
+    assert.match(output, /Redis not available .* using in-memory fallback queue/);
+
+    const submitted = await fetch(`${baseUrl}/tasks`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ taskName: 'cache-warming', urgency: 'low' }),
+      signal: AbortSignal.timeout(5000)
+    });
+    assert.equal(submitted.status, 201);
+    assert.ok((await submitted.json()).taskId);
+  } finally {
+    child.kill('SIGTERM');
+    await once(child, 'exit');
+  }
+});
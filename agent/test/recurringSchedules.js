@@ -0,0 +1,171 @@
+import { after, afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import schedule from 'node-schedule';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { RecurringSchedules } from '../scheduler/recurringSchedules.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const memory = new SharedMemory(':memory:');
+// Slot jobs of runs the tests submit by calling runPlanned themselves are still armed
+after(() => Promise.all([schedule.gracefulShutdown(), memory.close()]));
+
+// Grid history by hour of day, as RenewableEnergyModule.getHourlyCarbonProfile returns it
+let carbonProfile = {};
+const scheduler = {
+  renewableModule: {
+    getHourlyCarbonProfile: async () => carbonProfile,
+    getOptimalGridHour: () => 3
+  }
+};
+
+// Submitted runs land in tasks as pending, like EcoAgent.submitTask
+let submitted;
+let runs = 0;
+async function submitTask(taskName, taskData, urgency) {
+  const taskId = `run-${++runs}`;
+  await memory.run(`INSERT INTO tasks (id, name, status) VALUES (?, ?, 'pending')`, [taskId, taskName]);
+  submitted.push({ taskId, taskName, taskData, urgency });
+  return { taskId };
+}
+
+let schedules;
+beforeEach(async () => {
+  await memory.run('DELETE FROM recurring_schedules');
+  carbonProfile = {};
+  submitted = [];
+  schedules = new RecurringSchedules(memory, scheduler, submitTask);
+});
+afterEach(() => schedules.stop());
+
+function nextFullHour() {
+  const start = new Date();
+  start.setMinutes(0, 0, 0);
+  start.setHours(start.getHours() + 1);
+  return start;
+}
+
+async function history(name) {
+  const rows = await memory.all(
+    `SELECT decision FROM execution_history WHERE task_id = ? ORDER BY rowid`,
+    [`schedule:${name}`]
+  );
+  return rows.map(row => row.decision);
+}
+
+test('a schedule is validated, armed for its next window and audited', async () => {
+  const created = await schedules.create(
+    { name: 'nightly-backup', taskName: 'backup-verification', cron: '0 0 * * *', windowHours: 8 },
+    { actor: 'tester' }
+  );
+  assert.equal(created.status, 'active');
+  assert.equal(created.urgency, 'normal');
+  assert.equal(new Date(created.nextWindowAt).getHours(), 0);
+  assert.ok(new Date(created.nextWindowAt) > new Date());
+
+  await assert.rejects(
+    schedules.create({ name: 'nightly-backup', taskName: 'log-rotation', cron: '0 1 * * *', windowHours: 2 }, { actor: 'tester' }),
+    { code: 'SCHEDULE_NAME_TAKEN' }
+  );
+  await assert.rejects(
+    schedules.create({ taskName: 'log-rotation', cron: 'every night', windowHours: 2 }, { actor: 'tester' }),
+    { code: 'SCHEDULE_INVALID', message: /not a valid cron expression/ }
+  );
+  await assert.rejects(
+    schedules.create({ taskName: 'log-rotation', cron: '0 1 * * *', windowHours: 200 }, { actor: 'tester' }),
+    { code: 'SCHEDULE_INVALID' }
+  );
+
+  const paused = await schedules.pause(created.id, { actor: 'tester' });
+  assert.equal(paused.status, 'paused');
+  assert.equal(paused.nextWindowAt, null);
+  await assert.rejects(schedules.pause(created.id, { actor: 'tester' }), { code: 'SCHEDULE_INVALID_STATE' });
+  assert.equal((await schedules.resume(created.id, { actor: 'tester' })).status, 'active');
+
+  assert.deepEqual(await history('nightly-backup'), ['SCHEDULE_CREATED', 'SCHEDULE_PAUSED', 'SCHEDULE_RESUMED']);
+});
+
+test('the cleanest hour of the window is planned from the grid carbon history', async () => {
+  const start = nextFullHour();
+  const hourOf = offset => new Date(start.getTime() + offset * HOUR_MS).getHours();
+
+  // No history for start + 1h: it counts as the average (250)
+  carbonProfile = {
+    [hourOf(0)]: { carbonIntensity: 400 },
+    [hourOf(2)]: { carbonIntensity: 100 },
+    [hourOf(3)]: { carbonIntensity: 250 }
+  };
+  const cleanest = await schedules.cleanestSlot(start, new Date(start.getTime() + 4 * HOUR_MS));
+  assert.equal(cleanest.at.getTime(), start.getTime() + 2 * HOUR_MS);
+  assert.equal(cleanest.carbonIntensity, 100);
+
+  // A tie goes to the earliest hour
+  carbonProfile = { [hourOf(0)]: { carbonIntensity: 300 }, [hourOf(1)]: { carbonIntensity: 300 } };
+  const tied = await schedules.cleanestSlot(start, new Date(start.getTime() + 2 * HOUR_MS));
+  assert.equal(tied.at.getTime(), start.getTime());
+
+  carbonProfile = {};
+  const unknown = await schedules.cleanestSlot(start, new Date(start.getTime() + HOUR_MS));
+  assert.equal(unknown.at.getTime(), start.getTime());
+  assert.match(unknown.reason, /No grid history yet/);
+});
+
+test('a planned run is submitted, and the next one is skipped while it is still waiting', async () => {
+  const { id } = await schedules.create(
+    { name: 'hourly-cache', taskName: 'cache-warming', taskData: { source: 'test' }, urgency: 'low', cron: '0 * * * *', windowHours: 1 },
+    { actor: 'tester' }
+  );
+
+  const start = nextFullHour();
+  await schedules.openWindow(id, start);
+  const planned = await schedules.get(id);
+  assert.equal(planned.plannedFor, start.toISOString());
+
+  // A window that opens before the planned run started is skipped, not stacked
+  await schedules.openWindow(id, new Date(start.getTime() + HOUR_MS));
+  assert.equal((await schedules.get(id)).plannedFor, start.toISOString());
+
+  await schedules.runPlanned(id);
+  const [run] = submitted;
+  assert.deepEqual(submitted, [{
+    taskId: run.taskId,
+    taskName: 'cache-warming',
+    taskData: { description: "Recurring schedule 'hourly-cache'", source: 'test' },
+    urgency: 'low'
+  }]);
+  const ran = await schedules.get(id);
+  assert.equal(ran.plannedFor, null);
+  assert.deepEqual({ taskId: ran.lastRun.taskId, status: ran.lastRun.status }, { taskId: run.taskId, status: 'pending' });
+
+  await schedules.openWindow(id, new Date(start.getTime() + HOUR_MS));
+  await schedules.runPlanned(id);
+  assert.equal(submitted.length, 1);
+
+  assert.deepEqual(await history('hourly-cache'), [
+    'SCHEDULE_CREATED', 'SCHEDULE_PLANNED', 'SCHEDULE_SKIPPED', 'SCHEDULE_SUBMITTED', 'SCHEDULE_PLANNED', 'SCHEDULE_SKIPPED'
+  ]);
+});
+
+test('a window that closed while the agent was stopped runs right after restore', async () => {
+  const { id } = await schedules.create(
+    { name: 'missed-cleanup', taskName: 'database-cleanup', cron: '0 0 * * *', windowHours: 2 },
+    { actor: 'tester' }
+  );
+  schedules.stop();
+
+  // The agent was down through the whole window
+  const missed = new Date(Date.now() - 3 * HOUR_MS).toISOString();
+  await memory.run('UPDATE recurring_schedules SET next_window_at = ? WHERE id = ?', [missed, id]);
+
+  schedules = new RecurringSchedules(memory, scheduler, submitTask);
+  await schedules.restore();
+  const restored = await schedules.get(id);
+  assert.match(restored.planReason, /Missed window .* running late/);
+
+  // armSlot runs a slot in the past a second from now
+  const deadline = Date.now() + 5000;
+  while (submitted.length === 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.equal(submitted[0]?.taskName, 'database-cleanup');
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SharedMemory } from '../memory/sharedMemory.js';
+
+test('statements evicted from a full cache are finalized only after their queries finish', async () => {
+  const memory = new SharedMemory(':memory:', { statementCacheSize: 2 });
+  await memory.ready;
+
+  try {
+    for (let round = 0; round < 5; round++) {
+      const rows = await Promise.all([
+        memory.get('SELECT 1 AS value'),
+        memory.get('SELECT 2 AS value'),
+        memory.all('SELECT 3 AS value'),
+        memory.get('SELECT 4 AS value')
+      ]);
+      assert.deepEqual(rows, [{ value: 1 }, { value: 2 }, [{ value: 3 }], { value: 4 }]);
+    }
+    assert.equal(memory.statements.size, 2);
+  } finally {
+    await memory.close();
+  }
+});
+
+test('a statement that fails to prepare is not cached', async () => {
+  const memory = new SharedMemory(':memory:', { statementCacheSize: 2 });
+  await memory.ready;
+
+  try {
+    await assert.rejects(memory.get('SELECT * FROM no_such_table'), /no such table/);
+    assert.equal(memory.statements.has('SELECT * FROM no_such_table'), false);
+    assert.deepEqual(await memory.get('SELECT 1 AS value'), { value: 1 });
+  } finally {
+    await memory.close();
+  }
+});
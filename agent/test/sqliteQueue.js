@@ -0,0 +1,152 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { SqliteQueue } from '../queue/sqliteQueue.js';
+
+// Short timings so leases, retries and stall checks happen within a test
+const FAST = { pollInterval: 20, stalledInterval: 20, lockDuration: 200, lockRenewTime: 50 };
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempDbPath() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eco-queue-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'agent.db');
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('higher priority jobs run first, FIFO within a level', async () => {
+  const memory = new SharedMemory(':memory:');
+  const queue = new SqliteQueue(memory, { ...FAST, concurrency: 1 });
+
+  try {
+    await queue.addTask('work', { label: 'low' }, { priority: 0 });
+    await queue.addTask('work', { label: 'normal-1' }, { priority: 1 });
+    await queue.addTask('work', { label: 'critical' }, { priority: 3 });
+    await queue.addTask('work', { label: 'normal-2' }, { priority: 1 });
+
+    const order = [];
+    await queue.process('work', async job => { order.push(job.data.label); });
+    await waitFor(() => order.length === 4);
+
+    assert.deepEqual(order, ['critical', 'normal-1', 'normal-2', 'low']);
+    assert.equal((await queue.getStats()).pending, 0);
+  } finally {
+    await queue.close();
+    await memory.close();
+  }
+});
+
+test('a failed job is retried with backoff until it succeeds', async () => {
+  const memory = new SharedMemory(':memory:');
+  const queue = new SqliteQueue(memory, FAST);
+  const events = [];
+  queue.on('job', event => events.push(event));
+
+  try {
+    let calls = 0;
+    await queue.process('flaky', async () => {
+      calls++;
+      if (calls < 3) throw new Error(`attempt ${calls} failed`);
+      return 'done';
+    });
+    const { taskId } = await queue.addTask('flaky', {}, {
+      attempts: 3,
+      backoff: { type: 'fixed', delay: 30 },
+      removeOnComplete: false
+    });
+    await waitFor(() => events.some(event => event.state === 'completed'));
+
+    const failures = events.filter(event => event.state === 'failed');
+    assert.deepEqual(failures.map(event => [event.attemptsMade, event.willRetry]), [[1, true], [2, true]]);
+    const row = await memory.get('SELECT state, attempts_made, return_value FROM job_queue WHERE id = ?', [taskId]);
+    assert.deepEqual(row, { state: 'completed', attempts_made: 2, return_value: '"done"' });
+  } finally {
+    await queue.close();
+    await memory.close();
+  }
+});
+
+test('a job that runs out of attempts is failed with its reason', async () => {
+  const memory = new SharedMemory(':memory:');
+  const queue = new SqliteQueue(memory, FAST);
+
+  try {
+    await queue.process('broken', async () => { throw new Error('always broken'); });
+    const { taskId } = await queue.addTask('broken', {}, { attempts: 2, backoff: { type: 'fixed', delay: 10 } });
+    await waitFor(async () => (await queue.getStats()).failed === 1);
+
+    const row = await memory.get('SELECT attempts_made, failed_reason FROM job_queue WHERE id = ?', [taskId]);
+    assert.deepEqual(row, { attempts_made: 2, failed_reason: 'always broken' });
+  } finally {
+    await queue.close();
+    await memory.close();
+  }
+});
+
+test('a worker renews its lease, so a job longer than lockDuration is not stalled', async () => {
+  const memory = new SharedMemory(':memory:');
+  const queue = new SqliteQueue(memory, FAST);
+  const events = [];
+  queue.on('job', event => events.push(event.state));
+
+  try {
+    let runs = 0;
+    await queue.process('long', async () => {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, FAST.lockDuration * 3));
+    });
+    await queue.addTask('long', {});
+    await waitFor(() => events.includes('completed'));
+
+    assert.equal(runs, 1);
+    assert.equal(events.includes('stalled'), false);
+  } finally {
+    await queue.close();
+    await memory.close();
+  }
+});
+
+test('a job leased by an agent that died is recovered after a restart', async () => {
+  const dbPath = await tempDbPath();
+
+  // First run: the job was claimed, then the agent stopped without finishing it
+  const before = new SharedMemory(dbPath);
+  const crashed = new SqliteQueue(before, FAST);
+  const { taskId } = await crashed.addTask('resumable', { step: 1 });
+  await before.run(
+    `UPDATE job_queue SET state = 'active', lock_owner = 'dead-worker', lock_expires_at = ? WHERE id = ?`,
+    [Date.now() - 1000, taskId]
+  );
+  await before.close();
+
+  const memory = new SharedMemory(dbPath);
+  const queue = new SqliteQueue(memory, FAST);
+  const events = [];
+  queue.on('job', event => events.push(event.state));
+
+  try {
+    const ran = [];
+    await queue.process('resumable', async job => { ran.push(job.data); });
+    await waitFor(() => ran.length === 1);
+    await waitFor(() => events.includes('completed'));
+
+    assert.deepEqual(ran, [{ taskId, step: 1 }]);
+    assert.deepEqual(events.slice(0, 2), ['stalled', 'active']);
+    assert.equal(await queue.getJob(taskId), null); // removeOnComplete (the addTask default)
+  } finally {
+    await queue.close();
+    await memory.close();
+  }
+});
@@ -0,0 +1,165 @@
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { TaskSandbox, SandboxViolation } from '../engine/taskSandbox.js';
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map(dir => fs.rm(dir, { recursive: true, force: true }))));
+
+async function tempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eco-sandbox-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+// A processor module entry for a handler given as source, loaded by the worker from a data: URL
+function entryFor(handlerSource) {
+  const source = `export const processors = { handler: ${handlerSource} };`;
+  return { url: `data:text/javascript,${encodeURIComponent(source)}`, export: 'processors', key: 'handler' };
+}
+
+// What AgentDecisionEngine.enforceConstraints hands out by default
+function constraintsFor(workDir, overrides = {}) {
+  return {
+    timeout: 10000,
+    memoryLimit: 64,
+    workDir,
+    writableDirs: [workDir],
+    blockedOperations: ['delete', 'config_modify', 'network', 'process'],
+    ...overrides
+  };
+}
+
+test('a processor runs in the worker and its result and progress come back', async () => {
+  const sandbox = new TaskSandbox();
+  const progress = [];
+
+  const result = await sandbox.run('echo', entryFor(`async (jobData, constraints) => {
+    constraints.reportProgress(50, { step: 'half' });
+    return { status: 'success', echoed: jobData.value, timeout: constraints.timeout };
+  }`), { value: 42 }, {
+    ...constraintsFor(await tempDir()),
+    reportProgress: (percent, state) => progress.push([percent, state])
+  });
+
+  assert.deepEqual(result, { status: 'success', echoed: 42, timeout: 10000 });
+  assert.deepEqual(progress, [[50, { step: 'half' }]]);
+});
+
+test('writes are allowed inside writableDirs and refused outside them', async () => {
+  const sandbox = new TaskSandbox();
+  const workDir = await tempDir();
+  const outside = await tempDir();
+
+  const inside = await sandbox.run('write', entryFor(`async (jobData) => {
+    const fs = await import('node:fs/promises');
+    await fs.writeFile(jobData.file, 'ok');
+    return 'written';
+  }`), { file: path.join(workDir, 'out.txt') }, constraintsFor(workDir));
+  assert.equal(inside, 'written');
+  assert.equal(await fs.readFile(path.join(workDir, 'out.txt'), 'utf8'), 'ok');
+
+  const target = path.join(outside, 'escape.txt');
+  await assert.rejects(
+    sandbox.run('write', entryFor(`async (jobData) => {
+      const fs = await import('node:fs/promises');
+      await fs.writeFile(jobData.file, 'escaped');
+    }`), { file: target }, constraintsFor(workDir)),
+    error => error instanceof SandboxViolation && error.kind === 'filesystem' && error.code === 'SANDBOX_FILESYSTEM'
+  );
+  await assert.rejects(fs.access(target), { code: 'ENOENT' });
+});
+
+test('protected agent files cannot be written and deletes stay inside workDir', async () => {
+  const workDir = await tempDir();
+  const shared = await tempDir();
+  const configFile = path.join(workDir, 'agent.config.json');
+  const other = path.join(shared, 'keep.txt');
+  await fs.writeFile(configFile, '{}');
+  await fs.writeFile(other, 'keep');
+
+  const sandbox = new TaskSandbox({ protectedPaths: [configFile] });
+  const constraints = constraintsFor(workDir, { writableDirs: [workDir, shared] });
+
+  await assert.rejects(
+    sandbox.run('config', entryFor(`async (jobData) => {
+      const fs = await import('node:fs');
+      fs.writeFileSync(jobData.file, '{"sandbox":false}');
+    }`), { file: configFile }, constraints),
+    { kind: 'filesystem', message: /protected agent file/ }
+  );
+  assert.equal(await fs.readFile(configFile, 'utf8'), '{}');
+
+  await assert.rejects(
+    sandbox.run('delete', entryFor(`async (jobData) => {
+      const fs = await import('node:fs/promises');
+      await fs.unlink(jobData.file);
+    }`), { file: other }, constraints),
+    { kind: 'delete' }
+  );
+  assert.equal(await fs.readFile(other, 'utf8'), 'keep');
+});
+
+test('network and child processes are refused while blocked', async () => {
+  const sandbox = new TaskSandbox();
+  const workDir = await tempDir();
+
+  await assert.rejects(
+    sandbox.run('network', entryFor(`async () => {
+      const net = await import('node:net');
+      net.connect(9, '127.0.0.1');
+    }`), {}, constraintsFor(workDir)),
+    { kind: 'network' }
+  );
+
+  await assert.rejects(
+    sandbox.run('spawn', entryFor(`async () => {
+      const { execSync } = await import('node:child_process');
+      execSync('true');
+    }`), {}, constraintsFor(workDir)),
+    { kind: 'process' }
+  );
+});
+
+test('a processor that runs past its timeout is terminated', async () => {
+  const sandbox = new TaskSandbox();
+
+  await assert.rejects(
+    sandbox.run('slow', entryFor(`() => new Promise(() => {})`), {}, constraintsFor(await tempDir(), { timeout: 200 })),
+    { kind: 'timeout', message: /still running after 200 ms/ }
+  );
+});
+
+test('an abort reaches the processor, and one that ignores it is stopped after the grace period', async () => {
+  const sandbox = new TaskSandbox({ abortGraceMs: 200 });
+  const workDir = await tempDir();
+
+  const polite = new AbortController();
+  const stopping = sandbox.run('polite', entryFor(`(jobData, constraints) => new Promise(resolve => {
+    constraints.signal.addEventListener('abort', () => resolve({ status: 'stopped' }));
+  })`), {}, { ...constraintsFor(workDir), signal: polite.signal });
+  setTimeout(() => polite.abort(new Error('paused')), 100);
+  assert.deepEqual(await stopping, { status: 'interrupted' });
+
+  const stubborn = new AbortController();
+  const started = Date.now();
+  const ignoring = sandbox.run('stubborn', entryFor(`() => new Promise(() => {})`), {},
+    { ...constraintsFor(workDir), signal: stubborn.signal });
+  setTimeout(() => stubborn.abort(new Error('aborted')), 100);
+  assert.deepEqual(await ignoring, { status: 'interrupted' });
+  assert.ok(Date.now() - started >= 300);
+});
+
+test('a processor that outgrows memoryLimit is terminated', async () => {
+  const sandbox = new TaskSandbox();
+
+  await assert.rejects(
+    sandbox.run('hungry', entryFor(`async () => {
+      const hoard = [];
+      for (;;) hoard.push(new Array(100000).fill({ grow: hoard.length }));
+    }`), {}, constraintsFor(await tempDir(), { memoryLimit: 16 })),
+    { kind: 'memory', message: /heap exceeded 16 MB/ }
+  );
+});
@@ -0,0 +1,180 @@
+import { after, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { SharedMemory } from '../memory/sharedMemory.js';
+import { WebhookDispatcher } from '../api/webhooks.js';
+
+const SECRET = 'receiver-shared-secret';
+
+const memory = new SharedMemory(':memory:');
+
+// Local receiver: records every request and answers with the scripted statuses, then 200
+let received = [];
+let statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ at: Date.now(), headers: req.headers, body });
+    res.statusCode = statuses.shift() ?? 200;
+    res.end();
+  });
+});
+await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+const url = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+let dispatcher;
+after(async () => {
+  dispatcher.stop();
+  await new Promise(resolve => receiver.close(resolve));
+  await memory.close();
+});
+
+beforeEach(async () => {
+  if (dispatcher) dispatcher.stop();
+  for (const table of ['webhook_deliveries', 'webhooks', 'execution_history']) {
+    await memory.run(`DELETE FROM ${table}`);
+  }
+  received = [];
+  statuses = [];
+  dispatcher = new WebhookDispatcher(memory);
+  dispatcher.configure({ maxAttempts: 3, backoffSeconds: 0.1, timeoutMs: 2000 });
+});
+
+// A task.status event as LiveEventHub publishes it
+function taskStatus(taskId, status) {
+  return { id: 1, type: 'task.status', timestamp: new Date().toISOString(), taskId, data: { status } };
+}
+
+async function settled(deliveryId) {
+  const deadline = Date.now() + 5000;
+  let delivery = await dispatcher.getDelivery(deliveryId);
+  while (delivery.status === 'pending' && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    delivery = await dispatcher.getDelivery(deliveryId);
+  }
+  return delivery;
+}
+
+test('a delivery is signed with the webhook secret over "<timestamp>.<body>"', async () => {
+  const webhook = await dispatcher.create({ url, events: ['task.status'], secret: SECRET }, { actor: 'tester' });
+  assert.equal(webhook.secret, SECRET);
+
+  await dispatcher.dispatch(taskStatus('task-1', 'completed'));
+
+  const [request] = received;
+  const body = JSON.parse(request.body);
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.equal(request.headers['x-eco-event'], 'task.status');
+  assert.equal(request.headers['x-eco-delivery'], body.id);
+  assert.deepEqual({ type: body.type, taskId: body.taskId, data: body.data },
+    { type: 'task.status', taskId: 'task-1', data: { status: 'completed' } });
+
+  const timestamp = request.headers['x-eco-timestamp'];
+  assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+  assert.equal(request.headers['x-eco-signature'], `sha256=${expected}`);
+
+  // A generated secret is returned once and never serialized again
+  const generated = await dispatcher.create({ url, events: ['task.*'] }, { actor: 'tester' });
+  assert.match(generated.secret, /^[0-9a-f]{64}$/);
+  assert.equal((await dispatcher.get(generated.id)).secret, undefined);
+});
+
+test('only enabled webhooks whose events and statuses match get a delivery', async () => {
+  const failures = await dispatcher.create({ url, events: ['task.status'], statuses: ['failed'] }, { actor: 'tester' });
+  const everything = await dispatcher.create({ url, events: ['task.*'] }, { actor: 'tester' });
+  await dispatcher.create({ url, events: ['task.status'], enabled: false }, { actor: 'tester' });
+
+  await dispatcher.dispatch(taskStatus('task-2', 'completed'));
+  await dispatcher.dispatch(taskStatus('task-3', 'failed'));
+  await dispatcher.dispatch({ id: 2, type: 'device.sleep', timestamp: new Date().toISOString(), taskId: null, data: {} });
+
+  assert.deepEqual((await dispatcher.deliveries(failures.id)).map(delivery => delivery.taskId), ['task-3']);
+  assert.deepEqual((await dispatcher.deliveries(everything.id)).map(delivery => delivery.taskId), ['task-3', 'task-2']);
+  assert.equal(received.length, 3);
+
+  await assert.rejects(
+    dispatcher.create({ url, events: ['task.finished'] }, { actor: 'tester' }),
+    { code: 'WEBHOOK_INVALID', message: 'Unknown event type: task.finished' }
+  );
+});
+
+test('retryable failures are retried with doubling backoff under the same delivery ID', async () => {
+  const webhook = await dispatcher.create({ url, events: ['task.status'] }, { actor: 'tester' });
+  statuses = [503, 429];
+
+  await dispatcher.dispatch(taskStatus('task-4', 'completed'));
+  const [first] = await dispatcher.deliveries(webhook.id);
+  assert.equal(first.status, 'pending');
+  assert.equal(first.attempts, 1);
+  assert.equal(first.responseStatus, 503);
+  assert.equal(first.error, 'HTTP 503');
+  const firstBackoff = new Date(first.nextAttemptAt).getTime() - received[0].at;
+  assert.ok(firstBackoff >= 90 && firstBackoff <= 500, `first backoff ${firstBackoff}ms`);
+
+  const delivered = await settled(first.id);
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.attempts, 3);
+  assert.equal(delivered.responseStatus, 200);
+  assert.equal(delivered.error, null);
+  assert.equal(delivered.nextAttemptAt, null);
+  assert.ok(delivered.deliveredAt);
+
+  assert.equal(received.length, 3);
+  assert.deepEqual(new Set(received.map(request => request.headers['x-eco-delivery'])), new Set([first.id]));
+  // 100 ms, then 200 ms
+  assert.ok(received[1].at - received[0].at >= 90);
+  assert.ok(received[2].at - received[1].at >= 190);
+});
+
+test('a delivery fails at once on other statuses and after maxAttempts on retryable ones', async () => {
+  const webhook = await dispatcher.create({ url, events: ['task.status'] }, { actor: 'tester' });
+
+  statuses = [400];
+  await dispatcher.dispatch(taskStatus('task-5', 'completed'));
+  const [rejected] = await dispatcher.deliveries(webhook.id);
+  assert.deepEqual([rejected.status, rejected.attempts, rejected.responseStatus, rejected.nextAttemptAt],
+    ['failed', 1, 400, null]);
+
+  statuses = [500, 502, 504];
+  await dispatcher.dispatch(taskStatus('task-6', 'completed'));
+  const [pending] = await dispatcher.deliveries(webhook.id, { status: 'pending' });
+  const exhausted = await settled(pending.id);
+  assert.deepEqual([exhausted.status, exhausted.attempts, exhausted.error], ['failed', 3, 'HTTP 504']);
+
+  assert.deepEqual((await dispatcher.deliveries(webhook.id, { status: 'failed' })).map(delivery => delivery.taskId),
+    ['task-6', 'task-5']);
+  assert.deepEqual(await dispatcher.deliveries(webhook.id, { status: 'delivered' }), []);
+});
+
+test('a test delivery to an unreachable endpoint is tried once, and changes to the webhook are audited', async () => {
+  // Nothing listens on a port that was just released
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const deadUrl = `http://127.0.0.1:${closed.address().port}/`;
+  await new Promise(resolve => closed.close(resolve));
+
+  const webhook = await dispatcher.create({ url: deadUrl, events: ['task.status'] }, { actor: 'tester' });
+  const delivery = await dispatcher.test(webhook.id, { actor: 'tester' });
+  assert.equal(delivery.eventType, 'webhook.test');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, null);
+  assert.ok(delivery.error);
+
+  await dispatcher.update(webhook.id, { url }, { actor: 'tester' });
+  await dispatcher.dispatch(taskStatus('task-7', 'completed'));
+  const [ok] = await dispatcher.deliveries(webhook.id, { status: 'delivered' });
+  assert.equal(ok.taskId, 'task-7');
+
+  const removed = await dispatcher.remove(webhook.id, { actor: 'tester', reason: 'done' });
+  assert.equal(removed.deleted, true);
+  const history = await memory.all(
+    'SELECT decision FROM execution_history WHERE task_id = ? ORDER BY rowid',
+    [`webhook:${webhook.id}`]
+  );
+  assert.deepEqual(history.map(row => row.decision), ['WEBHOOK_CREATED', 'WEBHOOK_UPDATED', 'WEBHOOK_DELETED']);
+});
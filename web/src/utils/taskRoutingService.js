@@ -338,16 +338,41 @@ export class TaskRoutingService {
    * 
    * @param {function} onMessage - Callback for messages
    * @param {function} onError - Callback for errors
+   * @param {object} options - { taskId, events, resume }
+   *   taskId/events: string or array filters (see TASK_ROUTING_API.md)
+   *   resume: replay events missed since the previous stream closed
    * @returns {WebSocket}
    */
-  createLiveStream(onMessage, onError) {
+  createLiveStream(onMessage, onError, options = {}) {
     try {
-      const wsUrl = this.agentUrl.replace('http', 'ws') + '/ws/live';
+      const params = new URLSearchParams();
+      if (options.taskId) params.append('taskId', [].concat(options.taskId).join(','));
+      if (options.events) params.append('events', [].concat(options.events).join(','));
+      if (options.resume && this.liveStreamCursor) {
+        params.append('streamId', this.liveStreamCursor.streamId);
+        params.append('lastEventId', this.liveStreamCursor.lastEventId);
+      }
+
+      const query = params.toString();
+      const wsUrl = this.agentUrl.replace('http', 'ws') + '/ws/live' + (query ? `?${query}` : '');
       const ws = new WebSocket(wsUrl);
 
       ws.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
+
+          // Remember where we are so the next stream can resume from here
+          if (data.type === 'stream.ready') {
+            const previous = this.liveStreamCursor;
+            const sameStream = options.resume && previous?.streamId === data.streamId;
+            this.liveStreamCursor = {
+              streamId: data.streamId,
+              lastEventId: sameStream ? previous.lastEventId : data.lastEventId
+            };
+          } else if (data.id && this.liveStreamCursor) {
+            this.liveStreamCursor.lastEventId = data.id;
+          }
+
           onMessage(data);
         } catch (error) {
           console.error('Failed to parse WebSocket message:', error);